@@ -595,6 +595,7 @@ const AdminPanel = () => {
                                                         className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
                                                     >
                                                         <option value="azure_openai">Azure OpenAI</option>
+                                                        <option value="openai">OpenAI-compatible</option>
                                                         <option value="azure_form_recognizer">Azure Form Recognizer</option>
                                                         <option value="azure_search">Azure Search</option>
                                                         <option value="custom">Custom</option>
@@ -6,7 +6,8 @@ import {
   DocumentTextIcon,
   EyeIcon,
   ClipboardDocumentIcon,
-  InformationCircleIcon
+  InformationCircleIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline';
 import {
   ExclamationTriangleIcon as ExclamationTriangleSolid,
@@ -14,6 +15,7 @@ import {
 } from '@heroicons/react/24/solid';
 import ErrorBoundary from './ErrorBoundary';
 import LoadingSpinner from './LoadingSpinner';
+import AnalysisVersionsDiff from './AnalysisVersionsDiff';
 
 const AnalysisResultsView = ({ document, analysis, isLoading, error }) => {
   const [activeTab, setActiveTab] = useState('summary');
@@ -91,11 +93,52 @@ const AnalysisResultsView = ({ document, analysis, isLoading, error }) => {
     return 'bg-danger-500';
   };
 
+  const getSeverityColor = (severity) => {
+    switch (severity) {
+      case 'critical': return 'bg-red-600 text-white';
+      case 'high': return 'bg-red-100 text-red-800';
+      case 'medium': return 'bg-warning-100 text-warning-800';
+      default: return 'bg-gray-100 text-gray-700';
+    }
+  };
+
+  // Graded by the server against the project's materiality, when it is set
+  const getMaterialityBadge = (materiality) => {
+    switch (materiality?.level) {
+      case 'material': return { label: 'Material', className: 'bg-red-600 text-white' };
+      case 'above_performance': return { label: 'Above performance materiality', className: 'bg-red-100 text-red-800' };
+      case 'above_trivial': return { label: 'Above clearly trivial', className: 'bg-warning-100 text-warning-800' };
+      case 'clearly_trivial': return { label: 'Clearly trivial', className: 'bg-gray-100 text-gray-700' };
+      default: return null;
+    }
+  };
+
+  const formatReference = (reference) => {
+    if (!reference) return null;
+    const parts = [];
+    if (reference.page) parts.push(`Page ${reference.page}`);
+    if (reference.field) parts.push(`Field: ${reference.field}`);
+    if (reference.table) parts.push(`Table ${reference.table}`);
+    return parts.length > 0 ? parts.join(' · ') : null;
+  };
+
+  const formatFinding = (finding) => [
+    `[${finding.severity.toUpperCase()}] ${finding.title}`,
+    finding.description,
+    `Evidence: "${finding.evidence}"${formatReference(finding.reference) ? ` (${formatReference(finding.reference)})` : ''}`,
+    `Recommended procedure: ${finding.recommendedProcedure}`
+  ].join('\n');
+
+  // Older analyses only have plain red flag strings
+  const findings = analysis.findings || [];
+  const redFlagCount = findings.length || analysis.redFlags?.length || 0;
+
   const tabs = [
     { id: 'summary', name: 'Summary', icon: ChartBarIcon },
-    { id: 'redflags', name: `Red Flags (${analysis.redFlags?.length || 0})`, icon: ExclamationTriangleIcon },
+    { id: 'redflags', name: `Red Flags (${redFlagCount})`, icon: ExclamationTriangleIcon },
     { id: 'highlights', name: `Highlights (${analysis.highlights?.length || 0})`, icon: CheckCircleIcon },
-    { id: 'data', name: 'Extracted Data', icon: DocumentTextIcon }
+    { id: 'data', name: 'Extracted Data', icon: DocumentTextIcon },
+    ...(document ? [{ id: 'versions', name: 'Versions', icon: ClockIcon }] : [])
   ];
 
   return (
@@ -115,6 +158,12 @@ const AnalysisResultsView = ({ document, analysis, isLoading, error }) => {
                   <span>{formatFileSize(document.fileSize)}</span>
                   <span>•</span>
                   <span>Analyzed {new Date(analysis.createdAt).toLocaleDateString()}</span>
+                  {analysis.version && (
+                    <>
+                      <span>•</span>
+                      <span>Version {analysis.version}</span>
+                    </>
+                  )}
                 </div>
               )}
             </div>
@@ -178,13 +227,13 @@ const AnalysisResultsView = ({ document, analysis, isLoading, error }) => {
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                 <div className="bg-gray-50 rounded-lg p-4 text-center">
                   <div className="text-2xl font-bold text-gray-900">
-                    {analysis.extractedData?.pages || 'N/A'}
+                    {analysis.extractedData?.pageCount ?? analysis.extractedData?.pages ?? 'N/A'}
                   </div>
                   <div className="text-sm text-gray-600">Pages Analyzed</div>
                 </div>
                 <div className="bg-red-50 rounded-lg p-4 text-center">
                   <div className="text-2xl font-bold text-red-600">
-                    {analysis.redFlags?.length || 0}
+                    {redFlagCount}
                   </div>
                   <div className="text-sm text-gray-600">Red Flags</div>
                 </div>
@@ -200,7 +249,56 @@ const AnalysisResultsView = ({ document, analysis, isLoading, error }) => {
 
           {activeTab === 'redflags' && (
             <div className="space-y-3">
-              {analysis.redFlags && analysis.redFlags.length > 0 ? (
+              {findings.length > 0 ? (
+                findings.map((finding, index) => (
+                  <div key={index} className="p-4 bg-red-50 border border-red-200 rounded-lg">
+                    <div className="flex items-start">
+                      <ExclamationTriangleSolid className="h-5 w-5 text-red-500 mt-0.5 mr-3 flex-shrink-0" />
+                      <div className="flex-1">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <span className={`text-xs font-medium px-2 py-0.5 rounded-full capitalize ${getSeverityColor(finding.severity)}`}>
+                            {finding.severity}
+                          </span>
+                          <span className="text-xs px-2 py-0.5 rounded-full bg-white border border-red-200 text-red-700 capitalize">
+                            {finding.category.replace(/_/g, ' ')}
+                          </span>
+                          {getMaterialityBadge(finding.materiality) && (
+                            <span
+                              className={`text-xs font-medium px-2 py-0.5 rounded-full ${getMaterialityBadge(finding.materiality).className}`}
+                              title={`Largest amount quoted: ${finding.materiality.amount.toLocaleString()}`}
+                            >
+                              {getMaterialityBadge(finding.materiality).label}
+                            </span>
+                          )}
+                          <p className="text-sm font-medium text-red-900">{finding.title}</p>
+                        </div>
+                        <p className="mt-2 text-sm text-red-800">{finding.description}</p>
+                        <blockquote className="mt-2 pl-3 border-l-2 border-red-300 text-sm italic text-gray-700">
+                          "{finding.evidence}"
+                        </blockquote>
+                        <div className="mt-1 flex items-center gap-2 text-xs text-gray-500">
+                          {formatReference(finding.reference) && <span>{formatReference(finding.reference)}</span>}
+                          {finding.evidenceVerified === false && (
+                            <span className="text-warning-700" title="This excerpt was not found verbatim in the extracted text">
+                              Excerpt not matched in document
+                            </span>
+                          )}
+                        </div>
+                        <p className="mt-2 text-sm text-gray-800">
+                          <span className="font-medium">Recommended procedure:</span> {finding.recommendedProcedure}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => copyToClipboard(formatFinding(finding))}
+                        className="ml-2 p-1 text-red-400 hover:text-red-600"
+                        title="Copy to clipboard"
+                      >
+                        <ClipboardDocumentIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))
+              ) : analysis.redFlags && analysis.redFlags.length > 0 ? (
                 analysis.redFlags.map((flag, index) => (
                   <div key={index} className="flex items-start p-4 bg-red-50 border border-red-200 rounded-lg">
                     <ExclamationTriangleSolid className="h-5 w-5 text-red-500 mt-0.5 mr-3 flex-shrink-0" />
@@ -284,10 +382,15 @@ const AnalysisResultsView = ({ document, analysis, isLoading, error }) => {
                         <div>
                           <h5 className="text-xs font-medium text-gray-700 mb-2">Key Information</h5>
                           <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
-                            {Object.entries(analysis.extractedData.keyValuePairs).map(([key, value]) => (
+                            {Object.entries(analysis.extractedData.keyValuePairs).map(([key, pair]) => (
                               <div key={key} className="bg-white p-2 rounded border">
-                                <div className="text-xs font-medium text-gray-600">{key}</div>
-                                <div className="text-sm text-gray-900">{value}</div>
+                                <div className="flex items-center justify-between">
+                                  <div className="text-xs font-medium text-gray-600">{key}</div>
+                                  {typeof pair?.confidence === 'number' && (
+                                    <div className="text-xs text-gray-400">{(pair.confidence * 100).toFixed(0)}%</div>
+                                  )}
+                                </div>
+                                <div className="text-sm text-gray-900">{typeof pair === 'object' ? pair?.value : pair}</div>
                               </div>
                             ))}
                           </div>
@@ -304,6 +407,12 @@ const AnalysisResultsView = ({ document, analysis, isLoading, error }) => {
                             {analysis.extractedData.tables.map((table, index) => (
                               <div key={index} className="mb-2">
                                 Table {index + 1}: {table.rowCount} rows × {table.columnCount} columns
+                                {table.pageNumber && ` (page ${table.pageNumber})`}
+                                {table.columnHeaders?.some(Boolean) && (
+                                  <div className="text-xs text-gray-500">
+                                    {table.columnHeaders.filter(Boolean).join(' · ')}
+                                  </div>
+                                )}
                               </div>
                             ))}
                           </div>
@@ -323,6 +432,10 @@ const AnalysisResultsView = ({ document, analysis, isLoading, error }) => {
               )}
             </div>
           )}
+
+          {activeTab === 'versions' && document && (
+            <AnalysisVersionsDiff documentId={document.id} />
+          )}
         </div>
       </div>
     </ErrorBoundary>
@@ -0,0 +1,193 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { ArrowPathIcon, MinusCircleIcon, PlusCircleIcon, ArrowsRightLeftIcon } from '@heroicons/react/24/outline';
+import { documentsService } from '../services/api';
+import { diffAnalysisVersions, formatDateTime } from '../utils/helpers';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatMetadataValue = (field, value) => {
+  if (value === null || value === undefined) return '—';
+  if (field === 'confidence_score') return `${(value * 100).toFixed(0)}%`;
+  return value;
+};
+
+const AnalysisVersionsDiff = ({ documentId }) => {
+  const queryClient = useQueryClient();
+  const [baseId, setBaseId] = useState('');
+  const [compareId, setCompareId] = useState('');
+
+  const { data: versions = [], isLoading, error } = useQuery(
+    ['analysisVersions', documentId],
+    () => documentsService.getAnalysisVersions(documentId)
+  );
+
+  const reanalyzeMutation = useMutation(documentsService.reanalyzeDocument, {
+    onSuccess: () => {
+      toast.success('Re-analysis queued. A new version will appear when it completes.');
+      queryClient.invalidateQueries(['analysisVersions', documentId]);
+    },
+    onError: (error) => {
+      toast.error(error.error || 'Failed to queue re-analysis');
+    }
+  });
+
+  // Default to comparing the previous version with the latest one
+  useEffect(() => {
+    if (versions.length >= 2 && !baseId && !compareId) {
+      setCompareId(versions[0].id);
+      setBaseId(versions[1].id);
+    }
+  }, [versions, baseId, compareId]);
+
+  const base = versions.find((version) => version.id === baseId);
+  const compare = versions.find((version) => version.id === compareId);
+  const diff = useMemo(() => (base && compare ? diffAnalysisVersions(base, compare) : null), [base, compare]);
+
+  if (isLoading) {
+    return (
+      <div className="py-8 text-center">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-danger-600">{error.error || 'Failed to load analysis versions.'}</p>;
+  }
+
+  const renderVersionSelect = (value, onChange, label) => (
+    <label className="flex-1 text-xs font-medium text-gray-700">
+      {label}
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="mt-1 block w-full rounded-md border-gray-300 text-sm focus:border-primary-500 focus:ring-primary-500"
+      >
+        <option value="">Select version</option>
+        {versions.map((version) => (
+          <option key={version.id} value={version.id}>
+            v{version.version} · {formatDateTime(version.created_at)}
+            {version.prompt_version ? ` · ${version.prompt_version}` : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-gray-900">
+          Analysis Versions ({versions.length})
+        </h4>
+        <button
+          onClick={() => reanalyzeMutation.mutate(documentId)}
+          disabled={reanalyzeMutation.isLoading}
+          className="inline-flex items-center px-3 py-1 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <ArrowPathIcon className="h-3 w-3 mr-1" />
+          Re-analyze
+        </button>
+      </div>
+
+      {versions.length < 2 ? (
+        <p className="text-sm text-gray-500">
+          Only one analysis exists for this document. Re-analyze it to create a version to compare against.
+        </p>
+      ) : (
+        <>
+          <div className="flex items-end space-x-3">
+            {renderVersionSelect(baseId, setBaseId, 'Base')}
+            <ArrowsRightLeftIcon className="h-5 w-5 mb-2 text-gray-400" />
+            {renderVersionSelect(compareId, setCompareId, 'Compare')}
+          </div>
+
+          {diff && (
+            <div className="space-y-4">
+              {diff.metadata.length > 0 && (
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <h5 className="text-xs font-medium text-gray-700 mb-2">Run Settings</h5>
+                  <dl className="space-y-1 text-sm">
+                    {diff.metadata.map((change) => (
+                      <div key={change.field} className="flex justify-between">
+                        <dt className="text-gray-600">{change.label}</dt>
+                        <dd className="text-gray-900">
+                          {formatMetadataValue(change.field, change.from)} → {formatMetadataValue(change.field, change.to)}
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                </div>
+              )}
+
+              {diff.summaryChanged && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="bg-gray-50 rounded-lg p-3 text-sm text-gray-700">
+                    <div className="text-xs font-medium text-gray-500 mb-1">v{base.version} summary</div>
+                    {base.ai_summary}
+                  </div>
+                  <div className="bg-blue-50 rounded-lg p-3 text-sm text-blue-800">
+                    <div className="text-xs font-medium text-blue-600 mb-1">v{compare.version} summary</div>
+                    {compare.ai_summary}
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <h5 className="text-xs font-medium text-gray-700 mb-2">Red Flags</h5>
+                <ul className="space-y-1 text-sm">
+                  {diff.findings.added.map((finding, index) => (
+                    <li key={`added-${index}`} className="flex items-start text-red-700">
+                      <PlusCircleIcon className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                      {finding.severity && <span className="mr-1 capitalize">[{finding.severity}]</span>}
+                      {finding.title}
+                    </li>
+                  ))}
+                  {diff.findings.removed.map((finding, index) => (
+                    <li key={`removed-${index}`} className="flex items-start text-gray-500 line-through">
+                      <MinusCircleIcon className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                      {finding.title}
+                    </li>
+                  ))}
+                  {diff.findings.changed.map(({ from, to }, index) => (
+                    <li key={`changed-${index}`} className="flex items-start text-warning-700">
+                      <ArrowsRightLeftIcon className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                      {to.title}: <span className="ml-1 capitalize">{from.severity} → {to.severity}</span>
+                    </li>
+                  ))}
+                  {diff.findings.added.length + diff.findings.removed.length + diff.findings.changed.length === 0 && (
+                    <li className="text-gray-500">No changes</li>
+                  )}
+                </ul>
+              </div>
+
+              <div>
+                <h5 className="text-xs font-medium text-gray-700 mb-2">Highlights</h5>
+                <ul className="space-y-1 text-sm">
+                  {diff.highlights.added.map((highlight, index) => (
+                    <li key={`added-${index}`} className="flex items-start text-green-700">
+                      <PlusCircleIcon className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                      {highlight}
+                    </li>
+                  ))}
+                  {diff.highlights.removed.map((highlight, index) => (
+                    <li key={`removed-${index}`} className="flex items-start text-gray-500 line-through">
+                      <MinusCircleIcon className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                      {highlight}
+                    </li>
+                  ))}
+                  {diff.highlights.added.length + diff.highlights.removed.length === 0 && (
+                    <li className="text-gray-500">No changes</li>
+                  )}
+                </ul>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisVersionsDiff;
@@ -1,64 +1,157 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { useMutation, useQuery } from 'react-query';
+import { useQuery, useQueryClient } from 'react-query';
 import toast from 'react-hot-toast';
 import {
   PaperAirplaneIcon,
   SparklesIcon,
   UserIcon,
-  ComputerDesktopIcon
+  ComputerDesktopIcon,
+  StopIcon
 } from '@heroicons/react/24/outline';
-import { chatService } from '../services/api';
+import { chatService, documentsService } from '../services/api';
 import LoadingSpinner from './LoadingSpinner';
+import ChatThreadSwitcher from './ChatThreadSwitcher';
 
 const AskEsus = ({ projectId }) => {
+  const queryClient = useQueryClient();
   const [question, setQuestion] = useState('');
   const [chatHistory, setChatHistory] = useState([]);
+  // undefined until the thread list loads, null for a new conversation
+  const [activeThreadId, setActiveThreadId] = useState(undefined);
+  // The exchange currently being streamed: { question, answer }
+  const [streaming, setStreaming] = useState(null);
+  const abortControllerRef = useRef(null);
   const messagesEndRef = useRef(null);
 
-  // Get chat history
+  const { data: threads = [] } = useQuery(
+    ['chat-threads', projectId],
+    () => chatService.getChatThreads(projectId),
+    {
+      onSuccess: (data) => {
+        // Open the most recent conversation on first load
+        setActiveThreadId((current) => (current === undefined ? data[0]?.id || null : current));
+      }
+    }
+  );
+
+  // Get chat history of the active thread
   const { data: historyData } = useQuery(
-    ['chat-history', projectId],
-    () => chatService.getChatHistory(projectId),
+    ['chat-history', projectId, activeThreadId],
+    () => chatService.getChatHistory(projectId, activeThreadId),
     {
+      enabled: !!activeThreadId,
       onSuccess: (data) => {
         setChatHistory(data.chatHistory || []);
       }
     }
   );
 
+  const handleSelectThread = (threadId) => {
+    setActiveThreadId(threadId);
+    setChatHistory([]);
+  };
+
   // Get suggested questions
   const { data: suggestedData } = useQuery(
     ['suggested-questions', projectId],
     () => chatService.getSuggestedQuestions(projectId)
   );
 
-  const askEsusMutation = useMutation(
-    ({ projectId, question }) => chatService.askEsus(projectId, question),
-    {
-      onSuccess: (data) => {
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trimmedQuestion = question.trim();
+    if (!trimmedQuestion || streaming) return;
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setStreaming({ question: trimmedQuestion, answer: '' });
+    setQuestion('');
+
+    let answer = '';
+    try {
+      const { chatId, threadId, citations, aborted } = await chatService.streamChatMessage(projectId, trimmedQuestion, {
+        threadId: activeThreadId || undefined,
+        signal: controller.signal,
+        onToken: (token) => {
+          answer += token;
+          setStreaming(prev => prev && { ...prev, answer: prev.answer + token });
+        }
+      });
+
+      // The server keeps partial answers, so show them the same way
+      if (answer || !aborted) {
         const newMessage = {
-          id: data.chatId,
-          question: question,
-          answer: data.answer,
+          id: chatId || `local-${Date.now()}`,
+          question: trimmedQuestion,
+          answer,
+          citations,
+          completionStatus: aborted ? 'aborted' : 'completed',
           user: { firstName: 'You' },
           createdAt: new Date().toISOString()
         };
-        setChatHistory(prev => [newMessage, ...prev]);
-        setQuestion('');
-      },
-      onError: (error) => {
-        toast.error(error.error || 'Failed to get response from Esus');
+        setChatHistory(prev => [...prev, newMessage]);
+      }
+
+      // The first question of a new conversation creates its thread
+      if (threadId && threadId !== activeThreadId) {
+        setActiveThreadId(threadId);
       }
+      queryClient.invalidateQueries(['chat-threads', projectId]);
+    } catch (error) {
+      toast.error(error.error || 'Failed to get response from Esus');
+      setQuestion(trimmedQuestion);
+    } finally {
+      abortControllerRef.current = null;
+      setStreaming(null);
     }
-  );
+  };
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!question.trim()) return;
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Stop any running stream when leaving the page
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
 
-    askEsusMutation.mutate({ projectId, question: question.trim() });
+  // Open the cited file at the cited page (PDF viewers honour #page=)
+  const handleOpenCitation = async (citation) => {
+    // Open the tab before the request so popup blockers allow it
+    const viewer = window.open('', '_blank');
+    try {
+      const { url } = await documentsService.getDocumentDownloadUrl(citation.documentId);
+      const target = citation.pageNumber ? `${url}#page=${citation.pageNumber}` : url;
+      if (viewer) {
+        viewer.location.href = target;
+      } else {
+        window.open(target, '_blank');
+      }
+    } catch (error) {
+      viewer?.close();
+      toast.error(error.error || 'Failed to open document');
+    }
   };
 
+  const renderCitations = (citations) => (
+    <div className="mt-2 pt-2 border-t border-gray-200 space-y-1">
+      <div className="text-xs font-medium text-gray-500">Sources</div>
+      {citations.map((citation) => (
+        <button
+          key={citation.index}
+          type="button"
+          onClick={() => handleOpenCitation(citation)}
+          title={citation.excerpt}
+          className="flex items-start text-left text-xs text-primary-600 hover:text-primary-800 hover:underline"
+        >
+          <span className="mr-1">[{citation.index}]</span>
+          <span>
+            {citation.documentName}
+            {citation.pageNumber ? `, p. ${citation.pageNumber}` : ''}
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+
   const handleSuggestedQuestion = (suggestedQuestion) => {
     setQuestion(suggestedQuestion);
   };
@@ -69,12 +162,12 @@ const AskEsus = ({ projectId }) => {
 
   useEffect(() => {
     scrollToBottom();
-  }, [chatHistory]);
+  }, [chatHistory, streaming]);
 
   return (
     <div className="flex flex-col h-full">
       {/* Header */}
-      <div className="flex items-center p-4 border-b border-gray-200">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
         <div className="flex items-center">
           <div className="flex h-8 w-8 items-center justify-center rounded-lg bg-primary-600">
             <SparklesIcon className="h-5 w-5 text-white" />
@@ -84,11 +177,18 @@ const AskEsus = ({ projectId }) => {
             <p className="text-sm text-gray-500">AI-powered audit assistant</p>
           </div>
         </div>
+        <ChatThreadSwitcher
+          projectId={projectId}
+          threads={threads}
+          activeThreadId={activeThreadId}
+          onSelect={handleSelectThread}
+          disabled={!!streaming}
+        />
       </div>
 
       {/* Chat Messages */}
       <div className="flex-1 overflow-y-auto p-4 space-y-4">
-        {chatHistory.length === 0 ? (
+        {chatHistory.length === 0 && !streaming ? (
           <div className="text-center py-8">
             <SparklesIcon className="mx-auto h-12 w-12 text-gray-400" />
             <h3 className="mt-2 text-sm font-medium text-gray-900">No conversations yet</h3>
@@ -121,6 +221,10 @@ const AskEsus = ({ projectId }) => {
                   </div>
                   <div className="ml-2 chat-bubble assistant max-w-xs lg:max-w-md">
                     <div className="whitespace-pre-wrap">{chat.answer}</div>
+                    {chat.citations?.length > 0 && renderCitations(chat.citations)}
+                    {(chat.completionStatus || chat.completion_status) === 'aborted' && (
+                      <div className="mt-1 text-xs text-gray-400">Stopped</div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -128,18 +232,40 @@ const AskEsus = ({ projectId }) => {
           ))
         )}
 
-        {/* Loading indicator */}
-        {askEsusMutation.isLoading && (
-          <div className="chat-message assistant">
-            <div className="flex items-start">
-              <div className="flex-shrink-0">
-                <div className="flex h-6 w-6 items-center justify-center rounded-full bg-primary-600">
-                  <ComputerDesktopIcon className="h-4 w-4 text-white" />
+        {/* Answer being streamed */}
+        {streaming && (
+          <div className="space-y-3">
+            <div className="chat-message user">
+              <div className="flex items-start justify-end">
+                <div className="chat-bubble user max-w-xs lg:max-w-md">
+                  {streaming.question}
+                </div>
+                <div className="ml-2 flex-shrink-0">
+                  <UserIcon className="h-6 w-6 text-gray-400" />
                 </div>
               </div>
-              <div className="ml-2 chat-bubble assistant">
-                <LoadingSpinner size="sm" />
-                <span className="ml-2 text-sm">Esus is thinking...</span>
+            </div>
+
+            <div className="chat-message assistant">
+              <div className="flex items-start">
+                <div className="flex-shrink-0">
+                  <div className="flex h-6 w-6 items-center justify-center rounded-full bg-primary-600">
+                    <ComputerDesktopIcon className="h-4 w-4 text-white" />
+                  </div>
+                </div>
+                <div className="ml-2 chat-bubble assistant max-w-xs lg:max-w-md">
+                  {streaming.answer ? (
+                    <div className="whitespace-pre-wrap">
+                      {streaming.answer}
+                      <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-gray-400 animate-pulse" />
+                    </div>
+                  ) : (
+                    <>
+                      <LoadingSpinner size="sm" />
+                      <span className="ml-2 text-sm">Esus is thinking...</span>
+                    </>
+                  )}
+                </div>
               </div>
             </div>
           </div>
@@ -175,15 +301,26 @@ const AskEsus = ({ projectId }) => {
             onChange={(e) => setQuestion(e.target.value)}
             placeholder="Ask Esus about your audit findings..."
             className="flex-1 input"
-            disabled={askEsusMutation.isLoading}
+            disabled={!!streaming}
           />
-          <button
-            type="submit"
-            disabled={!question.trim() || askEsusMutation.isLoading}
-            className="btn-primary px-3 py-2 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            <PaperAirplaneIcon className="h-4 w-4" />
-          </button>
+          {streaming ? (
+            <button
+              type="button"
+              onClick={handleStop}
+              className="btn-outline px-3 py-2"
+              title="Stop generating"
+            >
+              <StopIcon className="h-4 w-4" />
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={!question.trim()}
+              className="btn-primary px-3 py-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <PaperAirplaneIcon className="h-4 w-4" />
+            </button>
+          )}
         </form>
       </div>
     </div>
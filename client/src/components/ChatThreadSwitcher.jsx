@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import {
+  PlusIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  ArrowDownTrayIcon,
+  CheckIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import { chatService } from '../services/api';
+import { downloadFile } from '../utils/helpers';
+
+const iconButtonClass = 'p-1.5 rounded text-gray-500 hover:text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Thread picker for Ask Esus. A null activeThreadId is a new conversation;
+// the thread is created when its first question is sent.
+const ChatThreadSwitcher = ({ projectId, threads, activeThreadId, onSelect, disabled }) => {
+  const queryClient = useQueryClient();
+  const [renaming, setRenaming] = useState(false);
+  const [title, setTitle] = useState('');
+
+  const activeThread = threads.find((thread) => thread.id === activeThreadId);
+
+  const invalidateThreads = () => queryClient.invalidateQueries(['chat-threads', projectId]);
+
+  const renameMutation = useMutation(
+    ({ threadId, title }) => chatService.renameChatThread(projectId, threadId, title),
+    {
+      onSuccess: () => {
+        setRenaming(false);
+        invalidateThreads();
+      },
+      onError: (error) => {
+        toast.error(error.error || 'Failed to rename conversation');
+      }
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (threadId) => chatService.deleteChatThread(projectId, threadId),
+    {
+      onSuccess: () => {
+        toast.success('Conversation deleted');
+        onSelect(null);
+        invalidateThreads();
+      },
+      onError: (error) => {
+        toast.error(error.error || 'Failed to delete conversation');
+      }
+    }
+  );
+
+  const handleStartRename = () => {
+    setTitle(activeThread.title);
+    setRenaming(true);
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    renameMutation.mutate({ threadId: activeThreadId, title: title.trim() });
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${activeThread.title}" and all of its messages?`)) return;
+    deleteMutation.mutate(activeThreadId);
+  };
+
+  const handleExport = async () => {
+    try {
+      const blob = await chatService.exportChatThread(projectId, activeThreadId, 'markdown');
+      const url = URL.createObjectURL(blob);
+      const fileName = activeThread.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+      downloadFile(url, `${fileName || 'conversation'}.md`);
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+      toast.error(error.error || 'Failed to export conversation');
+    }
+  };
+
+  if (renaming) {
+    return (
+      <form onSubmit={handleRename} className="flex items-center space-x-1">
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && setRenaming(false)}
+          maxLength={200}
+          autoFocus
+          className="input py-1 text-sm w-48"
+        />
+        <button type="submit" disabled={renameMutation.isLoading || !title.trim()} className={iconButtonClass} title="Save">
+          <CheckIcon className="h-4 w-4" />
+        </button>
+        <button type="button" onClick={() => setRenaming(false)} className={iconButtonClass} title="Cancel">
+          <XMarkIcon className="h-4 w-4" />
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="flex items-center space-x-1">
+      <select
+        value={activeThreadId || ''}
+        onChange={(e) => onSelect(e.target.value || null)}
+        disabled={disabled}
+        className="block w-48 rounded-md border-gray-300 py-1 text-sm focus:border-primary-500 focus:ring-primary-500"
+      >
+        <option value="">New conversation</option>
+        {threads.map((thread) => (
+          <option key={thread.id} value={thread.id}>
+            {thread.title}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={() => onSelect(null)}
+        disabled={disabled || !activeThreadId}
+        className={iconButtonClass}
+        title="New conversation"
+      >
+        <PlusIcon className="h-4 w-4" />
+      </button>
+      {activeThread && (
+        <>
+          <button type="button" onClick={handleStartRename} disabled={disabled} className={iconButtonClass} title="Rename">
+            <PencilSquareIcon className="h-4 w-4" />
+          </button>
+          <button type="button" onClick={handleExport} className={iconButtonClass} title="Export as Markdown">
+            <ArrowDownTrayIcon className="h-4 w-4" />
+          </button>
+          <button
+            type="button"
+            onClick={handleDelete}
+            disabled={disabled || deleteMutation.isLoading}
+            className={iconButtonClass}
+            title="Delete"
+          >
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ChatThreadSwitcher;
@@ -1,9 +1,9 @@
 import React, { useState, Fragment } from 'react';
 import { Dialog, Transition } from '@headlessui/react';
 import { XMarkIcon } from '@heroicons/react/24/outline';
-import { useMutation } from 'react-query';
+import { useMutation, useQuery } from 'react-query';
 import toast from 'react-hot-toast';
-import { projectsService } from '../services/api.js';
+import { projectsService, auditProgramsService } from '../services/api.js';
 import LoadingSpinner from './LoadingSpinner.jsx';
 
 const CreateProjectModal = ({ open, setOpen, onSuccess }) => {
@@ -15,8 +15,33 @@ const CreateProjectModal = ({ open, setOpen, onSuccess }) => {
     startDate: '',
     endDate: ''
   });
+  // Template audit programs to apply to the new project
+  const [templateIds, setTemplateIds] = useState([]);
 
-  const createProjectMutation = useMutation(projectsService.createProject, {
+  const { data: templates = [] } = useQuery(
+    'auditProgramTemplates',
+    auditProgramsService.getAuditProgramTemplates,
+    {
+      enabled: open,
+      staleTime: 5 * 60 * 1000
+    }
+  );
+
+  // The project is created first; if the programs then fail it still exists,
+  // and the user is told
+  const createProject = async (projectData) => {
+    const project = await projectsService.createProject(projectData);
+    if (templateIds.length > 0) {
+      try {
+        await auditProgramsService.createAuditPrograms(project.id, templateIds);
+      } catch (error) {
+        toast.error(`Project created, but its audit programs could not be applied: ${error.error || error.message}`);
+      }
+    }
+    return project;
+  };
+
+  const createProjectMutation = useMutation(createProject, {
     onSuccess: (data) => {
       toast.success('Project created successfully!');
       setFormData({
@@ -27,6 +52,7 @@ const CreateProjectModal = ({ open, setOpen, onSuccess }) => {
         startDate: '',
         endDate: ''
       });
+      setTemplateIds([]);
       onSuccess(data);
     },
     onError: (error) => {
@@ -52,6 +78,10 @@ const CreateProjectModal = ({ open, setOpen, onSuccess }) => {
     });
   };
 
+  const toggleTemplate = (id) => {
+    setTemplateIds((ids) => (ids.includes(id) ? ids.filter((other) => other !== id) : [...ids, id]));
+  };
+
   return (
     <Transition.Root show={open} as={Fragment}>
       <Dialog as="div" className="relative z-50" onClose={setOpen}>
@@ -189,6 +219,36 @@ const CreateProjectModal = ({ open, setOpen, onSuccess }) => {
                         </div>
                       </div>
 
+                      {templates.length > 0 && (
+                        <fieldset>
+                          <legend className="block text-sm font-medium text-gray-700">
+                            Audit Programs
+                          </legend>
+                          <p className="text-xs text-gray-500">
+                            Each program adds a workpaper for every one of its procedures.
+                          </p>
+                          <div className="mt-2 space-y-2">
+                            {templates.map((template) => (
+                              <label key={template.id} className="flex items-start text-sm">
+                                <input
+                                  type="checkbox"
+                                  className="mt-0.5 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                                  checked={templateIds.includes(template.id)}
+                                  onChange={() => toggleTemplate(template.id)}
+                                />
+                                <span className="ml-2">
+                                  <span className="font-medium text-gray-900">{template.name}</span>
+                                  <span className="block text-xs text-gray-500">
+                                    {template.standard_reference && `${template.standard_reference} · `}
+                                    {template.procedures.length} procedures
+                                  </span>
+                                </span>
+                              </label>
+                            ))}
+                          </div>
+                        </fieldset>
+                      )}
+
                       <div className="mt-5 sm:mt-4 sm:flex sm:flex-row-reverse">
                         <button
                           type="submit"
@@ -35,6 +35,7 @@ const DocumentsList = ({ documents, analysisResults, projectId }) => {
     switch (status) {
       case 'analyzed':
         return <CheckCircleIcon className="h-5 w-5 text-success-500" />;
+      case 'queued':
       case 'processing':
         return <ClockIcon className="h-5 w-5 text-warning-500" />;
       case 'error':
@@ -48,6 +49,8 @@ const DocumentsList = ({ documents, analysisResults, projectId }) => {
     switch (status) {
       case 'analyzed':
         return 'Analyzed';
+      case 'queued':
+        return 'Queued';
       case 'processing':
         return 'Processing';
       case 'error':
@@ -108,7 +111,7 @@ const DocumentsList = ({ documents, analysisResults, projectId }) => {
                       <span>•</span>
                       <span className={`badge ${
                         document.status === 'analyzed' ? 'badge-success' :
-                        document.status === 'processing' ? 'badge-warning' :
+                        document.status === 'queued' || document.status === 'processing' ? 'badge-warning' :
                         document.status === 'error' ? 'badge-danger' :
                         'badge-gray'
                       }`}>
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import clsx from 'clsx';
+import {
+  ArrowPathIcon,
+  CheckCircleIcon,
+  DocumentChartBarIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import { financialStatementsService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const STATEMENT_TITLES = {
+  balance_sheet: 'Balance sheet',
+  income_statement: 'Income statement',
+  cash_flow: 'Cash flow statement',
+  equity_changes: 'Changes in equity'
+};
+
+const STATUS_BADGES = {
+  draft: 'badge-warning',
+  reviewed: 'badge-primary',
+  final: 'badge-success'
+};
+
+// Amounts are presented in the direction of their line; negatives are shown
+// in brackets
+const formatAmount = (value) => {
+  if (value === null || value === undefined) return '';
+  const amount = Number(value) || 0;
+  const text = Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return amount < 0 ? `(${text})` : text;
+};
+
+// Draft financial statements generated from a mapped trial balance, each set
+// against the prior period, with the checks that they tie together
+const FinancialStatementsTab = ({ projectId }) => {
+  const queryClient = useQueryClient();
+  const [periodEnd, setPeriodEnd] = useState(null);
+  const [generatePeriod, setGeneratePeriod] = useState('');
+  const [statementType, setStatementType] = useState('balance_sheet');
+
+  const { data, isLoading } = useQuery(
+    ['financialStatements', projectId, periodEnd],
+    () => financialStatementsService.getFinancialStatements(projectId, periodEnd || undefined),
+    {
+      enabled: !!projectId,
+      keepPreviousData: true
+    }
+  );
+
+  const generateMutation = useMutation(
+    (period) => financialStatementsService.generateFinancialStatements(projectId, { periodEnd: period }),
+    {
+      onSuccess: (result) => {
+        if (result.checks.every((check) => check.passed)) {
+          toast.success('Statements generated');
+        } else {
+          toast.error('Statements generated; some checks do not tie');
+        }
+        setPeriodEnd(result.periodEnd);
+        queryClient.invalidateQueries(['financialStatements', projectId]);
+      },
+      onError: (error) => toast.error(error.error || 'Failed to generate the statements')
+    }
+  );
+
+  const trialBalancePeriods = data?.trialBalancePeriods || [];
+  const selectedGeneratePeriod = generatePeriod || trialBalancePeriods[0] || '';
+  const statements = data?.statements || [];
+  const checks = data?.checks || [];
+  const statement = statements.find((candidate) => candidate.statement_type === statementType) || statements[0];
+  const lines = statement?.data?.lines || [];
+  const hasPrior = lines.some((line) => line.priorAmount !== undefined);
+  const priorPeriodEnd = statement?.data?.priorPeriodEnd;
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Financial Statements</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Draft statements built from the mapped trial balance, compared with the prior period.
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          {data?.periods?.length > 0 && (
+            <select
+              className="input"
+              value={data.periodEnd || ''}
+              onChange={(e) => setPeriodEnd(e.target.value)}
+              aria-label="Statements period"
+            >
+              {data.periods.map((period) => (
+                <option key={period} value={period}>{period}</option>
+              ))}
+            </select>
+          )}
+          {trialBalancePeriods.length > 0 && (
+            <>
+              <select
+                className="input"
+                value={selectedGeneratePeriod}
+                onChange={(e) => setGeneratePeriod(e.target.value)}
+                aria-label="Trial balance to generate from"
+              >
+                {trialBalancePeriods.map((period) => (
+                  <option key={period} value={period}>Trial balance {period}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => generateMutation.mutate(selectedGeneratePeriod)}
+                className="btn-primary"
+                disabled={generateMutation.isLoading}
+              >
+                <ArrowPathIcon className="h-4 w-4 mr-2" />
+                Generate
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {!statement ? (
+        <div className="text-center py-12">
+          <DocumentChartBarIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No financial statements yet</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            {trialBalancePeriods.length > 0
+              ? 'Generate them from an imported trial balance once its accounts are mapped.'
+              : 'Import a trial balance in the Trial Balance tab first.'}
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            {checks.map((check) => (
+              <div key={check.key} className="card px-4 py-3">
+                <div className="flex items-center text-sm font-medium text-gray-900">
+                  {check.passed ? (
+                    <CheckCircleIcon className="h-5 w-5 text-success-500 mr-2" />
+                  ) : (
+                    <ExclamationTriangleIcon className="h-5 w-5 text-warning-500 mr-2" />
+                  )}
+                  {check.label}
+                </div>
+                {!check.passed && (
+                  <p className="mt-1 text-xs text-gray-500">Difference of {formatAmount(check.difference)}</p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="card overflow-hidden">
+            <div className="card-header flex items-center justify-between">
+              <div className="flex space-x-1">
+                {statements.map((candidate) => (
+                  <button
+                    key={candidate.id}
+                    onClick={() => setStatementType(candidate.statement_type)}
+                    className={clsx(
+                      'rounded-md px-3 py-1.5 text-sm font-medium',
+                      candidate.id === statement.id
+                        ? 'bg-primary-100 text-primary-700'
+                        : 'text-gray-500 hover:text-gray-700'
+                    )}
+                  >
+                    {STATEMENT_TITLES[candidate.statement_type] || candidate.statement_type}
+                  </button>
+                ))}
+              </div>
+              <div className="flex items-center space-x-2 text-xs text-gray-500">
+                <span>{statement.period_start} to {statement.period_end}</span>
+                <span className={`badge ${STATUS_BADGES[statement.status] || 'badge-gray'}`}>{statement.status}</span>
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left text-xs font-medium uppercase tracking-wide text-gray-500">
+                    <th className="px-4 py-2" />
+                    <th className="px-4 py-2 text-right">{statement.period_end}</th>
+                    {hasPrior && (
+                      <th className="px-4 py-2 text-right">{priorPeriodEnd || 'Opening'}</th>
+                    )}
+                  </tr>
+                </thead>
+                <tbody>
+                  {lines.map((line, index) => (
+                    <tr
+                      key={line.key || `${line.label}-${index}`}
+                      className={clsx(
+                        line.type === 'subtotal' && 'border-t border-gray-200 font-medium',
+                        line.type === 'total' && 'border-t-2 border-gray-400 font-semibold'
+                      )}
+                    >
+                      <td
+                        className={clsx(
+                          'px-4 py-1.5 text-gray-900',
+                          line.type === 'heading' && 'pt-4 font-semibold',
+                          (!line.type || line.type === 'line') && 'pl-8'
+                        )}
+                      >
+                        {line.label}
+                      </td>
+                      <td className="px-4 py-1.5 text-right font-mono">{formatAmount(line.amount)}</td>
+                      {hasPrior && (
+                        <td className="px-4 py-1.5 text-right font-mono text-gray-500">{formatAmount(line.priorAmount)}</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {statement.data?.trialBalance && (
+              <p className="px-4 py-3 text-xs text-gray-500 border-t border-gray-100">
+                Generated from the trial balance at {statement.data.trialBalance.periodEnd} ({statement.data.trialBalance.accountCount} accounts
+                {statement.data.trialBalance.unmappedAccounts > 0 &&
+                  `, ${statement.data.trialBalance.unmappedAccounts} not mapped to a statement line`})
+              </p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FinancialStatementsTab;
@@ -0,0 +1,247 @@
+import React, { useState, Fragment } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import { useMutation } from 'react-query';
+import toast from 'react-hot-toast';
+import { XMarkIcon, TableCellsIcon } from '@heroicons/react/24/outline';
+import { trialBalancesService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const SPREADSHEET_PATTERN = /\.(xlsx|xls|csv)$/i;
+
+// Headers that can be named when they are not recognised automatically
+const COLUMN_FIELDS = [
+  { key: 'accountNumber', label: 'Account number' },
+  { key: 'accountName', label: 'Account name' },
+  { key: 'openingBalance', label: 'Opening balance' },
+  { key: 'debit', label: 'Debits' },
+  { key: 'credit', label: 'Credits' },
+  { key: 'closingBalance', label: 'Closing balance' }
+];
+
+const emptyForm = () => ({
+  documentId: '',
+  periodEnd: '',
+  sheet: '',
+  columns: {}
+});
+
+const ImportTrialBalanceModal = ({ open, setOpen, projectId, documents, onImported }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [showColumns, setShowColumns] = useState(false);
+  const [issues, setIssues] = useState([]);
+
+  const spreadsheets = documents.filter((document) => SPREADSHEET_PATTERN.test(document.original_name || ''));
+
+  const close = () => {
+    setOpen(false);
+    setIssues([]);
+  };
+
+  const importMutation = useMutation(
+    (replace) => trialBalancesService.importTrialBalance(projectId, {
+      documentId: form.documentId,
+      periodEnd: form.periodEnd,
+      sheet: form.sheet.trim() || undefined,
+      columns: Object.fromEntries(Object.entries(form.columns).filter(([, header]) => header.trim())),
+      replace
+    }),
+    {
+      onSuccess: (result) => {
+        const { summary } = result;
+        if (summary.movementsBalanced && summary.unreconciled === 0) {
+          toast.success(`Imported ${summary.accountCount} accounts`);
+        } else {
+          toast.error(`Imported ${summary.accountCount} accounts; the trial balance needs reconciling`);
+        }
+        setForm(emptyForm());
+        setShowColumns(false);
+        close();
+        onImported(result.periodEnd);
+      },
+      onError: (error) => {
+        if (error.status === 409 && window.confirm(`${error.error}. Replace it?`)) {
+          importMutation.mutate(true);
+          return;
+        }
+        setIssues(error.details || []);
+        toast.error(error.error || 'Failed to import the trial balance');
+      }
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.documentId || !form.periodEnd) {
+      toast.error('Choose a document and the period end');
+      return;
+    }
+    setIssues([]);
+    importMutation.mutate(false);
+  };
+
+  const setColumn = (key) => (e) =>
+    setForm({ ...form, columns: { ...form.columns, [key]: e.target.value } });
+
+  return (
+    <Transition.Root show={open} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={close}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 z-10 overflow-y-auto">
+          <div className="flex min-h-full items-end justify-center p-4 text-center sm:items-center sm:p-0">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+              enterTo="opacity-100 translate-y-0 sm:scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 translate-y-0 sm:scale-100"
+              leaveTo="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+            >
+              <Dialog.Panel className="relative transform overflow-hidden rounded-lg bg-white px-4 pb-4 pt-5 text-left shadow-xl transition-all sm:my-8 sm:w-full sm:max-w-lg sm:p-6">
+                <div className="absolute right-0 top-0 hidden pr-4 pt-4 sm:block">
+                  <button
+                    type="button"
+                    className="rounded-md bg-white text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+                    onClick={close}
+                  >
+                    <span className="sr-only">Close</span>
+                    <XMarkIcon className="h-6 w-6" aria-hidden="true" />
+                  </button>
+                </div>
+
+                <div className="sm:flex sm:items-start">
+                  <div className="mx-auto flex h-12 w-12 flex-shrink-0 items-center justify-center rounded-full bg-blue-100 sm:mx-0 sm:h-10 sm:w-10">
+                    <TableCellsIcon className="h-6 w-6 text-blue-600" aria-hidden="true" />
+                  </div>
+                  <div className="mt-3 text-center sm:ml-4 sm:mt-0 sm:text-left w-full">
+                    <Dialog.Title as="h3" className="text-base font-semibold leading-6 text-gray-900">
+                      Import Trial Balance
+                    </Dialog.Title>
+                    <p className="mt-2 text-sm text-gray-500">
+                      Columns are recognised from the header row. Each account is checked (opening balance plus debits
+                      less credits equals the closing balance) and mapped to a financial statement line.
+                    </p>
+
+                    {spreadsheets.length === 0 ? (
+                      <p className="mt-4 text-sm text-gray-700">
+                        Upload the trial balance as an XLSX or CSV document first.
+                      </p>
+                    ) : (
+                      <form onSubmit={handleSubmit} className="mt-4 space-y-4">
+                        <div>
+                          <label htmlFor="tb-document" className="block text-sm font-medium text-gray-700">
+                            Document *
+                          </label>
+                          <select
+                            id="tb-document"
+                            className="mt-1 input"
+                            value={form.documentId}
+                            onChange={(e) => setForm({ ...form, documentId: e.target.value })}
+                          >
+                            <option value="">Choose a spreadsheet</option>
+                            {spreadsheets.map((document) => (
+                              <option key={document.id} value={document.id}>{document.original_name}</option>
+                            ))}
+                          </select>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-4">
+                          <div>
+                            <label htmlFor="tb-period-end" className="block text-sm font-medium text-gray-700">
+                              Period End *
+                            </label>
+                            <input
+                              type="date"
+                              id="tb-period-end"
+                              className="mt-1 input"
+                              value={form.periodEnd}
+                              onChange={(e) => setForm({ ...form, periodEnd: e.target.value })}
+                            />
+                          </div>
+                          <div>
+                            <label htmlFor="tb-sheet" className="block text-sm font-medium text-gray-700">
+                              Sheet
+                            </label>
+                            <input
+                              type="text"
+                              id="tb-sheet"
+                              className="mt-1 input"
+                              value={form.sheet}
+                              onChange={(e) => setForm({ ...form, sheet: e.target.value })}
+                              placeholder="Found automatically"
+                            />
+                          </div>
+                        </div>
+
+                        <div>
+                          <button
+                            type="button"
+                            className="text-sm text-primary-600 hover:text-primary-700"
+                            onClick={() => setShowColumns(!showColumns)}
+                          >
+                            {showColumns ? 'Hide column headers' : 'Name column headers'}
+                          </button>
+                          {showColumns && (
+                            <div className="mt-2 grid grid-cols-2 gap-3">
+                              {COLUMN_FIELDS.map((field) => (
+                                <div key={field.key}>
+                                  <label htmlFor={`tb-column-${field.key}`} className="block text-xs font-medium text-gray-700">
+                                    {field.label}
+                                  </label>
+                                  <input
+                                    type="text"
+                                    id={`tb-column-${field.key}`}
+                                    className="mt-1 input"
+                                    value={form.columns[field.key] || ''}
+                                    onChange={setColumn(field.key)}
+                                    placeholder="Header in the sheet"
+                                  />
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+
+                        {issues.length > 0 && (
+                          <div className="rounded-md bg-red-50 p-3">
+                            <ul className="list-disc pl-5 text-xs text-red-700 space-y-1">
+                              {issues.map((issue) => (
+                                <li key={issue}>{issue}</li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
+
+                        <div className="flex justify-end space-x-2">
+                          <button type="button" className="btn-outline" onClick={close}>
+                            Cancel
+                          </button>
+                          <button type="submit" className="btn-primary" disabled={importMutation.isLoading}>
+                            {importMutation.isLoading ? <LoadingSpinner size="sm" /> : 'Import'}
+                          </button>
+                        </div>
+                      </form>
+                    )}
+                  </div>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  );
+};
+
+export default ImportTrialBalanceModal;
@@ -0,0 +1,241 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { ScaleIcon } from '@heroicons/react/24/outline';
+import { materialityService } from '../services/api';
+
+const formatAmount = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  const amount = Number(value) || 0;
+  const text = Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return amount < 0 ? `(${text})` : text;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Overall, performance and clearly trivial materiality for the project,
+// calculated from a benchmark of its financial statements. Saving copies
+// overall materiality to the audit programs and the documenting workpaper.
+const MaterialityCard = ({ projectId, workpapers = [] }) => {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(null);
+
+  const { data } = useQuery(
+    ['materiality', projectId],
+    () => materialityService.getMateriality(projectId),
+    {
+      enabled: !!projectId
+    }
+  );
+
+  const assessment = data?.assessment;
+  const benchmarks = data?.benchmarks || [];
+  const defaults = data?.defaults;
+
+  useEffect(() => {
+    if (!editing || !data) return;
+    const benchmark = assessment?.benchmark || 'revenue';
+    const definition = benchmarks.find((candidate) => candidate.key === benchmark);
+    setForm({
+      benchmark,
+      // Entered only when the statements have no figure for the benchmark
+      benchmarkValue: assessment && assessment.period_end === null ? String(assessment.benchmark_value) : '',
+      overallPercentage: String(assessment?.overall_percentage ?? definition?.defaultPercentage ?? ''),
+      performancePercentage: String(assessment?.performance_percentage ?? defaults.performancePercentage),
+      trivialPercentage: String(assessment?.trivial_percentage ?? defaults.trivialPercentage),
+      rationale: assessment?.rationale || '',
+      // A signed off workpaper keeps the figure it was signed off with
+      workpaperId: workpapers.some((workpaper) => workpaper.id === assessment?.workpaper_id && workpaper.status === 'draft')
+        ? assessment.workpaper_id
+        : ''
+    });
+  }, [editing, data]);
+
+  const saveMutation = useMutation(
+    (values) => materialityService.saveMateriality(projectId, values),
+    {
+      onSuccess: (result) => {
+        toast.success(`Materiality saved and applied to ${result.auditProgramsUpdated} audit program${result.auditProgramsUpdated === 1 ? '' : 's'}`);
+        setEditing(false);
+        queryClient.invalidateQueries(['materiality', projectId]);
+        queryClient.invalidateQueries(['workpapers', projectId]);
+      },
+      onError: (error) => toast.error(error.error || 'Failed to save materiality')
+    }
+  );
+
+  const setField = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const selectBenchmark = (e) => {
+    const definition = benchmarks.find((candidate) => candidate.key === e.target.value);
+    setForm((current) => ({
+      ...current,
+      benchmark: e.target.value,
+      benchmarkValue: '',
+      overallPercentage: String(definition?.defaultPercentage ?? current.overallPercentage)
+    }));
+  };
+
+  const selected = form && benchmarks.find((candidate) => candidate.key === form.benchmark);
+  const statementValue = selected?.value ?? null;
+  const benchmarkValue = form?.benchmarkValue !== '' ? Number(form?.benchmarkValue) : statementValue;
+  const overall = benchmarkValue > 0 ? round(benchmarkValue * Number(form.overallPercentage) / 100) : null;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveMutation.mutate({
+      benchmark: form.benchmark,
+      benchmarkValue: form.benchmarkValue === '' ? undefined : Number(form.benchmarkValue),
+      overallPercentage: Number(form.overallPercentage),
+      performancePercentage: Number(form.performancePercentage),
+      trivialPercentage: Number(form.trivialPercentage),
+      periodEnd: data.periodEnd || undefined,
+      rationale: form.rationale,
+      workpaperId: form.workpaperId || undefined
+    });
+  };
+
+  const draftWorkpapers = workpapers.filter((workpaper) => workpaper.status === 'draft');
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h4 className="text-sm font-medium text-gray-900 flex items-center">
+          <ScaleIcon className="h-4 w-4 mr-2 text-gray-500" />
+          Materiality
+        </h4>
+        {!editing && (
+          <button type="button" onClick={() => setEditing(true)} className="btn-outline btn-sm">
+            {assessment ? 'Recalculate' : 'Calculate'}
+          </button>
+        )}
+      </div>
+
+      {!editing && (
+        assessment ? (
+          <div className="px-6 py-3 text-sm">
+            <dl className="grid grid-cols-3 gap-4">
+              <div>
+                <dt className="text-xs text-gray-500">Overall</dt>
+                <dd className="font-mono text-gray-900">{formatAmount(assessment.overall_materiality)}</dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500">Performance ({Number(assessment.performance_percentage)}%)</dt>
+                <dd className="font-mono text-gray-900">{formatAmount(assessment.performance_materiality)}</dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500">Clearly trivial ({Number(assessment.trivial_percentage)}%)</dt>
+                <dd className="font-mono text-gray-900">{formatAmount(assessment.clearly_trivial_threshold)}</dd>
+              </div>
+            </dl>
+            <p className="mt-2 text-xs text-gray-500">
+              {Number(assessment.overall_percentage)}% of {benchmarks.find((candidate) => candidate.key === assessment.benchmark)?.label.toLowerCase() || assessment.benchmark}{' '}
+              of {formatAmount(assessment.benchmark_value)}
+              {assessment.period_end ? ` at ${assessment.period_end}` : ' (entered)'}
+            </p>
+            <p className="mt-2 text-sm text-gray-700 whitespace-pre-line">{assessment.rationale}</p>
+          </div>
+        ) : (
+          <p className="px-6 py-3 text-sm text-gray-500">
+            Not set yet. Materiality grades analysis red flags and is the default tolerable misstatement for samples.
+          </p>
+        )
+      )}
+
+      {editing && form && (
+        <form onSubmit={handleSubmit} className="px-6 py-3 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="materialityBenchmark" className="block text-xs font-medium text-gray-700">Benchmark</label>
+              <select id="materialityBenchmark" className="mt-1 input" value={form.benchmark} onChange={selectBenchmark}>
+                {benchmarks.map((benchmark) => (
+                  <option key={benchmark.key} value={benchmark.key}>
+                    {benchmark.label}{benchmark.value !== null ? ` · ${formatAmount(benchmark.value)}` : ''}
+                  </option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">
+                {statementValue !== null
+                  ? `From the statements at ${data.periodEnd}`
+                  : 'Not in the financial statements; enter the figure'}
+              </p>
+            </div>
+            <div>
+              <label htmlFor="materialityBenchmarkValue" className="block text-xs font-medium text-gray-700">Benchmark value</label>
+              <input
+                type="number"
+                step="any"
+                id="materialityBenchmarkValue"
+                className="mt-1 input"
+                value={form.benchmarkValue}
+                onChange={setField('benchmarkValue')}
+                placeholder={statementValue !== null ? String(statementValue) : ''}
+                required={statementValue === null}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label htmlFor="materialityOverall" className="block text-xs font-medium text-gray-700">Overall % of benchmark</label>
+              <input type="number" step="any" min="0" max="100" id="materialityOverall" className="mt-1 input" value={form.overallPercentage} onChange={setField('overallPercentage')} required />
+              {selected && (
+                <p className="mt-1 text-xs text-gray-500">Usually {selected.range[0]}–{selected.range[1]}%</p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="materialityPerformance" className="block text-xs font-medium text-gray-700">Performance % of overall</label>
+              <input type="number" step="any" min="0" max="100" id="materialityPerformance" className="mt-1 input" value={form.performancePercentage} onChange={setField('performancePercentage')} required />
+            </div>
+            <div>
+              <label htmlFor="materialityTrivial" className="block text-xs font-medium text-gray-700">Clearly trivial % of overall</label>
+              <input type="number" step="any" min="0" max="100" id="materialityTrivial" className="mt-1 input" value={form.trivialPercentage} onChange={setField('trivialPercentage')} required />
+            </div>
+          </div>
+
+          {overall !== null && (
+            <p className="text-xs text-gray-600">
+              Overall {formatAmount(overall)} · performance {formatAmount(round(overall * Number(form.performancePercentage) / 100))} ·
+              clearly trivial {formatAmount(round(overall * Number(form.trivialPercentage) / 100))}
+            </p>
+          )}
+
+          <div>
+            <label htmlFor="materialityRationale" className="block text-xs font-medium text-gray-700">Rationale</label>
+            <textarea
+              id="materialityRationale"
+              rows={3}
+              className="mt-1 input"
+              value={form.rationale}
+              onChange={setField('rationale')}
+              placeholder="Why this benchmark and percentage suit the entity and its users"
+              required
+            />
+          </div>
+
+          <div>
+            <label htmlFor="materialityWorkpaper" className="block text-xs font-medium text-gray-700">Documented in workpaper</label>
+            <select id="materialityWorkpaper" className="mt-1 input" value={form.workpaperId} onChange={setField('workpaperId')}>
+              <option value="">None</option>
+              {draftWorkpapers.map((workpaper) => (
+                <option key={workpaper.id} value={workpaper.id}>
+                  {workpaper.reference_number} {workpaper.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={() => setEditing(false)} className="btn-outline btn-sm">Cancel</button>
+            <button type="submit" className="btn-primary btn-sm" disabled={saveMutation.isLoading}>
+              {saveMutation.isLoading ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default MaterialityCard;
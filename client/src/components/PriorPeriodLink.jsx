@@ -0,0 +1,64 @@
+import React from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { ArrowsRightLeftIcon } from '@heroicons/react/24/outline';
+import { projectsService } from '../services/api';
+
+// Links a project to the same client's engagement for the prior period.
+// Reports of a linked project compare findings, statistics and financial
+// statements with that engagement.
+const PriorPeriodLink = ({ projectId }) => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery(
+    ['priorPeriods', projectId],
+    () => projectsService.getPriorPeriods(projectId),
+    {
+      enabled: !!projectId
+    }
+  );
+
+  const linkMutation = useMutation(
+    (priorProjectId) => projectsService.setPriorPeriod(projectId, priorProjectId),
+    {
+      onSuccess: (project) => {
+        toast.success(project.prior_project_id ? 'Prior period linked' : 'Prior period unlinked');
+        queryClient.invalidateQueries(['priorPeriods', projectId]);
+      },
+      onError: (error) => {
+        toast.error(error.error || 'Failed to link prior period');
+      }
+    }
+  );
+
+  const candidates = data?.candidates || [];
+
+  // Nothing to link to until the client has another engagement
+  if (isLoading || (candidates.length === 0 && !data?.priorProjectId)) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 flex items-center text-sm text-gray-500">
+      <ArrowsRightLeftIcon className="h-4 w-4 mr-2" />
+      <label htmlFor="priorPeriod" className="mr-2">Prior period:</label>
+      <select
+        id="priorPeriod"
+        className="input py-1 w-auto"
+        value={data?.priorProjectId || ''}
+        disabled={linkMutation.isLoading}
+        onChange={(e) => linkMutation.mutate(e.target.value || null)}
+      >
+        <option value="">None</option>
+        {candidates.map((candidate) => (
+          <option key={candidate.id} value={candidate.id}>
+            {candidate.name}
+            {candidate.end_date ? ` (ended ${new Date(candidate.end_date).toLocaleDateString()})` : ''}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default PriorPeriodLink;
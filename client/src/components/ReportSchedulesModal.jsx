@@ -0,0 +1,357 @@
+import React, { useState, Fragment } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { XMarkIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { reportsService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const CRON_PRESETS = [
+  { label: 'Every weekday at 08:00', value: '0 8 * * 1-5' },
+  { label: 'Every Monday at 08:00', value: '0 8 * * 1' },
+  { label: 'First day of the month at 08:00', value: '0 8 1 * *' },
+  { label: 'First day of each quarter at 08:00', value: '0 8 1 1,4,7,10 *' }
+];
+
+const TEMPLATE_OPTIONS = [
+  { label: "Project's audit type", value: '' },
+  { label: 'Financial audit', value: 'financial' },
+  { label: 'Compliance audit', value: 'compliance' },
+  { label: 'Operational audit', value: 'operational' },
+  { label: 'Security audit', value: 'security' },
+  { label: 'Internal audit', value: 'internal' }
+];
+
+const STATUS_STYLES = {
+  succeeded: 'badge-success',
+  failed: 'badge-danger',
+  skipped: 'badge-warning'
+};
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const emptyForm = () => ({
+  name: '',
+  preset: CRON_PRESETS[1].value,
+  cronExpression: '',
+  timeZone: browserTimeZone(),
+  templateAuditType: '',
+  recipients: '',
+  includeCharts: false
+});
+
+// Schedules that generate a draft report on a cron expression and email the
+// PDF to a list of recipients
+const ReportSchedulesModal = ({ open, setOpen, projectId }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(emptyForm);
+
+  const { data: schedules = [], isLoading } = useQuery(
+    ['reportSchedules', projectId],
+    () => reportsService.getReportSchedules(projectId),
+    {
+      enabled: open && !!projectId
+    }
+  );
+
+  const onError = (fallback) => (error) => {
+    toast.error(error.error || fallback);
+  };
+
+  const createMutation = useMutation(
+    (schedule) => reportsService.createReportSchedule(projectId, schedule),
+    {
+      onSuccess: () => {
+        toast.success('Report schedule created');
+        setForm(emptyForm());
+        queryClient.invalidateQueries(['reportSchedules', projectId]);
+      },
+      onError: onError('Failed to create report schedule')
+    }
+  );
+
+  const updateMutation = useMutation(
+    ({ scheduleId, changes }) => reportsService.updateReportSchedule(projectId, scheduleId, changes),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['reportSchedules', projectId]);
+      },
+      onError: onError('Failed to update report schedule')
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (scheduleId) => reportsService.deleteReportSchedule(projectId, scheduleId),
+    {
+      onSuccess: () => {
+        toast.success('Report schedule deleted');
+        queryClient.invalidateQueries(['reportSchedules', projectId]);
+      },
+      onError: onError('Failed to delete report schedule')
+    }
+  );
+
+  const setField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      name: form.name.trim(),
+      cronExpression: form.preset || form.cronExpression,
+      timeZone: form.timeZone.trim(),
+      templateAuditType: form.templateAuditType || null,
+      recipients: form.recipients.split(/[,;\s]+/).filter(Boolean),
+      includeCharts: form.includeCharts
+    });
+  };
+
+  const handleDelete = (schedule) => {
+    if (window.confirm(`Delete the schedule "${schedule.name}"? Reports it generated are kept.`)) {
+      deleteMutation.mutate(schedule.id);
+    }
+  };
+
+  const describeCron = (expression) =>
+    CRON_PRESETS.find((preset) => preset.value === expression)?.label || expression;
+
+  return (
+    <Transition.Root show={open} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={setOpen}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 z-10 overflow-y-auto">
+          <div className="flex min-h-full items-end justify-center p-4 text-center sm:items-center sm:p-0">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+              enterTo="opacity-100 translate-y-0 sm:scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 translate-y-0 sm:scale-100"
+              leaveTo="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+            >
+              <Dialog.Panel className="relative transform overflow-hidden rounded-lg bg-white px-4 pb-4 pt-5 text-left shadow-xl transition-all sm:my-8 sm:w-full sm:max-w-2xl sm:p-6">
+                <div className="absolute right-0 top-0 hidden pr-4 pt-4 sm:block">
+                  <button
+                    type="button"
+                    className="rounded-md bg-white text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+                    onClick={() => setOpen(false)}
+                  >
+                    <span className="sr-only">Close</span>
+                    <XMarkIcon className="h-6 w-6" aria-hidden="true" />
+                  </button>
+                </div>
+
+                <div className="sm:flex sm:items-start">
+                  <div className="mx-auto flex h-12 w-12 flex-shrink-0 items-center justify-center rounded-full bg-blue-100 sm:mx-0 sm:h-10 sm:w-10">
+                    <ClockIcon className="h-6 w-6 text-blue-600" aria-hidden="true" />
+                  </div>
+                  <div className="mt-3 text-center sm:ml-4 sm:mt-0 sm:text-left w-full">
+                    <Dialog.Title as="h3" className="text-base font-semibold leading-6 text-gray-900">
+                      Report Schedules
+                    </Dialog.Title>
+                    <p className="mt-2 text-sm text-gray-500">
+                      Scheduled runs generate a draft report and email its PDF to the recipients. Drafts still go
+                      through review and sign-off.
+                    </p>
+
+                    <div className="mt-4">
+                      {isLoading ? (
+                        <div className="py-4 text-center">
+                          <LoadingSpinner size="sm" />
+                        </div>
+                      ) : schedules.length === 0 ? (
+                        <p className="text-sm text-gray-500">No reports are scheduled for this project.</p>
+                      ) : (
+                        <ul className="divide-y divide-gray-100">
+                          {schedules.map((schedule) => (
+                            <li key={schedule.id} className="py-3 flex items-start justify-between text-sm">
+                              <div className="text-gray-700 min-w-0">
+                                <div className="font-medium text-gray-900">{schedule.name}</div>
+                                <div className="text-xs text-gray-500">
+                                  {describeCron(schedule.cron_expression)} ({schedule.time_zone}) · {schedule.recipients.join(', ')}
+                                </div>
+                                <div className="text-xs text-gray-500">
+                                  {schedule.enabled
+                                    ? `Next run ${new Date(schedule.next_run_at).toLocaleString()}`
+                                    : 'Paused'}
+                                  {schedule.last_status && (
+                                    <>
+                                      {' · Last run '}
+                                      <span className={`badge ${STATUS_STYLES[schedule.last_status]}`}>
+                                        {schedule.last_status}
+                                      </span>
+                                    </>
+                                  )}
+                                </div>
+                                {schedule.last_error && (
+                                  <div className="text-xs text-red-600">{schedule.last_error}</div>
+                                )}
+                              </div>
+                              <div className="ml-4 flex flex-shrink-0 space-x-3">
+                                <button
+                                  type="button"
+                                  onClick={() => updateMutation.mutate({ scheduleId: schedule.id, changes: { enabled: !schedule.enabled } })}
+                                  disabled={updateMutation.isLoading}
+                                  className="text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                                >
+                                  {schedule.enabled ? 'Pause' : 'Resume'}
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => handleDelete(schedule)}
+                                  disabled={deleteMutation.isLoading}
+                                  className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                                >
+                                  Delete
+                                </button>
+                              </div>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+
+                    <form onSubmit={handleSubmit} className="mt-6 border-t border-gray-200 pt-4 space-y-4">
+                      <h4 className="text-sm font-medium text-gray-900">New schedule</h4>
+
+                      <div>
+                        <label htmlFor="scheduleName" className="block text-sm font-medium text-gray-700">
+                          Name
+                        </label>
+                        <input
+                          type="text"
+                          id="scheduleName"
+                          className="mt-1 input"
+                          value={form.name}
+                          onChange={setField('name')}
+                          placeholder="e.g., Weekly status report"
+                          maxLength={255}
+                          required
+                        />
+                      </div>
+
+                      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                        <div>
+                          <label htmlFor="schedulePreset" className="block text-sm font-medium text-gray-700">
+                            Runs
+                          </label>
+                          <select id="schedulePreset" className="mt-1 input" value={form.preset} onChange={setField('preset')}>
+                            {CRON_PRESETS.map((preset) => (
+                              <option key={preset.value} value={preset.value}>{preset.label}</option>
+                            ))}
+                            <option value="">Custom cron expression</option>
+                          </select>
+                        </div>
+                        <div>
+                          <label htmlFor="scheduleTimeZone" className="block text-sm font-medium text-gray-700">
+                            Time zone
+                          </label>
+                          <input
+                            type="text"
+                            id="scheduleTimeZone"
+                            className="mt-1 input"
+                            value={form.timeZone}
+                            onChange={setField('timeZone')}
+                            placeholder="e.g., Europe/London"
+                            required
+                          />
+                        </div>
+                      </div>
+
+                      {!form.preset && (
+                        <div>
+                          <label htmlFor="scheduleCron" className="block text-sm font-medium text-gray-700">
+                            Cron expression
+                          </label>
+                          <input
+                            type="text"
+                            id="scheduleCron"
+                            className="mt-1 input font-mono"
+                            value={form.cronExpression}
+                            onChange={setField('cronExpression')}
+                            placeholder="minute hour day-of-month month day-of-week, e.g. 30 7 * * MON-FRI"
+                            required
+                          />
+                        </div>
+                      )}
+
+                      <div>
+                        <label htmlFor="scheduleTemplate" className="block text-sm font-medium text-gray-700">
+                          Report template
+                        </label>
+                        <select
+                          id="scheduleTemplate"
+                          className="mt-1 input"
+                          value={form.templateAuditType}
+                          onChange={setField('templateAuditType')}
+                        >
+                          {TEMPLATE_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <div>
+                        <label htmlFor="scheduleRecipients" className="block text-sm font-medium text-gray-700">
+                          Recipients
+                        </label>
+                        <input
+                          type="text"
+                          id="scheduleRecipients"
+                          className="mt-1 input"
+                          value={form.recipients}
+                          onChange={setField('recipients')}
+                          placeholder="Email addresses, separated by commas"
+                          required
+                        />
+                      </div>
+
+                      <div className="flex items-center">
+                        <input
+                          id="scheduleCharts"
+                          type="checkbox"
+                          checked={form.includeCharts}
+                          onChange={setField('includeCharts')}
+                          className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        />
+                        <label htmlFor="scheduleCharts" className="ml-2 block text-sm text-gray-900">
+                          Include charts and visualizations
+                        </label>
+                      </div>
+
+                      <div className="sm:flex sm:flex-row-reverse">
+                        <button
+                          type="submit"
+                          disabled={createMutation.isLoading}
+                          className="inline-flex w-full justify-center rounded-md bg-primary-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-primary-500 sm:ml-3 sm:w-auto disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          {createMutation.isLoading ? 'Creating...' : 'Create schedule'}
+                        </button>
+                      </div>
+                    </form>
+                  </div>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  );
+};
+
+export default ReportSchedulesModal;
@@ -9,13 +9,87 @@ import {
   DocumentTextIcon,
   ChartBarIcon,
   ExclamationTriangleIcon,
-  CheckCircleIcon
+  CheckCircleIcon,
+  PencilSquareIcon,
+  ShieldCheckIcon,
+  ArrowPathIcon,
+  ArrowsRightLeftIcon
 } from '@heroicons/react/24/outline';
 import ErrorBoundary from './ErrorBoundary';
 import LoadingSpinner from './LoadingSpinner';
 
-const ReportViewer = ({ report, isLoading, error, onDownload, onShare }) => {
+const CHANGE_STYLES = [
+  ['new', 'New findings', 'bg-danger-50 text-danger-800'],
+  ['recurring', 'Recurring', 'bg-warning-50 text-warning-800'],
+  ['resolved', 'Resolved', 'bg-success-50 text-success-800']
+];
+
+// Red flags are graded against the project's materiality when it was set
+const MATERIALITY_LABELS = {
+  material: 'Material',
+  above_performance: 'Above performance materiality',
+  above_trivial: 'Above clearly trivial',
+  clearly_trivial: 'Clearly trivial'
+};
+
+const humanize = (key) => {
+  const text = key.replace(/([A-Z])/g, ' $1').trim().toLowerCase();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+const formatAmount = (value) =>
+  value === null || value === undefined ? '-' : value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+const formatChange = (value, suffix = '') =>
+  value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${formatAmount(value)}${suffix}`;
+
+const ComparisonTable = ({ headers, rows }) => (
+  <div className="overflow-x-auto">
+    <table className="min-w-full divide-y divide-gray-200 text-sm">
+      <thead className="bg-gray-50">
+        <tr>
+          {headers.map((header, index) => (
+            <th key={header} className={`px-3 py-2 font-medium text-gray-700 ${index === 0 ? 'text-left' : 'text-right'}`}>
+              {header}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100">
+        {rows.map((row, rowIndex) => (
+          <tr key={rowIndex}>
+            {row.map((cell, index) => (
+              <td key={index} className={`px-3 py-2 text-gray-800 ${index === 0 ? '' : 'text-right'}`}>
+                {cell}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// onSaveSections([{ key, content }]) saves edited section text; sections can
+// only be edited while the report is a draft. onLifecycleAction(action, comment)
+// moves the report through review: 'submit', 'approve', 'reject' or 'revise'
+// (start a new revision of a final report).
+const ReportViewer = ({
+  report,
+  isLoading,
+  error,
+  onDownload,
+  onShare,
+  onSaveSections,
+  isSaving,
+  onLifecycleAction,
+  isUpdatingStatus,
+  currentUserId
+}) => {
   const [isDownloading, setIsDownloading] = useState(false);
+  const [editingKey, setEditingKey] = useState(null);
+  const [draftContent, setDraftContent] = useState('');
+  const [reviewComment, setReviewComment] = useState('');
 
   // Error state
   if (error) {
@@ -88,6 +162,8 @@ const ReportViewer = ({ report, isLoading, error, onDownload, onShare }) => {
         return 'bg-success-100 text-success-800';
       case 'draft':
         return 'bg-warning-100 text-warning-800';
+      case 'in_review':
+        return 'bg-primary-100 text-primary-800';
       case 'archived':
         return 'bg-gray-100 text-gray-800';
       default:
@@ -96,9 +172,281 @@ const ReportViewer = ({ report, isLoading, error, onDownload, onShare }) => {
   };
 
   // Parse report data if it's a JSON string
-  const reportData = typeof report.reportData === 'string'
-    ? JSON.parse(report.reportData)
-    : report.reportData;
+  const rawReportData = report.reportData || report.report_data;
+  const reportData = typeof rawReportData === 'string'
+    ? JSON.parse(rawReportData)
+    : rawReportData;
+  const reportName = report.reportName || report.report_name;
+  const createdAt = report.createdAt || report.created_at;
+
+  // Reports generated before templates have no section list
+  const sections = reportData?.sections?.length ? reportData.sections : [
+    { key: 'executive_summary', title: 'Executive Summary', type: 'executive_summary', content: reportData?.executiveSummary },
+    { key: 'statistics', title: 'Key Statistics', type: 'statistics' },
+    { key: 'findings', title: 'Critical Issues', type: 'findings' },
+    { key: 'recommendations', title: 'Recommendations', type: 'recommendations' },
+    { key: 'documents', title: 'Documents Analyzed', type: 'documents' }
+  ];
+  const canEdit = !!onSaveSections && report.status === 'draft' && !!reportData?.sections?.length;
+  const signedOffAt = report.signedOffAt || report.signed_off_at;
+  const contentHash = report.contentHash || report.content_hash;
+  const reviewerComment = report.reviewComment || report.review_comment;
+  const revision = report.revision || 1;
+  // Sign-off has to come from someone other than the preparer
+  const isPreparer = !!currentUserId &&
+    [report.generated_by, report.submitted_by].includes(currentUserId);
+
+  const handleLifecycleAction = async (action) => {
+    try {
+      await onLifecycleAction(action, reviewComment.trim() || undefined);
+      setReviewComment('');
+    } catch (error) {
+      // The parent reports the error; keep the comment so it is not lost
+      console.error('Report status change failed:', error);
+    }
+  };
+
+  const handleStartEdit = (section) => {
+    setDraftContent(section.content || '');
+    setEditingKey(section.key);
+  };
+
+  const handleSaveEdit = async (key) => {
+    try {
+      await onSaveSections([{ key, content: draftContent }]);
+      setEditingKey(null);
+    } catch (error) {
+      // The parent reports the error; keep the text so it is not lost
+      console.error('Saving section failed:', error);
+    }
+  };
+
+  const renderSectionIcon = (type) => {
+    switch (type) {
+      case 'statistics':
+      case 'charts':
+        return <ChartBarIcon className="h-5 w-5 mr-2" />;
+      case 'period_comparison':
+        return <ArrowsRightLeftIcon className="h-5 w-5 mr-2" />;
+      case 'findings':
+        return <ExclamationTriangleIcon className="h-5 w-5 mr-2 text-danger-500" />;
+      case 'recommendations':
+        return <CheckCircleIcon className="h-5 w-5 mr-2 text-success-500" />;
+      default:
+        return <DocumentTextIcon className="h-5 w-5 mr-2" />;
+    }
+  };
+
+  // The report data shown below a section's text
+  const renderSectionData = (type) => {
+    switch (type) {
+      case 'statistics':
+        return reportData?.statistics ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            {Object.entries(reportData.statistics).map(([key, value]) => (
+              <div key={key} className="bg-gray-50 rounded-lg p-4 text-center">
+                <div className="text-2xl font-bold text-gray-900">{value}</div>
+                <div className="text-sm text-gray-600 capitalize">
+                  {key.replace(/([A-Z])/g, ' $1').trim()}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : null;
+
+      case 'findings':
+        return reportData?.redFlags?.length > 0 ? (
+          <div className="space-y-3">
+            {reportData.redFlags.map((flag, index) => (
+              <div key={index} className="flex items-start p-4 bg-danger-50 border border-danger-200 rounded-lg">
+                <ExclamationTriangleIcon className="h-5 w-5 text-danger-500 mt-0.5 mr-3 flex-shrink-0" />
+                <div className="flex-1">
+                  <p className="text-sm text-danger-800">{flag.description || flag}</p>
+                  {flag.documentSource && (
+                    <p className="mt-1 text-xs text-danger-600">{flag.documentSource}</p>
+                  )}
+                  {flag.severity && (
+                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium mt-2 ${
+                      flag.severity === 'critical' || flag.severity === 'high' ? 'bg-danger-100 text-danger-800' :
+                      flag.severity === 'medium' ? 'bg-warning-100 text-warning-800' :
+                      'bg-primary-100 text-primary-800'
+                    }`}>
+                      {flag.severity} priority
+                    </span>
+                  )}
+                  {flag.materiality?.level && (
+                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium mt-2 ml-2 ${
+                      flag.materiality.level === 'material' || flag.materiality.level === 'above_performance' ? 'bg-danger-100 text-danger-800' :
+                      flag.materiality.level === 'above_trivial' ? 'bg-warning-100 text-warning-800' :
+                      'bg-gray-100 text-gray-700'
+                    }`}>
+                      {MATERIALITY_LABELS[flag.materiality.level]}
+                    </span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No red flags were identified in the analyzed documents.</p>
+        );
+
+      case 'recommendations':
+        return reportData?.recommendations?.length > 0 ? (
+          <div className="space-y-3">
+            {reportData.recommendations.map((recommendation, index) => (
+              <div key={index} className="flex items-start p-4 bg-success-50 border border-success-200 rounded-lg">
+                <CheckCircleIcon className="h-5 w-5 text-success-500 mt-0.5 mr-3 flex-shrink-0" />
+                <div className="flex-1">
+                  <p className="text-sm text-success-800">{recommendation.description || recommendation}</p>
+                  {recommendation.priority && (
+                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium mt-2 ${
+                      recommendation.priority === 'high' ? 'bg-success-100 text-success-800' :
+                      recommendation.priority === 'medium' ? 'bg-warning-100 text-warning-800' :
+                      'bg-primary-100 text-primary-800'
+                    }`}>
+                      {recommendation.priority} priority
+                    </span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No recommendations were derived from the findings.</p>
+        );
+
+      case 'documents':
+        return reportData?.documentsSummary ? (
+          <div className="bg-gray-50 rounded-lg p-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-center">
+              <div>
+                <div className="text-2xl font-bold text-gray-900">
+                  {reportData.documentsSummary.totalDocuments || 0}
+                </div>
+                <div className="text-sm text-gray-600">Total Documents</div>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-gray-900">
+                  {reportData.documentsSummary.analyzedDocuments || 0}
+                </div>
+                <div className="text-sm text-gray-600">Analyzed</div>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-gray-900">
+                  {reportData.documentsSummary.flaggedDocuments || 0}
+                </div>
+                <div className="text-sm text-gray-600">With Issues</div>
+              </div>
+            </div>
+          </div>
+        ) : null;
+
+      case 'charts':
+        return reportData?.charts ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {[
+              ['Red flags by severity', reportData.charts.redFlagsBySeverity],
+              ['Red flags by category', reportData.charts.redFlagsByCategory]
+            ].map(([title, values]) => {
+              const entries = Object.entries(values || {}).sort((a, b) => b[1] - a[1]);
+              const max = Math.max(...entries.map(([, value]) => value), 1);
+              return (
+                <div key={title}>
+                  <h4 className="text-sm font-medium text-gray-900 mb-2">{title}</h4>
+                  <div className="space-y-2">
+                    {entries.map(([key, value]) => (
+                      <div key={key} className="flex items-center text-sm">
+                        <span className="w-32 text-gray-600 capitalize truncate">{key.replace(/_/g, ' ')}</span>
+                        <div className="flex-1 bg-gray-100 rounded h-3 mx-2">
+                          <div className="bg-primary-500 h-3 rounded" style={{ width: `${(value / max) * 100}%` }} />
+                        </div>
+                        <span className="w-8 text-right text-gray-900">{value}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ) : null;
+
+      case 'period_comparison': {
+        const comparison = reportData?.periodComparison;
+        if (!comparison) return null;
+        return (
+          <div className="space-y-6">
+            <div className="grid grid-cols-3 gap-4 text-center">
+              {CHANGE_STYLES.map(([status, label, className]) => (
+                <div key={status} className={`rounded-lg p-4 ${className}`}>
+                  <div className="text-2xl font-bold">{comparison.findingCounts?.[status] || 0}</div>
+                  <div className="text-sm">{label}</div>
+                </div>
+              ))}
+            </div>
+
+            <ComparisonTable
+              headers={['Measure', 'Prior period', 'This period', 'Change']}
+              rows={comparison.statistics.map(({ measure, prior, current, change }) => {
+                const suffix = measure === 'confidenceScore' ? '%' : '';
+                return [
+                  humanize(measure),
+                  `${prior}${suffix}`,
+                  `${current}${suffix}`,
+                  formatChange(change, suffix)
+                ];
+              })}
+            />
+
+            {comparison.findings.length > 0 && (
+              <div className="space-y-2">
+                {comparison.findings.map((finding, index) => (
+                  <div key={index} className="flex items-start justify-between p-3 border border-gray-200 rounded-lg">
+                    <p className="text-sm text-gray-800 mr-4">{finding.description}</p>
+                    <div className="flex-shrink-0 text-right">
+                      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                        CHANGE_STYLES.find(([status]) => status === finding.status)?.[2]
+                      }`}>
+                        {finding.status}
+                      </span>
+                      {finding.severity && (
+                        <p className="mt-1 text-xs text-gray-500">
+                          {finding.status === 'recurring' && finding.priorSeverity && finding.priorSeverity !== finding.severity
+                            ? `${finding.priorSeverity} → ${finding.severity}`
+                            : finding.severity}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {comparison.financials.map((statement) => (
+              <div key={statement.statementType}>
+                <h4 className="text-sm font-medium text-gray-900 mb-2 capitalize">
+                  {statement.statementType.replace(/_/g, ' ')}: {statement.currentPeriodEnd} against {statement.priorPeriodEnd}
+                </h4>
+                <ComparisonTable
+                  headers={['Line', 'Prior period', 'This period', 'Change', '%']}
+                  rows={statement.lines.map((line) => [
+                    line.label,
+                    formatAmount(line.prior),
+                    formatAmount(line.current),
+                    formatChange(line.change),
+                    formatChange(line.changePercent, '%')
+                  ])}
+                />
+              </div>
+            ))}
+          </div>
+        );
+      }
+
+      default:
+        return null;
+    }
+  };
 
   return (
     <ErrorBoundary>
@@ -109,17 +457,20 @@ const ReportViewer = ({ report, isLoading, error, onDownload, onShare }) => {
             <div className="flex-1">
               <div className="flex items-center space-x-3">
                 <h2 className="text-xl font-semibold text-gray-900">
-                  {report.reportName}
+                  {reportName}
                 </h2>
                 <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(report.status)}`}>
-                  {report.status?.charAt(0).toUpperCase() + report.status?.slice(1)}
+                  {report.status?.charAt(0).toUpperCase() + report.status?.slice(1).replace(/_/g, ' ')}
                 </span>
+                {revision > 1 && (
+                  <span className="text-sm text-gray-500">Revision {revision}</span>
+                )}
               </div>
 
               <div className="mt-2 flex items-center space-x-6 text-sm text-gray-500">
                 <div className="flex items-center">
                   <CalendarIcon className="h-4 w-4 mr-1" />
-                  Generated {formatDate(report.createdAt)}
+                  Generated {formatDate(createdAt)}
                 </div>
                 {report.generatedBy && (
                   <div className="flex items-center">
@@ -166,137 +517,164 @@ const ReportViewer = ({ report, isLoading, error, onDownload, onShare }) => {
           </div>
         </div>
 
-        {/* Report Content */}
-        <div className="p-6 space-y-8">
-          {/* Executive Summary */}
-          {reportData?.executiveSummary && (
-            <section>
-              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
-                <DocumentTextIcon className="h-5 w-5 mr-2" />
-                Executive Summary
-              </h3>
-              <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-                <p className="text-sm text-blue-800 leading-relaxed">
-                  {reportData.executiveSummary}
+        {/* Review and sign-off */}
+        {onLifecycleAction && (
+          <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 space-y-3">
+            {report.status === 'draft' && (
+              <>
+                {reviewerComment && (
+                  <p className="text-sm text-warning-800">
+                    <span className="font-medium">Returned by reviewer:</span> {reviewerComment}
+                  </p>
+                )}
+                <div className="flex items-center justify-between">
+                  <p className="text-sm text-gray-600">
+                    Submit the report for review when its text is ready. It cannot be edited while in review.
+                  </p>
+                  <button
+                    onClick={() => handleLifecycleAction('submit')}
+                    disabled={isUpdatingStatus || !!editingKey}
+                    className="btn-primary btn-sm ml-4 flex-shrink-0"
+                  >
+                    Submit for review
+                  </button>
+                </div>
+              </>
+            )}
+
+            {report.status === 'in_review' && (
+              isPreparer ? (
+                <p className="text-sm text-gray-600">
+                  Waiting for a reviewer to sign off this report.
                 </p>
-              </div>
-            </section>
-          )}
-
-          {/* Key Statistics */}
-          {reportData?.statistics && (
-            <section>
-              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
-                <ChartBarIcon className="h-5 w-5 mr-2" />
-                Key Statistics
-              </h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                {Object.entries(reportData.statistics).map(([key, value]) => (
-                  <div key={key} className="bg-gray-50 rounded-lg p-4 text-center">
-                    <div className="text-2xl font-bold text-gray-900">{value}</div>
-                    <div className="text-sm text-gray-600 capitalize">
-                      {key.replace(/([A-Z])/g, ' $1').trim()}
-                    </div>
+              ) : (
+                <div>
+                  <label htmlFor="review-comment" className="block text-sm font-medium text-gray-700">
+                    Review comment
+                  </label>
+                  <textarea
+                    id="review-comment"
+                    value={reviewComment}
+                    onChange={(e) => setReviewComment(e.target.value)}
+                    rows={3}
+                    placeholder="Required when returning the report to the preparer"
+                    className="mt-1 block w-full rounded-md border-gray-300 text-sm focus:border-primary-500 focus:ring-primary-500"
+                  />
+                  <div className="mt-2 flex justify-end space-x-2">
+                    <button
+                      onClick={() => handleLifecycleAction('reject')}
+                      disabled={isUpdatingStatus || !reviewComment.trim()}
+                      className="btn-outline btn-sm"
+                    >
+                      Return to draft
+                    </button>
+                    <button
+                      onClick={() => handleLifecycleAction('approve')}
+                      disabled={isUpdatingStatus}
+                      className="btn-primary btn-sm"
+                    >
+                      <ShieldCheckIcon className="h-4 w-4 mr-1" />
+                      Sign off
+                    </button>
                   </div>
-                ))}
-              </div>
-            </section>
-          )}
-
-          {/* Red Flags */}
-          {reportData?.redFlags && reportData.redFlags.length > 0 && (
-            <section>
-              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
-                <ExclamationTriangleIcon className="h-5 w-5 mr-2 text-danger-500" />
-                Critical Issues ({reportData.redFlags.length})
-              </h3>
-              <div className="space-y-3">
-                {reportData.redFlags.map((flag, index) => (
-                  <div key={index} className="flex items-start p-4 bg-danger-50 border border-danger-200 rounded-lg">
-                    <ExclamationTriangleIcon className="h-5 w-5 text-danger-500 mt-0.5 mr-3 flex-shrink-0" />
-                    <div className="flex-1">
-                      <p className="text-sm text-danger-800">{flag.description || flag}</p>
-                      {flag.severity && (
-                        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium mt-2 ${
-                          flag.severity === 'high' ? 'bg-danger-100 text-danger-800' :
-                          flag.severity === 'medium' ? 'bg-warning-100 text-warning-800' :
-                          'bg-primary-100 text-primary-800'
-                        }`}>
-                          {flag.severity} priority
-                        </span>
-                      )}
-                    </div>
-                  </div>
-                ))}
+                </div>
+              )
+            )}
+
+            {report.status === 'final' && (
+              <div className="flex items-start justify-between">
+                <div className="text-sm text-gray-600">
+                  <p className="flex items-center text-success-800 font-medium">
+                    <ShieldCheckIcon className="h-4 w-4 mr-1" />
+                    Signed off {signedOffAt && formatDate(signedOffAt)}
+                  </p>
+                  {contentHash && (
+                    <p className="mt-1 font-mono text-xs text-gray-500 break-all">
+                      SHA-256 {contentHash}
+                    </p>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleLifecycleAction('revise')}
+                  disabled={isUpdatingStatus}
+                  className="btn-outline btn-sm ml-4 flex-shrink-0"
+                >
+                  <ArrowPathIcon className="h-4 w-4 mr-1" />
+                  New revision
+                </button>
               </div>
-            </section>
-          )}
-
-          {/* Recommendations */}
-          {reportData?.recommendations && reportData.recommendations.length > 0 && (
-            <section>
-              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
-                <CheckCircleIcon className="h-5 w-5 mr-2 text-success-500" />
-                Recommendations
-              </h3>
-              <div className="space-y-3">
-                {reportData.recommendations.map((recommendation, index) => (
-                  <div key={index} className="flex items-start p-4 bg-success-50 border border-success-200 rounded-lg">
-                    <CheckCircleIcon className="h-5 w-5 text-success-500 mt-0.5 mr-3 flex-shrink-0" />
-                    <div className="flex-1">
-                      <p className="text-sm text-success-800">{recommendation.description || recommendation}</p>
-                      {recommendation.priority && (
-                        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium mt-2 ${
-                          recommendation.priority === 'high' ? 'bg-success-100 text-success-800' :
-                          recommendation.priority === 'medium' ? 'bg-warning-100 text-warning-800' :
-                          'bg-primary-100 text-primary-800'
-                        }`}>
-                          {recommendation.priority} priority
-                        </span>
-                      )}
-                    </div>
-                  </div>
-                ))}
+            )}
+          </div>
+        )}
+
+        {/* Report Content */}
+        <div className="p-6 space-y-8">
+          {sections.map((section) => (
+            <section key={section.key}>
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                  {renderSectionIcon(section.type)}
+                  {section.title}
+                </h3>
+                {canEdit && editingKey !== section.key && (
+                  <button
+                    onClick={() => handleStartEdit(section)}
+                    disabled={!!editingKey}
+                    className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <PencilSquareIcon className="h-4 w-4 mr-1" />
+                    Edit text
+                  </button>
+                )}
               </div>
-            </section>
-          )}
-
-          {/* Document Analysis Summary */}
-          {reportData?.documentsSummary && (
-            <section>
-              <h3 className="text-lg font-medium text-gray-900 mb-4">
-                Documents Analyzed
-              </h3>
-              <div className="bg-gray-50 rounded-lg p-4">
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-center">
-                  <div>
-                    <div className="text-2xl font-bold text-gray-900">
-                      {reportData.documentsSummary.totalDocuments || 0}
-                    </div>
-                    <div className="text-sm text-gray-600">Total Documents</div>
-                  </div>
-                  <div>
-                    <div className="text-2xl font-bold text-gray-900">
-                      {reportData.documentsSummary.analyzedDocuments || 0}
-                    </div>
-                    <div className="text-sm text-gray-600">Analyzed</div>
-                  </div>
-                  <div>
-                    <div className="text-2xl font-bold text-gray-900">
-                      {reportData.documentsSummary.flaggedDocuments || 0}
-                    </div>
-                    <div className="text-sm text-gray-600">With Issues</div>
+
+              {editingKey === section.key ? (
+                <div className="mb-4">
+                  <textarea
+                    value={draftContent}
+                    onChange={(e) => setDraftContent(e.target.value)}
+                    rows={8}
+                    className="block w-full rounded-md border-gray-300 text-sm focus:border-primary-500 focus:ring-primary-500"
+                  />
+                  <div className="mt-2 flex justify-end space-x-2">
+                    <button
+                      onClick={() => setEditingKey(null)}
+                      disabled={isSaving}
+                      className="btn-outline btn-sm"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={() => handleSaveEdit(section.key)}
+                      disabled={isSaving}
+                      className="btn-primary btn-sm"
+                    >
+                      {isSaving ? 'Saving...' : 'Save'}
+                    </button>
                   </div>
                 </div>
-              </div>
+              ) : section.content ? (
+                <div className={section.type === 'executive_summary'
+                  ? 'bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4'
+                  : 'mb-4'}
+                >
+                  <p className={`text-sm leading-relaxed whitespace-pre-line ${
+                    section.type === 'executive_summary' ? 'text-blue-800' : 'text-gray-700'
+                  }`}>
+                    {section.content}
+                  </p>
+                </div>
+              ) : null}
+
+              {renderSectionData(section.type)}
             </section>
-          )}
+          ))}
 
           {/* Footer */}
           <div className="border-t border-gray-200 pt-6 mt-8">
             <div className="text-center text-sm text-gray-500">
               <p>
-                This report was generated by Esus Audit AI on {formatDate(report.createdAt)}
+                This report was generated by Esus Audit AI on {formatDate(createdAt)}
               </p>
               <p className="mt-1">
                 For questions about this report, contact{' '}
@@ -5,15 +5,34 @@ import {
   DocumentArrowDownIcon,
   PlusIcon,
   EyeIcon,
-  CalendarIcon
+  CalendarIcon,
+  DocumentTextIcon,
+  TableCellsIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline';
 import { reportsService } from '../services/api';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { downloadFile } from '../utils/helpers';
 import LoadingSpinner from './LoadingSpinner';
 import GenerateReportModal from './GenerateReportModal';
+import ReportViewer from './ReportViewer';
+import ShareReportModal from './ShareReportModal';
+import ReportSchedulesModal from './ReportSchedulesModal';
+
+const LIFECYCLE_MESSAGES = {
+  submit: 'Report submitted for review',
+  approve: 'Report signed off',
+  reject: 'Report returned to draft',
+  revise: 'New revision started'
+};
 
 const ReportsTab = ({ projectId }) => {
   const [showGenerateModal, setShowGenerateModal] = useState(false);
+  const [viewedReportId, setViewedReportId] = useState(null);
+  const [sharedReport, setSharedReport] = useState(null);
+  const [showSchedulesModal, setShowSchedulesModal] = useState(false);
   const queryClient = useQueryClient();
+  const { user } = useAuth();
 
   const { data: reportsData, isLoading } = useQuery(
     ['reports', projectId],
@@ -38,10 +57,89 @@ const ReportsTab = ({ projectId }) => {
     }
   );
 
+  const updateSectionsMutation = useMutation(
+    ({ reportId, sections }) => reportsService.updateReportSections(reportId, sections),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['reports', projectId]);
+      },
+      onError: (error) => {
+        toast.error(error.error || 'Failed to save report text');
+      }
+    }
+  );
+
+  const lifecycleMutation = useMutation(
+    ({ reportId, action, comment }) => {
+      switch (action) {
+        case 'submit':
+          return reportsService.submitReport(reportId);
+        case 'approve':
+        case 'reject':
+          return reportsService.reviewReport(reportId, action, comment);
+        default:
+          return reportsService.createReportRevision(reportId);
+      }
+    },
+    {
+      onSuccess: (report, { action }) => {
+        toast.success(LIFECYCLE_MESSAGES[action]);
+        queryClient.invalidateQueries(['reports', projectId]);
+        // Show the revision that was just started
+        if (action === 'revise') {
+          setViewedReportId(report.id);
+        }
+      },
+      onError: (error) => {
+        toast.error(error.error || 'Failed to update report status');
+      }
+    }
+  );
+
   const reports = reportsData?.reports || [];
+  const viewedReport = reports.find((report) => report.id === viewedReportId);
 
-  const handleDownloadReport = (reportUrl) => {
-    window.open(reportUrl, '_blank');
+  // The window is opened before the request so popup blockers allow it
+  const handleDownloadReport = async (report) => {
+    const reportWindow = window.open('', '_blank');
+    try {
+      const { url } = await reportsService.getReportDownloadUrl(report.id);
+      if (reportWindow) {
+        reportWindow.location.href = url;
+      } else {
+        window.open(url, '_blank');
+      }
+    } catch (error) {
+      reportWindow?.close();
+      toast.error(error.error || 'Failed to download report');
+    }
+  };
+
+  const saveBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    downloadFile(url, fileName);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const fileNameOf = (name, fallback) =>
+    name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || fallback;
+
+  const handleExportDocx = async (report) => {
+    try {
+      const blob = await reportsService.exportReportDocx(report.id);
+      saveBlob(blob, `${fileNameOf(report.report_name, 'report')}.docx`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to export report');
+    }
+  };
+
+  const handleExportAnalysis = async () => {
+    try {
+      const blob = await reportsService.exportProjectWorkbook(projectId, 'analysis');
+      saveBlob(blob, 'document-analysis.xlsx');
+    } catch (error) {
+      toast.error(error.error || 'Failed to export analysis');
+    }
   };
 
   if (isLoading) {
@@ -61,13 +159,31 @@ const ReportsTab = ({ projectId }) => {
             Generate and download comprehensive audit reports with AI insights.
           </p>
         </div>
-        <button
-          onClick={() => setShowGenerateModal(true)}
-          className="btn-primary"
-        >
-          <PlusIcon className="h-4 w-4 mr-2" />
-          Generate Report
-        </button>
+        <div className="flex space-x-2">
+          <button
+            onClick={handleExportAnalysis}
+            className="btn-outline"
+            title="Red flags, highlights and extracted tables, one sheet per document"
+          >
+            <TableCellsIcon className="h-4 w-4 mr-2" />
+            Export to Excel
+          </button>
+          <button
+            onClick={() => setShowSchedulesModal(true)}
+            className="btn-outline"
+            title="Generate and email reports on a schedule"
+          >
+            <ClockIcon className="h-4 w-4 mr-2" />
+            Schedules
+          </button>
+          <button
+            onClick={() => setShowGenerateModal(true)}
+            className="btn-primary"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Generate Report
+          </button>
+        </div>
       </div>
 
       {reports.length === 0 ? (
@@ -95,20 +211,24 @@ const ReportsTab = ({ projectId }) => {
                 <div className="flex items-start justify-between">
                   <div className="flex-1">
                     <h4 className="text-sm font-medium text-gray-900 truncate">
-                      {report.name}
+                      {report.report_name}
                     </h4>
                     <div className="mt-2 flex items-center text-xs text-gray-500">
                       <CalendarIcon className="h-3 w-3 mr-1" />
-                      {new Date(report.generatedAt).toLocaleDateString()}
+                      {new Date(report.created_at).toLocaleDateString()}
                     </div>
                     <div className="mt-2">
                       <span className={`badge ${
                         report.status === 'final' ? 'badge-success' :
                         report.status === 'draft' ? 'badge-warning' :
+                        report.status === 'in_review' ? 'badge-primary' :
                         'badge-gray'
                       }`}>
-                        {report.status}
+                        {report.status?.replace(/_/g, ' ')}
                       </span>
+                      {report.revision > 1 && (
+                        <span className="ml-2 text-xs text-gray-500">rev {report.revision}</span>
+                      )}
                     </div>
                   </div>
                   <DocumentArrowDownIcon className="h-8 w-8 text-gray-400" />
@@ -116,15 +236,23 @@ const ReportsTab = ({ projectId }) => {
 
                 <div className="mt-4 flex space-x-2">
                   <button
-                    onClick={() => handleDownloadReport(report.pdfUrl)}
+                    onClick={() => handleDownloadReport(report)}
                     className="flex-1 btn-outline btn-sm"
                   >
                     <DocumentArrowDownIcon className="h-4 w-4 mr-1" />
                     Download
                   </button>
                   <button
-                    onClick={() => handleDownloadReport(report.pdfUrl)}
+                    onClick={() => handleExportDocx(report)}
                     className="btn-outline btn-sm px-2"
+                    title="Download as Word document"
+                  >
+                    <DocumentTextIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => setViewedReportId(viewedReportId === report.id ? null : report.id)}
+                    className="btn-outline btn-sm px-2"
+                    title={viewedReportId === report.id ? 'Hide report' : 'View report'}
                   >
                     <EyeIcon className="h-4 w-4" />
                   </button>
@@ -135,6 +263,23 @@ const ReportsTab = ({ projectId }) => {
         </div>
       )}
 
+      {viewedReport && (
+        <ReportViewer
+          report={viewedReport}
+          onDownload={handleDownloadReport}
+          onSaveSections={(sections) =>
+            updateSectionsMutation.mutateAsync({ reportId: viewedReport.id, sections })
+          }
+          isSaving={updateSectionsMutation.isLoading}
+          onLifecycleAction={(action, comment) =>
+            lifecycleMutation.mutateAsync({ reportId: viewedReport.id, action, comment })
+          }
+          isUpdatingStatus={lifecycleMutation.isLoading}
+          currentUserId={user?.id}
+          onShare={viewedReport.status === 'final' ? setSharedReport : undefined}
+        />
+      )}
+
       <GenerateReportModal
         open={showGenerateModal}
         setOpen={setShowGenerateModal}
@@ -144,6 +289,18 @@ const ReportsTab = ({ projectId }) => {
         }}
         isLoading={generateReportMutation.isLoading}
       />
+
+      <ShareReportModal
+        open={!!sharedReport}
+        setOpen={(open) => !open && setSharedReport(null)}
+        report={sharedReport}
+      />
+
+      <ReportSchedulesModal
+        open={showSchedulesModal}
+        setOpen={setShowSchedulesModal}
+        projectId={projectId}
+      />
     </div>
   );
 };
@@ -0,0 +1,280 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import {
+  ShieldExclamationIcon,
+  ExclamationTriangleIcon,
+  ArrowUpCircleIcon,
+  PlusIcon
+} from '@heroicons/react/24/outline';
+import { riskAssessmentsService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import RiskModal, { RISK_LEVELS, RISK_LEVEL_BADGES } from './RiskModal';
+
+// Heat map colour of a cell by how far inherent and residual risk are from low
+const CELL_COLORS = [
+  'bg-success-100 text-success-800',
+  'bg-success-100 text-success-800',
+  'bg-warning-100 text-warning-800',
+  'bg-warning-100 text-warning-800',
+  'bg-danger-100 text-danger-800',
+  'bg-danger-200 text-danger-900',
+  'bg-danger-300 text-danger-900'
+];
+
+const sameCell = (a, b) => a && b && a.inherent === b.inherent && a.residual === b.residual;
+
+// Risks of a project plotted by inherent vs residual level, with the audit
+// program procedures addressing them and the red flags left to promote
+const RiskAssessmentTab = ({ projectId }) => {
+  const queryClient = useQueryClient();
+  // { risk } to edit one, {} to create one
+  const [editing, setEditing] = useState(null);
+  // { inherent, residual } of the matrix cell the list is filtered to;
+  // residual is null for risks not assessed yet
+  const [cell, setCell] = useState(null);
+
+  const { data, isLoading } = useQuery(
+    ['riskAssessments', projectId],
+    () => riskAssessmentsService.getRiskAssessments(projectId),
+    {
+      enabled: !!projectId
+    }
+  );
+
+  const promoteMutation = useMutation(
+    (finding) => riskAssessmentsService.createRiskAssessment(projectId, {
+      analysisId: finding.analysisId,
+      findingIndex: finding.findingIndex
+    }),
+    {
+      onSuccess: (risk) => {
+        toast.success('Red flag added to the risk assessment');
+        queryClient.invalidateQueries(['riskAssessments', projectId]);
+        setEditing({ risk });
+      },
+      onError: (error) => toast.error(error.error || 'Failed to promote the red flag')
+    }
+  );
+
+  const risks = data?.risks || [];
+  const matrix = data?.matrix;
+  const summary = data?.summary;
+  const findings = data?.findings || [];
+  const procedures = data?.procedures || [];
+
+  const shown = cell
+    ? risks.filter((risk) => risk.risk_level === cell.inherent && (risk.residual_risk_level || null) === cell.residual)
+    : risks;
+
+  const toggleCell = (target) => setCell(sameCell(cell, target) ? null : target);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Risk Assessment</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Assess inherent and residual risk by area and link each risk to the procedures that address it.
+          </p>
+        </div>
+        <button onClick={() => setEditing({})} className="btn-primary">
+          <PlusIcon className="h-4 w-4 mr-2" />
+          New Risk
+        </button>
+      </div>
+
+      {summary?.unaddressedHighRisks > 0 && (
+        <div className="rounded-md bg-danger-50 p-4 flex items-start">
+          <ExclamationTriangleIcon className="h-5 w-5 text-danger-500 mr-3 flex-shrink-0" />
+          <p className="text-sm text-danger-800">
+            {summary.unaddressedHighRisks} of {summary.highRisks} high risk{summary.highRisks === 1 ? '' : 's'} not
+            addressed by any audit procedure.
+          </p>
+        </div>
+      )}
+
+      {matrix && risks.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h4 className="text-sm font-medium text-gray-900">Risk Matrix</h4>
+          </div>
+          <div className="px-6 py-4 overflow-x-auto">
+            <table className="text-xs">
+              <thead>
+                <tr>
+                  <th className="pr-3 text-left font-medium text-gray-500">Inherent \ Residual</th>
+                  {matrix.levels.map((level) => (
+                    <th key={level} className="w-20 pb-2 text-center font-medium text-gray-500 capitalize">{level}</th>
+                  ))}
+                  <th className="w-20 pb-2 text-center font-medium text-gray-500">Not assessed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...matrix.levels].reverse().map((inherent) => {
+                  const row = matrix.levels.indexOf(inherent);
+                  return (
+                    <tr key={inherent}>
+                      <th className="pr-3 text-left font-medium text-gray-500 capitalize">{inherent}</th>
+                      {matrix.levels.map((residual, column) => {
+                        const target = { inherent, residual };
+                        const count = matrix.cells[row][column];
+                        return (
+                          <td key={residual} className="p-0.5">
+                            <button
+                              type="button"
+                              onClick={() => toggleCell(target)}
+                              disabled={count === 0}
+                              className={`h-12 w-20 rounded font-semibold ${CELL_COLORS[row + column]} ${count === 0 ? 'opacity-40' : ''} ${sameCell(cell, target) ? 'ring-2 ring-primary-500' : ''}`}
+                            >
+                              {count || ''}
+                            </button>
+                          </td>
+                        );
+                      })}
+                      <td className="p-0.5">
+                        <button
+                          type="button"
+                          onClick={() => toggleCell({ inherent, residual: null })}
+                          disabled={matrix.unassessed[row] === 0}
+                          className={`h-12 w-20 rounded font-semibold bg-gray-100 text-gray-700 ${matrix.unassessed[row] === 0 ? 'opacity-40' : ''} ${sameCell(cell, { inherent, residual: null }) ? 'ring-2 ring-primary-500' : ''}`}
+                        >
+                          {matrix.unassessed[row] || ''}
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {risks.length === 0 ? (
+        <div className="text-center py-12">
+          <ShieldExclamationIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No risks assessed yet</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Add a risk, or promote a red flag found by document analysis.
+          </p>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="card-header flex items-center justify-between">
+            <h4 className="text-sm font-medium text-gray-900">
+              Risks
+              {cell && (
+                <span className="ml-2 text-xs font-normal text-gray-500 capitalize">
+                  {cell.inherent} inherent · {cell.residual ? `${cell.residual} residual` : 'residual not assessed'}
+                </span>
+              )}
+            </h4>
+            {cell && (
+              <button type="button" onClick={() => setCell(null)} className="text-xs text-primary-600 hover:text-primary-800">
+                Show all
+              </button>
+            )}
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {shown.map((risk) => (
+              <li key={risk.id}>
+                <button
+                  type="button"
+                  onClick={() => setEditing({ risk })}
+                  className="w-full px-6 py-3 text-left hover:bg-gray-50"
+                >
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="min-w-0 truncate">
+                      <span className="font-medium text-gray-900">{risk.area}</span>
+                      <span className="ml-2 text-gray-500">{risk.risk_description}</span>
+                    </span>
+                    <span className="ml-4 flex items-center space-x-2 flex-shrink-0">
+                      {risk.unaddressed && (
+                        <span className="badge-danger" title="High risk not addressed by any audit procedure">
+                          <ExclamationTriangleIcon className="h-3 w-3 mr-1" />
+                          Unaddressed
+                        </span>
+                      )}
+                      <span className={`${RISK_LEVEL_BADGES[risk.risk_level]} capitalize`}>{risk.risk_level}</span>
+                      <span className="text-gray-400">→</span>
+                      {risk.residual_risk_level ? (
+                        <span className={`${RISK_LEVEL_BADGES[risk.residual_risk_level]} capitalize`}>{risk.residual_risk_level}</span>
+                      ) : (
+                        <span className="badge-gray">Not assessed</span>
+                      )}
+                    </span>
+                  </div>
+                  {risk.procedures.length > 0 && (
+                    <div className="mt-1 flex flex-wrap gap-1">
+                      {risk.procedures.map((procedure) => (
+                        <span
+                          key={`${procedure.auditProgramId}/${procedure.key}`}
+                          className="badge-primary"
+                          title={`${procedure.programName} · ${procedure.step}`}
+                        >
+                          {procedure.workpaper?.reference_number || procedure.step}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {findings.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h4 className="text-sm font-medium text-gray-900">Red Flags</h4>
+            <p className="mt-1 text-xs text-gray-500">Findings of the latest document analyses not yet in the risk assessment.</p>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {findings.map((finding) => (
+              <li key={`${finding.analysisId}/${finding.findingIndex}`} className="px-6 py-3 flex items-center justify-between">
+                <div className="min-w-0 text-sm">
+                  <p className="font-medium text-gray-900 truncate">{finding.title}</p>
+                  <p className="text-xs text-gray-500 truncate">{finding.documentName}</p>
+                </div>
+                <div className="ml-4 flex items-center space-x-3 flex-shrink-0">
+                  {RISK_LEVELS.includes(finding.severity) && (
+                    <span className={`${RISK_LEVEL_BADGES[finding.severity]} capitalize`}>{finding.severity}</span>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => promoteMutation.mutate(finding)}
+                    disabled={promoteMutation.isLoading}
+                    className="btn-outline btn-sm"
+                  >
+                    <ArrowUpCircleIcon className="h-4 w-4 mr-1" />
+                    Promote
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <RiskModal
+        open={!!editing}
+        onClose={() => setEditing(null)}
+        projectId={projectId}
+        risk={editing?.risk}
+        procedures={procedures}
+      />
+    </div>
+  );
+};
+
+export default RiskAssessmentTab;
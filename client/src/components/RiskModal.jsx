@@ -0,0 +1,285 @@
+import React, { useEffect, useState, Fragment } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import { useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { XMarkIcon, ShieldExclamationIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { riskAssessmentsService } from '../services/api';
+
+export const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+export const RISK_LEVEL_BADGES = {
+  low: 'badge-success',
+  medium: 'badge-warning',
+  high: 'badge-danger',
+  critical: 'badge-danger'
+};
+
+const LIKELIHOOD_LABELS = {
+  rare: 'Rare',
+  unlikely: 'Unlikely',
+  possible: 'Possible',
+  likely: 'Likely',
+  almost_certain: 'Almost certain'
+};
+
+const procedureId = (procedure) => `${procedure.auditProgramId}/${procedure.key}`;
+
+const formFrom = (risk) => ({
+  area: risk?.area || '',
+  riskDescription: risk?.risk_description || '',
+  riskLevel: risk?.risk_level || 'medium',
+  likelihood: risk?.likelihood || '',
+  impactAssessment: risk?.impact_assessment || '',
+  mitigatingControls: risk?.mitigating_controls || '',
+  residualRiskLevel: risk?.residual_risk_level || '',
+  procedures: (risk?.procedures || []).map(procedureId)
+});
+
+// Creates or edits a risk, including the audit program procedures that
+// address it
+const RiskModal = ({ open, onClose, projectId, risk, procedures }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(() => formFrom(risk));
+
+  useEffect(() => {
+    if (open) {
+      setForm(formFrom(risk));
+    }
+  }, [open, risk?.id, risk?.updated_at]);
+
+  const isNew = !risk;
+
+  const onSuccess = (message) => () => {
+    toast.success(message);
+    queryClient.invalidateQueries(['riskAssessments', projectId]);
+    onClose();
+  };
+
+  const saveMutation = useMutation(
+    (values) => isNew
+      ? riskAssessmentsService.createRiskAssessment(projectId, values)
+      : riskAssessmentsService.updateRiskAssessment(projectId, risk.id, values),
+    {
+      onSuccess: onSuccess(isNew ? 'Risk added' : 'Risk saved'),
+      onError: (error) => toast.error(error.error || 'Failed to save the risk')
+    }
+  );
+
+  const deleteMutation = useMutation(
+    () => riskAssessmentsService.deleteRiskAssessment(projectId, risk.id),
+    {
+      onSuccess: onSuccess('Risk deleted'),
+      onError: (error) => toast.error(error.error || 'Failed to delete the risk')
+    }
+  );
+
+  const setField = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const toggleProcedure = (id) => {
+    setForm((current) => ({
+      ...current,
+      procedures: current.procedures.includes(id)
+        ? current.procedures.filter((other) => other !== id)
+        : [...current.procedures, id]
+    }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    saveMutation.mutate({
+      area: form.area,
+      riskDescription: form.riskDescription,
+      riskLevel: form.riskLevel,
+      likelihood: form.likelihood || null,
+      impactAssessment: form.impactAssessment,
+      mitigatingControls: form.mitigatingControls,
+      residualRiskLevel: form.residualRiskLevel || null,
+      procedures: procedures
+        .filter((procedure) => form.procedures.includes(procedureId(procedure)))
+        .map((procedure) => ({ auditProgramId: procedure.auditProgramId, procedureKey: procedure.key }))
+    });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm('Delete this risk?')) {
+      deleteMutation.mutate();
+    }
+  };
+
+  const programs = procedures.reduce((groups, procedure) => {
+    const group = groups.find((candidate) => candidate.id === procedure.auditProgramId);
+    if (group) {
+      group.procedures.push(procedure);
+    } else {
+      groups.push({ id: procedure.auditProgramId, name: procedure.programName, procedures: [procedure] });
+    }
+    return groups;
+  }, []);
+  const isBusy = saveMutation.isLoading || deleteMutation.isLoading;
+
+  return (
+    <Transition.Root show={open} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 z-10 overflow-y-auto">
+          <div className="flex min-h-full items-end justify-center p-4 text-center sm:items-center sm:p-0">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+              enterTo="opacity-100 translate-y-0 sm:scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 translate-y-0 sm:scale-100"
+              leaveTo="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+            >
+              <Dialog.Panel className="relative transform overflow-hidden rounded-lg bg-white px-4 pb-4 pt-5 text-left shadow-xl transition-all sm:my-8 sm:w-full sm:max-w-2xl sm:p-6">
+                <div className="absolute right-0 top-0 hidden pr-4 pt-4 sm:block">
+                  <button
+                    type="button"
+                    className="rounded-md bg-white text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+                    onClick={onClose}
+                  >
+                    <span className="sr-only">Close</span>
+                    <XMarkIcon className="h-6 w-6" aria-hidden="true" />
+                  </button>
+                </div>
+
+                <div className="sm:flex sm:items-start">
+                  <div className="mx-auto flex h-12 w-12 flex-shrink-0 items-center justify-center rounded-full bg-red-100 sm:mx-0 sm:h-10 sm:w-10">
+                    <ShieldExclamationIcon className="h-6 w-6 text-red-600" aria-hidden="true" />
+                  </div>
+                  <div className="mt-3 text-center sm:ml-4 sm:mt-0 sm:text-left w-full">
+                    <Dialog.Title as="h3" className="text-base font-semibold leading-6 text-gray-900">
+                      {isNew ? 'New Risk' : risk.area}
+                    </Dialog.Title>
+
+                    <form onSubmit={handleSave} className="mt-6 space-y-4">
+                      <div>
+                        <label htmlFor="riskArea" className="block text-sm font-medium text-gray-700">Area</label>
+                        <input
+                          type="text"
+                          id="riskArea"
+                          className="mt-1 input"
+                          value={form.area}
+                          onChange={setField('area')}
+                          placeholder="e.g., Revenue recognition"
+                          maxLength={255}
+                          required
+                        />
+                      </div>
+
+                      <div>
+                        <label htmlFor="riskDescription" className="block text-sm font-medium text-gray-700">Risk</label>
+                        <textarea id="riskDescription" rows={2} className="mt-1 input" value={form.riskDescription} onChange={setField('riskDescription')} required />
+                      </div>
+
+                      <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                        <div>
+                          <label htmlFor="riskLevel" className="block text-sm font-medium text-gray-700">Inherent risk</label>
+                          <select id="riskLevel" className="mt-1 input capitalize" value={form.riskLevel} onChange={setField('riskLevel')}>
+                            {RISK_LEVELS.map((level) => (
+                              <option key={level} value={level}>{level}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <label htmlFor="riskLikelihood" className="block text-sm font-medium text-gray-700">Likelihood</label>
+                          <select id="riskLikelihood" className="mt-1 input" value={form.likelihood} onChange={setField('likelihood')}>
+                            <option value="">Not assessed</option>
+                            {Object.entries(LIKELIHOOD_LABELS).map(([key, label]) => (
+                              <option key={key} value={key}>{label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <label htmlFor="riskResidual" className="block text-sm font-medium text-gray-700">Residual risk</label>
+                          <select id="riskResidual" className="mt-1 input capitalize" value={form.residualRiskLevel} onChange={setField('residualRiskLevel')}>
+                            <option value="">Not assessed</option>
+                            {RISK_LEVELS.map((level) => (
+                              <option key={level} value={level}>{level}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+
+                      <div>
+                        <label htmlFor="riskImpact" className="block text-sm font-medium text-gray-700">Impact</label>
+                        <textarea id="riskImpact" rows={3} className="mt-1 input" value={form.impactAssessment} onChange={setField('impactAssessment')} />
+                      </div>
+
+                      <div>
+                        <label htmlFor="riskControls" className="block text-sm font-medium text-gray-700">Mitigating controls</label>
+                        <textarea id="riskControls" rows={2} className="mt-1 input" value={form.mitigatingControls} onChange={setField('mitigatingControls')} />
+                      </div>
+
+                      <div>
+                        <span className="block text-sm font-medium text-gray-700">Addressed by</span>
+                        {programs.length === 0 ? (
+                          <p className="mt-1 text-sm text-gray-500">Apply an audit program to the project to link its procedures.</p>
+                        ) : (
+                          <div className="mt-1 max-h-56 overflow-y-auto rounded-md border border-gray-200 p-2 space-y-3">
+                            {programs.map((program) => (
+                              <div key={program.id}>
+                                <p className="text-xs font-medium text-gray-500">{program.name}</p>
+                                {program.procedures.map((procedure) => (
+                                  <label key={procedure.key} className="mt-1 flex items-start text-sm text-gray-700">
+                                    <input
+                                      type="checkbox"
+                                      className="mt-0.5 mr-2 h-4 w-4 rounded border-gray-300 text-primary-600"
+                                      checked={form.procedures.includes(procedureId(procedure))}
+                                      onChange={() => toggleProcedure(procedureId(procedure))}
+                                    />
+                                    <span>
+                                      {procedure.workpaper && (
+                                        <span className="font-mono text-gray-500 mr-1">{procedure.workpaper.reference_number}</span>
+                                      )}
+                                      {procedure.step}
+                                    </span>
+                                  </label>
+                                ))}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+
+                      <div className="flex justify-between pt-2">
+                        <div>
+                          {!isNew && (
+                            <button type="button" onClick={handleDelete} disabled={isBusy} className="btn-outline btn-sm text-danger-600">
+                              <TrashIcon className="h-4 w-4 mr-1" />
+                              Delete
+                            </button>
+                          )}
+                        </div>
+                        <div className="flex space-x-2">
+                          <button type="button" onClick={onClose} className="btn-outline">Cancel</button>
+                          <button type="submit" disabled={isBusy} className="btn-primary">
+                            {saveMutation.isLoading ? 'Saving...' : 'Save'}
+                          </button>
+                        </div>
+                      </div>
+                    </form>
+                  </div>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  );
+};
+
+export default RiskModal;
@@ -0,0 +1,247 @@
+import React, { useState, Fragment } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import {
+  XMarkIcon,
+  ShareIcon,
+  ClipboardDocumentIcon,
+  LockClosedIcon
+} from '@heroicons/react/24/outline';
+import { reportsService } from '../services/api';
+import { copyToClipboard } from '../utils/helpers';
+import LoadingSpinner from './LoadingSpinner';
+
+const EXPIRY_OPTIONS = [1, 7, 14, 30, 90];
+
+// Creates and revokes client links to a final report. A link's URL is only
+// shown once, right after it is created.
+const ShareReportModal = ({ open, setOpen, report }) => {
+  const queryClient = useQueryClient();
+  const [expiresInDays, setExpiresInDays] = useState(14);
+  const [password, setPassword] = useState('');
+  const [createdUrl, setCreatedUrl] = useState('');
+
+  const reportId = report?.id;
+
+  const { data: shares = [], isLoading } = useQuery(
+    ['reportShares', reportId],
+    () => reportsService.getReportShares(reportId),
+    {
+      enabled: open && !!reportId
+    }
+  );
+
+  const createMutation = useMutation(
+    () => reportsService.createReportShare(reportId, { expiresInDays, password: password || undefined }),
+    {
+      onSuccess: ({ url }) => {
+        setCreatedUrl(url);
+        setPassword('');
+        queryClient.invalidateQueries(['reportShares', reportId]);
+      },
+      onError: (error) => {
+        toast.error(error.error || 'Failed to create share link');
+      }
+    }
+  );
+
+  const revokeMutation = useMutation(
+    (shareId) => reportsService.revokeReportShare(reportId, shareId),
+    {
+      onSuccess: () => {
+        toast.success('Share link revoked');
+        queryClient.invalidateQueries(['reportShares', reportId]);
+      },
+      onError: (error) => {
+        toast.error(error.error || 'Failed to revoke share link');
+      }
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createMutation.mutate();
+  };
+
+  const handleCopy = async () => {
+    if (await copyToClipboard(createdUrl)) {
+      toast.success('Link copied');
+    }
+  };
+
+  const handleClose = () => {
+    setOpen(false);
+    setCreatedUrl('');
+    setPassword('');
+  };
+
+  const shareState = (share) => {
+    if (share.revoked_at) return 'Revoked';
+    if (new Date(share.expires_at) <= new Date()) return 'Expired';
+    return `Expires ${new Date(share.expires_at).toLocaleDateString()}`;
+  };
+
+  return (
+    <Transition.Root show={open} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={handleClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 z-10 overflow-y-auto">
+          <div className="flex min-h-full items-end justify-center p-4 text-center sm:items-center sm:p-0">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+              enterTo="opacity-100 translate-y-0 sm:scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 translate-y-0 sm:scale-100"
+              leaveTo="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+            >
+              <Dialog.Panel className="relative transform overflow-hidden rounded-lg bg-white px-4 pb-4 pt-5 text-left shadow-xl transition-all sm:my-8 sm:w-full sm:max-w-lg sm:p-6">
+                <div className="absolute right-0 top-0 hidden pr-4 pt-4 sm:block">
+                  <button
+                    type="button"
+                    className="rounded-md bg-white text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+                    onClick={handleClose}
+                  >
+                    <span className="sr-only">Close</span>
+                    <XMarkIcon className="h-6 w-6" aria-hidden="true" />
+                  </button>
+                </div>
+
+                <div className="sm:flex sm:items-start">
+                  <div className="mx-auto flex h-12 w-12 flex-shrink-0 items-center justify-center rounded-full bg-blue-100 sm:mx-0 sm:h-10 sm:w-10">
+                    <ShareIcon className="h-6 w-6 text-blue-600" aria-hidden="true" />
+                  </div>
+                  <div className="mt-3 text-center sm:ml-4 sm:mt-0 sm:text-left w-full">
+                    <Dialog.Title as="h3" className="text-base font-semibold leading-6 text-gray-900">
+                      Share Report
+                    </Dialog.Title>
+                    <p className="mt-2 text-sm text-gray-500">
+                      Anyone with the link can view a read-only copy of this report until it expires or is revoked.
+                      Every view is logged.
+                    </p>
+
+                    {createdUrl ? (
+                      <div className="mt-6">
+                        <label className="block text-sm font-medium text-gray-700">Share link</label>
+                        <div className="mt-1 flex space-x-2">
+                          <input type="text" readOnly value={createdUrl} className="input flex-1" onFocus={(e) => e.target.select()} />
+                          <button type="button" onClick={handleCopy} className="btn-outline btn-sm px-2" title="Copy link">
+                            <ClipboardDocumentIcon className="h-4 w-4" />
+                          </button>
+                        </div>
+                        <p className="mt-2 text-xs text-gray-500">
+                          Copy the link now; it cannot be shown again.
+                        </p>
+                        <button type="button" onClick={() => setCreatedUrl('')} className="mt-4 btn-outline btn-sm">
+                          Create another link
+                        </button>
+                      </div>
+                    ) : (
+                      <form onSubmit={handleSubmit} className="mt-6 space-y-4">
+                        <div>
+                          <label htmlFor="expiresInDays" className="block text-sm font-medium text-gray-700">
+                            Link expires after
+                          </label>
+                          <select
+                            id="expiresInDays"
+                            className="mt-1 input"
+                            value={expiresInDays}
+                            onChange={(e) => setExpiresInDays(Number(e.target.value))}
+                          >
+                            {EXPIRY_OPTIONS.map((days) => (
+                              <option key={days} value={days}>
+                                {days === 1 ? '1 day' : `${days} days`}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+
+                        <div>
+                          <label htmlFor="sharePassword" className="block text-sm font-medium text-gray-700">
+                            Password (optional)
+                          </label>
+                          <input
+                            type="password"
+                            id="sharePassword"
+                            className="mt-1 input"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            minLength={8}
+                            autoComplete="new-password"
+                            placeholder="At least 8 characters"
+                          />
+                        </div>
+
+                        <div className="sm:flex sm:flex-row-reverse">
+                          <button
+                            type="submit"
+                            disabled={createMutation.isLoading}
+                            className="inline-flex w-full justify-center rounded-md bg-primary-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-primary-500 sm:ml-3 sm:w-auto disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            {createMutation.isLoading ? 'Creating...' : 'Create link'}
+                          </button>
+                        </div>
+                      </form>
+                    )}
+
+                    <div className="mt-6 border-t border-gray-200 pt-4">
+                      <h4 className="text-sm font-medium text-gray-900">Links</h4>
+                      {isLoading ? (
+                        <div className="py-4 text-center">
+                          <LoadingSpinner size="sm" />
+                        </div>
+                      ) : shares.length === 0 ? (
+                        <p className="mt-2 text-sm text-gray-500">This report has not been shared yet.</p>
+                      ) : (
+                        <ul className="mt-2 divide-y divide-gray-100">
+                          {shares.map((share) => (
+                            <li key={share.id} className="py-2 flex items-center justify-between text-sm">
+                              <div className="text-gray-700">
+                                <span className="flex items-center">
+                                  {share.password_protected && <LockClosedIcon className="h-3 w-3 mr-1 text-gray-400" />}
+                                  Created {new Date(share.created_at).toLocaleDateString()}
+                                </span>
+                                <span className="text-xs text-gray-500">
+                                  {shareState(share)} · {share.view_count} {share.view_count === 1 ? 'view' : 'views'}
+                                </span>
+                              </div>
+                              {!share.revoked_at && new Date(share.expires_at) > new Date() && (
+                                <button
+                                  type="button"
+                                  onClick={() => revokeMutation.mutate(share.id)}
+                                  disabled={revokeMutation.isLoading}
+                                  className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                                >
+                                  Revoke
+                                </button>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  );
+};
+
+export default ShareReportModal;
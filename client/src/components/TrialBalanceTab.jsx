@@ -0,0 +1,262 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import {
+  ArrowUpTrayIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  TableCellsIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { trialBalancesService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import ImportTrialBalanceModal from './ImportTrialBalanceModal';
+
+// Balances are signed, debit positive; credits are shown in brackets
+const formatAmount = (value) => {
+  const amount = Number(value) || 0;
+  const text = Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return amount < 0 ? `(${text})` : text;
+};
+
+const SummaryCheck = ({ label, ok, detail }) => (
+  <div className="card px-4 py-3">
+    <div className="flex items-center text-sm font-medium text-gray-900">
+      {ok ? (
+        <CheckCircleIcon className="h-5 w-5 text-success-500 mr-2" />
+      ) : (
+        <ExclamationTriangleIcon className="h-5 w-5 text-warning-500 mr-2" />
+      )}
+      {label}
+    </div>
+    <p className="mt-1 text-xs text-gray-500">{detail}</p>
+  </div>
+);
+
+// Imported trial balances: the checks for a period and each account with its
+// roll-forward difference and statement line mapping
+const TrialBalanceTab = ({ projectId, documents }) => {
+  const queryClient = useQueryClient();
+  const [periodEnd, setPeriodEnd] = useState(null);
+  const [issuesOnly, setIssuesOnly] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+
+  const { data, isLoading } = useQuery(
+    ['trialBalance', projectId, periodEnd],
+    () => trialBalancesService.getTrialBalance(projectId, periodEnd || undefined),
+    {
+      enabled: !!projectId,
+      keepPreviousData: true
+    }
+  );
+
+  const updateMutation = useMutation(
+    ({ accountId, changes }) => trialBalancesService.updateTrialBalanceAccount(projectId, accountId, changes),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['trialBalance', projectId]),
+      onError: (error) => toast.error(error.error || 'Failed to update the account')
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (period) => trialBalancesService.deleteTrialBalance(projectId, period),
+    {
+      onSuccess: () => {
+        toast.success('Trial balance deleted');
+        setPeriodEnd(null);
+        queryClient.invalidateQueries(['trialBalance', projectId]);
+      },
+      onError: (error) => toast.error(error.error || 'Failed to delete the trial balance')
+    }
+  );
+
+  const periods = data?.periods || [];
+  const summary = data?.summary;
+  const statementLines = data?.statementLines || [];
+  const accounts = (data?.accounts || []).filter((account) =>
+    !issuesOnly || !account.reconciled || !account.statement_line
+  );
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the trial balance for ${data.periodEnd}?`)) {
+      deleteMutation.mutate(data.periodEnd);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Trial Balance</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Import trial balances, reconcile each account and map it to the financial statements.
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          {periods.length > 0 && (
+            <select
+              className="input"
+              value={data.periodEnd || ''}
+              onChange={(e) => setPeriodEnd(e.target.value)}
+              aria-label="Period end"
+            >
+              {periods.map((period) => (
+                <option key={period.periodEnd} value={period.periodEnd}>
+                  {period.periodEnd} ({period.accountCount} accounts)
+                </option>
+              ))}
+            </select>
+          )}
+          {data?.periodEnd && (
+            <button onClick={handleDelete} className="btn-outline" disabled={deleteMutation.isLoading} title="Delete this period">
+              <TrashIcon className="h-4 w-4" />
+            </button>
+          )}
+          <button onClick={() => setImportOpen(true)} className="btn-primary">
+            <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+            Import
+          </button>
+        </div>
+      </div>
+
+      {!data?.periodEnd ? (
+        <div className="text-center py-12">
+          <TableCellsIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No trial balance yet</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Upload the client's trial balance as an XLSX or CSV document, then import it here.
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            <SummaryCheck
+              label="Debits equal credits"
+              ok={summary.movementsBalanced}
+              detail={`${formatAmount(summary.totals.debit)} Dr / ${formatAmount(summary.totals.credit)} Cr`}
+            />
+            <SummaryCheck
+              label="Balances net to nil"
+              ok={summary.openingBalanced && summary.closingBalanced}
+              detail={`Opening ${formatAmount(summary.totals.openingBalance)}, closing ${formatAmount(summary.totals.closingBalance)}`}
+            />
+            <SummaryCheck
+              label="Accounts reconciled"
+              ok={summary.unreconciled === 0}
+              detail={`${summary.accountCount - summary.unreconciled} of ${summary.accountCount} roll forward`}
+            />
+            <SummaryCheck
+              label="Accounts mapped"
+              ok={summary.unmapped === 0}
+              detail={`${summary.accountCount - summary.unmapped} of ${summary.accountCount} have a statement line`}
+            />
+          </div>
+
+          <div className="card overflow-hidden">
+            <div className="card-header flex items-center justify-between">
+              <h4 className="text-sm font-medium text-gray-900">Accounts at {data.periodEnd}</h4>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+                  checked={issuesOnly}
+                  onChange={(e) => setIssuesOnly(e.target.checked)}
+                />
+                Only accounts that need attention
+              </label>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left text-xs font-medium uppercase tracking-wide text-gray-500">
+                    <th className="px-4 py-2">Account</th>
+                    <th className="px-4 py-2 text-right">Opening</th>
+                    <th className="px-4 py-2 text-right">Debits</th>
+                    <th className="px-4 py-2 text-right">Credits</th>
+                    <th className="px-4 py-2 text-right">Closing</th>
+                    <th className="px-4 py-2 text-right">Difference</th>
+                    <th className="px-4 py-2">Statement line</th>
+                    <th className="px-4 py-2">Reconciled</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {accounts.map((account) => (
+                    <tr key={account.id} className={account.reconciled ? undefined : 'bg-red-50'}>
+                      <td className="px-4 py-2">
+                        <span className="font-mono text-gray-500 mr-2">{account.account_number}</span>
+                        <span className="text-gray-900">{account.account_name}</span>
+                      </td>
+                      <td className="px-4 py-2 text-right font-mono">{formatAmount(account.opening_balance)}</td>
+                      <td className="px-4 py-2 text-right font-mono">{formatAmount(account.debit_total)}</td>
+                      <td className="px-4 py-2 text-right font-mono">{formatAmount(account.credit_total)}</td>
+                      <td className="px-4 py-2 text-right font-mono">{formatAmount(account.closing_balance)}</td>
+                      <td className={`px-4 py-2 text-right font-mono ${account.difference !== 0 ? 'text-red-600 font-medium' : 'text-gray-400'}`}>
+                        {formatAmount(account.difference)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <select
+                          className={`input py-1 text-sm ${account.statement_line ? '' : 'border-warning-500'}`}
+                          value={account.statement_line || ''}
+                          onChange={(e) => updateMutation.mutate({
+                            accountId: account.id,
+                            changes: { statementLine: e.target.value || null }
+                          })}
+                          aria-label={`Statement line for ${account.account_number}`}
+                        >
+                          <option value="">Not mapped</option>
+                          {statementLines.map((line) => (
+                            <option key={line.key} value={line.key}>{line.label}</option>
+                          ))}
+                        </select>
+                        {account.mapping_source === 'manual' && (
+                          <span className="ml-1 text-xs text-gray-400">manual</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2">
+                        <button
+                          type="button"
+                          onClick={() => updateMutation.mutate({
+                            accountId: account.id,
+                            changes: { reconciled: !account.reconciled }
+                          })}
+                          className={`badge ${account.reconciled ? 'badge-success' : 'badge-danger'}`}
+                          title={account.reconciled ? 'Mark as not reconciled' : 'Mark as reconciled'}
+                        >
+                          {account.reconciled ? 'Reconciled' : 'Unreconciled'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {accounts.length === 0 && (
+                <p className="px-4 py-6 text-center text-sm text-gray-500">Every account reconciles and is mapped.</p>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      <ImportTrialBalanceModal
+        open={importOpen}
+        setOpen={setImportOpen}
+        projectId={projectId}
+        documents={documents}
+        onImported={(period) => {
+          setPeriodEnd(period);
+          queryClient.invalidateQueries(['trialBalance', projectId]);
+        }}
+      />
+    </div>
+  );
+};
+
+export default TrialBalanceTab;
@@ -0,0 +1,527 @@
+import React, { useEffect, useState, Fragment } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import { useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import {
+  XMarkIcon,
+  ClipboardDocumentListIcon,
+  PlusIcon,
+  TrashIcon,
+  ShieldCheckIcon
+} from '@heroicons/react/24/outline';
+import { workpapersService } from '../services/api';
+import { formatDate } from '../utils/helpers';
+import WorkpaperSamples from './WorkpaperSamples';
+
+export const WORKPAPER_STATUS_LABELS = {
+  draft: 'Draft',
+  in_review: 'In review',
+  reviewed: 'Signed off'
+};
+
+export const WORKPAPER_STATUS_BADGES = {
+  draft: 'badge-warning',
+  in_review: 'badge-primary',
+  reviewed: 'badge-success'
+};
+
+const formFrom = (workpaper, parent, areas) => ({
+  name: workpaper?.name || '',
+  auditArea: workpaper?.audit_area || parent?.audit_area || areas[0]?.key || '',
+  description: workpaper?.description || '',
+  procedureSteps: (workpaper?.procedure_steps || []).map((step) => ({ result: '', ...step })),
+  conclusion: workpaper?.conclusion || '',
+  supportingDocumentIds: workpaper?.supporting_documents || [],
+  riskIdentified: !!workpaper?.risk_identified,
+  materialityImpact: workpaper?.materiality_impact ?? ''
+});
+
+// Creates a workpaper, or edits and reviews one. Only drafts can be edited;
+// sign-off has to come from someone other than the preparer.
+const WorkpaperModal = ({ open, onClose, onSaved, projectId, workpaper, parent, areas, documents, currentUserId }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(() => formFrom(workpaper, parent, areas));
+  const [reviewComment, setReviewComment] = useState('');
+
+  // Reset whenever another workpaper is opened or this one changes
+  useEffect(() => {
+    if (open) {
+      setForm(formFrom(workpaper, parent, areas));
+    }
+  }, [open, workpaper?.id, workpaper?.updated_at, parent?.id]);
+
+  const isNew = !workpaper;
+  const canEdit = isNew || workpaper.status === 'draft';
+  const isPreparer = !!workpaper && workpaper.prepared_by === currentUserId;
+
+  const onSuccess = (message) => (updated) => {
+    if (message) toast.success(message);
+    queryClient.invalidateQueries(['workpapers', projectId]);
+    onSaved(updated);
+  };
+
+  const onError = (fallback) => (error) => {
+    toast.error(error.error || fallback);
+  };
+
+  const payload = () => ({
+    name: form.name.trim(),
+    description: form.description,
+    procedureSteps: form.procedureSteps
+      .filter((step) => step.description.trim())
+      .map(({ description, done, result }) => ({ description, done, result })),
+    conclusion: form.conclusion,
+    supportingDocumentIds: form.supportingDocumentIds,
+    riskIdentified: form.riskIdentified,
+    materialityImpact: form.materialityImpact === '' ? null : Number(form.materialityImpact)
+  });
+
+  const saveMutation = useMutation(
+    () => isNew
+      ? workpapersService.createWorkpaper(projectId, {
+          ...payload(),
+          auditArea: form.auditArea,
+          parentWorkpaperId: parent?.id
+        })
+      : workpapersService.updateWorkpaper(projectId, workpaper.id, payload()),
+    {
+      onSuccess: onSuccess(isNew ? 'Workpaper created' : 'Workpaper saved'),
+      onError: onError('Failed to save workpaper')
+    }
+  );
+
+  const submitMutation = useMutation(
+    async () => {
+      await workpapersService.updateWorkpaper(projectId, workpaper.id, payload());
+      return workpapersService.submitWorkpaper(projectId, workpaper.id);
+    },
+    {
+      onSuccess: onSuccess('Workpaper submitted for review'),
+      onError: onError('Failed to submit workpaper')
+    }
+  );
+
+  const reviewMutation = useMutation(
+    (decision) => workpapersService.reviewWorkpaper(projectId, workpaper.id, decision, reviewComment.trim() || undefined),
+    {
+      onSuccess: (updated, decision) => {
+        setReviewComment('');
+        onSuccess(decision === 'approve' ? 'Workpaper signed off' : 'Workpaper returned to draft')(updated);
+      },
+      onError: onError('Failed to review workpaper')
+    }
+  );
+
+  const deleteMutation = useMutation(
+    () => workpapersService.deleteWorkpaper(projectId, workpaper.id),
+    {
+      onSuccess: () => {
+        toast.success('Workpaper deleted');
+        queryClient.invalidateQueries(['workpapers', projectId]);
+        onClose();
+      },
+      onError: onError('Failed to delete workpaper')
+    }
+  );
+
+  const isBusy = saveMutation.isLoading || submitMutation.isLoading || reviewMutation.isLoading || deleteMutation.isLoading;
+
+  const setField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const setStep = (index, changes) => {
+    setForm((current) => ({
+      ...current,
+      procedureSteps: current.procedureSteps.map((step, i) => (i === index ? { ...step, ...changes } : step))
+    }));
+  };
+
+  const toggleDocument = (documentId) => {
+    setForm((current) => ({
+      ...current,
+      supportingDocumentIds: current.supportingDocumentIds.includes(documentId)
+        ? current.supportingDocumentIds.filter((id) => id !== documentId)
+        : [...current.supportingDocumentIds, documentId]
+    }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    saveMutation.mutate();
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete workpaper ${workpaper.reference_number}?`)) {
+      deleteMutation.mutate();
+    }
+  };
+
+  const attachedDocuments = documents.filter((document) => form.supportingDocumentIds.includes(document.id));
+
+  return (
+    <Transition.Root show={open} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 z-10 overflow-y-auto">
+          <div className="flex min-h-full items-end justify-center p-4 text-center sm:items-center sm:p-0">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+              enterTo="opacity-100 translate-y-0 sm:scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 translate-y-0 sm:scale-100"
+              leaveTo="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+            >
+              <Dialog.Panel className="relative transform overflow-hidden rounded-lg bg-white px-4 pb-4 pt-5 text-left shadow-xl transition-all sm:my-8 sm:w-full sm:max-w-3xl sm:p-6">
+                <div className="absolute right-0 top-0 hidden pr-4 pt-4 sm:block">
+                  <button
+                    type="button"
+                    className="rounded-md bg-white text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+                    onClick={onClose}
+                  >
+                    <span className="sr-only">Close</span>
+                    <XMarkIcon className="h-6 w-6" aria-hidden="true" />
+                  </button>
+                </div>
+
+                <div className="sm:flex sm:items-start">
+                  <div className="mx-auto flex h-12 w-12 flex-shrink-0 items-center justify-center rounded-full bg-blue-100 sm:mx-0 sm:h-10 sm:w-10">
+                    <ClipboardDocumentListIcon className="h-6 w-6 text-blue-600" aria-hidden="true" />
+                  </div>
+                  <div className="mt-3 text-center sm:ml-4 sm:mt-0 sm:text-left w-full">
+                    <Dialog.Title as="h3" className="text-base font-semibold leading-6 text-gray-900">
+                      {isNew
+                        ? parent ? `New Workpaper below ${parent.reference_number}` : 'New Workpaper'
+                        : `${workpaper.reference_number} ${workpaper.name}`}
+                    </Dialog.Title>
+                    {!isNew && (
+                      <div className="mt-1">
+                        <span className={`badge ${WORKPAPER_STATUS_BADGES[workpaper.status]}`}>
+                          {WORKPAPER_STATUS_LABELS[workpaper.status]}
+                        </span>
+                      </div>
+                    )}
+
+                    <form onSubmit={handleSave} className="mt-6 space-y-4">
+                      <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                        <div className="sm:col-span-2">
+                          <label htmlFor="workpaperName" className="block text-sm font-medium text-gray-700">
+                            Name
+                          </label>
+                          <input
+                            type="text"
+                            id="workpaperName"
+                            className="mt-1 input"
+                            value={form.name}
+                            onChange={setField('name')}
+                            placeholder="e.g., Bank reconciliations"
+                            maxLength={255}
+                            disabled={!canEdit}
+                            required
+                          />
+                        </div>
+                        <div>
+                          <label htmlFor="workpaperArea" className="block text-sm font-medium text-gray-700">
+                            Audit area
+                          </label>
+                          <select
+                            id="workpaperArea"
+                            className="mt-1 input"
+                            value={form.auditArea}
+                            onChange={setField('auditArea')}
+                            disabled={!isNew || !!parent}
+                          >
+                            {areas.map((area) => (
+                              <option key={area.key} value={area.key}>{area.code} · {area.name}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+
+                      <div>
+                        <label htmlFor="workpaperDescription" className="block text-sm font-medium text-gray-700">
+                          Objective and scope
+                        </label>
+                        <textarea
+                          id="workpaperDescription"
+                          rows={2}
+                          className="mt-1 input"
+                          value={form.description}
+                          onChange={setField('description')}
+                          disabled={!canEdit}
+                        />
+                      </div>
+
+                      <div>
+                        <div className="flex items-center justify-between">
+                          <span className="block text-sm font-medium text-gray-700">Procedure steps</span>
+                          {canEdit && (
+                            <button
+                              type="button"
+                              onClick={() => setForm((current) => ({
+                                ...current,
+                                procedureSteps: [...current.procedureSteps, { description: '', done: false, result: '' }]
+                              }))}
+                              className="text-sm text-primary-600 hover:text-primary-700 flex items-center"
+                            >
+                              <PlusIcon className="h-4 w-4 mr-1" />
+                              Add step
+                            </button>
+                          )}
+                        </div>
+                        {form.procedureSteps.length === 0 ? (
+                          <p className="mt-1 text-sm text-gray-500">No procedure steps.</p>
+                        ) : (
+                          <ol className="mt-2 space-y-2">
+                            {form.procedureSteps.map((step, index) => (
+                              <li key={index} className="flex items-start space-x-2">
+                                <input
+                                  type="checkbox"
+                                  checked={step.done}
+                                  onChange={(e) => setStep(index, { done: e.target.checked })}
+                                  disabled={!canEdit}
+                                  className="mt-2 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                                  aria-label="Step done"
+                                />
+                                <div className="flex-1 space-y-1">
+                                  <input
+                                    type="text"
+                                    className="input"
+                                    value={step.description}
+                                    onChange={(e) => setStep(index, { description: e.target.value })}
+                                    placeholder={`Step ${index + 1}`}
+                                    disabled={!canEdit}
+                                  />
+                                  <input
+                                    type="text"
+                                    className="input text-xs"
+                                    value={step.result || ''}
+                                    onChange={(e) => setStep(index, { result: e.target.value })}
+                                    placeholder="Result"
+                                    disabled={!canEdit}
+                                  />
+                                </div>
+                                {canEdit && (
+                                  <button
+                                    type="button"
+                                    onClick={() => setForm((current) => ({
+                                      ...current,
+                                      procedureSteps: current.procedureSteps.filter((_, i) => i !== index)
+                                    }))}
+                                    className="mt-2 text-gray-400 hover:text-red-600"
+                                    title="Remove step"
+                                  >
+                                    <TrashIcon className="h-4 w-4" />
+                                  </button>
+                                )}
+                              </li>
+                            ))}
+                          </ol>
+                        )}
+                      </div>
+
+                      <div>
+                        <span className="block text-sm font-medium text-gray-700">Supporting documents</span>
+                        {canEdit ? (
+                          documents.length === 0 ? (
+                            <p className="mt-1 text-sm text-gray-500">Upload documents to the project to attach them.</p>
+                          ) : (
+                            <div className="mt-1 max-h-32 overflow-y-auto rounded-md border border-gray-200 p-2 space-y-1">
+                              {documents.map((document) => (
+                                <label key={document.id} className="flex items-center text-sm text-gray-700">
+                                  <input
+                                    type="checkbox"
+                                    checked={form.supportingDocumentIds.includes(document.id)}
+                                    onChange={() => toggleDocument(document.id)}
+                                    className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                                  />
+                                  <span className="truncate">{document.original_name}</span>
+                                </label>
+                              ))}
+                            </div>
+                          )
+                        ) : attachedDocuments.length === 0 ? (
+                          <p className="mt-1 text-sm text-gray-500">None attached.</p>
+                        ) : (
+                          <ul className="mt-1 text-sm text-gray-700 list-disc list-inside">
+                            {attachedDocuments.map((document) => (
+                              <li key={document.id}>{document.original_name}</li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+
+                      <div>
+                        <label htmlFor="workpaperConclusion" className="block text-sm font-medium text-gray-700">
+                          Conclusion
+                        </label>
+                        <textarea
+                          id="workpaperConclusion"
+                          rows={3}
+                          className="mt-1 input"
+                          value={form.conclusion}
+                          onChange={setField('conclusion')}
+                          placeholder="Required before submitting for review"
+                          disabled={!canEdit}
+                        />
+                      </div>
+
+                      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                        <div className="flex items-center">
+                          <input
+                            id="workpaperRisk"
+                            type="checkbox"
+                            checked={form.riskIdentified}
+                            onChange={setField('riskIdentified')}
+                            disabled={!canEdit}
+                            className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                          />
+                          <label htmlFor="workpaperRisk" className="ml-2 block text-sm text-gray-900">
+                            Risk identified
+                          </label>
+                        </div>
+                        <div>
+                          <label htmlFor="workpaperMateriality" className="block text-sm font-medium text-gray-700">
+                            Materiality impact
+                          </label>
+                          <input
+                            type="number"
+                            step="any"
+                            id="workpaperMateriality"
+                            className="mt-1 input"
+                            value={form.materialityImpact}
+                            onChange={setField('materialityImpact')}
+                            disabled={!canEdit}
+                          />
+                        </div>
+                      </div>
+
+                      {canEdit && (
+                        <div className="flex items-center justify-between pt-2">
+                          <div>
+                            {!isNew && !workpaper.procedure_key && (
+                              <button
+                                type="button"
+                                onClick={handleDelete}
+                                disabled={isBusy}
+                                className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                              >
+                                Delete
+                              </button>
+                            )}
+                          </div>
+                          <div className="flex space-x-2">
+                            <button type="submit" disabled={isBusy} className="btn-outline btn-sm">
+                              {saveMutation.isLoading ? 'Saving...' : isNew ? 'Create workpaper' : 'Save'}
+                            </button>
+                            {!isNew && (
+                              <button
+                                type="button"
+                                onClick={() => submitMutation.mutate()}
+                                disabled={isBusy}
+                                className="btn-primary btn-sm"
+                              >
+                                Submit for review
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      )}
+                    </form>
+
+                    {!isNew && (
+                      <WorkpaperSamples
+                        projectId={projectId}
+                        workpaper={workpaper}
+                        documents={documents}
+                        canEdit={canEdit}
+                      />
+                    )}
+
+                    {workpaper?.review_notes?.length > 0 && (
+                      <div className="mt-6 border-t border-gray-200 pt-4">
+                        <h4 className="text-sm font-medium text-gray-900">Review notes</h4>
+                        <ul className="mt-2 space-y-2">
+                          {workpaper.review_notes.map((note, index) => (
+                            <li key={index} className="text-sm text-gray-700">
+                              <span className="text-xs text-gray-500">
+                                {formatDate(note.created_at)} · {note.decision === 'approve' ? 'Signed off' : 'Returned'}
+                              </span>
+                              <p>{note.comment}</p>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
+                    {workpaper?.status === 'in_review' && (
+                      <div className="mt-6 border-t border-gray-200 pt-4">
+                        {isPreparer ? (
+                          <p className="text-sm text-gray-600">Waiting for a reviewer to sign off this workpaper.</p>
+                        ) : (
+                          <div>
+                            <label htmlFor="workpaperReviewComment" className="block text-sm font-medium text-gray-700">
+                              Review comment
+                            </label>
+                            <textarea
+                              id="workpaperReviewComment"
+                              value={reviewComment}
+                              onChange={(e) => setReviewComment(e.target.value)}
+                              rows={3}
+                              placeholder="Required when returning the workpaper to the preparer"
+                              className="mt-1 input"
+                            />
+                            <div className="mt-2 flex justify-end space-x-2">
+                              <button
+                                onClick={() => reviewMutation.mutate('reject')}
+                                disabled={isBusy || !reviewComment.trim()}
+                                className="btn-outline btn-sm"
+                              >
+                                Return to draft
+                              </button>
+                              <button
+                                onClick={() => reviewMutation.mutate('approve')}
+                                disabled={isBusy}
+                                className="btn-primary btn-sm"
+                              >
+                                <ShieldCheckIcon className="h-4 w-4 mr-1" />
+                                Sign off
+                              </button>
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    )}
+
+                    {workpaper?.status === 'reviewed' && (
+                      <p className="mt-6 border-t border-gray-200 pt-4 flex items-center text-sm text-success-800 font-medium">
+                        <ShieldCheckIcon className="h-4 w-4 mr-1" />
+                        Signed off {workpaper.reviewed_at && formatDate(workpaper.reviewed_at)}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  );
+};
+
+export default WorkpaperModal;
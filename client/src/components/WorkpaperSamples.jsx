@@ -0,0 +1,419 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { ChevronDownIcon, ChevronRightIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { samplesService } from '../services/api';
+
+const METHOD_LABELS = {
+  random: 'Random',
+  systematic: 'Systematic',
+  monetary_unit: 'Monetary unit',
+  judgmental: 'Judgmental (largest items)'
+};
+
+const CONFIDENCE_LEVELS = [75, 80, 85, 90, 95, 99];
+
+const SPREADSHEET_PATTERN = /\.(xlsx|xls|csv)$/i;
+
+const emptyForm = () => ({
+  method: 'monetary_unit',
+  populationType: 'spreadsheet',
+  periodEnd: '',
+  documentId: '',
+  tableNumber: '1',
+  sheet: '',
+  amountColumn: '',
+  referenceColumn: '',
+  confidenceLevel: 95,
+  tolerableMisstatement: '',
+  expectedMisstatement: '',
+  sampleSize: '',
+  seed: ''
+});
+
+const formatAmount = (value) => {
+  if (value === null || value === undefined) return '-';
+  const amount = Number(value) || 0;
+  const text = Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return amount < 0 ? `(${text})` : text;
+};
+
+const describePopulation = (source) => {
+  if (!source) return 'Population not recorded';
+  if (source.type === 'trial_balance') return `Trial balance at ${source.periodEnd}`;
+  if (source.type === 'table') return `Extracted table ${source.tableIndex + 1}, ${source.amountColumn}`;
+  return `Ledger${source.sheet ? ` sheet ${source.sheet}` : ''}, ${source.amountColumn}`;
+};
+
+// One sample with its items; audited amounts are entered per item and saved
+// together, which works out the exceptions and projected misstatement again
+const SampleCard = ({ sample, canEdit, onSave, onDelete, isBusy }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [results, setResults] = useState({});
+  const [conclusion, setConclusion] = useState(sample.conclusion || '');
+  const items = Array.isArray(sample.selected_items) ? sample.selected_items : [];
+  const { evaluation } = sample;
+
+  useEffect(() => {
+    setResults({});
+    setConclusion(sample.conclusion || '');
+  }, [sample.updated_at]);
+
+  const valueOf = (item, field) => (results[item.index]?.[field] ?? item[field] ?? '');
+
+  const setResult = (item, field, value) => {
+    setResults((current) => ({
+      ...current,
+      [item.index]: { ...current[item.index], [field]: value }
+    }));
+  };
+
+  const handleSave = () => {
+    onSave({
+      results: Object.entries(results).map(([index, result]) => ({
+        index: Number(index),
+        ...(result.auditedAmount !== undefined
+          ? { auditedAmount: result.auditedAmount === '' ? null : Number(result.auditedAmount) }
+          : {}),
+        ...(result.note !== undefined ? { note: result.note } : {})
+      })),
+      conclusion
+    });
+  };
+
+  return (
+    <li className="rounded-md border border-gray-200">
+      <div className="flex items-start justify-between p-3">
+        <button type="button" onClick={() => setExpanded(!expanded)} className="flex items-start text-left">
+          {expanded ? (
+            <ChevronDownIcon className="h-4 w-4 mt-0.5 mr-2 text-gray-400" />
+          ) : (
+            <ChevronRightIcon className="h-4 w-4 mt-0.5 mr-2 text-gray-400" />
+          )}
+          <div>
+            <p className="text-sm font-medium text-gray-900">
+              {METHOD_LABELS[sample.sampling_method] || 'Sample'} · {sample.sample_size} of {sample.population_size} items
+            </p>
+            <p className="text-xs text-gray-500">
+              {describePopulation(sample.population_source)} · {sample.confidence_level}% confidence · tolerable{' '}
+              {formatAmount(sample.materiality_threshold)}
+              {sample.seed ? ` · seed ${sample.seed}` : ''}
+            </p>
+            <p className="text-xs text-gray-500">
+              {evaluation.tested} tested, {evaluation.exceptions} exceptions · projected misstatement{' '}
+              {formatAmount(evaluation.projectedMisstatement)}
+              {evaluation.upperMisstatementLimit !== null && ` · upper limit ${formatAmount(evaluation.upperMisstatementLimit)}`}
+            </p>
+          </div>
+        </button>
+        <div className="flex items-center space-x-2">
+          {evaluation.tested > 0 && (
+            <span className={`badge ${evaluation.exceedsTolerable ? 'badge-danger' : 'badge-success'}`}>
+              {evaluation.exceedsTolerable ? 'Exceeds tolerable' : 'Within tolerable'}
+            </span>
+          )}
+          {canEdit && (
+            <button
+              type="button"
+              onClick={onDelete}
+              disabled={isBusy}
+              className="text-gray-400 hover:text-red-600"
+              title="Delete sample"
+            >
+              <TrashIcon className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="border-t border-gray-200 p-3 space-y-3">
+          <div className="max-h-72 overflow-y-auto">
+            <table className="min-w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left font-medium uppercase tracking-wide text-gray-500">
+                  <th className="px-2 py-1">Item</th>
+                  <th className="px-2 py-1 text-right">Amount</th>
+                  <th className="px-2 py-1 text-right">Audited</th>
+                  <th className="px-2 py-1">Note</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {items.map((item) => (
+                  <tr key={item.index} className={item.misstatement ? 'bg-red-50' : undefined}>
+                    <td className="px-2 py-1">
+                      <span className="font-mono text-gray-700">{item.reference}</span>
+                      {item.description && <span className="ml-2 text-gray-500">{item.description}</span>}
+                    </td>
+                    <td className="px-2 py-1 text-right font-mono">{formatAmount(item.amount)}</td>
+                    <td className="px-2 py-1 text-right">
+                      <input
+                        type="number"
+                        step="any"
+                        className="input py-0.5 text-xs text-right w-28"
+                        value={valueOf(item, 'auditedAmount')}
+                        onChange={(e) => setResult(item, 'auditedAmount', e.target.value)}
+                        disabled={!canEdit}
+                        aria-label={`Audited amount of ${item.reference}`}
+                      />
+                    </td>
+                    <td className="px-2 py-1">
+                      <input
+                        type="text"
+                        className="input py-0.5 text-xs"
+                        value={valueOf(item, 'note')}
+                        onChange={(e) => setResult(item, 'note', e.target.value)}
+                        disabled={!canEdit}
+                        aria-label={`Note on ${item.reference}`}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <textarea
+            rows={2}
+            className="input text-sm"
+            value={conclusion}
+            onChange={(e) => setConclusion(e.target.value)}
+            placeholder="Conclusion on the sample"
+            disabled={!canEdit}
+          />
+          {canEdit && (
+            <div className="flex justify-end">
+              <button type="button" onClick={handleSave} disabled={isBusy} className="btn-outline btn-sm">
+                Save results
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </li>
+  );
+};
+
+// Audit samples of a workpaper: drawing a sample from a population and
+// recording the results of testing it
+const WorkpaperSamples = ({ projectId, workpaper, documents, canEdit }) => {
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const queryKey = ['workpapers', projectId, workpaper.id, 'samples'];
+
+  const { data: samples = [] } = useQuery(
+    queryKey,
+    () => samplesService.getSamples(projectId, workpaper.id),
+    { enabled: !!workpaper.id }
+  );
+
+  const population = () => {
+    if (form.populationType === 'trial_balance') {
+      return { type: 'trial_balance', periodEnd: form.periodEnd };
+    }
+    return {
+      type: form.populationType,
+      documentId: form.documentId,
+      amountColumn: form.amountColumn.trim(),
+      referenceColumn: form.referenceColumn.trim() || undefined,
+      ...(form.populationType === 'table'
+        ? { tableIndex: Number(form.tableNumber) - 1 }
+        : { sheet: form.sheet.trim() || undefined })
+    };
+  };
+
+  const createMutation = useMutation(
+    () => samplesService.createSample(projectId, workpaper.id, {
+      method: form.method,
+      population: population(),
+      confidenceLevel: Number(form.confidenceLevel),
+      // Left empty, the project's performance materiality is used
+      tolerableMisstatement: form.tolerableMisstatement === '' ? undefined : Number(form.tolerableMisstatement),
+      expectedMisstatement: form.expectedMisstatement === '' ? 0 : Number(form.expectedMisstatement),
+      sampleSize: form.sampleSize === '' ? undefined : Number(form.sampleSize),
+      seed: form.seed === '' ? undefined : Number(form.seed)
+    }),
+    {
+      onSuccess: (result) => {
+        toast.success(`Selected ${result.sample.sample_size} items (planned size ${result.plannedSize})`);
+        setForm(emptyForm());
+        setShowForm(false);
+        queryClient.invalidateQueries(queryKey);
+      },
+      onError: (error) => toast.error(error.error || 'Failed to draw the sample')
+    }
+  );
+
+  const saveMutation = useMutation(
+    ({ sampleId, changes }) => samplesService.recordSampleResults(projectId, workpaper.id, sampleId, changes),
+    {
+      onSuccess: () => {
+        toast.success('Sample results saved');
+        queryClient.invalidateQueries(queryKey);
+      },
+      onError: (error) => toast.error(error.error || 'Failed to save the results')
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (sampleId) => samplesService.deleteSample(projectId, workpaper.id, sampleId),
+    {
+      onSuccess: () => queryClient.invalidateQueries(queryKey),
+      onError: (error) => toast.error(error.error || 'Failed to delete the sample')
+    }
+  );
+
+  const setField = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (form.tolerableMisstatement !== '' && !(Number(form.tolerableMisstatement) > 0)) {
+      toast.error('Enter a positive tolerable misstatement');
+      return;
+    }
+    createMutation.mutate();
+  };
+
+  const sourceDocuments = form.populationType === 'spreadsheet'
+    ? documents.filter((document) => SPREADSHEET_PATTERN.test(document.original_name || ''))
+    : documents;
+  const isBusy = createMutation.isLoading || saveMutation.isLoading || deleteMutation.isLoading;
+
+  return (
+    <div className="mt-6 border-t border-gray-200 pt-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-gray-900">Audit samples</h4>
+        {canEdit && !showForm && (
+          <button
+            type="button"
+            onClick={() => setShowForm(true)}
+            className="text-sm text-primary-600 hover:text-primary-700 flex items-center"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Draw sample
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="mt-3 rounded-md border border-gray-200 p-3 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="sampleMethod" className="block text-xs font-medium text-gray-700">Method</label>
+              <select id="sampleMethod" className="mt-1 input" value={form.method} onChange={setField('method')}>
+                {Object.entries(METHOD_LABELS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="samplePopulation" className="block text-xs font-medium text-gray-700">Population</label>
+              <select id="samplePopulation" className="mt-1 input" value={form.populationType} onChange={setField('populationType')}>
+                <option value="spreadsheet">Ledger spreadsheet</option>
+                <option value="table">Table extracted from a document</option>
+                <option value="trial_balance">Trial balance accounts</option>
+              </select>
+            </div>
+          </div>
+
+          {form.populationType === 'trial_balance' ? (
+            <div>
+              <label htmlFor="samplePeriodEnd" className="block text-xs font-medium text-gray-700">Period end</label>
+              <input type="date" id="samplePeriodEnd" className="mt-1 input" value={form.periodEnd} onChange={setField('periodEnd')} required />
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-3">
+              <div className="col-span-2">
+                <label htmlFor="sampleDocument" className="block text-xs font-medium text-gray-700">Document</label>
+                <select id="sampleDocument" className="mt-1 input" value={form.documentId} onChange={setField('documentId')} required>
+                  <option value="">Choose a document</option>
+                  {sourceDocuments.map((document) => (
+                    <option key={document.id} value={document.id}>{document.original_name}</option>
+                  ))}
+                </select>
+              </div>
+              {form.populationType === 'table' ? (
+                <div>
+                  <label htmlFor="sampleTable" className="block text-xs font-medium text-gray-700">Table number</label>
+                  <input type="number" min="1" id="sampleTable" className="mt-1 input" value={form.tableNumber} onChange={setField('tableNumber')} required />
+                </div>
+              ) : (
+                <div>
+                  <label htmlFor="sampleSheet" className="block text-xs font-medium text-gray-700">Sheet</label>
+                  <input type="text" id="sampleSheet" className="mt-1 input" value={form.sheet} onChange={setField('sheet')} placeholder="First sheet" />
+                </div>
+              )}
+              <div>
+                <label htmlFor="sampleAmountColumn" className="block text-xs font-medium text-gray-700">Amount column</label>
+                <input type="text" id="sampleAmountColumn" className="mt-1 input" value={form.amountColumn} onChange={setField('amountColumn')} placeholder="e.g., Amount" required />
+              </div>
+              <div>
+                <label htmlFor="sampleReferenceColumn" className="block text-xs font-medium text-gray-700">Reference column</label>
+                <input type="text" id="sampleReferenceColumn" className="mt-1 input" value={form.referenceColumn} onChange={setField('referenceColumn')} placeholder="First column" />
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label htmlFor="sampleConfidence" className="block text-xs font-medium text-gray-700">Confidence</label>
+              <select id="sampleConfidence" className="mt-1 input" value={form.confidenceLevel} onChange={setField('confidenceLevel')}>
+                {CONFIDENCE_LEVELS.map((level) => (
+                  <option key={level} value={level}>{level}%</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="sampleTolerable" className="block text-xs font-medium text-gray-700">Tolerable misstatement</label>
+              <input type="number" step="any" min="0" id="sampleTolerable" className="mt-1 input" value={form.tolerableMisstatement} onChange={setField('tolerableMisstatement')} placeholder="Performance materiality" />
+            </div>
+            <div>
+              <label htmlFor="sampleExpected" className="block text-xs font-medium text-gray-700">Expected misstatement</label>
+              <input type="number" step="any" min="0" id="sampleExpected" className="mt-1 input" value={form.expectedMisstatement} onChange={setField('expectedMisstatement')} placeholder="0" />
+            </div>
+            <div>
+              <label htmlFor="sampleSize" className="block text-xs font-medium text-gray-700">Sample size</label>
+              <input type="number" min="1" id="sampleSize" className="mt-1 input" value={form.sampleSize} onChange={setField('sampleSize')} placeholder="Planned" />
+            </div>
+            <div>
+              <label htmlFor="sampleSeed" className="block text-xs font-medium text-gray-700">Seed</label>
+              <input type="number" min="1" id="sampleSeed" className="mt-1 input" value={form.seed} onChange={setField('seed')} placeholder="Random" disabled={form.method === 'judgmental'} />
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-2">
+            <button type="button" className="btn-outline btn-sm" onClick={() => setShowForm(false)}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary btn-sm" disabled={isBusy}>
+              {createMutation.isLoading ? 'Selecting...' : 'Select items'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {samples.length === 0 ? (
+        !showForm && <p className="mt-1 text-sm text-gray-500">No samples drawn.</p>
+      ) : (
+        <ul className="mt-3 space-y-2">
+          {samples.map((sample) => (
+            <SampleCard
+              key={sample.id}
+              sample={sample}
+              canEdit={canEdit}
+              isBusy={isBusy}
+              onSave={(changes) => saveMutation.mutate({ sampleId: sample.id, changes })}
+              onDelete={() => {
+                if (window.confirm('Delete this sample and its results?')) {
+                  deleteMutation.mutate(sample.id);
+                }
+              }}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WorkpaperSamples;
@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import {
+  ClipboardDocumentListIcon,
+  PaperClipIcon,
+  PlusIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import { workpapersService, auditProgramsService } from '../services/api';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import LoadingSpinner from './LoadingSpinner';
+import WorkpaperModal, { WORKPAPER_STATUS_BADGES, WORKPAPER_STATUS_LABELS } from './WorkpaperModal';
+import MaterialityCard from './MaterialityCard';
+
+// Workpapers of a project, grouped by audit area in reference number order
+const WorkpapersTab = ({ projectId }) => {
+  const { user } = useAuth();
+  // { workpaper } to open one, { parent } or {} to create one
+  const [editing, setEditing] = useState(null);
+
+  const { data, isLoading } = useQuery(
+    ['workpapers', projectId],
+    () => workpapersService.getWorkpapers(projectId),
+    {
+      enabled: !!projectId
+    }
+  );
+
+  // Under the workpapers key so that workpaper changes refresh the progress
+  const { data: programs = [] } = useQuery(
+    ['workpapers', projectId, 'programs'],
+    () => auditProgramsService.getAuditPrograms(projectId),
+    {
+      enabled: !!projectId
+    }
+  );
+
+  const workpapers = data?.workpapers || [];
+  const areas = data?.areas || [];
+  const groups = areas
+    .map((area) => ({ area, workpapers: workpapers.filter((workpaper) => workpaper.audit_area === area.key) }))
+    .filter((group) => group.workpapers.length > 0);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Workpapers</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Document audit procedures, evidence and conclusions, and take them through review and sign-off.
+          </p>
+        </div>
+        <button onClick={() => setEditing({})} className="btn-primary">
+          <PlusIcon className="h-4 w-4 mr-2" />
+          New Workpaper
+        </button>
+      </div>
+
+      <MaterialityCard projectId={projectId} workpapers={workpapers} />
+
+      {programs.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h4 className="text-sm font-medium text-gray-900">Audit Programs</h4>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {programs.map((program) => (
+              <li key={program.id} className="px-6 py-3">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-medium text-gray-900">
+                    {program.name}
+                    {program.standard_reference && (
+                      <span className="ml-2 text-xs font-normal text-gray-500">{program.standard_reference}</span>
+                    )}
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    {program.progress.reviewed}/{program.progress.required} procedures signed off
+                    {program.progress.inReview > 0 && ` · ${program.progress.inReview} in review`}
+                  </span>
+                </div>
+                <div className="mt-2 w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className={`h-2 rounded-full transition-all duration-300 ${program.status === 'completed' ? 'bg-success-500' : 'bg-primary-600'}`}
+                    style={{ width: `${program.progress.percent}%` }}
+                  />
+                </div>
+                <div className="mt-2 flex flex-wrap gap-1">
+                  {program.procedures.filter((procedure) => procedure.workpaper).map((procedure) => (
+                    <button
+                      key={procedure.key}
+                      type="button"
+                      onClick={() => {
+                        const workpaper = workpapers.find((other) => other.id === procedure.workpaper.id);
+                        if (workpaper) setEditing({ workpaper });
+                      }}
+                      className={`badge ${WORKPAPER_STATUS_BADGES[procedure.workpaper.status]}`}
+                      title={`${procedure.step} · ${WORKPAPER_STATUS_LABELS[procedure.workpaper.status]}`}
+                    >
+                      {procedure.workpaper.reference_number}
+                    </button>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {groups.length === 0 ? (
+        <div className="text-center py-12">
+          <ClipboardDocumentListIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No workpapers yet</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Create a workpaper for an audit area; it is numbered automatically (A-1, B-2, B-2.1).
+          </p>
+        </div>
+      ) : (
+        groups.map(({ area, workpapers: areaWorkpapers }) => (
+          <div key={area.key} className="card">
+            <div className="card-header">
+              <h4 className="text-sm font-medium text-gray-900">
+                {area.code} · {area.name}
+              </h4>
+            </div>
+            <ul className="divide-y divide-gray-100">
+              {areaWorkpapers.map((workpaper) => {
+                const steps = workpaper.procedure_steps || [];
+                const doneSteps = steps.filter((step) => step.done).length;
+
+                return (
+                  <li key={workpaper.id} className="px-6 py-3 flex items-center justify-between hover:bg-gray-50">
+                    <button
+                      type="button"
+                      onClick={() => setEditing({ workpaper })}
+                      className={`flex-1 min-w-0 text-left ${workpaper.parent_workpaper_id ? 'pl-6' : ''}`}
+                    >
+                      <div className="flex items-center text-sm">
+                        <span className="font-mono text-gray-500 w-16 flex-shrink-0">{workpaper.reference_number}</span>
+                        <span className="font-medium text-gray-900 truncate">{workpaper.name}</span>
+                        {workpaper.risk_identified && (
+                          <span title="Risk identified" className="ml-2 flex-shrink-0">
+                            <ExclamationTriangleIcon className="h-4 w-4 text-warning-500" />
+                          </span>
+                        )}
+                      </div>
+                      <div className="mt-1 flex items-center text-xs text-gray-500 space-x-3">
+                        {steps.length > 0 && <span>{doneSteps}/{steps.length} steps done</span>}
+                        {workpaper.supporting_documents?.length > 0 && (
+                          <span className="flex items-center">
+                            <PaperClipIcon className="h-3 w-3 mr-1" />
+                            {workpaper.supporting_documents.length}
+                          </span>
+                        )}
+                      </div>
+                    </button>
+                    <div className="ml-4 flex items-center space-x-3 flex-shrink-0">
+                      <span className={`badge ${WORKPAPER_STATUS_BADGES[workpaper.status]}`}>
+                        {WORKPAPER_STATUS_LABELS[workpaper.status]}
+                      </span>
+                      {!workpaper.parent_workpaper_id && (
+                        <button
+                          type="button"
+                          onClick={() => setEditing({ parent: workpaper })}
+                          className="btn-outline btn-sm px-2"
+                          title={`New workpaper below ${workpaper.reference_number}`}
+                        >
+                          <PlusIcon className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))
+      )}
+
+      <WorkpaperModal
+        open={!!editing}
+        onClose={() => setEditing(null)}
+        onSaved={(workpaper) => setEditing({ workpaper })}
+        projectId={projectId}
+        workpaper={editing?.workpaper}
+        parent={editing?.parent}
+        areas={areas}
+        documents={data?.documents || []}
+        currentUserId={user?.id}
+      />
+    </div>
+  );
+};
+
+export default WorkpapersTab;
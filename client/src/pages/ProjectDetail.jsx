@@ -9,7 +9,11 @@ import {
   ChartBarIcon,
   CloudArrowUpIcon,
   ExclamationCircleIcon,
-  ArrowLeftIcon
+  ArrowLeftIcon,
+  ClipboardDocumentListIcon,
+  TableCellsIcon,
+  DocumentChartBarIcon,
+  ShieldExclamationIcon
 } from '@heroicons/react/24/outline';
 import clsx from 'clsx';
 
@@ -22,6 +26,11 @@ import DocumentsList from '../components/DocumentsList';
 import ReportsTab from '../components/ReportsTab';
 import ErrorBoundary from '../components/ErrorBoundary';
 import AnalysisResultsView from '../components/AnalysisResultsView';
+import PriorPeriodLink from '../components/PriorPeriodLink';
+import WorkpapersTab from '../components/WorkpapersTab';
+import RiskAssessmentTab from '../components/RiskAssessmentTab';
+import TrialBalanceTab from '../components/TrialBalanceTab';
+import FinancialStatementsTab from '../components/FinancialStatementsTab';
 
 const ProjectDetail = () => {
   const { projectId } = useParams();
@@ -64,6 +73,10 @@ const ProjectDetail = () => {
     { name: 'Documents', icon: DocumentTextIcon },
     { name: 'Upload', icon: CloudArrowUpIcon },
     { name: 'Ask Esus', icon: ChatBubbleLeftRightIcon },
+    { name: 'Workpapers', icon: ClipboardDocumentListIcon },
+    { name: 'Risks', icon: ShieldExclamationIcon },
+    { name: 'Trial Balance', icon: TableCellsIcon },
+    { name: 'Statements', icon: DocumentChartBarIcon },
     { name: 'Reports', icon: ChartBarIcon }
   ];
 
@@ -100,6 +113,7 @@ const ProjectDetail = () => {
             <p className="mt-1 text-sm text-gray-500">
               Client: {project?.clientName}
             </p>
+            {!isDemoMode() && <PriorPeriodLink projectId={projectId} />}
           </div>
           <div className="flex items-center space-x-4">
             <span className={`badge ${
@@ -202,6 +216,26 @@ const ProjectDetail = () => {
             </div>
           </Tab.Panel>
 
+          {/* Workpapers Tab */}
+          <Tab.Panel>
+            <WorkpapersTab projectId={projectId} />
+          </Tab.Panel>
+
+          {/* Risk Assessment Tab */}
+          <Tab.Panel>
+            <RiskAssessmentTab projectId={projectId} />
+          </Tab.Panel>
+
+          {/* Trial Balance Tab */}
+          <Tab.Panel>
+            <TrialBalanceTab projectId={projectId} documents={projectData?.documents || []} />
+          </Tab.Panel>
+
+          {/* Financial Statements Tab */}
+          <Tab.Panel>
+            <FinancialStatementsTab projectId={projectId} />
+          </Tab.Panel>
+
           {/* Reports Tab */}
           <Tab.Panel>
             <ReportsTab projectId={projectId} />
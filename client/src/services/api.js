@@ -1,5 +1,6 @@
 import axios from 'axios';
 import supabase from './supabaseClient';
+import { isDemoMode, demoData } from './demoData';
 
 // Create axios instance for Express backend
 const api = axios.create({
@@ -75,6 +76,7 @@ api.interceptors.response.use(
         const errorResponse = {
             error: error.response?.data?.error || error.message || 'An unexpected error occurred',
             code: error.response?.data?.code || error.code || 'UNKNOWN_ERROR',
+            details: error.response?.data?.details,
             status: error.response?.status || 0,
             retries: config?.metadata?.retryCount || 0,
             duration: config?.metadata ? Date.now() - config.metadata.startTime : 0
@@ -108,6 +110,18 @@ export const apiService = {
         return data;
     },
 
+    // Projects of the same client that can be linked as the prior period
+    async getPriorPeriods(projectId) {
+        const response = await api.get(`/projects/${projectId}/prior-periods`);
+        return response;
+    },
+
+    // Links (or with null, unlinks) the prior-period engagement
+    async setPriorPeriod(projectId, priorProjectId) {
+        const response = await api.put(`/projects/${projectId}`, { prior_project_id: priorProjectId });
+        return response.project;
+    },
+
     // Documents
     async uploadDocument(projectId, file, onProgress) {
         const formData = new FormData();
@@ -131,12 +145,163 @@ export const apiService = {
         return data;
     },
 
+    // Queue a new analysis version even if the document was analyzed before
+    async reanalyzeDocument(documentId) {
+        const response = await api.post(`/analysis/document/${documentId}`, null, {
+            params: { force: true }
+        });
+        return response;
+    },
+
+    async getAnalysisVersions(documentId) {
+        const response = await api.get(`/analysis/document/${documentId}/versions`);
+        return response.versions;
+    },
+
+    // Short-lived signed URL for opening the original file
+    async getDocumentDownloadUrl(documentId) {
+        const response = await api.get(`/documents/${documentId}/download`);
+        return response;
+    },
+
     // Chat with AI
     async sendChatMessage(projectId, message) {
         const { data } = await api.post(`/chat/${projectId}`, { message });
         return data;
     },
 
+    // Non-streaming question; resolves with { answer, chatId, threadId, citations }
+    async askEsus(projectId, question, threadId) {
+        const response = await api.post(`/chat/${projectId}`, { message: question, threadId });
+        return response;
+    },
+
+    // Resolves with { chatHistory }, oldest first; all of the project's
+    // messages when no thread is given
+    async getChatHistory(projectId, threadId) {
+        const response = await api.get(`/chat/${projectId}`, {
+            params: threadId ? { threadId } : undefined
+        });
+        return response;
+    },
+
+    // Falls back to the static demo questions in demo mode or when the
+    // server cannot build suggestions
+    async getSuggestedQuestions(projectId) {
+        if (isDemoMode()) {
+            return { suggestedQuestions: demoData.suggestedQuestions };
+        }
+
+        try {
+            const response = await api.get(`/chat/${projectId}/suggestions`);
+            return response;
+        } catch (error) {
+            console.warn('Suggested questions unavailable, using defaults:', error);
+            return { suggestedQuestions: demoData.suggestedQuestions };
+        }
+    },
+
+    // Stream the answer as server-sent events. axios cannot read a response
+    // body incrementally in the browser, so this uses fetch directly.
+    // Resolves with { chatId, aborted } once the stream ends.
+    async streamChatMessage(projectId, message, { threadId, onToken, signal } = {}) {
+        const { data: { session } } = await supabase.auth.getSession();
+        const headers = {
+            'Content-Type': 'application/json',
+            Accept: 'text/event-stream'
+        };
+        if (session?.access_token) {
+            headers.Authorization = `Bearer ${session.access_token}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${api.defaults.baseURL}/chat/${projectId}`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ message, threadId }),
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return { chatId: null, threadId, citations: [], aborted: true };
+            throw { error: error.message, code: 'NETWORK_ERROR', status: 0 };
+        }
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw { error: body.error || response.statusText, code: body.code || 'UNKNOWN_ERROR', status: response.status };
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = { chatId: null, threadId, citations: [], aborted: false };
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split('\n\n');
+                buffer = events.pop();
+
+                for (const rawEvent of events) {
+                    const event = rawEvent.match(/^event: (.*)$/m)?.[1];
+                    const data = JSON.parse(rawEvent.match(/^data: (.*)$/m)?.[1] || '{}');
+
+                    if (event === 'token') {
+                        onToken?.(data.content);
+                    } else if (event === 'done') {
+                        result = {
+                            chatId: data.chatId,
+                            threadId: data.threadId,
+                            citations: data.citations || [],
+                            aborted: false
+                        };
+                    } else if (event === 'error') {
+                        throw { error: data.error, code: 'STREAM_ERROR', status: response.status };
+                    }
+                }
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return { ...result, aborted: true };
+            throw error;
+        }
+
+        return result;
+    },
+
+    // Chat threads
+    async getChatThreads(projectId) {
+        const response = await api.get(`/chat/${projectId}/threads`);
+        return response.threads;
+    },
+
+    async createChatThread(projectId, title) {
+        const response = await api.post(`/chat/${projectId}/threads`, { title });
+        return response.thread;
+    },
+
+    async renameChatThread(projectId, threadId, title) {
+        const response = await api.patch(`/chat/${projectId}/threads/${threadId}`, { title });
+        return response.thread;
+    },
+
+    async deleteChatThread(projectId, threadId) {
+        const response = await api.delete(`/chat/${projectId}/threads/${threadId}`);
+        return response;
+    },
+
+    // Returns the export as a Blob (format: markdown or json)
+    async exportChatThread(projectId, threadId, format = 'markdown') {
+        const response = await api.get(`/chat/${projectId}/threads/${threadId}/export`, {
+            params: { format },
+            responseType: 'blob'
+        });
+        return response;
+    },
+
     // Supabase Database Operations
     async getProjects(page = 1, limit = 20) {
         const offset = (page - 1) * limit;
@@ -238,15 +403,277 @@ export const apiService = {
         return { reports: data };
     },
 
+    // Resolves with the new draft audit_reports row
     async generateReport(projectId, reportName, includeCharts) {
-        const { data, error } = await api.post(`/reports/generate`, {
+        const response = await api.post(`/reports/generate`, {
             projectId,
             reportName,
             includeCharts
+        }, {
+            // Summarising a large project can outlast the default timeout
+            timeout: 120000,
+            // Not retried: a request that timed out may still be generating
+            // on the server, and a retry would create a second draft
+            metadata: { retryCount: MAX_RETRIES }
         });
-        
-        if (error) throw error;
-        return data;
+        return response.report;
+    },
+
+    // Saves edited section text of a draft report: [{ key, content }]
+    async updateReportSections(reportId, sections) {
+        const response = await api.patch(`/reports/${reportId}`, { sections });
+        return response.report;
+    },
+
+    // Sends a draft report to review
+    async submitReport(reportId) {
+        const response = await api.post(`/reports/${reportId}/submit`);
+        return response.report;
+    },
+
+    // Reviewer decision: 'approve' signs the report off, 'reject' returns it
+    // to draft and needs a comment
+    async reviewReport(reportId, decision, comment) {
+        const response = await api.post(`/reports/${reportId}/review`, { decision, comment });
+        return response.report;
+    },
+
+    // Starts a new draft revision of a final report
+    async createReportRevision(reportId) {
+        const response = await api.post(`/reports/${reportId}/revisions`);
+        return response.report;
+    },
+
+    // Client share links of a final report
+    async getReportShares(reportId) {
+        const response = await api.get(`/reports/${reportId}/shares`);
+        return response.shares;
+    },
+
+    // Returns { share, url }; the url is not retrievable later
+    async createReportShare(reportId, { expiresInDays, password } = {}) {
+        const response = await api.post(`/reports/${reportId}/shares`, { expiresInDays, password });
+        return response;
+    },
+
+    async revokeReportShare(reportId, shareId) {
+        const response = await api.delete(`/reports/${reportId}/shares/${shareId}`);
+        return response;
+    },
+
+    async getReportSchedules(projectId) {
+        const response = await api.get(`/projects/${projectId}/report-schedules`);
+        return response.schedules;
+    },
+
+    // { name, cronExpression, timeZone, templateAuditType, recipients, includeCharts, enabled }
+    async createReportSchedule(projectId, schedule) {
+        const response = await api.post(`/projects/${projectId}/report-schedules`, schedule);
+        return response.schedule;
+    },
+
+    async updateReportSchedule(projectId, scheduleId, changes) {
+        const response = await api.patch(`/projects/${projectId}/report-schedules/${scheduleId}`, changes);
+        return response.schedule;
+    },
+
+    async deleteReportSchedule(projectId, scheduleId) {
+        const response = await api.delete(`/projects/${projectId}/report-schedules/${scheduleId}`);
+        return response;
+    },
+
+    // Returns { workpapers, documents, areas }: the project's documents can be
+    // attached as supporting evidence, areas give the reference number letters
+    async getWorkpapers(projectId) {
+        const response = await api.get(`/projects/${projectId}/workpapers`);
+        return response;
+    },
+
+    async createWorkpaper(projectId, workpaper) {
+        const response = await api.post(`/projects/${projectId}/workpapers`, workpaper);
+        return response.workpaper;
+    },
+
+    async updateWorkpaper(projectId, workpaperId, changes) {
+        const response = await api.patch(`/projects/${projectId}/workpapers/${workpaperId}`, changes);
+        return response.workpaper;
+    },
+
+    async deleteWorkpaper(projectId, workpaperId) {
+        const response = await api.delete(`/projects/${projectId}/workpapers/${workpaperId}`);
+        return response;
+    },
+
+    async submitWorkpaper(projectId, workpaperId) {
+        const response = await api.post(`/projects/${projectId}/workpapers/${workpaperId}/submit`);
+        return response.workpaper;
+    },
+
+    // decision: 'approve' | 'reject'; a comment is required to reject
+    async reviewWorkpaper(projectId, workpaperId, decision, comment) {
+        const response = await api.post(`/projects/${projectId}/workpapers/${workpaperId}/review`, { decision, comment });
+        return response.workpaper;
+    },
+
+    async getSamples(projectId, workpaperId) {
+        const response = await api.get(`/projects/${projectId}/workpapers/${workpaperId}/samples`);
+        return response.samples;
+    },
+
+    // { method, population, confidenceLevel?, tolerableMisstatement,
+    // expectedMisstatement?, sampleSize?, seed? }; population is a trial
+    // balance period, an extracted table or a ledger spreadsheet
+    async createSample(projectId, workpaperId, options) {
+        const response = await api.post(`/projects/${projectId}/workpapers/${workpaperId}/samples`, options, {
+            timeout: 120000,
+            // Not retried: each request draws a new selection, so a retry of
+            // one that reached the server would add a second sample
+            metadata: { retryCount: MAX_RETRIES }
+        });
+        return response;
+    },
+
+    // { results: [{ index, auditedAmount, note? }], conclusion? }
+    async recordSampleResults(projectId, workpaperId, sampleId, changes) {
+        const response = await api.patch(`/projects/${projectId}/workpapers/${workpaperId}/samples/${sampleId}`, changes);
+        return response.sample;
+    },
+
+    async deleteSample(projectId, workpaperId, sampleId) {
+        const response = await api.delete(`/projects/${projectId}/workpapers/${workpaperId}/samples/${sampleId}`);
+        return response;
+    },
+
+    // Returns { periods, periodEnd, accounts, summary, statementLines } for the
+    // period (the latest one when periodEnd is not given)
+    async getTrialBalance(projectId, periodEnd) {
+        const response = await api.get(`/projects/${projectId}/trial-balances`, {
+            params: { periodEnd }
+        });
+        return response;
+    },
+
+    // { documentId, periodEnd, sheet?, columns?, replace? }; returns the
+    // recognised columns and the period's totals
+    async importTrialBalance(projectId, options) {
+        const response = await api.post(`/projects/${projectId}/trial-balances/import`, options, {
+            timeout: 120000
+        });
+        return response;
+    },
+
+    async updateTrialBalanceAccount(projectId, accountId, changes) {
+        const response = await api.patch(`/projects/${projectId}/trial-balances/${accountId}`, changes);
+        return response.account;
+    },
+
+    async deleteTrialBalance(projectId, periodEnd) {
+        const response = await api.delete(`/projects/${projectId}/trial-balances`, {
+            params: { periodEnd }
+        });
+        return response;
+    },
+
+    // Returns { periods, trialBalancePeriods, periodEnd, statements, checks } for
+    // the period (the latest one when periodEnd is not given)
+    async getFinancialStatements(projectId, periodEnd) {
+        const response = await api.get(`/projects/${projectId}/financial-statements`, {
+            params: { periodEnd }
+        });
+        return response;
+    },
+
+    // { periodEnd, periodStart? }; builds draft statements from the period's
+    // trial balance
+    async generateFinancialStatements(projectId, options) {
+        const response = await api.post(`/projects/${projectId}/financial-statements`, options);
+        return response;
+    },
+
+    // The project's materiality, with the benchmark figures of its statements
+    async getMateriality(projectId, periodEnd) {
+        const response = await api.get(`/projects/${projectId}/materiality`, {
+            params: { periodEnd }
+        });
+        return response;
+    },
+
+    // { benchmark, overallPercentage?, performancePercentage?,
+    // trivialPercentage?, benchmarkValue?, periodEnd?, rationale, workpaperId? }
+    async saveMateriality(projectId, assessment) {
+        const response = await api.put(`/projects/${projectId}/materiality`, assessment);
+        return response;
+    },
+
+    // Risks with their procedures, the inherent vs residual matrix, and the
+    // procedures and red flags available to link and promote
+    async getRiskAssessments(projectId) {
+        const response = await api.get(`/projects/${projectId}/risk-assessments`);
+        return response;
+    },
+
+    // { area, riskDescription, riskLevel, ... }, or { analysisId, findingIndex }
+    // to promote a red flag
+    async createRiskAssessment(projectId, risk) {
+        const response = await api.post(`/projects/${projectId}/risk-assessments`, risk);
+        return response.risk;
+    },
+
+    async updateRiskAssessment(projectId, riskId, changes) {
+        const response = await api.patch(`/projects/${projectId}/risk-assessments/${riskId}`, changes);
+        return response.risk;
+    },
+
+    async deleteRiskAssessment(projectId, riskId) {
+        const response = await api.delete(`/projects/${projectId}/risk-assessments/${riskId}`);
+        return response;
+    },
+
+    // Standard audit programs, each with its procedures
+    async getAuditProgramTemplates() {
+        const response = await api.get('/audit-programs/templates');
+        return response.templates;
+    },
+
+    // Each program comes with its procedures, their workpapers and progress
+    async getAuditPrograms(projectId) {
+        const response = await api.get(`/projects/${projectId}/audit-programs`);
+        return response.programs;
+    },
+
+    // Copies the templates into the project with a draft workpaper per procedure
+    async createAuditPrograms(projectId, templateIds) {
+        const response = await api.post(`/projects/${projectId}/audit-programs`, { templateIds });
+        return response.programs;
+    },
+
+    // Short-lived signed URL for the report PDF; rendered on first request
+    async getReportDownloadUrl(reportId) {
+        const response = await api.get(`/reports/${reportId}/download`, {
+            timeout: 120000
+        });
+        return response;
+    },
+
+    // Returns the report as an editable Word document (Blob)
+    async exportReportDocx(reportId) {
+        const response = await api.get(`/reports/${reportId}/export`, {
+            params: { format: 'docx' },
+            responseType: 'blob',
+            timeout: 120000
+        });
+        return response;
+    },
+
+    // Returns an Excel workbook (Blob) of the project's analysis
+    // (type 'analysis') or trial balances and statements (type 'financials')
+    async exportProjectWorkbook(projectId, type, periodEnd) {
+        const response = await api.get(`/projects/${projectId}/export`, {
+            params: { type, periodEnd },
+            responseType: 'blob',
+            timeout: 120000
+        });
+        return response;
     },
 
     // Real-time subscriptions
@@ -348,22 +775,96 @@ export const authService = {
 export const projectsService = {
     getProjects: apiService.getProjects,
     getProjectById: apiService.getProjectById,
-    createProject: apiService.createProject
+    createProject: apiService.createProject,
+    getPriorPeriods: apiService.getPriorPeriods,
+    setPriorPeriod: apiService.setPriorPeriod
 };
 
 export const documentsService = {
     uploadDocument: apiService.uploadDocument,
     getDocuments: apiService.getDocuments,
-    analyzeDocument: apiService.analyzeDocument
+    analyzeDocument: apiService.analyzeDocument,
+    reanalyzeDocument: apiService.reanalyzeDocument,
+    getAnalysisVersions: apiService.getAnalysisVersions,
+    getDocumentDownloadUrl: apiService.getDocumentDownloadUrl
 };
 
 export const chatService = {
-    sendChatMessage: apiService.sendChatMessage
+    sendChatMessage: apiService.sendChatMessage,
+    streamChatMessage: apiService.streamChatMessage,
+    askEsus: apiService.askEsus,
+    getChatHistory: apiService.getChatHistory,
+    getSuggestedQuestions: apiService.getSuggestedQuestions,
+    getChatThreads: apiService.getChatThreads,
+    createChatThread: apiService.createChatThread,
+    renameChatThread: apiService.renameChatThread,
+    deleteChatThread: apiService.deleteChatThread,
+    exportChatThread: apiService.exportChatThread
 };
 // Export the reports service
 export const reportsService = {
     getReports: apiService.getReports,
-    generateReport: apiService.generateReport
+    generateReport: apiService.generateReport,
+    getReportDownloadUrl: apiService.getReportDownloadUrl,
+    updateReportSections: apiService.updateReportSections,
+    submitReport: apiService.submitReport,
+    reviewReport: apiService.reviewReport,
+    createReportRevision: apiService.createReportRevision,
+    exportReportDocx: apiService.exportReportDocx,
+    exportProjectWorkbook: apiService.exportProjectWorkbook,
+    getReportShares: apiService.getReportShares,
+    createReportShare: apiService.createReportShare,
+    revokeReportShare: apiService.revokeReportShare,
+    getReportSchedules: apiService.getReportSchedules,
+    createReportSchedule: apiService.createReportSchedule,
+    updateReportSchedule: apiService.updateReportSchedule,
+    deleteReportSchedule: apiService.deleteReportSchedule
+};
+
+export const workpapersService = {
+    getWorkpapers: apiService.getWorkpapers,
+    createWorkpaper: apiService.createWorkpaper,
+    updateWorkpaper: apiService.updateWorkpaper,
+    deleteWorkpaper: apiService.deleteWorkpaper,
+    submitWorkpaper: apiService.submitWorkpaper,
+    reviewWorkpaper: apiService.reviewWorkpaper
+};
+
+export const samplesService = {
+    getSamples: apiService.getSamples,
+    createSample: apiService.createSample,
+    recordSampleResults: apiService.recordSampleResults,
+    deleteSample: apiService.deleteSample
+};
+
+export const trialBalancesService = {
+    getTrialBalance: apiService.getTrialBalance,
+    importTrialBalance: apiService.importTrialBalance,
+    updateTrialBalanceAccount: apiService.updateTrialBalanceAccount,
+    deleteTrialBalance: apiService.deleteTrialBalance
+};
+
+export const financialStatementsService = {
+    getFinancialStatements: apiService.getFinancialStatements,
+    generateFinancialStatements: apiService.generateFinancialStatements
+};
+
+export const materialityService = {
+    getMateriality: apiService.getMateriality,
+    saveMateriality: apiService.saveMateriality
+};
+
+export const riskAssessmentsService = {
+    getRiskAssessments: apiService.getRiskAssessments,
+    createRiskAssessment: apiService.createRiskAssessment,
+    updateRiskAssessment: apiService.updateRiskAssessment,
+    deleteRiskAssessment: apiService.deleteRiskAssessment
+};
+
+export const auditProgramsService = {
+    getAuditProgramTemplates: apiService.getAuditProgramTemplates,
+    getAuditPrograms: apiService.getAuditPrograms,
+    createAuditPrograms: apiService.createAuditPrograms
 };
   
 
@@ -117,4 +117,45 @@ export const generateId = () => {
 
 export const classNames = (...classes) => {
   return classes.filter(Boolean).join(' ');
-};
\ No newline at end of file
+};
+// Compare two analysis versions (rows from /analysis/document/:id/versions).
+// Findings are matched on category + title; older versions without structured
+// findings fall back to their red flag strings.
+export const diffAnalysisVersions = (base, compare) => {
+  const findingsOf = (version) =>
+    version.findings?.length > 0
+      ? version.findings
+      : (version.red_flags || []).map((title) => ({ title, category: 'other' }));
+  const findingKey = (finding) => `${finding.category}|${finding.title.trim().toLowerCase()}`;
+
+  const baseFindings = new Map(findingsOf(base).map((finding) => [findingKey(finding), finding]));
+  const compareFindings = new Map(findingsOf(compare).map((finding) => [findingKey(finding), finding]));
+
+  const metadataFields = [
+    ['prompt_version', 'Prompt version'],
+    ['model_deployment', 'Model deployment'],
+    ['extractor_model_id', 'Extractor model'],
+    ['confidence_score', 'Confidence']
+  ];
+
+  const baseHighlights = new Set(base.highlights || []);
+  const compareHighlights = new Set(compare.highlights || []);
+
+  return {
+    metadata: metadataFields
+      .filter(([field]) => base[field] !== compare[field])
+      .map(([field, label]) => ({ field, label, from: base[field], to: compare[field] })),
+    summaryChanged: (base.ai_summary || '') !== (compare.ai_summary || ''),
+    findings: {
+      added: [...compareFindings].filter(([key]) => !baseFindings.has(key)).map(([, finding]) => finding),
+      removed: [...baseFindings].filter(([key]) => !compareFindings.has(key)).map(([, finding]) => finding),
+      changed: [...compareFindings]
+        .filter(([key, finding]) => baseFindings.has(key) && baseFindings.get(key).severity !== finding.severity)
+        .map(([key, finding]) => ({ from: baseFindings.get(key), to: finding }))
+    },
+    highlights: {
+      added: [...compareHighlights].filter((highlight) => !baseHighlights.has(highlight)),
+      removed: [...baseHighlights].filter((highlight) => !compareHighlights.has(highlight))
+    }
+  };
+};
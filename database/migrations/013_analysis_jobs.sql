@@ -0,0 +1,114 @@
+-- Migration: Analysis Job Queue
+-- Version: 1.10.0
+-- Date: 2026-10-19
+-- Description: Adds the analysis_jobs table and claim function used by the Postgres analysis queue backend
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS analysis_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    requested_by UUID,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'dead_lettered')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    last_error TEXT,
+    available_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    locked_by VARCHAR(100),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status_available ON analysis_jobs(status, available_at);
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_project_status ON analysis_jobs(project_id, status);
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_document ON analysis_jobs(document_id);
+
+DROP TRIGGER IF EXISTS update_analysis_jobs_timestamp ON analysis_jobs;
+CREATE TRIGGER update_analysis_jobs_timestamp BEFORE UPDATE ON analysis_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Jobs are written by API routes and claimed by workers using the service key
+ALTER TABLE analysis_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY analysis_jobs_project_access ON analysis_jobs
+    FOR SELECT USING (
+        project_id IN (
+            SELECT id FROM projects
+            WHERE created_by = auth.uid()
+            OR auth.uid() = ANY(assigned_to)
+        )
+    );
+
+-- Atomically claim queued jobs for a worker.
+-- Jobs whose worker stopped renewing them (locked longer than the timeout)
+-- are put back first. A project never has more than p_max_per_project jobs
+-- processing at once across all workers.
+CREATE OR REPLACE FUNCTION claim_analysis_jobs(
+    p_worker_id VARCHAR,
+    p_limit INTEGER,
+    p_max_per_project INTEGER,
+    p_lock_timeout_seconds INTEGER DEFAULT 360
+)
+RETURNS SETOF analysis_jobs AS $$
+BEGIN
+    UPDATE analysis_jobs
+    SET status = 'queued', locked_by = NULL, locked_at = NULL
+    WHERE status = 'processing'
+      AND locked_at < CURRENT_TIMESTAMP - make_interval(secs => p_lock_timeout_seconds);
+
+    RETURN QUERY
+    WITH running AS (
+        SELECT project_id, COUNT(*) AS active
+        FROM analysis_jobs
+        WHERE status = 'processing'
+        GROUP BY project_id
+    ),
+    locked AS (
+        SELECT id, project_id, created_at
+        FROM analysis_jobs
+        WHERE status = 'queued' AND available_at <= CURRENT_TIMESTAMP
+        ORDER BY created_at
+        LIMIT p_limit * 10
+        FOR UPDATE SKIP LOCKED
+    ),
+    ranked AS (
+        SELECT l.id, l.created_at,
+               ROW_NUMBER() OVER (PARTITION BY l.project_id ORDER BY l.created_at) + COALESCE(r.active, 0) AS slot
+        FROM locked l
+        LEFT JOIN running r ON r.project_id = l.project_id
+    ),
+    picked AS (
+        SELECT id FROM ranked
+        WHERE slot <= p_max_per_project
+        ORDER BY created_at
+        LIMIT p_limit
+    )
+    UPDATE analysis_jobs j
+    SET status = 'processing',
+        attempts = j.attempts + 1,
+        locked_by = p_worker_id,
+        locked_at = CURRENT_TIMESTAMP
+    FROM picked
+    WHERE j.id = picked.id
+    RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "013_analysis_jobs", "version": "1.10.0", "description": "Added analysis job queue table and claim function"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE analysis_jobs;
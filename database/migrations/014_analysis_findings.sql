@@ -0,0 +1,33 @@
+-- Migration: Structured Analysis Findings
+-- Version: 1.11.0
+-- Date: 2026-10-19
+-- Description: Stores schema-validated AI findings (severity, category, evidence, reference, procedure) on analysis_results
+
+BEGIN;
+
+-- Array of findings as produced by lib/analysisFindings.ts. red_flags keeps
+-- the finding titles for existing consumers.
+ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS findings JSONB DEFAULT '[]'::jsonb;
+
+ALTER TABLE analysis_results DROP CONSTRAINT IF EXISTS analysis_results_findings_is_array;
+ALTER TABLE analysis_results ADD CONSTRAINT analysis_results_findings_is_array
+    CHECK (findings IS NULL OR jsonb_typeof(findings) = 'array');
+
+CREATE INDEX IF NOT EXISTS idx_analysis_results_findings ON analysis_results USING GIN (findings jsonb_path_ops);
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "014_analysis_findings", "version": "1.11.0", "description": "Added structured findings column to analysis_results"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE analysis_results;
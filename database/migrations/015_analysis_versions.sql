@@ -0,0 +1,44 @@
+-- Migration: Analysis Versioning
+-- Version: 1.12.0
+-- Date: 2026-10-19
+-- Description: Numbers analysis_results per document and records the prompt, model deployment and extractor used for each run
+
+BEGIN;
+
+ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS version INTEGER;
+ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(50);
+ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS model_deployment VARCHAR(100);
+ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS extractor_model_id VARCHAR(100);
+ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS requested_by UUID;
+
+-- Number existing analyses in the order they were created
+UPDATE analysis_results ar
+SET version = numbered.version
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY document_id ORDER BY created_at, id) AS version
+    FROM analysis_results
+) numbered
+WHERE ar.id = numbered.id AND ar.version IS NULL;
+
+ALTER TABLE analysis_results ALTER COLUMN version SET DEFAULT 1;
+ALTER TABLE analysis_results ALTER COLUMN version SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_analysis_results_document_version
+    ON analysis_results(document_id, version);
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "015_analysis_versions", "version": "1.12.0", "description": "Added analysis versioning and run metadata"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE analysis_results;
@@ -0,0 +1,31 @@
+-- Migration: Chat Completion Status
+-- Version: 1.13.0
+-- Date: 2026-10-19
+-- Description: Records whether a streamed chat answer completed or was cut short by the user
+
+BEGIN;
+
+-- Streamed answers are saved when the stream ends; aborted answers keep the
+-- text received up to that point
+ALTER TABLE chat_history ADD COLUMN IF NOT EXISTS completion_status VARCHAR(20) NOT NULL DEFAULT 'completed';
+
+ALTER TABLE chat_history DROP CONSTRAINT IF EXISTS chat_history_completion_status_check;
+ALTER TABLE chat_history ADD CONSTRAINT chat_history_completion_status_check
+    CHECK (completion_status IN ('completed', 'aborted', 'failed'));
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "016_chat_completion_status", "version": "1.13.0", "description": "Added completion status to chat history"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE chat_history;
@@ -0,0 +1,83 @@
+-- Migration: Document Chunks
+-- Version: 1.14.0
+-- Date: 2026-10-19
+-- Description: Adds embedded document chunks for chat retrieval (pgvector backend) and citations on chat history
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS "vector";
+
+-- One row per chunk of a document's latest extraction. Re-analysis replaces
+-- all chunks of the document. The dimension matches text-embedding-ada-002
+-- and text-embedding-3-small.
+CREATE TABLE IF NOT EXISTS document_chunks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    page_number INTEGER,
+    content TEXT NOT NULL,
+    embedding vector(1536) NOT NULL,
+    embedding_model VARCHAR(200),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (document_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_chunks_project ON document_chunks(project_id);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_embedding ON document_chunks
+    USING hnsw (embedding vector_cosine_ops);
+
+-- Chunks are written by the analysis worker using the service key
+ALTER TABLE document_chunks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY document_chunks_project_access ON document_chunks
+    FOR SELECT USING (
+        project_id IN (
+            SELECT id FROM projects
+            WHERE created_by = auth.uid()
+            OR auth.uid() = ANY(assigned_to)
+        )
+    );
+
+-- Nearest chunks of a project by cosine similarity
+CREATE OR REPLACE FUNCTION match_document_chunks(
+    p_query_embedding vector(1536),
+    p_project_id UUID,
+    p_match_count INTEGER DEFAULT 8
+)
+RETURNS TABLE (
+    id UUID,
+    document_id UUID,
+    chunk_index INTEGER,
+    page_number INTEGER,
+    content TEXT,
+    similarity DOUBLE PRECISION
+) AS $$
+    SELECT c.id, c.document_id, c.chunk_index, c.page_number, c.content,
+           1 - (c.embedding <=> p_query_embedding) AS similarity
+    FROM document_chunks c
+    WHERE c.project_id = p_project_id
+    ORDER BY c.embedding <=> p_query_embedding
+    LIMIT p_match_count;
+$$ LANGUAGE sql STABLE;
+
+-- Sources an answer cited: [{ index, documentId, documentName, pageNumber, excerpt }]
+ALTER TABLE chat_history ADD COLUMN IF NOT EXISTS citations JSONB NOT NULL DEFAULT '[]';
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "017_document_chunks", "version": "1.14.0", "description": "Added document chunks with embeddings and chat citations"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE document_chunks;
+ANALYZE chat_history;
@@ -0,0 +1,71 @@
+-- Migration: Chat Threads
+-- Version: 1.15.0
+-- Date: 2026-10-19
+-- Description: Groups project chat into named conversation threads with a rolling summary of older turns
+
+BEGIN;
+
+-- Threads belong to the user who started them. summary covers every turn up
+-- to and including summarized_through; later turns are sent to the model
+-- verbatim.
+CREATE TABLE IF NOT EXISTS chat_threads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    created_by UUID NOT NULL,
+    title VARCHAR(200) NOT NULL DEFAULT 'New conversation',
+    summary TEXT,
+    summarized_through TIMESTAMP WITH TIME ZONE,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_threads_project_user ON chat_threads(project_id, created_by, last_message_at DESC);
+
+DROP TRIGGER IF EXISTS update_chat_threads_timestamp ON chat_threads;
+CREATE TRIGGER update_chat_threads_timestamp BEFORE UPDATE ON chat_threads
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE chat_threads ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY chat_threads_owner_access ON chat_threads
+    FOR ALL USING (created_by = auth.uid())
+    WITH CHECK (created_by = auth.uid());
+
+ALTER TABLE chat_history ADD COLUMN IF NOT EXISTS thread_id UUID REFERENCES chat_threads(id) ON DELETE CASCADE;
+
+-- Existing messages become one thread per project and user. New messages
+-- always get a thread; rows without a project or user are left as they are.
+INSERT INTO chat_threads (project_id, created_by, title, last_message_at, created_at)
+SELECT project_id, user_id, 'Earlier conversation', MAX(created_at), MIN(created_at)
+FROM chat_history
+WHERE thread_id IS NULL AND project_id IS NOT NULL AND user_id IS NOT NULL
+GROUP BY project_id, user_id;
+
+UPDATE chat_history h
+SET thread_id = t.id
+FROM chat_threads t
+WHERE h.thread_id IS NULL
+  AND t.project_id = h.project_id
+  AND t.created_by = h.user_id
+  AND t.title = 'Earlier conversation';
+
+CREATE INDEX IF NOT EXISTS idx_chat_history_thread_created ON chat_history(thread_id, created_at);
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "018_chat_threads", "version": "1.15.0", "description": "Added chat threads and thread_id on chat history"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE chat_threads;
+ANALYZE chat_history;
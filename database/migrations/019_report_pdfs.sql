@@ -0,0 +1,36 @@
+-- Migration: Report PDFs
+-- Version: 1.16.0
+-- Date: 2026-10-19
+-- Description: Private storage bucket for rendered audit report PDFs and the path of each report's current PDF
+
+BEGIN;
+
+-- Rendered PDFs are stored as <project_id>/<report_id>.pdf. The bucket has no
+-- object policies: the server writes with the service key after checking
+-- project access and hands out short-lived signed URLs.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('audit-reports', 'audit-reports', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- pdf_path points at the PDF rendered from the current report_data and is
+-- cleared whenever report_data changes, so the next download renders again.
+-- pdf_url is kept for reports created before PDFs were stored privately.
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS pdf_path VARCHAR(500);
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS pdf_generated_at TIMESTAMP WITH TIME ZONE;
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "019_report_pdfs", "version": "1.16.0", "description": "Added audit-reports storage bucket and pdf_path on audit_reports"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE audit_reports;
@@ -0,0 +1,68 @@
+-- Migration: Report Templates
+-- Version: 1.17.0
+-- Date: 2026-10-19
+-- Description: Firm-wide overrides of the built-in report template for each audit type
+
+BEGIN;
+
+-- At most one override per audit type. Audit types without a row use the
+-- template built into the application (lib/reportTemplates.ts); sections
+-- replaces the built-in section list as a whole.
+CREATE TABLE IF NOT EXISTS report_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    audit_type VARCHAR(50) NOT NULL UNIQUE
+        CHECK (audit_type IN ('financial', 'compliance', 'operational', 'security', 'internal')),
+    name VARCHAR(200) NOT NULL,
+    required_data_sources TEXT[] NOT NULL DEFAULT '{}',
+    summary_focus TEXT,
+    sections JSONB NOT NULL CHECK (jsonb_typeof(sections) = 'array'),
+    updated_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_report_templates_timestamp ON report_templates;
+CREATE TRIGGER update_report_templates_timestamp BEFORE UPDATE ON report_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE report_templates ENABLE ROW LEVEL SECURITY;
+
+-- Everyone generating reports reads the templates; only admins change them
+DROP POLICY IF EXISTS report_templates_read ON report_templates;
+CREATE POLICY report_templates_read ON report_templates
+    FOR SELECT TO authenticated USING (true);
+
+DROP POLICY IF EXISTS report_templates_admin_write ON report_templates;
+CREATE POLICY report_templates_admin_write ON report_templates
+    FOR ALL TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE auth_user_id = auth.uid()
+            AND role = 'admin'
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE auth_user_id = auth.uid()
+            AND role = 'admin'
+        )
+    );
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "020_report_templates", "version": "1.17.0", "description": "Added report_templates for firm-wide report template overrides"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE report_templates;
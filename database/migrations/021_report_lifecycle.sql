@@ -0,0 +1,69 @@
+-- Migration: Report Lifecycle
+-- Version: 1.18.0
+-- Date: 2026-10-19
+-- Description: Review and sign-off of audit reports, content hashes and revisions of final reports
+
+BEGIN;
+
+-- draft -> in_review -> final (or back to draft when the reviewer rejects it)
+ALTER TABLE audit_reports DROP CONSTRAINT IF EXISTS audit_reports_status_check;
+ALTER TABLE audit_reports ADD CONSTRAINT audit_reports_status_check
+    CHECK (status IN ('draft', 'in_review', 'final', 'archived'));
+
+-- A final report is never changed; a change starts a new revision whose
+-- parent_report_id points at the report it replaces
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS parent_report_id UUID REFERENCES audit_reports(id);
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS submitted_by UUID;
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS reviewed_by UUID;
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS review_comment TEXT;
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS signed_off_by UUID;
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS signed_off_at TIMESTAMP WITH TIME ZONE;
+-- SHA-256 of the signed-off content (lib/reportLifecycle.ts)
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+
+-- Only one revision can be started from a report
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_reports_parent_report_id ON audit_reports(parent_report_id);
+
+-- Final and archived reports only accept archiving and recording their PDF
+-- the first time it is rendered; anything else is rejected here so no code
+-- path can change a signed-off report
+CREATE OR REPLACE FUNCTION protect_final_audit_reports()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status IN ('final', 'archived') AND (
+        to_jsonb(NEW) - 'status' - 'pdf_path' - 'pdf_generated_at' - 'updated_at'
+            IS DISTINCT FROM to_jsonb(OLD) - 'status' - 'pdf_path' - 'pdf_generated_at' - 'updated_at'
+        OR (NEW.status IS DISTINCT FROM OLD.status AND NOT (OLD.status = 'final' AND NEW.status = 'archived'))
+        OR (OLD.pdf_path IS NOT NULL AND NEW.pdf_path IS DISTINCT FROM OLD.pdf_path)
+    ) THEN
+        RAISE EXCEPTION 'Audit report % is %; start a new revision to change it', OLD.id, OLD.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_final_audit_reports ON audit_reports;
+CREATE TRIGGER protect_final_audit_reports BEFORE UPDATE ON audit_reports
+    FOR EACH ROW EXECUTE FUNCTION protect_final_audit_reports();
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "021_report_lifecycle", "version": "1.18.0", "description": "Added report review, sign-off, content hashes and revisions"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE audit_reports;
@@ -0,0 +1,56 @@
+-- Migration: Report Shares
+-- Version: 1.19.0
+-- Date: 2026-10-19
+-- Description: Expiring, revocable links that let clients view a final report without an account
+
+BEGIN;
+
+-- Only the SHA-256 of the token is stored; the token itself is shown once
+-- when the link is created. password_hash is scrypt (lib/reportShares.ts).
+CREATE TABLE IF NOT EXISTS report_shares (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    report_id UUID NOT NULL REFERENCES audit_reports(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    password_hash VARCHAR(255),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID,
+    created_by UUID NOT NULL,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_shares_report_id ON report_shares(report_id);
+
+ALTER TABLE report_shares ENABLE ROW LEVEL SECURITY;
+
+-- Project members manage the links of their reports. Links are opened
+-- without a session, so the public viewer reads them with the service key.
+DROP POLICY IF EXISTS report_shares_project_access ON report_shares;
+CREATE POLICY report_shares_project_access ON report_shares
+    FOR ALL USING (
+        report_id IN (
+            SELECT r.id FROM audit_reports r
+            JOIN projects p ON p.id = r.project_id
+            WHERE p.created_by = auth.uid()
+            OR auth.uid() = ANY(p.assigned_to)
+        )
+    );
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "022_report_shares", "version": "1.19.0", "description": "Added report_shares for external report links"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE report_shares;
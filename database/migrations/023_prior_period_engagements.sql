@@ -0,0 +1,35 @@
+-- Migration: Prior Period Engagements
+-- Version: 1.20.0
+-- Date: 2026-10-19
+-- Description: Link recurring engagements of a client to the project of the prior period
+
+BEGIN;
+
+-- Reports of a linked project compare its findings, statistics and financial
+-- statements with the prior period (lib/periodComparison.ts). Both projects
+-- must be for the same client; the API checks that and that the links never
+-- form a loop.
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS prior_project_id UUID REFERENCES projects(id) ON DELETE SET NULL;
+
+ALTER TABLE projects DROP CONSTRAINT IF EXISTS projects_prior_project_check;
+ALTER TABLE projects ADD CONSTRAINT projects_prior_project_check
+    CHECK (prior_project_id IS NULL OR prior_project_id <> id);
+
+CREATE INDEX IF NOT EXISTS idx_projects_prior_project_id ON projects(prior_project_id);
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "023_prior_period_engagements", "version": "1.20.0", "description": "Added projects.prior_project_id for prior-period comparison"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE projects;
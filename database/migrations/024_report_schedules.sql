@@ -0,0 +1,106 @@
+-- Migration: Report Schedules
+-- Version: 1.21.0
+-- Date: 2026-10-19
+-- Description: Per-project schedules that generate reports on a cron expression and email them to recipients
+
+BEGIN;
+
+-- template_audit_type selects the report template; null uses the project's
+-- audit type. next_run_at is computed from cron_expression in time_zone by
+-- the scheduler (lib/reportScheduler.ts) after every run.
+CREATE TABLE IF NOT EXISTS report_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    cron_expression VARCHAR(100) NOT NULL,
+    time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    template_audit_type VARCHAR(50),
+    include_charts BOOLEAN NOT NULL DEFAULT false,
+    recipients TEXT[] NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    next_run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status VARCHAR(20) CHECK (last_status IN ('succeeded', 'failed', 'skipped')),
+    last_error TEXT,
+    last_report_id UUID REFERENCES audit_reports(id) ON DELETE SET NULL,
+    locked_by VARCHAR(100),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT report_schedules_recipients_check CHECK (cardinality(recipients) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_schedules_project ON report_schedules(project_id);
+CREATE INDEX IF NOT EXISTS idx_report_schedules_due ON report_schedules(next_run_at) WHERE enabled;
+
+-- Reports generated by a schedule point back at it. Not a foreign key:
+-- deleting the schedule must not touch reports that are final since
+-- (protect_final_audit_reports, migration 021).
+ALTER TABLE audit_reports ADD COLUMN IF NOT EXISTS schedule_id UUID;
+CREATE INDEX IF NOT EXISTS idx_audit_reports_schedule_id ON audit_reports(schedule_id);
+
+DROP TRIGGER IF EXISTS update_report_schedules_timestamp ON report_schedules;
+CREATE TRIGGER update_report_schedules_timestamp BEFORE UPDATE ON report_schedules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE report_schedules ENABLE ROW LEVEL SECURITY;
+
+-- Project members manage schedules; the scheduler uses the service key
+DROP POLICY IF EXISTS report_schedules_project_access ON report_schedules;
+CREATE POLICY report_schedules_project_access ON report_schedules
+    FOR ALL USING (
+        project_id IN (
+            SELECT id FROM projects
+            WHERE created_by = auth.uid()
+            OR auth.uid() = ANY(assigned_to)
+        )
+    );
+
+-- Atomically claim due schedules for a scheduler instance, so a schedule runs
+-- once however many app instances poll. Claims of an instance that stopped
+-- (locked longer than the timeout) are taken over.
+CREATE OR REPLACE FUNCTION claim_due_report_schedules(
+    p_worker_id VARCHAR,
+    p_limit INTEGER,
+    p_lock_timeout_seconds INTEGER DEFAULT 900
+)
+RETURNS SETOF report_schedules AS $$
+BEGIN
+    RETURN QUERY
+    WITH due AS (
+        SELECT id
+        FROM report_schedules
+        WHERE enabled
+          AND next_run_at <= CURRENT_TIMESTAMP
+          AND (locked_by IS NULL
+               OR locked_at < CURRENT_TIMESTAMP - make_interval(secs => p_lock_timeout_seconds))
+        ORDER BY next_run_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    UPDATE report_schedules s
+    SET locked_by = p_worker_id,
+        locked_at = CURRENT_TIMESTAMP
+    FROM due
+    WHERE s.id = due.id
+    RETURNING s.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "024_report_schedules", "version": "1.21.0", "description": "Added report_schedules and claim_due_report_schedules()"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE report_schedules;
@@ -0,0 +1,56 @@
+-- Migration: Workpapers
+-- Version: 1.22.0
+-- Date: 2026-10-19
+-- Description: Audit areas, per-project reference numbers and the review workflow for workpapers
+
+BEGIN;
+
+-- Reference numbers are numbered per audit area (A-1, A-2) and below a
+-- workpaper (A-2.1); see lib/workpapers.ts
+ALTER TABLE workpapers ADD COLUMN IF NOT EXISTS audit_area VARCHAR(50);
+ALTER TABLE workpapers ADD COLUMN IF NOT EXISTS parent_workpaper_id UUID REFERENCES workpapers(id) ON DELETE CASCADE;
+ALTER TABLE workpapers ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE workpapers ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE workpapers SET status = 'draft' WHERE status IS NULL;
+ALTER TABLE workpapers ALTER COLUMN status SET DEFAULT 'draft';
+ALTER TABLE workpapers ALTER COLUMN status SET NOT NULL;
+
+UPDATE workpapers SET supporting_documents = '{}' WHERE supporting_documents IS NULL;
+ALTER TABLE workpapers ALTER COLUMN supporting_documents SET DEFAULT '{}';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workpapers_project_reference ON workpapers(project_id, reference_number);
+CREATE INDEX IF NOT EXISTS idx_workpapers_parent ON workpapers(parent_workpaper_id);
+
+-- prepared_by and reviewed_by hold Supabase auth user ids, like
+-- projects.created_by and audit_reports.submitted_by
+ALTER TABLE workpapers DROP CONSTRAINT IF EXISTS workpapers_prepared_by_fkey;
+ALTER TABLE workpapers DROP CONSTRAINT IF EXISTS workpapers_reviewed_by_fkey;
+
+-- Same project membership check as the other tables the API reads as the user
+DROP POLICY IF EXISTS workpapers_project_access ON workpapers;
+CREATE POLICY workpapers_project_access ON workpapers
+    FOR ALL USING (
+        project_id IN (
+            SELECT id FROM projects
+            WHERE created_by = auth.uid()
+            OR auth.uid() = ANY(assigned_to)
+        )
+    );
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "025_workpapers", "version": "1.22.0", "description": "Added workpaper audit areas, reference numbering and review workflow"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE workpapers;
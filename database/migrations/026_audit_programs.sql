@@ -0,0 +1,58 @@
+-- Migration: Audit programs
+-- Version: 1.23.0
+-- Date: 2026-10-19
+-- Description: Project audit programs instantiated from the seed templates, with one workpaper per procedure
+
+BEGIN;
+
+-- Templates are the audit programs without a project (seed_audit_templates.sql);
+-- a project's copy of a template points back at it
+ALTER TABLE audit_programs ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES audit_programs(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_programs_project_template ON audit_programs(project_id, template_id);
+
+-- The required procedure a workpaper was generated for; see lib/auditPrograms.ts
+ALTER TABLE workpapers ADD COLUMN IF NOT EXISTS procedure_key VARCHAR(100);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workpapers_program_procedure ON workpapers(audit_program_id, procedure_key);
+
+-- created_by and reviewed_by hold Supabase auth user ids, like
+-- projects.created_by and workpapers.prepared_by
+ALTER TABLE audit_programs DROP CONSTRAINT IF EXISTS audit_programs_created_by_fkey;
+ALTER TABLE audit_programs DROP CONSTRAINT IF EXISTS audit_programs_reviewed_by_fkey;
+
+-- Same project membership check as the other tables the API reads as the user
+DROP POLICY IF EXISTS audit_programs_project_access ON audit_programs;
+CREATE POLICY audit_programs_project_access ON audit_programs
+    FOR ALL USING (
+        project_id IN (
+            SELECT id FROM projects
+            WHERE created_by = auth.uid()
+            OR auth.uid() = ANY(assigned_to)
+        )
+    );
+
+-- Every signed-in user can pick from the templates
+DROP POLICY IF EXISTS audit_programs_template_read ON audit_programs;
+CREATE POLICY audit_programs_template_read ON audit_programs
+    FOR SELECT USING (
+        project_id IS NULL AND auth.uid() IS NOT NULL
+    );
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "026_audit_programs", "version": "1.23.0", "description": "Added audit program templates instantiation and procedure workpapers"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE audit_programs;
+ANALYZE workpapers;
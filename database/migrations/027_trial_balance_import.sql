@@ -0,0 +1,48 @@
+-- Migration: Trial balance import
+-- Version: 1.24.0
+-- Date: 2026-10-19
+-- Description: Statement line mapping for imported trial balance accounts and project access to trial_balances
+
+BEGIN;
+
+-- Financial statement line of the standard chart of accounts an account is
+-- mapped to (lib/trialBalances.ts); 'manual' mappings survive a re-import
+ALTER TABLE trial_balances ADD COLUMN IF NOT EXISTS statement_line VARCHAR(100);
+ALTER TABLE trial_balances ADD COLUMN IF NOT EXISTS mapping_source VARCHAR(20)
+    CHECK (mapping_source IN ('auto', 'manual'));
+
+UPDATE trial_balances SET reconciled = false WHERE reconciled IS NULL;
+ALTER TABLE trial_balances ALTER COLUMN reconciled SET NOT NULL;
+
+-- One row per account and period; an import replaces the period as a whole
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trial_balances_project_period_account
+    ON trial_balances(project_id, period_end, account_number);
+
+-- RLS was enabled in 004 without a policy, which left the table unreadable
+-- through the API
+DROP POLICY IF EXISTS trial_balances_project_access ON trial_balances;
+CREATE POLICY trial_balances_project_access ON trial_balances
+    FOR ALL USING (
+        project_id IN (
+            SELECT id FROM projects
+            WHERE created_by = auth.uid()
+            OR auth.uid() = ANY(assigned_to)
+        )
+    );
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "027_trial_balance_import", "version": "1.24.0", "description": "Added trial balance statement line mapping and project access policy"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE trial_balances;
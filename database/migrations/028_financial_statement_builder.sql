@@ -0,0 +1,49 @@
+-- Migration: Financial statement builder
+-- Version: 1.25.0
+-- Date: 2026-10-19
+-- Description: Draft financial statements generated from mapped trial balances and project access to financial_statements
+
+BEGIN;
+
+-- A project has one statement of each type per period; generating again
+-- replaces the drafts (lib/financialStatements.ts)
+UPDATE financial_statements SET status = 'draft' WHERE status IS NULL;
+ALTER TABLE financial_statements ALTER COLUMN status SET DEFAULT 'draft';
+ALTER TABLE financial_statements ALTER COLUMN status SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_financial_statements_project_type_period
+    ON financial_statements(project_id, statement_type, period_end);
+
+-- created_by and reviewed_by hold Supabase auth user ids, like
+-- projects.created_by and workpapers.prepared_by
+ALTER TABLE financial_statements DROP CONSTRAINT IF EXISTS financial_statements_created_by_fkey;
+ALTER TABLE financial_statements DROP CONSTRAINT IF EXISTS financial_statements_reviewed_by_fkey;
+
+-- RLS was enabled in 004 without a policy, which left the table unreadable
+-- through the API
+DROP POLICY IF EXISTS financial_statements_project_access ON financial_statements;
+CREATE POLICY financial_statements_project_access ON financial_statements
+    FOR ALL USING (
+        project_id IN (
+            SELECT id FROM projects
+            WHERE created_by = auth.uid()
+            OR auth.uid() = ANY(assigned_to)
+        )
+    );
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "028_financial_statement_builder", "version": "1.25.0", "description": "Added financial statement uniqueness per period and project access policy"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE financial_statements;
@@ -0,0 +1,52 @@
+-- Migration: Audit sampling
+-- Version: 1.26.0
+-- Date: 2026-10-19
+-- Description: Seeded sample selection, population sources and projected misstatement for audit_samples
+
+BEGIN;
+
+-- materiality_threshold holds the tolerable misstatement and confidence_level
+-- a percentage; see lib/auditSampling.ts. The seed reproduces the selection
+-- from the population the source describes.
+ALTER TABLE audit_samples ADD COLUMN IF NOT EXISTS seed INTEGER;
+ALTER TABLE audit_samples ADD COLUMN IF NOT EXISTS population_source JSONB;
+ALTER TABLE audit_samples ADD COLUMN IF NOT EXISTS population_value DECIMAL;
+ALTER TABLE audit_samples ADD COLUMN IF NOT EXISTS expected_misstatement DECIMAL NOT NULL DEFAULT 0;
+ALTER TABLE audit_samples ADD COLUMN IF NOT EXISTS sampling_interval DECIMAL;
+ALTER TABLE audit_samples ADD COLUMN IF NOT EXISTS projected_misstatement DECIMAL;
+ALTER TABLE audit_samples ADD COLUMN IF NOT EXISTS upper_misstatement_limit DECIMAL;
+
+-- created_by holds Supabase auth user ids, like workpapers.prepared_by
+ALTER TABLE audit_samples DROP CONSTRAINT IF EXISTS audit_samples_created_by_fkey;
+
+-- RLS was enabled in 004 without a policy; samples belong to the project of
+-- their workpaper
+DROP POLICY IF EXISTS audit_samples_project_access ON audit_samples;
+CREATE POLICY audit_samples_project_access ON audit_samples
+    FOR ALL USING (
+        workpaper_id IN (
+            SELECT id FROM workpapers
+            WHERE project_id IN (
+                SELECT id FROM projects
+                WHERE created_by = auth.uid()
+                OR auth.uid() = ANY(assigned_to)
+            )
+        )
+    );
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "029_audit_sampling", "version": "1.26.0", "description": "Added audit sample seeds, population sources and misstatement projection"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE audit_samples;
@@ -0,0 +1,63 @@
+-- Migration: Materiality
+-- Version: 1.27.0
+-- Date: 2026-10-19
+-- Description: Planning materiality per project, calculated from a financial statement benchmark
+
+BEGIN;
+
+-- One assessment per project. Percentages are of the benchmark (overall) and
+-- of overall materiality (performance, clearly trivial); the amounts are
+-- what was calculated from them, see lib/materiality.ts. period_end is the
+-- statements period the benchmark came from, null when it was entered.
+CREATE TABLE IF NOT EXISTS materiality_assessments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    project_id UUID NOT NULL UNIQUE REFERENCES projects(id) ON DELETE CASCADE,
+    workpaper_id UUID REFERENCES workpapers(id) ON DELETE SET NULL,
+    benchmark VARCHAR(50) NOT NULL CHECK (benchmark IN ('revenue', 'total_assets', 'profit_before_tax')),
+    benchmark_value DECIMAL NOT NULL,
+    period_end DATE,
+    overall_percentage DECIMAL NOT NULL,
+    performance_percentage DECIMAL NOT NULL,
+    trivial_percentage DECIMAL NOT NULL,
+    overall_materiality DECIMAL NOT NULL,
+    performance_materiality DECIMAL NOT NULL,
+    clearly_trivial_threshold DECIMAL NOT NULL,
+    rationale TEXT NOT NULL,
+    created_by UUID NOT NULL,
+    updated_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_materiality_assessments_timestamp ON materiality_assessments;
+CREATE TRIGGER update_materiality_assessments_timestamp BEFORE UPDATE ON materiality_assessments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE materiality_assessments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS materiality_assessments_project_access ON materiality_assessments;
+CREATE POLICY materiality_assessments_project_access ON materiality_assessments
+    FOR ALL USING (
+        project_id IN (
+            SELECT id FROM projects
+            WHERE created_by = auth.uid()
+            OR auth.uid() = ANY(assigned_to)
+        )
+    );
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "030_materiality", "version": "1.27.0", "description": "Added materiality_assessments"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE materiality_assessments;
@@ -0,0 +1,78 @@
+-- Migration: Risk assessment matrix
+-- Version: 1.28.0
+-- Date: 2026-10-19
+-- Description: Risks promoted from analysis findings and linked to the audit program procedures addressing them
+
+BEGIN;
+
+-- A risk promoted from an analysis finding points at it by the analysis
+-- version and the finding's position in analysis_results.findings, so each
+-- finding is promoted once
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS source_analysis_id UUID REFERENCES analysis_results(id) ON DELETE SET NULL;
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS source_finding_index INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_risk_assessments_source_finding
+    ON risk_assessments(source_analysis_id, source_finding_index)
+    WHERE source_analysis_id IS NOT NULL;
+
+-- created_by and reviewed_by hold Supabase auth user ids, like
+-- workpapers.prepared_by
+ALTER TABLE risk_assessments DROP CONSTRAINT IF EXISTS risk_assessments_created_by_fkey;
+ALTER TABLE risk_assessments DROP CONSTRAINT IF EXISTS risk_assessments_reviewed_by_fkey;
+
+-- Procedures addressing a risk, by program and procedure key (see
+-- programProcedures in lib/auditPrograms.ts)
+CREATE TABLE IF NOT EXISTS risk_assessment_procedures (
+    risk_assessment_id UUID NOT NULL REFERENCES risk_assessments(id) ON DELETE CASCADE,
+    audit_program_id UUID NOT NULL REFERENCES audit_programs(id) ON DELETE CASCADE,
+    procedure_key VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (risk_assessment_id, audit_program_id, procedure_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_assessment_procedures_program ON risk_assessment_procedures(audit_program_id);
+
+-- RLS was enabled on risk_assessments in 004 without a policy; templates
+-- (no project) stay out of reach
+DROP POLICY IF EXISTS risk_assessments_project_access ON risk_assessments;
+CREATE POLICY risk_assessments_project_access ON risk_assessments
+    FOR ALL USING (
+        project_id IN (
+            SELECT id FROM projects
+            WHERE created_by = auth.uid()
+            OR auth.uid() = ANY(assigned_to)
+        )
+    );
+
+ALTER TABLE risk_assessment_procedures ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS risk_assessment_procedures_project_access ON risk_assessment_procedures;
+CREATE POLICY risk_assessment_procedures_project_access ON risk_assessment_procedures
+    FOR ALL USING (
+        risk_assessment_id IN (
+            SELECT id FROM risk_assessments
+            WHERE project_id IN (
+                SELECT id FROM projects
+                WHERE created_by = auth.uid()
+                OR auth.uid() = ANY(assigned_to)
+            )
+        )
+    );
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "031_risk_assessments", "version": "1.28.0", "description": "Added risk sources from analysis findings and risk_assessment_procedures"}'::jsonb,
+    true
+);
+
+COMMIT;
+
+ANALYZE risk_assessments;
+ANALYZE risk_assessment_procedures;
@@ -0,0 +1,28 @@
+-- Migration: Queued document status
+-- Version: 1.29.0
+-- Date: 2026-10-19
+-- Description: Adds the queued document status, set when an analysis is enqueued and before a worker claims it
+
+BEGIN;
+
+-- A document is queued from the moment its analysis job is enqueued until a
+-- worker moves it to processing, so a second request cannot enqueue another
+-- analysis in between
+ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_status_check;
+ALTER TABLE documents ADD CONSTRAINT documents_status_check
+    CHECK (status IN ('uploaded', 'queued', 'processing', 'analyzed', 'error'));
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "032_document_queued_status", "version": "1.29.0", "description": "Added queued document status"}'::jsonb,
+    true
+);
+
+COMMIT;
@@ -0,0 +1,58 @@
+-- Migration: Atomic trial balance import
+-- Version: 1.30.0
+-- Date: 2026-10-19
+-- Description: Adds import_trial_balance(), which replaces a period's trial balance in one transaction
+
+BEGIN;
+
+-- Writes the accounts of an imported trial balance period. With p_replace the
+-- period's existing accounts are deleted first; the delete and the inserts
+-- run in one transaction, so a failed import leaves the previous trial
+-- balance as it was. Without p_replace, an account already in the period
+-- fails the unique index. Runs as the caller, so the trial_balances policy
+-- applies.
+CREATE OR REPLACE FUNCTION import_trial_balance(
+    p_project_id UUID,
+    p_period_end DATE,
+    p_accounts JSONB,
+    p_replace BOOLEAN DEFAULT false
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    IF p_replace THEN
+        DELETE FROM trial_balances
+        WHERE project_id = p_project_id AND period_end = p_period_end;
+    END IF;
+
+    INSERT INTO trial_balances (
+        project_id, period_end, account_number, account_name,
+        opening_balance, debit_total, credit_total, closing_balance,
+        source_document_id, reconciled, statement_line, mapping_source
+    )
+    SELECT
+        p_project_id, p_period_end, a.account_number, a.account_name,
+        a.opening_balance, a.debit_total, a.credit_total, a.closing_balance,
+        a.source_document_id, a.reconciled, a.statement_line, a.mapping_source
+    FROM jsonb_populate_recordset(NULL::trial_balances, p_accounts) a;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Log migration
+INSERT INTO audit_logs (
+    action,
+    resource_type,
+    details,
+    success
+) VALUES (
+    'database_migration',
+    'schema',
+    '{"migration": "033_import_trial_balance", "version": "1.30.0", "description": "Added import_trial_balance function for atomic trial balance imports"}'::jsonb,
+    true
+);
+
+COMMIT;
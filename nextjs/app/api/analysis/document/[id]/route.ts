@@ -1,7 +1,8 @@
 import { createClient } from '@/utils/supabase/server'
 import { NextRequest, NextResponse } from 'next/server'
-import { AzureServices } from '@/lib/azureServices'
-import { openai } from '@/lib/openaiClient'
+import { analysisLockTimeout, getAnalysisQueue } from '@/lib/analysisQueue'
+import { startAnalysisWorker } from '@/lib/analysisWorker'
+import { gradeFindings, loadMateriality, materialityThresholds } from '@/lib/materiality'
 
 export async function POST(
   request: NextRequest,
@@ -20,6 +21,8 @@ export async function POST(
 
   try {
     const documentId = params.id
+    // force=true queues a new analysis version even if one exists
+    const force = request.nextUrl.searchParams.get('force') === 'true'
 
     // Get document details
     const { data: document, error: docError } = await supabase
@@ -45,122 +48,74 @@ export async function POST(
       return NextResponse.json({ error: 'Access denied' }, { status: 403 })
     }
 
-    // Check if analysis already exists and is recent
+    // Return the latest analysis unless a re-analysis was requested
     const { data: existingAnalysis } = await supabase
       .from('analysis_results')
       .select('*')
       .eq('document_id', documentId)
-      .order('created_at', { ascending: false })
+      .order('version', { ascending: false })
       .limit(1)
 
-    if (existingAnalysis && existingAnalysis.length > 0) {
+    if (!force && existingAnalysis && existingAnalysis.length > 0) {
       return NextResponse.json({ 
         analysis: existingAnalysis[0],
         message: 'Analysis already exists' 
       })
     }
 
-    // Update document status to processing
-    await supabase
+    // Mark the document queued only if no analysis is queued or running, so
+    // that of two concurrent requests only one enqueues a job. A running job
+    // touches the document as it renews its lock; with force, a document
+    // that has not been touched for longer than the lock timeout is taken to
+    // be left over from a lost job and queued again.
+    const staleBefore = new Date(Date.now() - analysisLockTimeout()).toISOString()
+    const claim = supabase
       .from('documents')
-      .update({ status: 'processing' })
+      .update({ status: 'queued' })
       .eq('id', documentId)
 
-    // Initialize Azure services
-    const cookieStore = {
-      getAll: () => [],
-      setAll: () => {}
-    }
-    const azureServices = new AzureServices(cookieStore)
+    const { data: claimed, error: claimError } = await (force
+      ? claim.or(`status.not.in.(queued,processing),updated_at.lt."${staleBefore}"`)
+      : claim.not('status', 'in', '(queued,processing)')
+    ).select('id')
 
-    const startTime = Date.now()
+    if (claimError) {
+      throw claimError
+    }
 
-    try {
-      // Analyze document with Azure Document Intelligence
-      const documentAnalysis = await azureServices.analyzeDocument(
-        document.blob_url,
-        'prebuilt-document'
+    if (!claimed || claimed.length === 0) {
+      return NextResponse.json(
+        { error: 'Analysis already in progress' },
+        { status: 409 }
       )
+    }
 
-      // Generate AI summary and insights using OpenAI
-      const aiAnalysisPrompt = `
-        Analyze this financial document data and provide:
-        1. A comprehensive summary
-        2. Key financial insights
-        3. Potential red flags or areas of concern
-        4. Important highlights
-        
-        Document Data:
-        ${JSON.stringify(documentAnalysis, null, 2)}
-      `
-
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are a financial auditing expert. Analyze the provided document data and provide detailed insights."
-          },
-          {
-            role: "user", 
-            content: aiAnalysisPrompt
-          }
-        ],
-        max_tokens: 2000,
-        temperature: 0.3
+    // Hand the document to the analysis worker; the worker moves it through
+    // processing -> analyzed/error
+    let job
+    try {
+      job = await getAnalysisQueue().enqueue({
+        documentId,
+        projectId: project.id,
+        requestedBy: user.id,
       })
-
-      const aiSummary = completion.choices[0]?.message?.content || 'Analysis completed'
-
-      // Calculate confidence score based on data completeness
-      const confidence = calculateConfidenceScore(documentAnalysis)
-
-      // Save analysis results
-      const { data: analysisResult, error: analysisError } = await supabase
-        .from('analysis_results')
-        .insert([
-          {
-            document_id: documentId,
-            extracted_data: documentAnalysis,
-            ai_summary: aiSummary,
-            red_flags: extractRedFlags(aiSummary),
-            highlights: extractHighlights(aiSummary),
-            confidence_score: confidence,
-            processing_time_ms: Date.now() - startTime,
-          },
-        ])
-        .select()
-        .single()
-
-      if (analysisError) {
-        throw analysisError
-      }
-
-      // Update document status to analyzed
+    } catch (enqueueError) {
       await supabase
         .from('documents')
-        .update({ status: 'analyzed' })
+        .update({ status: document.status })
         .eq('id', documentId)
+      throw enqueueError
+    }
 
-      return NextResponse.json({ 
-        analysis: analysisResult,
-        message: 'Document analyzed successfully' 
-      })
-
-    } catch (analysisError) {
-      console.error('Analysis error:', analysisError)
-      
-      // Update document status to error
-      await supabase
-        .from('documents')
-        .update({ status: 'error' })
-        .eq('id', documentId)
+    // Make sure this process is consuming the queue as well
+    startAnalysisWorker()
 
-      return NextResponse.json(
-        { error: 'Analysis failed', details: analysisError.message },
-        { status: 500 }
-      )
-    }
+    return NextResponse.json({
+      jobId: job.id,
+      status: job.status,
+      previousVersion: existingAnalysis?.[0]?.version ?? null,
+      message: force ? 'Document queued for re-analysis' : 'Document queued for analysis'
+    }, { status: 202 })
 
   } catch (error) {
     console.error('Document analysis error:', error)
@@ -171,42 +126,75 @@ export async function POST(
   }
 }
 
-function calculateConfidenceScore(analysisData: any): number {
-  // Simple confidence calculation based on data completeness
-  let score = 0.5 // Base score
-  
-  if (analysisData.tables && analysisData.tables.length > 0) score += 0.2
-  if (analysisData.keyValuePairs && Object.keys(analysisData.keyValuePairs).length > 0) score += 0.2
-  if (analysisData.content && analysisData.content.length > 100) score += 0.1
-  
-  return Math.min(score, 1.0)
-}
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
 
-function extractRedFlags(summary: string): string[] {
-  const redFlags = []
-  const lowerSummary = summary.toLowerCase()
-  
-  if (lowerSummary.includes('discrepanc')) redFlags.push('Potential discrepancies detected')
-  if (lowerSummary.includes('inconsisten')) redFlags.push('Inconsistencies found')
-  if (lowerSummary.includes('unusual')) redFlags.push('Unusual patterns identified')
-  if (lowerSummary.includes('concern')) redFlags.push('Areas of concern noted')
-  
-  return redFlags
-}
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const documentId = params.id
+    const jobId = request.nextUrl.searchParams.get('jobId')
+
+    const { data: document, error: docError } = await supabase
+      .from('documents')
+      .select(`
+        *,
+        projects!inner(id, created_by, assigned_to)
+      `)
+      .eq('id', documentId)
+      .single()
 
-function extractHighlights(summary: string): string[] {
-  const highlights = []
-  const sentences = summary.split(/[.!?]+/)
-  
-  // Extract sentences that seem like key insights
-  for (const sentence of sentences) {
-    if (sentence.length > 20 && 
-        (sentence.toLowerCase().includes('key') || 
-         sentence.toLowerCase().includes('important') ||
-         sentence.toLowerCase().includes('significant'))) {
-      highlights.push(sentence.trim())
+    if (docError || !document) {
+      return NextResponse.json({ error: 'Document not found' }, { status: 404 })
     }
+
+    const project = document.projects
+    const hasAccess = 
+      project.created_by === user.id || 
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    const job = jobId ? await getAnalysisQueue().getJob(jobId) : null
+
+    const { data: analysis } = await supabase
+      .from('analysis_results')
+      .select('*')
+      .eq('document_id', documentId)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    // Findings are graded against the project's current materiality, so a
+    // change of materiality regrades earlier analyses too
+    if (analysis?.findings?.length) {
+      const materiality = await loadMateriality(supabase, project.id)
+      analysis.findings = gradeFindings(analysis.findings, materiality && materialityThresholds(materiality))
+    }
+
+    return NextResponse.json({
+      documentStatus: document.status,
+      job: job && job.documentId === documentId ? job : null,
+      analysis
+    })
+
+  } catch (error) {
+    console.error('Get analysis status error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
   }
-  
-  return highlights.slice(0, 5) // Limit to 5 highlights
-}
\ No newline at end of file
+}
@@ -0,0 +1,82 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Everything needed to compare versions; extracted_data is left out because
+// it can be large and is identical for reruns of the same extractor.
+const VERSION_COLUMNS = `
+  id,
+  document_id,
+  version,
+  ai_summary,
+  red_flags,
+  highlights,
+  findings,
+  confidence_score,
+  processing_time_ms,
+  prompt_version,
+  model_deployment,
+  extractor_model_id,
+  requested_by,
+  created_at
+`
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const documentId = params.id
+
+    const { data: document, error: docError } = await supabase
+      .from('documents')
+      .select(`
+        *,
+        projects!inner(id, created_by, assigned_to)
+      `)
+      .eq('id', documentId)
+      .single()
+
+    if (docError || !document) {
+      return NextResponse.json({ error: 'Document not found' }, { status: 404 })
+    }
+
+    const project = document.projects
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    const { data: versions, error: versionsError } = await supabase
+      .from('analysis_results')
+      .select(VERSION_COLUMNS)
+      .eq('document_id', documentId)
+      .order('version', { ascending: false })
+
+    if (versionsError) {
+      throw versionsError
+    }
+
+    return NextResponse.json({ versions: versions || [] })
+
+  } catch (error) {
+    console.error('Get analysis versions error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
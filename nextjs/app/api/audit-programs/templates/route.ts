@@ -0,0 +1,44 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { programProcedures } from '@/lib/auditPrograms'
+
+// The standard audit programs a project can be given, with their procedures
+export async function GET(request: NextRequest) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { data: templates, error } = await supabase
+      .from('audit_programs')
+      .select('id, name, standard_reference, risk_level, required_procedures, compliance_requirements')
+      .is('project_id', null)
+      .eq('status', 'approved')
+      .order('name', { ascending: true })
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({
+      templates: (templates || []).map(({ required_procedures, ...template }) => ({
+        ...template,
+        procedures: programProcedures(required_procedures)
+      }))
+    })
+
+  } catch (error) {
+    console.error('List audit program templates error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
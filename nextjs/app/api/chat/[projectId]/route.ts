@@ -1,6 +1,35 @@
 import { createClient } from '@/utils/supabase/server'
 import { NextRequest, NextResponse } from 'next/server'
-import { openai } from '@/lib/openaiClient'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { getLLMProvider, type ChatMessage } from '@/lib/openaiClient'
+import { getEnvConfig } from '@/lib/env'
+import {
+  buildThreadTitle,
+  createChatThread,
+  findChatThread,
+  fitTurnsToBudget,
+  summarizeTurns
+} from '@/lib/chatThreads'
+import {
+  extractCitations,
+  formatSources,
+  retrieveSources,
+  type Citation,
+  type RetrievedSource
+} from '@/lib/retrieval'
+
+type CompletionStatus = 'completed' | 'aborted' | 'failed'
+
+interface ChatRecordInput {
+  projectId: string
+  threadId: string
+  userId: string
+  question: string
+  answer: string
+  contextDocuments: string[]
+  citations: Citation[]
+  completionStatus: CompletionStatus
+}
 
 export async function POST(
   request: NextRequest,
@@ -18,7 +47,7 @@ export async function POST(
   }
 
   try {
-    const { message } = await request.json()
+    const { message, threadId } = await request.json()
     const projectId = params.projectId
 
     if (!message || message.trim().length === 0) {
@@ -47,7 +76,17 @@ export async function POST(
       return NextResponse.json({ error: 'Access denied' }, { status: 403 })
     }
 
-    // Get project context (documents and analysis)
+    // Continue the given thread or start a new one titled after the question
+    const thread = threadId
+      ? await findChatThread(supabase, projectId, threadId, user.id)
+      : await createChatThread(supabase, projectId, user.id, buildThreadTitle(message))
+
+    if (!thread) {
+      return NextResponse.json({ error: 'Thread not found' }, { status: 404 })
+    }
+
+    // Get project context (documents and analysis summaries). Document text
+    // is not sent wholesale; only the chunks retrieved for the question are.
     const { data: documents } = await supabase
       .from('documents')
       .select(`
@@ -55,22 +94,61 @@ export async function POST(
         name,
         original_name,
         analysis_results (
-          extracted_data,
+          version,
           ai_summary,
-          red_flags,
-          highlights
+          red_flags
         )
       `)
       .eq('project_id', projectId)
       .eq('status', 'analyzed')
 
-    // Get recent chat history for context
-    const { data: chatHistory } = await supabase
+    // Turns of the thread not yet covered by its summary
+    let turnsQuery = supabase
       .from('chat_history')
-      .select('question, answer')
-      .eq('project_id', projectId)
-      .order('created_at', { ascending: false })
-      .limit(5)
+      .select('question, answer, created_at')
+      .eq('thread_id', thread.id)
+      .order('created_at', { ascending: true })
+
+    if (thread.summarized_through) {
+      turnsQuery = turnsQuery.gt('created_at', thread.summarized_through)
+    }
+
+    const { data: turns } = await turnsQuery
+
+    const documentNames = new Map<string, string>(
+      documents?.map(doc => [doc.id, doc.original_name]) || []
+    )
+
+    let sources: RetrievedSource[] = []
+    try {
+      sources = await retrieveSources(projectId, message, documentNames)
+    } catch (error) {
+      // Answer from the summaries alone rather than failing the question
+      console.error('Chat retrieval error:', error)
+    }
+
+    const llm = await getLLMProvider('chat')
+
+    // Recent turns go to the model verbatim; older ones are folded into the
+    // thread summary
+    const { messages: history, overflow } = fitTurnsToBudget(
+      turns || [],
+      getEnvConfig().app.chatHistoryTokenBudget
+    )
+
+    let summary = thread.summary
+    if (overflow.length > 0) {
+      try {
+        summary = await summarizeTurns(llm, summary, overflow)
+        await supabase
+          .from('chat_threads')
+          .update({ summary, summarized_through: overflow[overflow.length - 1].created_at })
+          .eq('id', thread.id)
+      } catch (error) {
+        // The overflowing turns are left out of this answer and summarized next time
+        console.error('Chat summary error:', error)
+      }
+    }
 
     // Build context for AI
     const contextInfo = {
@@ -78,11 +156,14 @@ export async function POST(
         name: project.name,
         description: project.description
       },
-      documents: documents?.map(doc => ({
-        name: doc.original_name,
-        analysis: doc.analysis_results?.[0]
-      })) || [],
-      recentChat: chatHistory || []
+      documents: documents?.map(doc => {
+        const latest = [...(doc.analysis_results || [])].sort((a, b) => b.version - a.version)[0]
+        return {
+          name: doc.original_name,
+          summary: latest?.ai_summary,
+          redFlags: latest?.red_flags
+        }
+      }) || []
     }
 
     // Create AI prompt with context
@@ -92,53 +173,69 @@ You have access to analyzed documents and project context. Provide helpful, accu
 
 Project Context:
 ${JSON.stringify(contextInfo, null, 2)}
+${summary ? `\nSummary of the earlier conversation:\n${summary}\n` : ''}
+Sources (excerpts from the project's documents most relevant to the question):
+${sources.length > 0 ? formatSources(sources) : 'No matching excerpts were found.'}
 
 Guidelines:
 - Be helpful and professional
-- Reference specific documents when relevant
+- Base answers about document contents on the sources and cite each source you use by its number in square brackets, e.g. [1]
 - If you don't have enough information, say so
 - Focus on audit-related insights and recommendations
 `
 
     const userPrompt = message
 
+    const messages: ChatMessage[] = [
+      { role: "system", content: systemPrompt },
+      ...history,
+      { role: "user", content: userPrompt }
+    ]
+    const contextDocuments = documents?.map(d => d.id) || []
+
+    // Clients that accept an event stream get tokens as they are generated
+    if (request.headers.get('accept')?.includes('text/event-stream')) {
+      return streamChatResponse(request, supabase, llm.streamChat({
+        messages,
+        maxTokens: 1000,
+        temperature: 0.7,
+        signal: request.signal
+      }), {
+        projectId,
+        threadId: thread.id,
+        userId: user.id,
+        question: message,
+        contextDocuments
+      }, sources)
+    }
+
     // Generate AI response
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ],
-      max_tokens: 1000,
+    const completion = await llm.chat({
+      messages,
+      maxTokens: 1000,
       temperature: 0.7
     })
 
-    const aiResponse = completion.choices[0]?.message?.content || 'I apologize, but I could not generate a response.'
+    const aiResponse = completion.content || 'I apologize, but I could not generate a response.'
+    const citations = extractCitations(aiResponse, sources)
 
-    // Save chat history
-    const { data: chatRecord, error: chatError } = await supabase
-      .from('chat_history')
-      .insert([
-        {
-          project_id: projectId,
-          user_id: user.id,
-          question: message,
-          answer: aiResponse,
-          context_documents: documents?.map(d => d.id) || []
-        }
-      ])
-      .select()
-      .single()
-
-    if (chatError) {
-      console.error('Error saving chat history:', chatError)
-      // Don't fail the request if chat history save fails
-    }
+    const chatRecord = await saveChatRecord(supabase, {
+      projectId,
+      threadId: thread.id,
+      userId: user.id,
+      question: message,
+      answer: aiResponse,
+      contextDocuments,
+      citations,
+      completionStatus: 'completed'
+    })
 
     return NextResponse.json({
       answer: aiResponse,
       chatId: chatRecord?.id,
-      contextDocuments: documents?.length || 0
+      threadId: thread.id,
+      contextDocuments: documents?.length || 0,
+      citations
     })
 
   } catch (error) {
@@ -150,6 +247,118 @@ Guidelines:
   }
 }
 
+// Server-sent events: `token` for each content delta, then `done` with the
+// saved chat id and citations or `error`. The answer is saved once the stream
+// ends, also when the client disconnects part way through.
+function streamChatResponse(
+  request: NextRequest,
+  supabase: SupabaseClient,
+  tokens: AsyncIterable<string>,
+  record: Omit<ChatRecordInput, 'answer' | 'citations' | 'completionStatus'>,
+  sources: RetrievedSource[]
+) {
+  const encoder = new TextEncoder()
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event: string, data: unknown) => {
+        if (request.signal.aborted) return
+        try {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
+        } catch {
+          // Stream already closed by the client
+        }
+      }
+
+      let answer = ''
+      let completionStatus: CompletionStatus = 'completed'
+
+      try {
+        for await (const delta of tokens) {
+          answer += delta
+          send('token', { content: delta })
+        }
+      } catch (error) {
+        if (!request.signal.aborted) {
+          console.error('Chat stream error:', error)
+          completionStatus = 'failed'
+        }
+      }
+
+      if (request.signal.aborted) {
+        completionStatus = 'aborted'
+      }
+
+      const citations = extractCitations(answer, sources)
+
+      // Nothing worth keeping if the user cancelled before the first token
+      const chatRecord = answer || completionStatus === 'completed'
+        ? await saveChatRecord(supabase, { ...record, answer, citations, completionStatus })
+        : null
+
+      if (completionStatus === 'failed') {
+        send('error', { error: 'Failed to generate a response', chatId: chatRecord?.id, threadId: record.threadId })
+      } else {
+        send('done', {
+          chatId: chatRecord?.id,
+          threadId: record.threadId,
+          contextDocuments: record.contextDocuments.length,
+          citations
+        })
+      }
+
+      try {
+        controller.close()
+      } catch {
+        // Already closed
+      }
+    }
+  })
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable proxy buffering (nginx) so tokens are flushed immediately
+      'X-Accel-Buffering': 'no'
+    }
+  })
+}
+
+async function saveChatRecord(supabase: SupabaseClient, record: ChatRecordInput) {
+  const { data: chatRecord, error: chatError } = await supabase
+    .from('chat_history')
+    .insert([
+      {
+        project_id: record.projectId,
+        thread_id: record.threadId,
+        user_id: record.userId,
+        question: record.question,
+        answer: record.answer,
+        context_documents: record.contextDocuments,
+        citations: record.citations,
+        completion_status: record.completionStatus
+      }
+    ])
+    .select()
+    .single()
+
+  if (chatError) {
+    console.error('Error saving chat history:', chatError)
+    // Don't fail the request if chat history save fails
+    return null
+  }
+
+  // Keeps the thread list ordered by activity
+  await supabase
+    .from('chat_threads')
+    .update({ last_message_at: chatRecord.created_at })
+    .eq('id', record.threadId)
+
+  return chatRecord
+}
+
 export async function GET(
   request: NextRequest,
   { params }: { params: { projectId: string } }
@@ -167,12 +376,19 @@ export async function GET(
 
   try {
     const projectId = params.projectId
+    const threadId = request.nextUrl.searchParams.get('threadId')
 
-    // Get chat history
-    const { data: chatHistory, error } = await supabase
+    // Get chat history, optionally for one thread
+    let historyQuery = supabase
       .from('chat_history')
       .select('*')
       .eq('project_id', projectId)
+
+    if (threadId) {
+      historyQuery = historyQuery.eq('thread_id', threadId)
+    }
+
+    const { data: chatHistory, error } = await historyQuery
       .order('created_at', { ascending: true })
 
     if (error) {
@@ -0,0 +1,83 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { buildSuggestedQuestions } from '@/lib/suggestedQuestions'
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { projectId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const projectId = params.projectId
+
+    // Check project access
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id, audit_type, created_by, assigned_to')
+      .eq('id', projectId)
+      .single()
+
+    if (projectError || !project) {
+      return NextResponse.json({ error: 'Project not found' }, { status: 404 })
+    }
+
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    const { data: documents, error } = await supabase
+      .from('documents')
+      .select(`
+        original_name,
+        analysis_results (
+          version,
+          red_flags,
+          findings
+        )
+      `)
+      .eq('project_id', projectId)
+      .eq('status', 'analyzed')
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      throw error
+    }
+
+    // Only the latest analysis of each document counts; flags from
+    // superseded versions are no longer open
+    const suggestedQuestions = buildSuggestedQuestions({
+      auditType: project.audit_type,
+      documents: (documents || []).map(doc => {
+        const latest = [...(doc.analysis_results || [])].sort((a, b) => b.version - a.version)[0]
+        return {
+          name: doc.original_name,
+          redFlags: latest?.red_flags || [],
+          findings: latest?.findings || []
+        }
+      })
+    })
+
+    return NextResponse.json({ suggestedQuestions })
+
+  } catch (error) {
+    console.error('Get suggested questions error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
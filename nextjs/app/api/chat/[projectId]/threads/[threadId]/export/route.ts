@@ -0,0 +1,83 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { findChatThread, formatThreadMarkdown } from '@/lib/chatThreads'
+
+// Downloads a thread as Markdown (default) or JSON
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { projectId: string; threadId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const format = request.nextUrl.searchParams.get('format') || 'markdown'
+
+    if (format !== 'markdown' && format !== 'json') {
+      return NextResponse.json(
+        { error: 'Format must be markdown or json' },
+        { status: 400 }
+      )
+    }
+
+    const thread = await findChatThread(supabase, params.projectId, params.threadId, user.id)
+    if (!thread) {
+      return NextResponse.json({ error: 'Thread not found' }, { status: 404 })
+    }
+
+    const { data: project } = await supabase
+      .from('projects')
+      .select('name')
+      .eq('id', params.projectId)
+      .single()
+
+    const { data: messages, error } = await supabase
+      .from('chat_history')
+      .select('question, answer, citations, completion_status, created_at')
+      .eq('thread_id', thread.id)
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      throw error
+    }
+
+    const fileName = thread.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'conversation'
+
+    if (format === 'json') {
+      return new Response(JSON.stringify({ thread, project: project?.name, messages }, null, 2), {
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${fileName}.json"`
+        }
+      })
+    }
+
+    const markdown = formatThreadMarkdown({
+      title: thread.title,
+      projectName: project?.name || '',
+      messages: messages || []
+    })
+
+    return new Response(markdown, {
+      headers: {
+        'Content-Type': 'text/markdown; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}.md"`
+      }
+    })
+
+  } catch (error) {
+    console.error('Export chat thread error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
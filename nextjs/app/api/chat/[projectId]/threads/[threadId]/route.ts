@@ -0,0 +1,93 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { THREAD_COLUMNS, findChatThread } from '@/lib/chatThreads'
+
+type ThreadParams = { params: { projectId: string; threadId: string } }
+
+export async function PATCH(request: NextRequest, { params }: ThreadParams) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { title } = await request.json()
+
+    if (typeof title !== 'string' || title.trim().length === 0 || title.trim().length > 200) {
+      return NextResponse.json(
+        { error: 'Title must be between 1 and 200 characters' },
+        { status: 400 }
+      )
+    }
+
+    const thread = await findChatThread(supabase, params.projectId, params.threadId, user.id)
+    if (!thread) {
+      return NextResponse.json({ error: 'Thread not found' }, { status: 404 })
+    }
+
+    const { data: updated, error } = await supabase
+      .from('chat_threads')
+      .update({ title: title.trim() })
+      .eq('id', thread.id)
+      .select(THREAD_COLUMNS)
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ thread: updated })
+
+  } catch (error) {
+    console.error('Rename chat thread error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Deletes the thread and its messages
+export async function DELETE(request: NextRequest, { params }: ThreadParams) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const thread = await findChatThread(supabase, params.projectId, params.threadId, user.id)
+    if (!thread) {
+      return NextResponse.json({ error: 'Thread not found' }, { status: 404 })
+    }
+
+    const { error } = await supabase
+      .from('chat_threads')
+      .delete()
+      .eq('id', thread.id)
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ message: 'Thread deleted' })
+
+  } catch (error) {
+    console.error('Delete chat thread error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
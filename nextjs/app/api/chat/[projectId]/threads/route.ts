@@ -0,0 +1,106 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { createChatThread } from '@/lib/chatThreads'
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { projectId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    // The user's own threads in the project, most recently active first
+    const { data: threads, error } = await supabase
+      .from('chat_threads')
+      .select('id, title, last_message_at, created_at, updated_at, chat_history(count)')
+      .eq('project_id', params.projectId)
+      .eq('created_by', user.id)
+      .order('last_message_at', { ascending: false, nullsFirst: true })
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({
+      threads: (threads || []).map(({ chat_history, ...thread }: any) => ({
+        ...thread,
+        message_count: chat_history?.[0]?.count || 0
+      }))
+    })
+
+  } catch (error) {
+    console.error('Get chat threads error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { projectId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { title } = await request.json().catch(() => ({}))
+    const projectId = params.projectId
+
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length > 200)) {
+      return NextResponse.json(
+        { error: 'Title must be a string of at most 200 characters' },
+        { status: 400 }
+      )
+    }
+
+    // Check project access
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id, created_by, assigned_to')
+      .eq('id', projectId)
+      .single()
+
+    if (projectError || !project) {
+      return NextResponse.json({ error: 'Project not found' }, { status: 404 })
+    }
+
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    const thread = await createChatThread(supabase, projectId, user.id, title?.trim() || 'New conversation')
+
+    return NextResponse.json({ thread }, { status: 201 })
+
+  } catch (error) {
+    console.error('Create chat thread error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
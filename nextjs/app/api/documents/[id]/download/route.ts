@@ -0,0 +1,68 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Signed URLs are only used to open the file right away
+const SIGNED_URL_EXPIRY_SECONDS = 300
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const documentId = params.id
+
+    const { data: document, error: docError } = await supabase
+      .from('documents')
+      .select(`
+        *,
+        projects!inner(id, created_by, assigned_to)
+      `)
+      .eq('id', documentId)
+      .single()
+
+    if (docError || !document) {
+      return NextResponse.json({ error: 'Document not found' }, { status: 404 })
+    }
+
+    const project = document.projects
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    const { data, error } = await supabase.storage
+      .from('documents')
+      .createSignedUrl(document.file_path, SIGNED_URL_EXPIRY_SECONDS)
+
+    if (error || !data) {
+      throw error || new Error('No signed URL returned')
+    }
+
+    return NextResponse.json({
+      url: data.signedUrl,
+      fileName: document.original_name,
+      expiresIn: SIGNED_URL_EXPIRY_SECONDS
+    })
+
+  } catch (error) {
+    console.error('Get document download URL error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,186 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { MAX_PROGRAMS_PER_REQUEST, instantiateProgram, programStatus } from '@/lib/auditPrograms'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+async function findProject(supabase: SupabaseClient, projectId: string, userId: string) {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('id, created_by, assigned_to')
+    .eq('id', projectId)
+    .single()
+
+  if (error || !project) {
+    return { error: NextResponse.json({ error: 'Project not found' }, { status: 404 }) }
+  }
+
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { project }
+}
+
+// The project's audit programs, each with its procedures, the workpaper
+// generated for each and progress against the required ones
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const [{ data: programs, error }, { data: workpapers, error: workpapersError }] = await Promise.all([
+      supabase
+        .from('audit_programs')
+        .select('*')
+        .eq('project_id', params.id)
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('workpapers')
+        .select('id, reference_number, status, audit_program_id, procedure_key')
+        .eq('project_id', params.id)
+        .not('audit_program_id', 'is', null)
+    ])
+
+    if (error) {
+      throw error
+    }
+    if (workpapersError) {
+      throw workpapersError
+    }
+
+    return NextResponse.json({
+      programs: (programs || []).map(({ required_procedures, ...program }) => ({
+        ...program,
+        ...programStatus(
+          { required_procedures },
+          (workpapers || []).filter(workpaper => workpaper.audit_program_id === program.id)
+        )
+      }))
+    })
+
+  } catch (error) {
+    console.error('List audit programs error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Applies template programs to the project: { templateIds }. Each becomes a
+// project program with a draft workpaper per procedure.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { templateIds } = await request.json()
+
+    if (!Array.isArray(templateIds) || templateIds.length === 0 || templateIds.length > MAX_PROGRAMS_PER_REQUEST ||
+        templateIds.some((id: any) => typeof id !== 'string' || !UUID_PATTERN.test(id))) {
+      return NextResponse.json(
+        { error: `templateIds must be a list of 1 to ${MAX_PROGRAMS_PER_REQUEST} audit program template IDs` },
+        { status: 400 }
+      )
+    }
+
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const ids = [...new Set(templateIds as string[])]
+    const [{ data: templates, error }, { data: existing, error: existingError }] = await Promise.all([
+      supabase
+        .from('audit_programs')
+        .select('*')
+        .is('project_id', null)
+        .in('id', ids),
+      supabase
+        .from('audit_programs')
+        .select('template_id, name')
+        .eq('project_id', params.id)
+        .in('template_id', ids)
+    ])
+
+    if (error) {
+      throw error
+    }
+    if (existingError) {
+      throw existingError
+    }
+
+    const found = new Set((templates || []).map(template => template.id))
+    const unknown = ids.filter(id => !found.has(id))
+    if (unknown.length > 0) {
+      return NextResponse.json(
+        { error: `Audit program templates not found: ${unknown.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    if (existing && existing.length > 0) {
+      return NextResponse.json(
+        { error: `The project already has ${existing.map(program => program.name).join(', ')}` },
+        { status: 409 }
+      )
+    }
+
+    // One at a time, in the order given, so reference numbers follow it
+    const programs = []
+    for (const id of ids) {
+      const template = templates!.find(template => template.id === id)!
+      try {
+        const { program, workpapers } = await instantiateProgram(supabase, params.id, template, user.id)
+        programs.push({ ...program, workpapers })
+      } catch (instantiateError: any) {
+        // A concurrent request applied the same template after the check above
+        if (instantiateError?.code === '23505' && instantiateError.message?.includes('idx_audit_programs_project_template')) {
+          return NextResponse.json(
+            { error: `The project already has ${template.name}` },
+            { status: 409 }
+          )
+        }
+        throw instantiateError
+      }
+    }
+
+    return NextResponse.json({ programs }, { status: 201 })
+
+  } catch (error) {
+    console.error('Create audit programs error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
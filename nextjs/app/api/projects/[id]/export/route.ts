@@ -0,0 +1,146 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import {
+  XLSX_CONTENT_TYPE,
+  buildAnalysisWorkbook,
+  buildFinancialWorkbook
+} from '@/lib/workbookExports'
+
+const PERIOD_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Downloads project data as an Excel workbook:
+//   ?type=analysis   - red flags, highlights and extracted tables, one sheet per document
+//   ?type=financials - trial balances and financial statements (optionally &periodEnd=YYYY-MM-DD)
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const type = request.nextUrl.searchParams.get('type')
+    const periodEnd = request.nextUrl.searchParams.get('periodEnd')
+
+    if (type !== 'analysis' && type !== 'financials') {
+      return NextResponse.json(
+        { error: 'Type must be analysis or financials' },
+        { status: 400 }
+      )
+    }
+
+    if (periodEnd && !PERIOD_PATTERN.test(periodEnd)) {
+      return NextResponse.json(
+        { error: 'periodEnd must be a date (YYYY-MM-DD)' },
+        { status: 400 }
+      )
+    }
+
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id, name, created_by, assigned_to')
+      .eq('id', params.id)
+      .single()
+
+    if (projectError || !project) {
+      return NextResponse.json({ error: 'Project not found' }, { status: 404 })
+    }
+
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    let workbook: Buffer
+
+    if (type === 'analysis') {
+      const { data: documents, error } = await supabase
+        .from('documents')
+        .select(`
+          original_name,
+          status,
+          analysis_results (
+            version,
+            ai_summary,
+            red_flags,
+            highlights,
+            findings,
+            confidence_score,
+            extracted_data
+          )
+        `)
+        .eq('project_id', project.id)
+        .order('created_at', { ascending: true })
+
+      if (error) {
+        throw error
+      }
+
+      workbook = buildAnalysisWorkbook(project.name, (documents || []).map(doc => ({
+        name: doc.original_name,
+        status: doc.status,
+        analysis: [...(doc.analysis_results || [])].sort((a, b) => b.version - a.version)[0] || null
+      })))
+    } else {
+      let trialBalanceQuery = supabase
+        .from('trial_balances')
+        .select('period_end, account_number, account_name, opening_balance, debit_total, credit_total, closing_balance, reconciled')
+        .eq('project_id', project.id)
+      let statementQuery = supabase
+        .from('financial_statements')
+        .select('statement_type, period_start, period_end, status, data')
+        .eq('project_id', project.id)
+        .order('period_end', { ascending: true })
+
+      if (periodEnd) {
+        trialBalanceQuery = trialBalanceQuery.eq('period_end', periodEnd)
+        statementQuery = statementQuery.eq('period_end', periodEnd)
+      }
+
+      const [
+        { data: trialBalances, error: trialBalanceError },
+        { data: statements, error: statementError }
+      ] = await Promise.all([trialBalanceQuery, statementQuery])
+
+      if (trialBalanceError || statementError) {
+        throw trialBalanceError || statementError
+      }
+
+      if (!trialBalances?.length && !statements?.length) {
+        return NextResponse.json(
+          { error: 'No trial balances or financial statements to export' },
+          { status: 404 }
+        )
+      }
+
+      workbook = buildFinancialWorkbook(trialBalances || [], statements || [])
+    }
+
+    const fileName = `${project.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'project'}-${type}`
+
+    return new Response(new Uint8Array(workbook), {
+      headers: {
+        'Content-Type': XLSX_CONTENT_TYPE,
+        'Content-Disposition': `attachment; filename="${fileName}.xlsx"`
+      }
+    })
+
+  } catch (error) {
+    console.error('Export project workbook error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,292 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { GENERATED_STATEMENT_TYPES, buildFinancialStatements, withPriorPeriod } from '@/lib/financialStatements'
+import { loadFinancialStatements } from '@/lib/periodComparison'
+import type { StatementLine } from '@/lib/workbookExports'
+
+const PERIOD_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+async function findProject(supabase: SupabaseClient, projectId: string, userId: string) {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('id, created_by, assigned_to, prior_project_id')
+    .eq('id', projectId)
+    .single()
+
+  if (error || !project) {
+    return { error: NextResponse.json({ error: 'Project not found' }, { status: 404 }) }
+  }
+
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { project }
+}
+
+async function loadAccounts(supabase: SupabaseClient, projectId: string, periodEnd: string) {
+  const { data, error } = await supabase
+    .from('trial_balances')
+    .select('statement_line, opening_balance, closing_balance, source_document_id')
+    .eq('project_id', projectId)
+    .eq('period_end', periodEnd)
+
+  if (error) throw error
+  return data || []
+}
+
+// A YYYY-MM-DD date moved by days and years
+function shiftDate(date: string, days: number, years = 0) {
+  const shifted = new Date(`${date}T00:00:00Z`)
+  shifted.setUTCFullYear(shifted.getUTCFullYear() + years)
+  shifted.setUTCDate(shifted.getUTCDate() + days)
+  return shifted.toISOString().slice(0, 10)
+}
+
+// Financial statements of a period (?periodEnd=YYYY-MM-DD, the latest by
+// default) with the checks they were generated with, the periods that have
+// statements and the trial balance periods they can be generated from
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const requestedPeriod = request.nextUrl.searchParams.get('periodEnd')
+
+    if (requestedPeriod && !PERIOD_PATTERN.test(requestedPeriod)) {
+      return NextResponse.json(
+        { error: 'periodEnd must be a date (YYYY-MM-DD)' },
+        { status: 400 }
+      )
+    }
+
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const [
+      { data: statementRows, error: statementsError },
+      { data: trialBalanceRows, error: trialBalancesError }
+    ] = await Promise.all([
+      supabase
+        .from('financial_statements')
+        .select('id, statement_type, period_start, period_end, data, source_document_id, status, created_by, created_at, updated_at')
+        .eq('project_id', params.id)
+        .order('period_end', { ascending: false }),
+      supabase
+        .from('trial_balances')
+        .select('period_end')
+        .eq('project_id', params.id)
+    ])
+
+    if (statementsError || trialBalancesError) {
+      throw statementsError || trialBalancesError
+    }
+
+    const rows = statementRows || []
+    const periods = [...new Set(rows.map(row => row.period_end))]
+    const periodEnd = requestedPeriod || periods[0] || null
+    const statements = rows
+      .filter(row => row.period_end === periodEnd)
+      .sort((a, b) =>
+        GENERATED_STATEMENT_TYPES.indexOf(a.statement_type) - GENERATED_STATEMENT_TYPES.indexOf(b.statement_type)
+      )
+
+    return NextResponse.json({
+      periods,
+      trialBalancePeriods: [...new Set((trialBalanceRows || []).map(row => row.period_end))].sort().reverse(),
+      periodEnd,
+      statements,
+      checks: statements.find(statement => statement.data?.checks)?.data.checks || []
+    })
+
+  } catch (error) {
+    console.error('Get financial statements error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Generates draft statements from the trial balance of a period:
+// { periodEnd, periodStart? }. The period starts the day after the previous
+// trial balance, or a year before its end when there is none. Prior period
+// figures come from the previous trial balance, else from the statements of
+// the prior-period engagement; without either the balance sheet is compared
+// with the opening balances. Drafts of the period are replaced; statements
+// that have been reviewed are not.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { periodEnd, periodStart } = await request.json()
+
+    if (typeof periodEnd !== 'string' || !PERIOD_PATTERN.test(periodEnd)) {
+      return NextResponse.json(
+        { error: 'periodEnd must be a date (YYYY-MM-DD)' },
+        { status: 400 }
+      )
+    }
+
+    if (periodStart !== undefined && (typeof periodStart !== 'string' || !PERIOD_PATTERN.test(periodStart) || periodStart > periodEnd)) {
+      return NextResponse.json(
+        { error: 'periodStart must be a date (YYYY-MM-DD) on or before periodEnd' },
+        { status: 400 }
+      )
+    }
+
+    const { project, error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const accounts = await loadAccounts(supabase, params.id, periodEnd)
+    if (accounts.length === 0) {
+      return NextResponse.json(
+        { error: `There is no trial balance for ${periodEnd}` },
+        { status: 404 }
+      )
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('financial_statements')
+      .select('statement_type, status')
+      .eq('project_id', params.id)
+      .eq('period_end', periodEnd)
+
+    if (existingError) {
+      throw existingError
+    }
+
+    if (existing?.some(statement => statement.status !== 'draft')) {
+      return NextResponse.json(
+        { error: `The statements for ${periodEnd} have been reviewed and can no longer be regenerated` },
+        { status: 409 }
+      )
+    }
+
+    const { data: previous, error: previousError } = await supabase
+      .from('trial_balances')
+      .select('period_end')
+      .eq('project_id', params.id)
+      .lt('period_end', periodEnd)
+      .order('period_end', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (previousError) {
+      throw previousError
+    }
+
+    const generated = buildFinancialStatements(accounts)
+
+    let priorPeriodEnd: string | null = null
+    let priorLines: Partial<Record<string, StatementLine[]>> = {}
+    if (previous) {
+      priorPeriodEnd = previous.period_end
+      const prior = buildFinancialStatements(await loadAccounts(supabase, params.id, previous.period_end))
+      priorLines = Object.fromEntries(prior.statements.map(statement => [statement.statementType, statement.lines]))
+    } else if (project.prior_project_id) {
+      const priorStatements = (await loadFinancialStatements(supabase, project.prior_project_id))
+        .filter(statement => statement.period_end < periodEnd)
+      for (const statement of priorStatements) {
+        // Newest first, so the first of each type is the latest
+        if (priorLines[statement.statement_type]) continue
+        priorLines[statement.statement_type] = statement.data?.lines || []
+        priorPeriodEnd = priorPeriodEnd && priorPeriodEnd > statement.period_end ? priorPeriodEnd : statement.period_end
+      }
+    }
+
+    if (!priorLines.balance_sheet) {
+      priorLines = { ...priorLines, balance_sheet: generated.openingBalanceSheet }
+    }
+
+    // The document the period's trial balance was imported from
+    const sourceDocumentId = accounts.find(account => account.source_document_id)?.source_document_id || null
+    const start = periodStart || (previous ? shiftDate(previous.period_end, 1) : shiftDate(periodEnd, 1, -1))
+
+    const rows = generated.statements.map(statement => ({
+      project_id: params.id,
+      statement_type: statement.statementType,
+      period_start: start,
+      period_end: periodEnd,
+      data: {
+        lines: withPriorPeriod(statement.lines, priorLines[statement.statementType] || null),
+        checks: generated.checks,
+        trialBalance: { periodEnd, accountCount: accounts.length, unmappedAccounts: generated.unmappedAccounts },
+        priorPeriodEnd
+      },
+      source_document_id: sourceDocumentId,
+      status: 'draft',
+      created_by: user.id
+    }))
+
+    if (existing && existing.length > 0) {
+      const { error: deleteError } = await supabase
+        .from('financial_statements')
+        .delete()
+        .eq('project_id', params.id)
+        .eq('period_end', periodEnd)
+        .eq('status', 'draft')
+
+      if (deleteError) {
+        throw deleteError
+      }
+    }
+
+    const { data: statements, error: insertError } = await supabase
+      .from('financial_statements')
+      .insert(rows)
+      .select()
+
+    if (insertError?.code === '23505') {
+      return NextResponse.json(
+        { error: `The statements for ${periodEnd} are already being generated` },
+        { status: 409 }
+      )
+    }
+
+    if (insertError) {
+      throw insertError
+    }
+
+    return NextResponse.json({
+      periodEnd,
+      statements,
+      checks: generated.checks
+    }, { status: 201 })
+
+  } catch (error) {
+    console.error('Generate financial statements error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,229 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import {
+  DEFAULT_PERFORMANCE_PERCENTAGE,
+  DEFAULT_TRIVIAL_PERCENTAGE,
+  MATERIALITY_BENCHMARKS,
+  MaterialityError,
+  benchmarkValues,
+  calculateMateriality,
+  loadMateriality,
+  materialityBenchmark,
+  materialityThresholds,
+  propagateMateriality,
+  validateMaterialityInput
+} from '@/lib/materiality'
+import { loadFinancialStatements } from '@/lib/periodComparison'
+
+const PERIOD_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+async function findProject(supabase: SupabaseClient, projectId: string, userId: string) {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('id, created_by, assigned_to')
+    .eq('id', projectId)
+    .single()
+
+  if (error || !project) {
+    return { error: NextResponse.json({ error: 'Project not found' }, { status: 404 }) }
+  }
+
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { project }
+}
+
+// The project's materiality assessment, if any, and the benchmark figures of
+// its financial statements for the latest period or ?periodEnd
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const periodEnd = request.nextUrl.searchParams.get('periodEnd')
+    if (periodEnd && !PERIOD_PATTERN.test(periodEnd)) {
+      return NextResponse.json(
+        { error: 'periodEnd must be a date (YYYY-MM-DD)' },
+        { status: 400 }
+      )
+    }
+
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const [assessment, statements] = await Promise.all([
+      loadMateriality(supabase, params.id),
+      loadFinancialStatements(supabase, params.id)
+    ])
+
+    const figures = benchmarkValues(statements, periodEnd)
+
+    return NextResponse.json({
+      assessment,
+      thresholds: assessment ? materialityThresholds(assessment) : null,
+      periods: Array.from(new Set(statements.map(statement => statement.period_end))),
+      periodEnd: figures.periodEnd,
+      benchmarks: MATERIALITY_BENCHMARKS.map(benchmark => ({
+        ...benchmark,
+        value: figures.values[benchmark.key]
+      })),
+      defaults: {
+        performancePercentage: DEFAULT_PERFORMANCE_PERCENTAGE,
+        trivialPercentage: DEFAULT_TRIVIAL_PERCENTAGE
+      }
+    })
+
+  } catch (error) {
+    console.error('Get materiality error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Calculates and saves the project's materiality: { benchmark,
+// overallPercentage?, performancePercentage?, trivialPercentage?,
+// benchmarkValue?, periodEnd?, rationale, workpaperId? }. The benchmark is
+// read from the financial statements unless benchmarkValue is given. Overall
+// materiality is copied to the project's audit programs and to the workpaper,
+// which must be a draft.
+export async function PUT(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const validated = validateMaterialityInput(await request.json())
+    if ('error' in validated) {
+      return NextResponse.json({ error: validated.error }, { status: 400 })
+    }
+    const { input } = validated
+
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    if (input.workpaperId) {
+      const { data: workpaper } = await supabase
+        .from('workpapers')
+        .select('id, status')
+        .eq('id', input.workpaperId)
+        .eq('project_id', params.id)
+        .maybeSingle()
+
+      if (!workpaper) {
+        return NextResponse.json({ error: 'Workpaper not found' }, { status: 404 })
+      }
+      if (workpaper.status !== 'draft') {
+        return NextResponse.json(
+          { error: 'Materiality can only be documented on a draft workpaper' },
+          { status: 409 }
+        )
+      }
+    }
+
+    let benchmarkValue = input.benchmarkValue
+    let periodEnd: string | null = null
+    if (benchmarkValue === null) {
+      const figures = benchmarkValues(await loadFinancialStatements(supabase, params.id), input.periodEnd)
+      benchmarkValue = figures.values[input.benchmark]
+      periodEnd = figures.periodEnd
+
+      if (benchmarkValue === null) {
+        const label = materialityBenchmark(input.benchmark)!.label
+        return NextResponse.json(
+          { error: `The financial statements have no ${label.toLowerCase()}${periodEnd ? ` for ${periodEnd}` : ''}; generate them or enter the benchmark value` },
+          { status: 422 }
+        )
+      }
+    }
+
+    let thresholds
+    try {
+      thresholds = calculateMateriality(benchmarkValue, input)
+    } catch (error) {
+      if (error instanceof MaterialityError) {
+        return NextResponse.json({ error: error.message }, { status: 422 })
+      }
+      throw error
+    }
+
+    const values = {
+      workpaper_id: input.workpaperId,
+      benchmark: input.benchmark,
+      benchmark_value: benchmarkValue,
+      period_end: periodEnd,
+      overall_percentage: input.overallPercentage,
+      performance_percentage: input.performancePercentage,
+      trivial_percentage: input.trivialPercentage,
+      overall_materiality: thresholds.overall,
+      performance_materiality: thresholds.performance,
+      clearly_trivial_threshold: thresholds.clearlyTrivial,
+      rationale: input.rationale
+    }
+
+    const existing = await loadMateriality(supabase, params.id)
+    const { data: assessment, error } = existing
+      ? await supabase
+        .from('materiality_assessments')
+        .update({ ...values, updated_by: user.id })
+        .eq('id', existing.id)
+        .select()
+        .single()
+      : await supabase
+        .from('materiality_assessments')
+        .insert({ ...values, project_id: params.id, created_by: user.id })
+        .select()
+        .single()
+
+    if (error?.code === '23505') {
+      return NextResponse.json(
+        { error: 'Materiality was saved for this project meanwhile; reload and try again' },
+        { status: 409 }
+      )
+    }
+
+    if (error) {
+      throw error
+    }
+
+    const auditProgramsUpdated = await propagateMateriality(supabase, params.id, thresholds, input.workpaperId)
+
+    return NextResponse.json({ assessment, thresholds, auditProgramsUpdated })
+
+  } catch (error) {
+    console.error('Save materiality error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
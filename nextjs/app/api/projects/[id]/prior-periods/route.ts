@@ -0,0 +1,56 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { findPriorPeriodCandidates } from '@/lib/periodComparison'
+
+// Projects of the same client that can be linked as this project's prior
+// period, and the one currently linked. Link with PUT /api/projects/[id]
+// { prior_project_id }.
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id, client_name, client_email, prior_project_id, created_by, assigned_to')
+      .eq('id', params.id)
+      .single()
+
+    if (projectError || !project) {
+      return NextResponse.json({ error: 'Project not found' }, { status: 404 })
+    }
+
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    const candidates = await findPriorPeriodCandidates(supabase, project)
+
+    return NextResponse.json({
+      priorProjectId: project.prior_project_id,
+      candidates
+    })
+
+  } catch (error) {
+    console.error('Get prior periods error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
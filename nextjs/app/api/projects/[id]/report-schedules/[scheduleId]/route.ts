@@ -0,0 +1,127 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { SCHEDULE_COLUMNS, validateSchedule } from '@/lib/reportSchedules'
+
+async function findSchedule(supabase: SupabaseClient, projectId: string, scheduleId: string, userId: string) {
+  const { data: schedule, error } = await supabase
+    .from('report_schedules')
+    .select(`
+      id,
+      cron_expression,
+      time_zone,
+      projects!inner(created_by, assigned_to)
+    `)
+    .eq('id', scheduleId)
+    .eq('project_id', projectId)
+    .single()
+
+  if (error || !schedule) {
+    return { error: NextResponse.json({ error: 'Report schedule not found' }, { status: 404 }) }
+  }
+
+  const project: any = schedule.projects
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { schedule }
+}
+
+// Updates any of the fields POST takes. Changing the cron expression or time
+// zone, or enabling the schedule, recomputes the next run.
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: { id: string; scheduleId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const body = await request.json()
+
+    const { schedule: existing, error: accessError } = await findSchedule(supabase, params.id, params.scheduleId, user.id)
+    if (accessError) return accessError
+
+    const { errors, values } = validateSchedule(body, existing)
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors.join('; ') }, { status: 400 })
+    }
+
+    if (Object.keys(values).length === 0) {
+      return NextResponse.json({ error: 'No changes provided' }, { status: 400 })
+    }
+
+    const { data: schedule, error } = await supabase
+      .from('report_schedules')
+      .update(values)
+      .eq('id', existing.id)
+      .select(SCHEDULE_COLUMNS)
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ schedule })
+
+  } catch (error) {
+    console.error('Update report schedule error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Reports the schedule generated are kept
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: { id: string; scheduleId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { schedule, error: accessError } = await findSchedule(supabase, params.id, params.scheduleId, user.id)
+    if (accessError) return accessError
+
+    const { error } = await supabase
+      .from('report_schedules')
+      .delete()
+      .eq('id', schedule.id)
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ message: 'Report schedule deleted' })
+
+  } catch (error) {
+    console.error('Delete report schedule error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,118 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { SCHEDULE_COLUMNS, validateSchedule } from '@/lib/reportSchedules'
+
+async function findProject(supabase: SupabaseClient, projectId: string, userId: string) {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('id, created_by, assigned_to')
+    .eq('id', projectId)
+    .single()
+
+  if (error || !project) {
+    return { error: NextResponse.json({ error: 'Project not found' }, { status: 404 }) }
+  }
+
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { project }
+}
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const { data: schedules, error } = await supabase
+      .from('report_schedules')
+      .select(SCHEDULE_COLUMNS)
+      .eq('project_id', params.id)
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ schedules: schedules || [] })
+
+  } catch (error) {
+    console.error('List report schedules error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Creates a schedule: { name, cronExpression, timeZone?, templateAuditType?,
+// recipients, includeCharts?, enabled? }. Reports it generates are drafts
+// created in the name of the user who set up the schedule.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { errors, values } = validateSchedule(await request.json())
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors.join('; ') }, { status: 400 })
+    }
+
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const { data: schedule, error } = await supabase
+      .from('report_schedules')
+      .insert({
+        ...values,
+        project_id: params.id,
+        created_by: user.id
+      })
+      .select(SCHEDULE_COLUMNS)
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ schedule }, { status: 201 })
+
+  } catch (error) {
+    console.error('Create report schedule error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,150 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import {
+  loadProcedureLinks,
+  loadProjectProcedures,
+  riskStatus,
+  saveProcedureLinks,
+  unknownProcedures,
+  validateRiskAssessment
+} from '@/lib/riskAssessments'
+
+async function findRisk(supabase: SupabaseClient, projectId: string, riskId: string, userId: string) {
+  const { data, error } = await supabase
+    .from('risk_assessments')
+    .select(`
+      *,
+      projects!inner(created_by, assigned_to)
+    `)
+    .eq('id', riskId)
+    .eq('project_id', projectId)
+    .single()
+
+  if (error || !data) {
+    return { error: NextResponse.json({ error: 'Risk not found' }, { status: 404 }) }
+  }
+
+  const { projects: project, ...risk } = data as any
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { risk }
+}
+
+// Edits a risk: any of area, riskDescription, riskLevel, likelihood,
+// impactAssessment, mitigatingControls and residualRiskLevel. procedures
+// replaces the linked procedures.
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: { id: string; riskId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { errors, values, procedures: links } = validateRiskAssessment(await request.json(), true)
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors.join('; ') }, { status: 400 })
+    }
+
+    if (Object.keys(values).length === 0 && !links) {
+      return NextResponse.json({ error: 'No changes provided' }, { status: 400 })
+    }
+
+    const { risk: existing, error: accessError } = await findRisk(supabase, params.id, params.riskId, user.id)
+    if (accessError) return accessError
+
+    const procedures = await loadProjectProcedures(supabase, params.id)
+    if (links) {
+      const unknown = unknownProcedures(links, procedures)
+      if (unknown.length > 0) {
+        return NextResponse.json(
+          { error: `Not procedures of the project's audit programs: ${unknown.map(link => link.procedureKey).join(', ')}` },
+          { status: 400 }
+        )
+      }
+    }
+
+    let risk = existing
+    if (Object.keys(values).length > 0) {
+      const { data, error } = await supabase
+        .from('risk_assessments')
+        .update(values)
+        .eq('id', existing.id)
+        .select()
+        .single()
+
+      if (error) {
+        throw error
+      }
+      risk = data
+    }
+
+    if (links) {
+      await saveProcedureLinks(supabase, risk.id, links)
+    }
+
+    const saved = (await loadProcedureLinks(supabase, [risk.id])).get(risk.id) || []
+    return NextResponse.json({ risk: riskStatus(risk, saved, procedures) })
+
+  } catch (error) {
+    console.error('Update risk assessment error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: { id: string; riskId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { risk, error: accessError } = await findRisk(supabase, params.id, params.riskId, user.id)
+    if (accessError) return accessError
+
+    const { error } = await supabase
+      .from('risk_assessments')
+      .delete()
+      .eq('id', risk.id)
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ message: 'Risk deleted' })
+
+  } catch (error) {
+    console.error('Delete risk assessment error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
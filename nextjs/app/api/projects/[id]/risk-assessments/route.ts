@@ -0,0 +1,203 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import {
+  loadProcedureLinks,
+  loadProjectProcedures,
+  riskFromFinding,
+  riskMatrix,
+  riskStatus,
+  saveProcedureLinks,
+  unknownProcedures,
+  unpromotedFindings,
+  validateRiskAssessment
+} from '@/lib/riskAssessments'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+async function findProject(supabase: SupabaseClient, projectId: string, userId: string) {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('id, created_by, assigned_to')
+    .eq('id', projectId)
+    .single()
+
+  if (error || !project) {
+    return { error: NextResponse.json({ error: 'Project not found' }, { status: 404 }) }
+  }
+
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { project }
+}
+
+// The project's risks with the procedures addressing them, the inherent vs
+// residual matrix, the procedures risks can be linked to and the red flags
+// that can still be promoted
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const { data: rows, error } = await supabase
+      .from('risk_assessments')
+      .select('*')
+      .eq('project_id', params.id)
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      throw error
+    }
+
+    const [procedures, links, findings] = await Promise.all([
+      loadProjectProcedures(supabase, params.id),
+      loadProcedureLinks(supabase, (rows || []).map(risk => risk.id)),
+      unpromotedFindings(supabase, params.id, rows || [])
+    ])
+
+    const risks = (rows || []).map(risk => riskStatus(risk, links.get(risk.id) || [], procedures))
+
+    return NextResponse.json({
+      risks,
+      matrix: riskMatrix(risks),
+      summary: {
+        total: risks.length,
+        highRisks: risks.filter(risk => risk.highRisk).length,
+        unaddressedHighRisks: risks.filter(risk => risk.unaddressed).length
+      },
+      procedures,
+      findings
+    })
+
+  } catch (error) {
+    console.error('Get risk assessments error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Creates a risk: { area, riskDescription, riskLevel, likelihood?,
+// impactAssessment?, mitigatingControls?, residualRiskLevel?, procedures? },
+// or promotes a red flag with { analysisId, findingIndex } and any of those
+// fields to override what is taken from the finding
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const body = await request.json()
+    const promoting = body?.analysisId !== undefined
+
+    if (promoting && (typeof body.analysisId !== 'string' || !UUID_PATTERN.test(body.analysisId) || !Number.isInteger(body.findingIndex) || body.findingIndex < 0)) {
+      return NextResponse.json(
+        { error: 'analysisId must be an analysis id and findingIndex the position of one of its findings' },
+        { status: 400 }
+      )
+    }
+
+    const { errors, values, procedures: links = [] } = validateRiskAssessment(body, promoting)
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors.join('; ') }, { status: 400 })
+    }
+
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    let row: Record<string, any> = values
+    if (promoting) {
+      const { data: analysis } = await supabase
+        .from('analysis_results')
+        .select('id, findings, documents!inner(project_id, original_name)')
+        .eq('id', body.analysisId)
+        .eq('documents.project_id', params.id)
+        .maybeSingle()
+
+      const finding = (analysis as any)?.findings?.[body.findingIndex]
+      if (!finding) {
+        return NextResponse.json({ error: 'Finding not found' }, { status: 404 })
+      }
+
+      row = {
+        ...riskFromFinding(finding, (analysis as any).documents.original_name),
+        ...values,
+        source_analysis_id: body.analysisId,
+        source_finding_index: body.findingIndex
+      }
+    }
+
+    const procedures = await loadProjectProcedures(supabase, params.id)
+    const unknown = unknownProcedures(links, procedures)
+    if (unknown.length > 0) {
+      return NextResponse.json(
+        { error: `Not procedures of the project's audit programs: ${unknown.map(link => link.procedureKey).join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const { data: risk, error } = await supabase
+      .from('risk_assessments')
+      .insert({ ...row, project_id: params.id, created_by: user.id })
+      .select()
+      .single()
+
+    if (error?.code === '23505') {
+      return NextResponse.json(
+        { error: 'This red flag has already been promoted to a risk' },
+        { status: 409 }
+      )
+    }
+
+    if (error) {
+      throw error
+    }
+
+    try {
+      await saveProcedureLinks(supabase, risk.id, links)
+    } catch (linkError) {
+      await supabase.from('risk_assessments').delete().eq('id', risk.id)
+      throw linkError
+    }
+
+    return NextResponse.json({ risk: riskStatus(risk, links, procedures) }, { status: 201 })
+
+  } catch (error) {
+    console.error('Create risk assessment error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
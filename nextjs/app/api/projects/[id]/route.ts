@@ -1,5 +1,6 @@
 import { createClient } from '@/utils/supabase/server'
 import { NextRequest, NextResponse } from 'next/server'
+import { priorPeriodLinkError } from '@/lib/periodComparison'
 
 export async function GET(
   request: NextRequest,
@@ -67,7 +68,25 @@ export async function PUT(
   }
 
   const body = await request.json()
-  const { name, description, status, due_date } = body
+  const { name, description, status, due_date, prior_project_id } = body
+
+  // null unlinks the prior-period engagement; undefined leaves it as it is
+  if (prior_project_id) {
+    const { data: current } = await supabase
+      .from('projects')
+      .select('id, client_name, client_email')
+      .eq('id', params.id)
+      .single()
+
+    if (!current) {
+      return NextResponse.json({ error: 'Project not found' }, { status: 404 })
+    }
+
+    const linkError = await priorPeriodLinkError(supabase, current, prior_project_id)
+    if (linkError) {
+      return NextResponse.json({ error: linkError }, { status: 400 })
+    }
+  }
 
   // Update project
   const { data: project, error } = await supabase
@@ -77,6 +96,7 @@ export async function PUT(
       description,
       status,
       due_date,
+      prior_project_id,
       updated_at: new Date().toISOString(),
     })
     .eq('id', params.id)
@@ -0,0 +1,89 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { accountDifference, statementLine } from '@/lib/trialBalances'
+
+// Maps an account to a statement line by hand, or marks it reconciled once a
+// difference has been explained: { statementLine?, reconciled? }. A null
+// statementLine goes back to the automatic mapping on the next import.
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: { id: string; accountId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const body = await request.json()
+    const changes: Record<string, any> = {}
+
+    if (body?.statementLine !== undefined) {
+      if (body.statementLine !== null && !statementLine(body.statementLine)) {
+        return NextResponse.json({ error: 'statementLine must be a line of the chart of accounts' }, { status: 400 })
+      }
+      changes.statement_line = body.statementLine
+      changes.mapping_source = body.statementLine === null ? 'auto' : 'manual'
+    }
+
+    if (body?.reconciled !== undefined) {
+      if (typeof body.reconciled !== 'boolean') {
+        return NextResponse.json({ error: 'reconciled must be true or false' }, { status: 400 })
+      }
+      changes.reconciled = body.reconciled
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return NextResponse.json({ error: 'Nothing to update' }, { status: 400 })
+    }
+
+    const { data: account, error: accountError } = await supabase
+      .from('trial_balances')
+      .select(`
+        id,
+        projects!inner(created_by, assigned_to)
+      `)
+      .eq('id', params.accountId)
+      .eq('project_id', params.id)
+      .single()
+
+    if (accountError || !account) {
+      return NextResponse.json({ error: 'Account not found' }, { status: 404 })
+    }
+
+    const project = account.projects as any
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    const { data: updated, error } = await supabase
+      .from('trial_balances')
+      .update(changes)
+      .eq('id', account.id)
+      .select()
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ account: { ...updated, difference: accountDifference(updated) } })
+
+  } catch (error) {
+    console.error('Update trial balance account error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,213 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { readSpreadsheet } from '@/lib/localExtractors'
+import {
+  TRIAL_BALANCE_COLUMNS,
+  TrialBalanceImportError,
+  accountDifference,
+  detectColumns,
+  mapAccount,
+  parseTrialBalance,
+  summarizeTrialBalance
+} from '@/lib/trialBalances'
+
+const PERIOD_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const MAX_REPORTED_ERRORS = 50
+
+// Imports a trial balance from an uploaded XLSX or CSV document:
+// { documentId, periodEnd, sheet?, columns?, replace? }. Columns are
+// recognised from the header row; `columns` names the header of any that are
+// not ({ debit: 'Period Dr' }). Each account is checked and mapped to a
+// statement line. A period that already has a trial balance is only replaced
+// with `replace`, keeping the statement lines mapped by hand.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { documentId, periodEnd, sheet: sheetName, columns = {}, replace = false } = await request.json()
+
+    if (typeof documentId !== 'string' || !documentId) {
+      return NextResponse.json({ error: 'documentId is required' }, { status: 400 })
+    }
+
+    if (typeof periodEnd !== 'string' || !PERIOD_PATTERN.test(periodEnd)) {
+      return NextResponse.json(
+        { error: 'periodEnd must be a date (YYYY-MM-DD)' },
+        { status: 400 }
+      )
+    }
+
+    if (!columns || typeof columns !== 'object' || Array.isArray(columns) ||
+        Object.entries(columns).some(([column, header]) =>
+          !TRIAL_BALANCE_COLUMNS.includes(column as any) || typeof header !== 'string')) {
+      return NextResponse.json(
+        { error: `columns must map ${TRIAL_BALANCE_COLUMNS.join(', ')} to header names` },
+        { status: 400 }
+      )
+    }
+
+    const { data: document, error: docError } = await supabase
+      .from('documents')
+      .select(`
+        id,
+        original_name,
+        file_path,
+        file_type,
+        projects!inner(id, created_by, assigned_to)
+      `)
+      .eq('id', documentId)
+      .eq('project_id', params.id)
+      .single()
+
+    if (docError || !document) {
+      return NextResponse.json({ error: 'Document not found' }, { status: 404 })
+    }
+
+    const project = document.projects as any
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    const { data: blob, error: downloadError } = await supabase.storage
+      .from('documents')
+      .download(document.file_path)
+
+    if (downloadError || !blob) {
+      throw downloadError || new Error('No file returned')
+    }
+
+    const sheets = readSpreadsheet(Buffer.from(await blob.arrayBuffer()), document.original_name, document.file_type)
+    if (!sheets) {
+      return NextResponse.json(
+        { error: 'Trial balances can be imported from XLSX and CSV files' },
+        { status: 400 }
+      )
+    }
+
+    // The named sheet, otherwise the first one that looks like a trial balance
+    const sheet = sheetName
+      ? sheets.find(candidate => candidate.name === sheetName)
+      : sheets.find(candidate => detectColumns(candidate.rows, columns)) || sheets[0]
+
+    if (!sheet) {
+      return NextResponse.json(
+        { error: `Sheet not found; the workbook has ${sheets.map(candidate => candidate.name).join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    let parsed: ReturnType<typeof parseTrialBalance>
+    try {
+      parsed = parseTrialBalance(sheet.rows, columns)
+    } catch (error) {
+      if (error instanceof TrialBalanceImportError) {
+        return NextResponse.json(
+          { error: error.message, headers: error.headers, sheets: sheets.map(candidate => candidate.name) },
+          { status: 422 }
+        )
+      }
+      throw error
+    }
+
+    if (parsed.errors.length > 0) {
+      return NextResponse.json(
+        {
+          error: 'The trial balance has rows that could not be read',
+          details: parsed.errors.slice(0, MAX_REPORTED_ERRORS),
+          columns: parsed.columns
+        },
+        { status: 422 }
+      )
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('trial_balances')
+      .select('account_number, statement_line, mapping_source')
+      .eq('project_id', params.id)
+      .eq('period_end', periodEnd)
+
+    if (existingError) {
+      throw existingError
+    }
+
+    if (existing && existing.length > 0 && !replace) {
+      return NextResponse.json(
+        { error: `There is already a trial balance for ${periodEnd}; import it with replace to overwrite it` },
+        { status: 409 }
+      )
+    }
+
+    const manualLines = new Map(
+      (existing || [])
+        .filter(row => row.mapping_source === 'manual')
+        .map(row => [row.account_number, row.statement_line])
+    )
+
+    // An account can only be checked to roll forward when its opening and
+    // closing balances were both read from the sheet; derived ones balance by
+    // construction and are left to be reconciled by hand
+    const balancesRead = parsed.derived.length === 0
+
+    const rows = parsed.accounts.map(({ row, ...account }) => {
+      const manual = manualLines.has(account.account_number)
+      return {
+        ...account,
+        source_document_id: document.id,
+        reconciled: balancesRead && accountDifference(account) === 0,
+        statement_line: manual ? manualLines.get(account.account_number) : mapAccount(account.account_number, account.account_name),
+        mapping_source: manual ? 'manual' : 'auto'
+      }
+    })
+
+    // Deletes the period being replaced and inserts the accounts in one
+    // transaction, so a failed import leaves the previous trial balance intact
+    const { error: importError } = await supabase.rpc('import_trial_balance', {
+      p_project_id: params.id,
+      p_period_end: periodEnd,
+      p_accounts: rows,
+      p_replace: !!replace
+    })
+
+    if (importError?.code === '23505') {
+      return NextResponse.json(
+        { error: `There is already a trial balance for ${periodEnd}; import it with replace to overwrite it` },
+        { status: 409 }
+      )
+    }
+
+    if (importError) {
+      throw importError
+    }
+
+    return NextResponse.json({
+      periodEnd,
+      sheet: sheet.name,
+      columns: parsed.columns,
+      derived: parsed.derived,
+      summary: summarizeTrialBalance(rows)
+    }, { status: 201 })
+
+  } catch (error) {
+    console.error('Import trial balance error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
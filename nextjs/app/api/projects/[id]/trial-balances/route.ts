@@ -0,0 +1,161 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { STATEMENT_LINES, accountDifference, summarizeTrialBalance } from '@/lib/trialBalances'
+
+const PERIOD_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+async function findProject(supabase: SupabaseClient, projectId: string, userId: string) {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('id, created_by, assigned_to')
+    .eq('id', projectId)
+    .single()
+
+  if (error || !project) {
+    return { error: NextResponse.json({ error: 'Project not found' }, { status: 404 }) }
+  }
+
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { project }
+}
+
+// Reconciliation view of a trial balance period (?periodEnd=YYYY-MM-DD, the
+// latest by default): the periods imported, each account with its roll-forward
+// difference and statement line, the totals and the chart of accounts
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const requestedPeriod = request.nextUrl.searchParams.get('periodEnd')
+
+    if (requestedPeriod && !PERIOD_PATTERN.test(requestedPeriod)) {
+      return NextResponse.json(
+        { error: 'periodEnd must be a date (YYYY-MM-DD)' },
+        { status: 400 }
+      )
+    }
+
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const { data: periodRows, error: periodsError } = await supabase
+      .from('trial_balances')
+      .select('period_end, source_document_id')
+      .eq('project_id', params.id)
+
+    if (periodsError) {
+      throw periodsError
+    }
+
+    const periods = [...new Map((periodRows || []).map(row => [row.period_end, row])).values()]
+      .map(row => ({
+        periodEnd: row.period_end,
+        sourceDocumentId: row.source_document_id,
+        accountCount: (periodRows || []).filter(other => other.period_end === row.period_end).length
+      }))
+      .sort((a, b) => b.periodEnd.localeCompare(a.periodEnd))
+
+    const periodEnd = requestedPeriod || periods[0]?.periodEnd || null
+
+    let accounts: any[] = []
+    if (periodEnd) {
+      const { data, error } = await supabase
+        .from('trial_balances')
+        .select('*')
+        .eq('project_id', params.id)
+        .eq('period_end', periodEnd)
+        .order('account_number', { ascending: true })
+
+      if (error) {
+        throw error
+      }
+
+      accounts = (data || []).map(account => ({ ...account, difference: accountDifference(account) }))
+    }
+
+    return NextResponse.json({
+      periods,
+      periodEnd,
+      accounts,
+      summary: summarizeTrialBalance(accounts),
+      statementLines: STATEMENT_LINES
+    })
+
+  } catch (error) {
+    console.error('Get trial balance error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Deletes the trial balance of a period: ?periodEnd=YYYY-MM-DD
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const periodEnd = request.nextUrl.searchParams.get('periodEnd')
+
+    if (!periodEnd || !PERIOD_PATTERN.test(periodEnd)) {
+      return NextResponse.json(
+        { error: 'periodEnd must be a date (YYYY-MM-DD)' },
+        { status: 400 }
+      )
+    }
+
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const { error } = await supabase
+      .from('trial_balances')
+      .delete()
+      .eq('project_id', params.id)
+      .eq('period_end', periodEnd)
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ message: 'Trial balance deleted' })
+
+  } catch (error) {
+    console.error('Delete trial balance error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,135 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { SIGN_OFF_ROLES, getUserRole } from '@/lib/reportLifecycle'
+import { completeProgramIfDone } from '@/lib/auditPrograms'
+
+const MAX_COMMENT_LENGTH = 5000
+
+// Reviewer decision on a workpaper in review: { decision: 'approve' | 'reject', comment? }.
+// Approving signs the workpaper off; rejecting returns it to draft and needs a
+// comment. Comments are kept in review_notes.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string; workpaperId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { decision, comment } = await request.json()
+
+    if (decision !== 'approve' && decision !== 'reject') {
+      return NextResponse.json(
+        { error: "decision must be 'approve' or 'reject'" },
+        { status: 400 }
+      )
+    }
+
+    if (comment !== undefined && comment !== null &&
+        (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+      return NextResponse.json(
+        { error: `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters` },
+        { status: 400 }
+      )
+    }
+
+    if (decision === 'reject' && !comment?.trim()) {
+      return NextResponse.json(
+        { error: 'A comment is required when returning a workpaper' },
+        { status: 400 }
+      )
+    }
+
+    const role = await getUserRole(supabase, user.id)
+    if (!role || !SIGN_OFF_ROLES.includes(role)) {
+      return NextResponse.json({ error: 'Reviewer access required' }, { status: 403 })
+    }
+
+    const { data: workpaper, error: workpaperError } = await supabase
+      .from('workpapers')
+      .select(`
+        *,
+        projects!inner(created_by, assigned_to)
+      `)
+      .eq('id', params.workpaperId)
+      .eq('project_id', params.id)
+      .single()
+
+    if (workpaperError || !workpaper) {
+      return NextResponse.json({ error: 'Workpaper not found' }, { status: 404 })
+    }
+
+    const project = workpaper.projects
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    if (workpaper.status !== 'in_review') {
+      return NextResponse.json(
+        { error: 'Only workpapers in review can be approved or returned' },
+        { status: 409 }
+      )
+    }
+
+    // Sign-off has to come from someone other than the preparer
+    if (decision === 'approve' && workpaper.prepared_by === user.id) {
+      return NextResponse.json(
+        { error: 'Workpapers must be signed off by someone other than their preparer' },
+        { status: 403 }
+      )
+    }
+
+    const now = new Date().toISOString()
+    const reviewNotes = comment?.trim()
+      ? [...(workpaper.review_notes || []), { decision, comment: comment.trim(), created_by: user.id, created_at: now }]
+      : workpaper.review_notes
+
+    const changes = decision === 'approve'
+      ? { status: 'reviewed', reviewed_by: user.id, reviewed_at: now, review_notes: reviewNotes }
+      : { status: 'draft', review_notes: reviewNotes }
+
+    const { data: updated, error } = await supabase
+      .from('workpapers')
+      .update(changes)
+      .eq('id', workpaper.id)
+      .eq('status', 'in_review')
+      .select()
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    if (!updated) {
+      return NextResponse.json(
+        { error: 'Workpaper is no longer in review' },
+        { status: 409 }
+      )
+    }
+
+    if (decision === 'approve' && updated.audit_program_id) {
+      await completeProgramIfDone(supabase, updated.audit_program_id)
+    }
+
+    return NextResponse.json({ workpaper: updated })
+
+  } catch (error) {
+    console.error('Review workpaper error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
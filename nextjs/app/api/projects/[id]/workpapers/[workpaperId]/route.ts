@@ -0,0 +1,173 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { unknownDocumentIds, validateWorkpaper } from '@/lib/workpapers'
+
+async function findWorkpaper(supabase: SupabaseClient, projectId: string, workpaperId: string, userId: string) {
+  const { data, error } = await supabase
+    .from('workpapers')
+    .select(`
+      *,
+      projects!inner(created_by, assigned_to)
+    `)
+    .eq('id', workpaperId)
+    .eq('project_id', projectId)
+    .single()
+
+  if (error || !data) {
+    return { error: NextResponse.json({ error: 'Workpaper not found' }, { status: 404 }) }
+  }
+
+  const { projects: project, ...workpaper } = data as any
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { workpaper }
+}
+
+// Edits a draft workpaper: any of name, description, procedureSteps,
+// conclusion, supportingDocumentIds, riskIdentified and materialityImpact.
+// The reference number and audit area do not change.
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: { id: string; workpaperId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { errors, values } = validateWorkpaper(await request.json(), true)
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors.join('; ') }, { status: 400 })
+    }
+
+    if (Object.keys(values).length === 0) {
+      return NextResponse.json({ error: 'No changes provided' }, { status: 400 })
+    }
+
+    const { workpaper: existing, error: accessError } = await findWorkpaper(supabase, params.id, params.workpaperId, user.id)
+    if (accessError) return accessError
+
+    const unknown = await unknownDocumentIds(supabase, params.id, values.supporting_documents || [])
+    if (unknown) {
+      return NextResponse.json(
+        { error: `Supporting documents not found in this project: ${unknown.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const { data: workpaper, error } = await supabase
+      .from('workpapers')
+      .update(values)
+      .eq('id', existing.id)
+      .eq('status', 'draft')
+      .select()
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    if (!workpaper) {
+      return NextResponse.json(
+        { error: 'Only draft workpapers can be edited' },
+        { status: 409 }
+      )
+    }
+
+    return NextResponse.json({ workpaper })
+
+  } catch (error) {
+    console.error('Update workpaper error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Deletes a draft workpaper that has no workpapers filed below it and was not
+// generated for an audit program procedure
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: { id: string; workpaperId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { workpaper, error: accessError } = await findWorkpaper(supabase, params.id, params.workpaperId, user.id)
+    if (accessError) return accessError
+
+    if (workpaper.status !== 'draft') {
+      return NextResponse.json(
+        { error: 'Only draft workpapers can be deleted' },
+        { status: 409 }
+      )
+    }
+
+    // Program progress is tracked through these
+    if (workpaper.procedure_key) {
+      return NextResponse.json(
+        { error: 'Workpapers of audit program procedures cannot be deleted' },
+        { status: 409 }
+      )
+    }
+
+    const { count, error: childError } = await supabase
+      .from('workpapers')
+      .select('id', { count: 'exact', head: true })
+      .eq('parent_workpaper_id', workpaper.id)
+
+    if (childError) {
+      throw childError
+    }
+
+    if (count) {
+      return NextResponse.json(
+        { error: 'Delete the workpapers filed below this one first' },
+        { status: 409 }
+      )
+    }
+
+    const { error } = await supabase
+      .from('workpapers')
+      .delete()
+      .eq('id', workpaper.id)
+      .eq('status', 'draft')
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ message: 'Workpaper deleted' })
+
+  } catch (error) {
+    console.error('Delete workpaper error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
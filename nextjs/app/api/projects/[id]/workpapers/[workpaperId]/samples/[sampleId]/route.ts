@@ -0,0 +1,164 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { recordResults, sampleEvaluation } from '@/lib/auditSampling'
+
+async function findSample(
+  supabase: SupabaseClient,
+  projectId: string,
+  workpaperId: string,
+  sampleId: string,
+  userId: string
+) {
+  const { data, error } = await supabase
+    .from('audit_samples')
+    .select(`
+      *,
+      workpapers!inner(status, project_id, projects!inner(created_by, assigned_to))
+    `)
+    .eq('id', sampleId)
+    .eq('workpaper_id', workpaperId)
+    .eq('workpapers.project_id', projectId)
+    .single()
+
+  if (error || !data) {
+    return { error: NextResponse.json({ error: 'Sample not found' }, { status: 404 }) }
+  }
+
+  const { workpapers: workpaper, ...sample } = data as any
+  const project = workpaper.projects
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  if (workpaper.status !== 'draft') {
+    return { error: NextResponse.json({ error: 'Samples of signed off or submitted workpapers cannot be changed' }, { status: 409 }) }
+  }
+
+  return { sample }
+}
+
+// Records test results on a sample: { results?: [{ index, auditedAmount,
+// note? }], conclusion? }. An audited amount other than the item's amount is
+// an exception; null clears the result. The exceptions and projected
+// misstatement are worked out again.
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: { id: string; workpaperId: string; sampleId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { results = [], conclusion } = await request.json()
+
+    if (!Array.isArray(results) || results.some(result =>
+      !result || !Number.isInteger(result.index) ||
+      (result.auditedAmount !== undefined && result.auditedAmount !== null &&
+        (typeof result.auditedAmount !== 'number' || !Number.isFinite(result.auditedAmount))) ||
+      (result.note !== undefined && typeof result.note !== 'string'))) {
+      return NextResponse.json(
+        { error: 'results must be a list of { index, auditedAmount, note? } with numeric amounts' },
+        { status: 400 }
+      )
+    }
+
+    if (conclusion !== undefined && conclusion !== null && typeof conclusion !== 'string') {
+      return NextResponse.json({ error: 'conclusion must be text' }, { status: 400 })
+    }
+
+    const { sample, error: accessError } = await findSample(supabase, params.id, params.workpaperId, params.sampleId, user.id)
+    if (accessError) return accessError
+
+    const items = Array.isArray(sample.selected_items) ? sample.selected_items : []
+    const selected = new Set(items.map((item: any) => item.index))
+    const unknown = results.filter(result => !selected.has(result.index)).map(result => result.index)
+    if (unknown.length > 0) {
+      return NextResponse.json(
+        { error: `Items not in the sample: ${unknown.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const recorded = recordResults(items, results)
+    const evaluation = sampleEvaluation({ ...sample, selected_items: recorded })
+
+    const { data: updated, error } = await supabase
+      .from('audit_samples')
+      .update({
+        selected_items: recorded,
+        exceptions_found: evaluation.exceptions,
+        projected_misstatement: evaluation.tested > 0 ? evaluation.projectedMisstatement : null,
+        upper_misstatement_limit: evaluation.upperMisstatementLimit,
+        ...(conclusion !== undefined ? { conclusion } : {}),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', sample.id)
+      .select()
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ sample: { ...updated, evaluation } })
+
+  } catch (error) {
+    console.error('Update sample error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: { id: string; workpaperId: string; sampleId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { sample, error: accessError } = await findSample(supabase, params.id, params.workpaperId, params.sampleId, user.id)
+    if (accessError) return accessError
+
+    const { error } = await supabase
+      .from('audit_samples')
+      .delete()
+      .eq('id', sample.id)
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ message: 'Sample deleted' })
+
+  } catch (error) {
+    console.error('Delete sample error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
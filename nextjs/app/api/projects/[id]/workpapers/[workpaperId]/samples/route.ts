@@ -0,0 +1,261 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { randomInt } from 'crypto'
+import {
+  EXPANSION_FACTORS,
+  MAX_SAMPLE_SIZE,
+  SAMPLING_METHODS,
+  SamplingError,
+  loadPopulation,
+  sampleEvaluation,
+  sampleSize,
+  selectSample,
+  validatePopulationSource
+} from '@/lib/auditSampling'
+import type { PopulationItem } from '@/lib/auditSampling'
+import { loadMateriality } from '@/lib/materiality'
+
+const MAX_SEED = 2 ** 31 - 1
+
+async function findWorkpaper(supabase: SupabaseClient, projectId: string, workpaperId: string, userId: string) {
+  const { data, error } = await supabase
+    .from('workpapers')
+    .select(`
+      id,
+      status,
+      projects!inner(created_by, assigned_to)
+    `)
+    .eq('id', workpaperId)
+    .eq('project_id', projectId)
+    .single()
+
+  if (error || !data) {
+    return { error: NextResponse.json({ error: 'Workpaper not found' }, { status: 404 }) }
+  }
+
+  const { projects: project, ...workpaper } = data as any
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { workpaper }
+}
+
+// Samples drawn for a workpaper, each with its evaluation so far
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string; workpaperId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { error: accessError } = await findWorkpaper(supabase, params.id, params.workpaperId, user.id)
+    if (accessError) return accessError
+
+    const { data: samples, error } = await supabase
+      .from('audit_samples')
+      .select('*')
+      .eq('workpaper_id', params.workpaperId)
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({
+      samples: (samples || []).map(sample => ({ ...sample, evaluation: sampleEvaluation(sample) }))
+    })
+
+  } catch (error) {
+    console.error('Get samples error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Draws a sample for a draft workpaper: { method, population,
+// confidenceLevel?, tolerableMisstatement?, expectedMisstatement?, sampleSize?,
+// seed? }. Tolerable misstatement defaults to the project's performance
+// materiality. The planned size is used unless sampleSize is given; a seed is
+// generated unless one is given to repeat an earlier selection.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string; workpaperId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const {
+      method,
+      population,
+      confidenceLevel = 95,
+      tolerableMisstatement,
+      expectedMisstatement = 0,
+      sampleSize: requestedSize,
+      seed: requestedSeed
+    } = await request.json()
+
+    if (!SAMPLING_METHODS.includes(method)) {
+      return NextResponse.json(
+        { error: `method must be one of ${SAMPLING_METHODS.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const validated = validatePopulationSource(population)
+    if ('error' in validated) {
+      return NextResponse.json({ error: validated.error }, { status: 400 })
+    }
+
+    if (typeof confidenceLevel !== 'number' || !Object.hasOwn(EXPANSION_FACTORS, confidenceLevel)) {
+      return NextResponse.json(
+        { error: `confidenceLevel must be one of ${Object.keys(EXPANSION_FACTORS).join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    if (tolerableMisstatement !== undefined && (typeof tolerableMisstatement !== 'number' || !(tolerableMisstatement > 0))) {
+      return NextResponse.json(
+        { error: 'tolerableMisstatement must be a positive amount' },
+        { status: 400 }
+      )
+    }
+
+    if (typeof expectedMisstatement !== 'number' || !(expectedMisstatement >= 0)) {
+      return NextResponse.json(
+        { error: 'expectedMisstatement must be zero or a positive amount' },
+        { status: 400 }
+      )
+    }
+
+    if (requestedSize !== undefined && (!Number.isInteger(requestedSize) || requestedSize < 1 || requestedSize > MAX_SAMPLE_SIZE)) {
+      return NextResponse.json(
+        { error: `sampleSize must be a whole number from 1 to ${MAX_SAMPLE_SIZE}` },
+        { status: 400 }
+      )
+    }
+
+    if (requestedSeed !== undefined && (!Number.isInteger(requestedSeed) || requestedSeed < 1 || requestedSeed > MAX_SEED)) {
+      return NextResponse.json(
+        { error: `seed must be a whole number from 1 to ${MAX_SEED}` },
+        { status: 400 }
+      )
+    }
+
+    const { workpaper, error: accessError } = await findWorkpaper(supabase, params.id, params.workpaperId, user.id)
+    if (accessError) return accessError
+
+    if (workpaper.status !== 'draft') {
+      return NextResponse.json(
+        { error: 'Samples can only be drawn for draft workpapers' },
+        { status: 409 }
+      )
+    }
+
+    let tolerable: number = tolerableMisstatement
+    if (tolerable === undefined) {
+      const materiality = await loadMateriality(supabase, params.id)
+      if (!materiality) {
+        return NextResponse.json(
+          { error: 'tolerableMisstatement is required until materiality has been set for the project' },
+          { status: 400 }
+        )
+      }
+      tolerable = Number(materiality.performance_materiality)
+    }
+
+    let items: PopulationItem[]
+    let populationValue: number
+    let plannedSize: number
+    try {
+      items = await loadPopulation(supabase, params.id, validated.source)
+      // Monetary amounts count whichever way they are signed
+      populationValue = items.reduce((sum, item) => sum + Math.abs(item.amount), 0)
+      plannedSize = sampleSize({
+        populationValue,
+        populationSize: items.length,
+        confidence: confidenceLevel,
+        tolerable,
+        expected: expectedMisstatement
+      })
+    } catch (error) {
+      if (error instanceof SamplingError) {
+        return NextResponse.json({ error: error.message }, { status: 422 })
+      }
+      throw error
+    }
+
+    const size = requestedSize ?? plannedSize
+    if (size > MAX_SAMPLE_SIZE) {
+      return NextResponse.json(
+        { error: `The planned sample of ${size} items is over the limit of ${MAX_SAMPLE_SIZE}; raise tolerable misstatement or sample part of the population` },
+        { status: 422 }
+      )
+    }
+
+    const seed = method === 'judgmental' ? null : requestedSeed ?? randomInt(1, MAX_SEED)
+    const selection = selectSample(method, items, size, seed ?? 0)
+
+    const { data: sample, error } = await supabase
+      .from('audit_samples')
+      .insert({
+        workpaper_id: workpaper.id,
+        population_source: validated.source,
+        population_size: items.length,
+        population_value: populationValue,
+        sample_size: selection.items.length,
+        confidence_level: confidenceLevel,
+        materiality_threshold: tolerable,
+        expected_misstatement: expectedMisstatement,
+        sampling_method: method,
+        sampling_interval: selection.interval,
+        seed,
+        selected_items: selection.items,
+        exceptions_found: 0,
+        created_by: user.id
+      })
+      .select()
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({
+      sample: { ...sample, evaluation: sampleEvaluation(sample) },
+      plannedSize
+    }, { status: 201 })
+
+  } catch (error) {
+    console.error('Create sample error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,93 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Sends a draft workpaper to review. It needs a conclusion and every
+// procedure step marked done.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string; workpaperId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { data: workpaper, error: workpaperError } = await supabase
+      .from('workpapers')
+      .select(`
+        *,
+        projects!inner(created_by, assigned_to)
+      `)
+      .eq('id', params.workpaperId)
+      .eq('project_id', params.id)
+      .single()
+
+    if (workpaperError || !workpaper) {
+      return NextResponse.json({ error: 'Workpaper not found' }, { status: 404 })
+    }
+
+    const project = workpaper.projects
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    if (!workpaper.conclusion?.trim()) {
+      return NextResponse.json(
+        { error: 'Record a conclusion before submitting the workpaper for review' },
+        { status: 409 }
+      )
+    }
+
+    const openSteps = (workpaper.procedure_steps || []).filter((step: any) => !step.done).length
+    if (openSteps > 0) {
+      return NextResponse.json(
+        { error: `${openSteps} procedure ${openSteps === 1 ? 'step is' : 'steps are'} not done yet` },
+        { status: 409 }
+      )
+    }
+
+    // Matching on status as well keeps two concurrent requests from both
+    // moving the workpaper
+    const { data: updated, error } = await supabase
+      .from('workpapers')
+      .update({
+        status: 'in_review',
+        submitted_at: new Date().toISOString()
+      })
+      .eq('id', workpaper.id)
+      .eq('status', 'draft')
+      .select()
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    if (!updated) {
+      return NextResponse.json(
+        { error: 'Only draft workpapers can be submitted for review' },
+        { status: 409 }
+      )
+    }
+
+    return NextResponse.json({ workpaper: updated })
+
+  } catch (error) {
+    console.error('Submit workpaper error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
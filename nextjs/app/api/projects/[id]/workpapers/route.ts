@@ -0,0 +1,169 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import {
+  compareReferenceNumbers,
+  insertWorkpaper,
+  unknownDocumentIds,
+  validateWorkpaper,
+  workpaperArea,
+  WORKPAPER_AREAS
+} from '@/lib/workpapers'
+
+async function findProject(supabase: SupabaseClient, projectId: string, userId: string) {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('id, created_by, assigned_to')
+    .eq('id', projectId)
+    .single()
+
+  if (error || !project) {
+    return { error: NextResponse.json({ error: 'Project not found' }, { status: 404 }) }
+  }
+
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { project }
+}
+
+// Workpapers of a project in reference number order, the project's documents
+// that can be attached as supporting evidence and the audit areas
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const [{ data: workpapers, error }, { data: documents, error: documentsError }] = await Promise.all([
+      supabase
+        .from('workpapers')
+        .select('*')
+        .eq('project_id', params.id),
+      supabase
+        .from('documents')
+        .select('id, original_name')
+        .eq('project_id', params.id)
+        .order('original_name', { ascending: true })
+    ])
+
+    if (error) {
+      throw error
+    }
+    if (documentsError) {
+      throw documentsError
+    }
+
+    return NextResponse.json({
+      workpapers: (workpapers || []).sort((a, b) => compareReferenceNumbers(a.reference_number, b.reference_number)),
+      documents: documents || [],
+      areas: WORKPAPER_AREAS
+    })
+
+  } catch (error) {
+    console.error('List workpapers error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Creates a draft workpaper: { name, auditArea, parentWorkpaperId?,
+// description?, procedureSteps?, supportingDocumentIds?, riskIdentified?,
+// materialityImpact? }. The reference number is assigned here; a workpaper
+// filed below another one takes its audit area.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const body = await request.json()
+    const { errors, values } = validateWorkpaper(body)
+
+    if (!body?.parentWorkpaperId && !workpaperArea(body?.auditArea)) {
+      errors.push('auditArea must be one of the workpaper audit areas')
+    }
+
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors.join('; ') }, { status: 400 })
+    }
+
+    const { error: accessError } = await findProject(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    let parent: { id: string; reference_number: string; audit_area: string } | null = null
+    if (body.parentWorkpaperId) {
+      const { data, error: parentError } = await supabase
+        .from('workpapers')
+        .select('id, reference_number, audit_area, parent_workpaper_id')
+        .eq('id', body.parentWorkpaperId)
+        .eq('project_id', params.id)
+        .maybeSingle()
+
+      if (parentError || !data) {
+        return NextResponse.json({ error: 'Parent workpaper not found' }, { status: 400 })
+      }
+
+      // One level of nesting: B-2.3, not B-2.3.1
+      if (data.parent_workpaper_id) {
+        return NextResponse.json(
+          { error: 'Workpapers can only be filed below a top-level workpaper' },
+          { status: 400 }
+        )
+      }
+
+      parent = data
+    }
+
+    const unknown = await unknownDocumentIds(supabase, params.id, values.supporting_documents || [])
+    if (unknown) {
+      return NextResponse.json(
+        { error: `Supporting documents not found in this project: ${unknown.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const auditArea = parent ? parent.audit_area : body.auditArea
+
+    const workpaper = await insertWorkpaper(supabase, params.id, auditArea, values, user.id, parent)
+
+    return NextResponse.json({ workpaper }, { status: 201 })
+
+  } catch (error) {
+    console.error('Create workpaper error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
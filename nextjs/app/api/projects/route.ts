@@ -1,6 +1,7 @@
 import { createClient } from '@/utils/supabase/server'
 import { NextRequest, NextResponse } from 'next/server'
 import { projectRateLimiter } from '@/lib/rateLimiter'
+import { priorPeriodLinkError } from '@/lib/periodComparison'
 
 export async function GET(request: NextRequest) {
   // Apply rate limiting
@@ -75,7 +76,7 @@ export async function POST(request: NextRequest) {
   }
 
   const body = await request.json()
-  const { name, description, client_name, client_email, audit_type, due_date, assigned_to } = body
+  const { name, description, client_name, client_email, audit_type, due_date, assigned_to, prior_project_id } = body
 
   // Enhanced validation
   const VALID_AUDIT_TYPES = ['financial', 'compliance', 'operational', 'security', 'internal']
@@ -111,6 +112,18 @@ export async function POST(request: NextRequest) {
     )
   }
 
+  // A recurring engagement may start out linked to last period's project
+  if (prior_project_id) {
+    const linkError = await priorPeriodLinkError(
+      supabase,
+      { id: '', client_name, client_email },
+      prior_project_id
+    )
+    if (linkError) {
+      return NextResponse.json({ error: linkError }, { status: 400 })
+    }
+  }
+
   // Create project
   const { data: project, error } = await supabase
     .from('projects')
@@ -122,6 +135,7 @@ export async function POST(request: NextRequest) {
         client_email,
         audit_type,
         due_date,
+        prior_project_id: prior_project_id || null,
         created_by: user.id,
         assigned_to: assignedToArray,
         status: 'active',
@@ -0,0 +1,168 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import {
+  AUDIT_TYPES,
+  DEFAULT_REPORT_TEMPLATES,
+  getReportTemplate,
+  validateTemplate,
+  type AuditType
+} from '@/lib/reportTemplates'
+
+type TemplateParams = { params: { auditType: string } }
+
+const isAuditType = (value: string): value is AuditType =>
+  (AUDIT_TYPES as readonly string[]).includes(value)
+
+// Template overrides apply to the whole firm, so only admins change them
+async function isAdmin(supabase: SupabaseClient, authUserId: string) {
+  const { data } = await supabase
+    .from('users')
+    .select('role')
+    .eq('auth_user_id', authUserId)
+    .maybeSingle()
+
+  return data?.role === 'admin'
+}
+
+export async function GET(request: NextRequest, { params }: TemplateParams) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  if (!isAuditType(params.auditType)) {
+    return NextResponse.json({ error: 'Unknown audit type' }, { status: 404 })
+  }
+
+  try {
+    const template = await getReportTemplate(supabase, params.auditType)
+
+    return NextResponse.json({
+      template,
+      defaultTemplate: DEFAULT_REPORT_TEMPLATES[params.auditType]
+    })
+
+  } catch (error) {
+    console.error('Get report template error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Replaces the firm override: { name, requiredDataSources, summaryFocus?, sections }
+export async function PUT(request: NextRequest, { params }: TemplateParams) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  if (!isAuditType(params.auditType)) {
+    return NextResponse.json({ error: 'Unknown audit type' }, { status: 404 })
+  }
+
+  try {
+    if (!(await isAdmin(supabase, user.id))) {
+      return NextResponse.json({ error: 'Admin access required' }, { status: 403 })
+    }
+
+    const body = await request.json()
+    const errors = validateTemplate(body)
+
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: 'Invalid template', details: errors },
+        { status: 400 }
+      )
+    }
+
+    const { error } = await supabase
+      .from('report_templates')
+      .upsert(
+        {
+          audit_type: params.auditType,
+          name: body.name.trim(),
+          required_data_sources: body.requiredDataSources,
+          summary_focus: body.summaryFocus?.trim() || null,
+          sections: body.sections.map((section: any) => ({
+            key: section.key,
+            title: section.title.trim(),
+            type: section.type,
+            ...(section.boilerplate ? { boilerplate: section.boilerplate } : {})
+          })),
+          updated_by: user.id
+        },
+        { onConflict: 'audit_type' }
+      )
+
+    if (error) {
+      throw error
+    }
+
+    const template = await getReportTemplate(supabase, params.auditType)
+    return NextResponse.json({ template })
+
+  } catch (error) {
+    console.error('Update report template error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Removes the firm override so the built-in template applies again
+export async function DELETE(request: NextRequest, { params }: TemplateParams) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  if (!isAuditType(params.auditType)) {
+    return NextResponse.json({ error: 'Unknown audit type' }, { status: 404 })
+  }
+
+  try {
+    if (!(await isAdmin(supabase, user.id))) {
+      return NextResponse.json({ error: 'Admin access required' }, { status: 403 })
+    }
+
+    const { error } = await supabase
+      .from('report_templates')
+      .delete()
+      .eq('audit_type', params.auditType)
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ message: 'Template override removed' })
+
+  } catch (error) {
+    console.error('Delete report template error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,32 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { AUDIT_TYPES, getReportTemplate } from '@/lib/reportTemplates'
+
+// The template in effect for each audit type, firm overrides included
+export async function GET(request: NextRequest) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const templates = await Promise.all(
+      AUDIT_TYPES.map(auditType => getReportTemplate(supabase, auditType))
+    )
+
+    return NextResponse.json({ templates })
+
+  } catch (error) {
+    console.error('Get report templates error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,119 @@
+import { createClient } from '@/utils/supabase/server'
+import { createAdminClient } from '@/utils/supabase/admin'
+import { NextRequest, NextResponse } from 'next/server'
+import {
+  createReportPdfUrl,
+  renderReportPdf,
+  reportPdfPath,
+  uploadReportPdf
+} from '@/lib/reportPdf'
+import { getUserDisplayName, verifyContentHash } from '@/lib/reportLifecycle'
+
+// Signed URLs are only used to open the file right away
+const SIGNED_URL_EXPIRY_SECONDS = 300
+
+// Returns a signed URL for the report's PDF, rendering it first if the
+// report has no current PDF (pdf_path is cleared when report_data changes and
+// on sign-off)
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { data: report, error: reportError } = await supabase
+      .from('audit_reports')
+      .select(`
+        *,
+        projects!inner(id, name, client_name, audit_type, created_by, assigned_to)
+      `)
+      .eq('id', params.id)
+      .single()
+
+    if (reportError || !report) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 })
+    }
+
+    const project = report.projects
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    if (!report.report_data) {
+      return NextResponse.json({ error: 'Report has no content to render' }, { status: 409 })
+    }
+
+    // A final report is only handed out while it still matches its sign-off
+    if (report.status === 'final' && !verifyContentHash(report)) {
+      console.error('Report content hash mismatch:', report.id)
+      return NextResponse.json(
+        { error: 'Report content does not match its signed-off version' },
+        { status: 409 }
+      )
+    }
+
+    // The reports bucket is private and only reached with the service key
+    const admin = createAdminClient()
+    let pdfPath: string | null = report.pdf_path
+
+    if (!pdfPath) {
+      const pdf = renderReportPdf({
+        reportName: report.report_name,
+        status: report.status,
+        createdAt: report.created_at,
+        revision: report.revision,
+        signOff: report.signed_off_at
+          ? {
+              signedBy: await getUserDisplayName(supabase, report.signed_off_by),
+              signedAt: report.signed_off_at,
+              contentHash: report.content_hash
+            }
+          : null,
+        project,
+        data: report.report_data
+      })
+
+      pdfPath = reportPdfPath(project.id, report.id)
+      await uploadReportPdf(admin, pdfPath, pdf)
+
+      const { error: updateError } = await supabase
+        .from('audit_reports')
+        .update({ pdf_path: pdfPath, pdf_generated_at: new Date().toISOString() })
+        .eq('id', report.id)
+
+      if (updateError) {
+        throw updateError
+      }
+    }
+
+    const fileName = `${report.report_name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'report'}.pdf`
+    const url = await createReportPdfUrl(admin, pdfPath, fileName, SIGNED_URL_EXPIRY_SECONDS)
+
+    return NextResponse.json({
+      url,
+      fileName,
+      expiresIn: SIGNED_URL_EXPIRY_SECONDS
+    })
+
+  } catch (error) {
+    console.error('Get report download URL error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,93 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { renderReportDocx } from '@/lib/reportDocx'
+import { getUserDisplayName } from '@/lib/reportLifecycle'
+
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+
+// Downloads the report as an editable Word document (?format=docx, the
+// default). The PDF is served by ./download.
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const format = request.nextUrl.searchParams.get('format') || 'docx'
+
+    if (format !== 'docx') {
+      return NextResponse.json(
+        { error: 'Format must be docx' },
+        { status: 400 }
+      )
+    }
+
+    const { data: report, error: reportError } = await supabase
+      .from('audit_reports')
+      .select(`
+        *,
+        projects!inner(id, name, client_name, audit_type, created_by, assigned_to)
+      `)
+      .eq('id', params.id)
+      .single()
+
+    if (reportError || !report) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 })
+    }
+
+    const project = report.projects
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    if (!report.report_data) {
+      return NextResponse.json({ error: 'Report has no content to export' }, { status: 409 })
+    }
+
+    const docx = await renderReportDocx({
+      reportName: report.report_name,
+      status: report.status,
+      createdAt: report.created_at,
+      revision: report.revision,
+      signOff: report.signed_off_at
+        ? {
+            signedBy: await getUserDisplayName(supabase, report.signed_off_by),
+            signedAt: report.signed_off_at,
+            contentHash: report.content_hash
+          }
+        : null,
+      project,
+      data: report.report_data
+    })
+
+    const fileName = report.report_name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'report'
+
+    return new Response(new Uint8Array(docx), {
+      headers: {
+        'Content-Type': DOCX_CONTENT_TYPE,
+        'Content-Disposition': `attachment; filename="${fileName}.docx"`
+      }
+    })
+
+  } catch (error) {
+    console.error('Export report error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,140 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { SIGN_OFF_ROLES, getUserRole, reportContentHash } from '@/lib/reportLifecycle'
+
+const MAX_COMMENT_LENGTH = 5000
+
+// Reviewer decision on a report in review: { decision: 'approve' | 'reject', comment? }.
+// Approving signs the report off and makes it final; rejecting returns it to
+// draft and needs a comment.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { decision, comment } = await request.json()
+
+    if (decision !== 'approve' && decision !== 'reject') {
+      return NextResponse.json(
+        { error: "decision must be 'approve' or 'reject'" },
+        { status: 400 }
+      )
+    }
+
+    if (comment !== undefined && comment !== null &&
+        (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+      return NextResponse.json(
+        { error: `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters` },
+        { status: 400 }
+      )
+    }
+
+    if (decision === 'reject' && !comment?.trim()) {
+      return NextResponse.json(
+        { error: 'A comment is required when rejecting a report' },
+        { status: 400 }
+      )
+    }
+
+    const role = await getUserRole(supabase, user.id)
+    if (!role || !SIGN_OFF_ROLES.includes(role)) {
+      return NextResponse.json({ error: 'Reviewer access required' }, { status: 403 })
+    }
+
+    const { data: report, error: reportError } = await supabase
+      .from('audit_reports')
+      .select(`
+        *,
+        projects!inner(id, created_by, assigned_to)
+      `)
+      .eq('id', params.id)
+      .single()
+
+    if (reportError || !report) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 })
+    }
+
+    const project = report.projects
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    if (report.status !== 'in_review') {
+      return NextResponse.json(
+        { error: 'Only reports in review can be approved or rejected' },
+        { status: 409 }
+      )
+    }
+
+    // Sign-off has to come from someone other than the report's preparer
+    if (decision === 'approve' && (report.generated_by === user.id || report.submitted_by === user.id)) {
+      return NextResponse.json(
+        { error: 'Reports must be signed off by someone other than their preparer' },
+        { status: 403 }
+      )
+    }
+
+    const now = new Date().toISOString()
+    const review = {
+      reviewed_by: user.id,
+      reviewed_at: now,
+      review_comment: comment?.trim() || null
+    }
+
+    // The PDF is rendered again so the final one shows the sign-off
+    const changes = decision === 'approve'
+      ? {
+          ...review,
+          status: 'final',
+          signed_off_by: user.id,
+          signed_off_at: now,
+          content_hash: reportContentHash(report),
+          pdf_path: null,
+          pdf_generated_at: null
+        }
+      : { ...review, status: 'draft' }
+
+    const { data: updated, error } = await supabase
+      .from('audit_reports')
+      .update(changes)
+      .eq('id', report.id)
+      .eq('status', 'in_review')
+      .select()
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    if (!updated) {
+      return NextResponse.json(
+        { error: 'Report is no longer in review' },
+        { status: 409 }
+      )
+    }
+
+    return NextResponse.json({ report: updated })
+
+  } catch (error) {
+    console.error('Review report error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,88 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Starts a new draft revision of a final report. The final report itself is
+// immutable; the revision copies its content and goes through review again.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { data: report, error: reportError } = await supabase
+      .from('audit_reports')
+      .select(`
+        *,
+        projects!inner(id, created_by, assigned_to)
+      `)
+      .eq('id', params.id)
+      .single()
+
+    if (reportError || !report) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 })
+    }
+
+    const project = report.projects
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    if (report.status !== 'final') {
+      return NextResponse.json(
+        { error: 'Only final reports need a new revision; edit drafts directly' },
+        { status: 409 }
+      )
+    }
+
+    const { data: revision, error } = await supabase
+      .from('audit_reports')
+      .insert([
+        {
+          project_id: report.project_id,
+          generated_by: user.id,
+          report_name: report.report_name,
+          report_data: report.report_data,
+          status: 'draft',
+          revision: (report.revision || 1) + 1,
+          parent_report_id: report.id
+        }
+      ])
+      .select()
+      .single()
+
+    // parent_report_id is unique: a report has at most one next revision
+    if (error?.code === '23505') {
+      return NextResponse.json(
+        { error: 'A revision of this report has already been started' },
+        { status: 409 }
+      )
+    }
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ report: revision }, { status: 201 })
+
+  } catch (error) {
+    console.error('Create report revision error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,104 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { applySectionEdits } from '@/lib/reportGenerator'
+
+const MAX_SECTION_LENGTH = 20000
+
+// Saves edited section text: { sections: [{ key, content }] }. Only draft
+// reports can be edited.
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { sections } = await request.json()
+
+    const isValid = Array.isArray(sections) && sections.length > 0 && sections.every(section =>
+      typeof section?.key === 'string' &&
+      typeof section?.content === 'string' &&
+      section.content.length <= MAX_SECTION_LENGTH
+    )
+
+    if (!isValid) {
+      return NextResponse.json(
+        { error: `sections must be a list of { key, content } with content of at most ${MAX_SECTION_LENGTH} characters` },
+        { status: 400 }
+      )
+    }
+
+    const { data: report, error: reportError } = await supabase
+      .from('audit_reports')
+      .select(`
+        *,
+        projects!inner(id, created_by, assigned_to)
+      `)
+      .eq('id', params.id)
+      .single()
+
+    if (reportError || !report) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 })
+    }
+
+    const project = report.projects
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    if (report.status !== 'draft') {
+      return NextResponse.json(
+        { error: 'Only draft reports can be edited' },
+        { status: 409 }
+      )
+    }
+
+    const keys = new Set((report.report_data?.sections || []).map((section: any) => section.key))
+    const unknown = sections.filter((section: any) => !keys.has(section.key)).map((section: any) => section.key)
+
+    if (unknown.length > 0) {
+      return NextResponse.json(
+        { error: `Unknown report sections: ${unknown.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    // The stored PDF no longer matches, so the next download renders again
+    const { data: updated, error } = await supabase
+      .from('audit_reports')
+      .update({
+        report_data: applySectionEdits(report.report_data, sections),
+        pdf_path: null,
+        pdf_generated_at: null
+      })
+      .eq('id', report.id)
+      .select()
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ report: updated })
+
+  } catch (error) {
+    console.error('Update report error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
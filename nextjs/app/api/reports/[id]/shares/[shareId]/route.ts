@@ -0,0 +1,65 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Revokes a share link. The row is kept so past views stay attributable.
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: { id: string; shareId: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { data: share, error: shareError } = await supabase
+      .from('report_shares')
+      .select(`
+        id,
+        revoked_at,
+        audit_reports!inner(id, projects!inner(created_by, assigned_to))
+      `)
+      .eq('id', params.shareId)
+      .eq('report_id', params.id)
+      .single()
+
+    if (shareError || !share) {
+      return NextResponse.json({ error: 'Share link not found' }, { status: 404 })
+    }
+
+    const project = (share.audit_reports as any).projects
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    if (!share.revoked_at) {
+      const { error } = await supabase
+        .from('report_shares')
+        .update({ revoked_at: new Date().toISOString(), revoked_by: user.id })
+        .eq('id', share.id)
+
+      if (error) {
+        throw error
+      }
+    }
+
+    return NextResponse.json({ message: 'Share link revoked' })
+
+  } catch (error) {
+    console.error('Revoke report share error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,164 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import {
+  DEFAULT_SHARE_DAYS,
+  MAX_SHARE_DAYS,
+  MIN_SHARE_PASSWORD_LENGTH,
+  createShareToken,
+  hashSharePassword,
+  shareUrl
+} from '@/lib/reportShares'
+
+const SHARE_COLUMNS = 'id, expires_at, revoked_at, view_count, last_viewed_at, created_by, created_at, password_hash'
+
+// Hashes stay on the server; the list only says whether a password is set
+const toShare = ({ password_hash, ...share }: any) => ({
+  ...share,
+  password_protected: !!password_hash
+})
+
+async function findReport(supabase: SupabaseClient, reportId: string, userId: string) {
+  const { data: report, error } = await supabase
+    .from('audit_reports')
+    .select(`
+      id,
+      status,
+      projects!inner(id, created_by, assigned_to)
+    `)
+    .eq('id', reportId)
+    .single()
+
+  if (error || !report) {
+    return { error: NextResponse.json({ error: 'Report not found' }, { status: 404 }) }
+  }
+
+  const project: any = report.projects
+  const hasAccess =
+    project.created_by === userId ||
+    project.assigned_to?.includes(userId)
+
+  if (!hasAccess) {
+    return { error: NextResponse.json({ error: 'Access denied' }, { status: 403 }) }
+  }
+
+  return { report }
+}
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { error: accessError } = await findReport(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    const { data: shares, error } = await supabase
+      .from('report_shares')
+      .select(SHARE_COLUMNS)
+      .eq('report_id', params.id)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ shares: (shares || []).map(toShare) })
+
+  } catch (error) {
+    console.error('List report shares error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Creates a link to a final report: { expiresInDays?, password? }. The token
+// is only returned here; it cannot be recovered later.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { expiresInDays = DEFAULT_SHARE_DAYS, password } = await request.json()
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_SHARE_DAYS) {
+      return NextResponse.json(
+        { error: `expiresInDays must be a whole number between 1 and ${MAX_SHARE_DAYS}` },
+        { status: 400 }
+      )
+    }
+
+    if (password !== undefined && password !== null && password !== '' &&
+        (typeof password !== 'string' || password.length < MIN_SHARE_PASSWORD_LENGTH)) {
+      return NextResponse.json(
+        { error: `password must be at least ${MIN_SHARE_PASSWORD_LENGTH} characters` },
+        { status: 400 }
+      )
+    }
+
+    const { report, error: accessError } = await findReport(supabase, params.id, user.id)
+    if (accessError) return accessError
+
+    if (report.status !== 'final') {
+      return NextResponse.json(
+        { error: 'Only final reports can be shared' },
+        { status: 409 }
+      )
+    }
+
+    const { token, tokenHash } = createShareToken()
+    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+
+    const { data: share, error } = await supabase
+      .from('report_shares')
+      .insert({
+        report_id: report.id,
+        token_hash: tokenHash,
+        password_hash: password ? await hashSharePassword(password) : null,
+        expires_at: expiresAt.toISOString(),
+        created_by: user.id
+      })
+      .select(SHARE_COLUMNS)
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json(
+      { share: toShare(share), url: shareUrl(request, token) },
+      { status: 201 }
+    )
+
+  } catch (error) {
+    console.error('Create report share error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
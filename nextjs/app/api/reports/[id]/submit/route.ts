@@ -0,0 +1,82 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Sends a draft report to review; it can no longer be edited until a
+// reviewer returns it
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { data: report, error: reportError } = await supabase
+      .from('audit_reports')
+      .select(`
+        *,
+        projects!inner(id, created_by, assigned_to)
+      `)
+      .eq('id', params.id)
+      .single()
+
+    if (reportError || !report) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 })
+    }
+
+    const project = report.projects
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    if (!report.report_data) {
+      return NextResponse.json({ error: 'Report has no content to review' }, { status: 409 })
+    }
+
+    // Matching on status as well keeps two concurrent requests from both
+    // moving the report
+    const { data: updated, error } = await supabase
+      .from('audit_reports')
+      .update({
+        status: 'in_review',
+        submitted_by: user.id,
+        submitted_at: new Date().toISOString()
+      })
+      .eq('id', report.id)
+      .eq('status', 'draft')
+      .select()
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    if (!updated) {
+      return NextResponse.json(
+        { error: 'Only draft reports can be submitted for review' },
+        { status: 409 }
+      )
+    }
+
+    return NextResponse.json({ report: updated })
+
+  } catch (error) {
+    console.error('Submit report error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,99 @@
+import { createClient } from '@/utils/supabase/server'
+import { NextRequest, NextResponse } from 'next/server'
+import { generateReportData, loadReportSources, missingDataSources } from '@/lib/reportGenerator'
+import { getReportTemplate } from '@/lib/reportTemplates'
+
+export async function POST(request: NextRequest) {
+  const supabase = createClient()
+
+  // Check if user is authenticated
+  const {
+    data: { user },
+  } = await supabase.auth.getUser()
+
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { projectId, reportName, includeCharts } = await request.json()
+
+    if (!projectId || typeof reportName !== 'string' || !reportName.trim()) {
+      return NextResponse.json(
+        { error: 'Project ID and report name are required' },
+        { status: 400 }
+      )
+    }
+
+    if (reportName.trim().length > 255) {
+      return NextResponse.json(
+        { error: 'Report name must be at most 255 characters' },
+        { status: 400 }
+      )
+    }
+
+    // Check project access
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id, name, description, client_name, audit_type, prior_project_id, created_by, assigned_to')
+      .eq('id', projectId)
+      .single()
+
+    if (projectError || !project) {
+      return NextResponse.json({ error: 'Project not found' }, { status: 404 })
+    }
+
+    const hasAccess =
+      project.created_by === user.id ||
+      project.assigned_to?.includes(user.id)
+
+    if (!hasAccess) {
+      return NextResponse.json({ error: 'Access denied' }, { status: 403 })
+    }
+
+    const template = await getReportTemplate(supabase, project.audit_type)
+    const sources = await loadReportSources(supabase, projectId, project.prior_project_id)
+
+    const missing = missingDataSources(template, sources)
+    if (missing.length > 0) {
+      return NextResponse.json(
+        {
+          error: `The ${template.name} template needs data this project does not have yet: ${missing.join(', ')}`,
+          missingDataSources: missing
+        },
+        { status: 422 }
+      )
+    }
+
+    const reportData = await generateReportData(project, template, sources, {
+      includeCharts: includeCharts === true
+    })
+
+    const { data: report, error } = await supabase
+      .from('audit_reports')
+      .insert([
+        {
+          project_id: projectId,
+          generated_by: user.id,
+          report_name: reportName.trim(),
+          report_data: reportData,
+          status: 'draft'
+        }
+      ])
+      .select()
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ report }, { status: 201 })
+
+  } catch (error) {
+    console.error('Generate report error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
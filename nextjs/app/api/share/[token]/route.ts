@@ -0,0 +1,121 @@
+import { createAdminClient } from '@/utils/supabase/admin'
+import { NextRequest, NextResponse } from 'next/server'
+import { shareRateLimiter } from '@/lib/rateLimiter'
+import { getUserDisplayName, verifyContentHash } from '@/lib/reportLifecycle'
+import {
+  hashShareToken,
+  logShareAccess,
+  shareUnavailableReason,
+  verifySharePassword
+} from '@/lib/reportShares'
+
+const limitShareRequests = shareRateLimiter.middleware()
+
+const UNAVAILABLE_MESSAGES: Record<string, string> = {
+  revoked: 'This link has been revoked',
+  expired: 'This link has expired',
+  report_not_final: 'This report is no longer available'
+}
+
+// Opens a share link without a session: { password? }. The middleware lets
+// /api/share through; the link's token is the only credential, so rows are
+// read with the service key.
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { token: string } }
+) {
+  const rateLimitResponse = limitShareRequests(request)
+  if (rateLimitResponse) {
+    return rateLimitResponse
+  }
+
+  try {
+    const { password } = await request.json().catch(() => ({}))
+    const admin = createAdminClient()
+
+    const { data: share } = await admin
+      .from('report_shares')
+      .select(`
+        id,
+        password_hash,
+        expires_at,
+        revoked_at,
+        view_count,
+        audit_reports!inner(
+          id,
+          project_id,
+          status,
+          report_name,
+          report_data,
+          revision,
+          signed_off_by,
+          signed_off_at,
+          content_hash,
+          projects!inner(name, client_name, audit_type)
+        )
+      `)
+      .eq('token_hash', hashShareToken(params.token))
+      .maybeSingle()
+
+    if (!share) {
+      return NextResponse.json({ error: 'Link not found' }, { status: 404 })
+    }
+
+    const report: any = share.audit_reports
+    const log = (success: boolean, errorMessage?: string) =>
+      logShareAccess(admin, request, { reportId: report.id, shareId: share.id, success, errorMessage })
+
+    const unavailable = shareUnavailableReason(share, report.status)
+    if (unavailable) {
+      await log(false, unavailable)
+      return NextResponse.json({ error: UNAVAILABLE_MESSAGES[unavailable] }, { status: 410 })
+    }
+
+    if (share.password_hash) {
+      if (typeof password !== 'string' || !password) {
+        return NextResponse.json(
+          { error: 'This link requires a password', passwordRequired: true },
+          { status: 401 }
+        )
+      }
+
+      if (!(await verifySharePassword(password, share.password_hash))) {
+        await log(false, 'incorrect_password')
+        return NextResponse.json(
+          { error: 'Incorrect password', passwordRequired: true },
+          { status: 401 }
+        )
+      }
+    }
+
+    if (!verifyContentHash(report)) {
+      await log(false, 'content_hash_mismatch')
+      return NextResponse.json({ error: 'This report is no longer available' }, { status: 410 })
+    }
+
+    await log(true)
+    await admin
+      .from('report_shares')
+      .update({ view_count: share.view_count + 1, last_viewed_at: new Date().toISOString() })
+      .eq('id', share.id)
+
+    return NextResponse.json({
+      report: {
+        reportName: report.report_name,
+        revision: report.revision,
+        signedOffAt: report.signed_off_at,
+        signedOffBy: await getUserDisplayName(admin, report.signed_off_by),
+        contentHash: report.content_hash,
+        project: report.projects,
+        data: report.report_data
+      }
+    })
+
+  } catch (error) {
+    console.error('Open report share error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
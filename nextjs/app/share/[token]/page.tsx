@@ -0,0 +1,299 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import { useParams } from 'next/navigation'
+import { periodComparisonTables } from '@/lib/periodComparison'
+
+// Read-only view of a shared final report for clients without an account.
+// The middleware lets /share through; access is checked by /api/share.
+interface SharedReport {
+  reportName: string
+  revision: number | null
+  signedOffAt: string | null
+  signedOffBy: string | null
+  contentHash: string | null
+  project: { name: string; client_name: string | null; audit_type: string | null }
+  data: any
+}
+
+const formatDate = (value: string) =>
+  new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+
+const humanize = (key: string) => {
+  const text = key.replace(/([A-Z])/g, ' $1').replace(/_/g, ' ').trim()
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase()
+}
+
+const SEVERITY_CLASSES: Record<string, string> = {
+  critical: 'text-red-700',
+  high: 'text-red-700',
+  medium: 'text-amber-700',
+  low: 'text-green-700',
+}
+
+function Table({ headers, rows }: { headers: string[]; rows: (string | number | null)[][] }) {
+  return (
+    <table className="min-w-full divide-y divide-gray-200 text-sm mb-4">
+      <thead className="bg-gray-50">
+        <tr>
+          {headers.map(header => (
+            <th key={header} className="px-3 py-2 text-left font-medium text-gray-700">{header}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100">
+        {rows.map((row, index) => (
+          <tr key={index}>
+            {row.map((cell, cellIndex) => (
+              <td key={cellIndex} className={`px-3 py-2 text-gray-800 ${SEVERITY_CLASSES[String(cell)] || ''}`}>
+                {cell ?? '-'}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+function SectionData({ type, data }: { type: string; data: any }) {
+  switch (type) {
+    case 'statistics':
+      return (
+        <Table
+          headers={['Measure', 'Value']}
+          rows={Object.entries(data.statistics || {}).map(([key, value]) => [
+            humanize(key),
+            key === 'confidenceScore' ? `${value}%` : String(value),
+          ])}
+        />
+      )
+
+    case 'documents':
+      return (
+        <Table
+          headers={['Documents', 'Count']}
+          rows={[
+            ['Total', data.documentsSummary?.totalDocuments ?? 0],
+            ['Analyzed', data.documentsSummary?.analyzedDocuments ?? 0],
+            ['With issues', data.documentsSummary?.flaggedDocuments ?? 0],
+          ]}
+        />
+      )
+
+    case 'findings':
+      return data.redFlags?.length ? (
+        <Table
+          headers={['#', 'Issue', 'Severity', 'Document']}
+          rows={data.redFlags.map((flag: any, index: number) => [
+            index + 1,
+            flag.description,
+            flag.severity,
+            flag.documentSource,
+          ])}
+        />
+      ) : (
+        <p className="text-sm text-gray-600 mb-4">No red flags were identified in the analyzed documents.</p>
+      )
+
+    case 'recommendations':
+      return data.recommendations?.length ? (
+        <Table
+          headers={['#', 'Recommendation', 'Priority']}
+          rows={data.recommendations.map((recommendation: any, index: number) => [
+            index + 1,
+            recommendation.description,
+            recommendation.priority,
+          ])}
+        />
+      ) : (
+        <p className="text-sm text-gray-600 mb-4">No recommendations were derived from the findings.</p>
+      )
+
+    case 'charts':
+      return data.charts ? (
+        <>
+          {[
+            ['Red flags by severity', data.charts.redFlagsBySeverity],
+            ['Red flags by category', data.charts.redFlagsByCategory],
+          ].map(([title, values]) => (
+            <Table
+              key={title}
+              headers={[title, 'Count']}
+              rows={Object.entries(values || {})
+                .sort((a: any, b: any) => b[1] - a[1])
+                .map(([key, value]) => [humanize(key), value as number])}
+            />
+          ))}
+        </>
+      ) : null
+
+    case 'period_comparison':
+      return data.periodComparison ? (
+        <>
+          {periodComparisonTables(data.periodComparison).map(table => (
+            <div key={table.title}>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">{table.title}</h3>
+              <Table headers={table.columns.map(column => column.header)} rows={table.rows} />
+            </div>
+          ))}
+        </>
+      ) : null
+
+    default:
+      return null
+  }
+}
+
+export default function SharedReportPage() {
+  const { token } = useParams<{ token: string }>()
+  const [report, setReport] = useState<SharedReport | null>(null)
+  const [error, setError] = useState('')
+  const [passwordRequired, setPasswordRequired] = useState(false)
+  const [password, setPassword] = useState('')
+  const [loading, setLoading] = useState(true)
+
+  const openLink = useCallback(async (password?: string) => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await fetch(`/api/share/${token}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(password ? { password } : {}),
+      })
+      const body = await response.json()
+
+      if (response.ok) {
+        setReport(body.report)
+        setPasswordRequired(false)
+      } else {
+        setPasswordRequired(!!body.passwordRequired)
+        // The first request is made without a password, which is not an error
+        setError(body.passwordRequired && !password ? '' : body.error || 'This link cannot be opened')
+      }
+    } catch (err) {
+      setError('An unexpected error occurred')
+    } finally {
+      setLoading(false)
+    }
+  }, [token])
+
+  useEffect(() => {
+    openLink()
+  }, [openLink])
+
+  const handlePassword = (e: React.FormEvent) => {
+    e.preventDefault()
+    openLink(password)
+  }
+
+  if (loading && !passwordRequired) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-600">Loading report...</p>
+      </div>
+    )
+  }
+
+  if (!report) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 via-white to-indigo-50">
+        <div className="max-w-md w-full space-y-6 p-8">
+          <div className="text-center">
+            <h2 className="text-2xl font-bold text-gray-900">Shared audit report</h2>
+            {passwordRequired && (
+              <p className="mt-2 text-gray-600">Enter the password you were given to view this report.</p>
+            )}
+          </div>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+              {error}
+            </div>
+          )}
+
+          {passwordRequired && (
+            <form className="space-y-4" onSubmit={handlePassword}>
+              <label htmlFor="password" className="sr-only">Password</label>
+              <input
+                id="password"
+                type="password"
+                required
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="relative block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                placeholder="Password"
+              />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+              >
+                {loading ? 'Opening...' : 'View report'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    )
+  }
+
+  const { data } = report
+  // Reports generated before templates have no section list
+  const sections = data.sections?.length ? data.sections : [
+    { key: 'executive_summary', title: 'Executive Summary', type: 'executive_summary', content: data.executiveSummary },
+    { key: 'statistics', title: 'Key Statistics', type: 'statistics', content: '' },
+    { key: 'documents', title: 'Documents', type: 'documents', content: '' },
+    { key: 'findings', title: 'Findings', type: 'findings', content: '' },
+    { key: 'recommendations', title: 'Recommendations', type: 'recommendations', content: '' },
+  ]
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="bg-white shadow rounded-lg">
+          <div className="px-6 py-5 border-b border-gray-200">
+            <p className="text-sm font-medium text-indigo-600">Esus Audit AI</p>
+            <h1 className="mt-1 text-2xl font-bold text-gray-900">{report.reportName}</h1>
+            <dl className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-sm">
+              {[
+                ['Project', report.project.name],
+                ['Client', report.project.client_name],
+                ['Audit type', report.project.audit_type && humanize(report.project.audit_type)],
+                ['Revision', report.revision && report.revision > 1 ? String(report.revision) : null],
+                ['Signed off', report.signedOffAt &&
+                  [report.signedOffBy, formatDate(report.signedOffAt)].filter(Boolean).join(', ')],
+              ].filter(([, value]) => value).map(([label, value]) => (
+                <div key={label} className="flex">
+                  <dt className="w-28 text-gray-500">{label}</dt>
+                  <dd className="text-gray-900">{value}</dd>
+                </div>
+              ))}
+            </dl>
+            {report.contentHash && (
+              <p className="mt-3 font-mono text-xs text-gray-400 break-all">SHA-256 {report.contentHash}</p>
+            )}
+          </div>
+
+          <div className="p-6 space-y-8">
+            {sections.map((section: any) => (
+              <section key={section.key}>
+                <h2 className="text-lg font-medium text-gray-900 mb-3">{section.title}</h2>
+                {section.content && (
+                  <p className="text-sm leading-relaxed text-gray-700 whitespace-pre-line mb-4">{section.content}</p>
+                )}
+                <SectionData type={section.type} data={data} />
+              </section>
+            ))}
+          </div>
+        </div>
+
+        <p className="mt-6 text-center text-xs text-gray-500">
+          This is a read-only copy of a signed-off report shared with you by your auditor.
+        </p>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,10 @@
+export async function register() {
+  // The analysis worker and report scheduler need Node APIs; skip the edge runtime
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { startAnalysisWorker } = await import('./lib/analysisWorker')
+    startAnalysisWorker()
+
+    const { startReportScheduler } = await import('./lib/reportScheduler')
+    startReportScheduler()
+  }
+}
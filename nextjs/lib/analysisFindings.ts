@@ -0,0 +1,209 @@
+// Schema and validation for the structured output of the document review
+// prompt. The model is asked for JSON matching ANALYSIS_OUTPUT_SCHEMA and the
+// response is checked with validateAnalysisOutput before anything is stored.
+
+export const FINDING_SEVERITIES = ['low', 'medium', 'high', 'critical'] as const
+
+export const FINDING_CATEGORIES = [
+  'revenue',
+  'cut_off',
+  'related_party',
+  'expenses',
+  'cash',
+  'receivables',
+  'inventory',
+  'fixed_assets',
+  'liabilities',
+  'equity',
+  'payroll',
+  'tax',
+  'disclosure',
+  'internal_control',
+  'fraud_risk',
+  'going_concern',
+  'other'
+] as const
+
+export type FindingSeverity = typeof FINDING_SEVERITIES[number]
+export type FindingCategory = typeof FINDING_CATEGORIES[number]
+
+export interface FindingReference {
+  page: number | null
+  field: string | null
+  table: number | null
+}
+
+export interface AnalysisFinding {
+  title: string
+  severity: FindingSeverity
+  category: FindingCategory
+  description: string
+  evidence: string
+  reference: FindingReference
+  recommendedProcedure: string
+  // Set after validation: whether the evidence excerpt occurs in the document text
+  evidenceVerified?: boolean
+}
+
+export interface AnalysisHighlight {
+  text: string
+  reference: FindingReference
+}
+
+export interface AnalysisOutput {
+  summary: string
+  findings: AnalysisFinding[]
+  highlights: AnalysisHighlight[]
+}
+
+// JSON Schema sent to the model as part of the prompt
+export const ANALYSIS_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'findings', 'highlights'],
+  properties: {
+    summary: { type: 'string', description: 'Overall summary of the document for an auditor' },
+    findings: {
+      type: 'array',
+      description: 'Red flags and areas of audit concern. Empty when nothing warrants follow-up.',
+      items: {
+        type: 'object',
+        required: ['title', 'severity', 'category', 'description', 'evidence', 'reference', 'recommendedProcedure'],
+        properties: {
+          title: { type: 'string', description: 'One-line statement of the issue' },
+          severity: { type: 'string', enum: FINDING_SEVERITIES },
+          category: { type: 'string', enum: FINDING_CATEGORIES },
+          description: { type: 'string', description: 'Why this matters for the audit' },
+          evidence: { type: 'string', description: 'Verbatim excerpt from the document supporting the finding' },
+          reference: {
+            type: 'object',
+            required: ['page', 'field', 'table'],
+            properties: {
+              page: { type: ['integer', 'null'], description: 'Page number the evidence is on' },
+              field: { type: ['string', 'null'], description: 'Key-value field name the evidence comes from' },
+              table: { type: ['integer', 'null'], description: '1-based index of the table the evidence comes from' }
+            }
+          },
+          recommendedProcedure: { type: 'string', description: 'Audit procedure to address the finding' }
+        }
+      }
+    },
+    highlights: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['text', 'reference'],
+        properties: {
+          text: { type: 'string' },
+          reference: { $ref: '#/properties/findings/items/properties/reference' }
+        }
+      }
+    }
+  }
+} as const
+
+function isNonEmptyString(value: unknown): value is string {
+  return typeof value === 'string' && value.trim().length > 0
+}
+
+function isNullableInteger(value: unknown) {
+  return value === null || (typeof value === 'number' && Number.isInteger(value) && value > 0)
+}
+
+function validateReference(reference: any, path: string, errors: string[]) {
+  if (!reference || typeof reference !== 'object') {
+    errors.push(`${path} must be an object with page, field and table`)
+    return
+  }
+  if (!isNullableInteger(reference.page)) errors.push(`${path}.page must be a positive integer or null`)
+  if (!isNullableInteger(reference.table)) errors.push(`${path}.table must be a positive integer or null`)
+  if (reference.field !== null && typeof reference.field !== 'string') errors.push(`${path}.field must be a string or null`)
+}
+
+export function validateAnalysisOutput(raw: unknown): { value: AnalysisOutput | null; errors: string[] } {
+  const errors: string[] = []
+  const output = raw as any
+
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return { value: null, errors: ['Response must be a JSON object'] }
+  }
+
+  if (!isNonEmptyString(output.summary)) errors.push('summary must be a non-empty string')
+
+  if (!Array.isArray(output.findings)) {
+    errors.push('findings must be an array')
+  } else {
+    output.findings.forEach((finding: any, index: number) => {
+      const path = `findings[${index}]`
+      if (!finding || typeof finding !== 'object') {
+        errors.push(`${path} must be an object`)
+        return
+      }
+      for (const key of ['title', 'description', 'evidence', 'recommendedProcedure']) {
+        if (!isNonEmptyString(finding[key])) errors.push(`${path}.${key} must be a non-empty string`)
+      }
+      if (!FINDING_SEVERITIES.includes(finding.severity)) {
+        errors.push(`${path}.severity must be one of: ${FINDING_SEVERITIES.join(', ')}`)
+      }
+      if (!FINDING_CATEGORIES.includes(finding.category)) {
+        errors.push(`${path}.category must be one of: ${FINDING_CATEGORIES.join(', ')}`)
+      }
+      validateReference(finding.reference, `${path}.reference`, errors)
+    })
+  }
+
+  if (!Array.isArray(output.highlights)) {
+    errors.push('highlights must be an array')
+  } else {
+    output.highlights.forEach((highlight: any, index: number) => {
+      if (!highlight || !isNonEmptyString(highlight.text)) {
+        errors.push(`highlights[${index}].text must be a non-empty string`)
+        return
+      }
+      validateReference(highlight.reference, `highlights[${index}].reference`, errors)
+    })
+  }
+
+  if (errors.length > 0) return { value: null, errors }
+
+  return {
+    value: {
+      summary: output.summary.trim(),
+      findings: output.findings.map((finding: any) => ({
+        title: finding.title.trim(),
+        severity: finding.severity,
+        category: finding.category,
+        description: finding.description.trim(),
+        evidence: finding.evidence.trim(),
+        reference: {
+          page: finding.reference.page,
+          field: finding.reference.field,
+          table: finding.reference.table
+        },
+        recommendedProcedure: finding.recommendedProcedure.trim()
+      })),
+      highlights: output.highlights.map((highlight: any) => ({
+        text: highlight.text.trim(),
+        reference: {
+          page: highlight.reference.page,
+          field: highlight.reference.field,
+          table: highlight.reference.table
+        }
+      }))
+    },
+    errors
+  }
+}
+
+function normalizeText(text: string) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim()
+}
+
+// Flag findings whose evidence cannot be found in the extracted text so the
+// UI can tell quoted evidence apart from paraphrase.
+export function verifyEvidence(findings: AnalysisFinding[], content: string): AnalysisFinding[] {
+  const haystack = normalizeText(content || '')
+  return findings.map(finding => ({
+    ...finding,
+    evidenceVerified: haystack.length > 0 && haystack.includes(normalizeText(finding.evidence))
+  }))
+}
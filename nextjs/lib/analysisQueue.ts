@@ -0,0 +1,405 @@
+import { ServiceBusClient, type ServiceBusReceivedMessage, type ServiceBusReceiver, type ServiceBusSender } from '@azure/service-bus'
+import { v4 as uuidv4 } from 'uuid'
+import { createAdminClient } from '@/utils/supabase/admin'
+import { getEnvConfig } from '@/lib/env'
+
+export type AnalysisJobStatus = 'queued' | 'processing' | 'completed' | 'dead_lettered'
+
+export interface AnalysisJob {
+  id: string
+  documentId: string
+  projectId: string
+  requestedBy: string
+  status: AnalysisJobStatus
+  attempts: number
+  maxAttempts: number
+  lastError: string | null
+  availableAt: string
+  createdAt: string
+  updatedAt: string
+}
+
+export interface NewAnalysisJob {
+  documentId: string
+  projectId: string
+  requestedBy: string
+}
+
+export interface ClaimOptions {
+  limit: number
+  maxPerProject: number
+  // Jobs already running in this process, keyed by project id
+  activeByProject: Map<string, number>
+}
+
+export interface AnalysisQueueBackend {
+  readonly name: string
+  enqueue(job: NewAnalysisJob): Promise<AnalysisJob>
+  // Marks up to `limit` available jobs as processing and returns them.
+  // Claiming a job counts as one attempt.
+  claim(options: ClaimOptions): Promise<AnalysisJob[]>
+  // Extends the claim on a job that is still running, so that it is not put
+  // back for another worker when it outlasts the lock timeout
+  renew(job: AnalysisJob): Promise<void>
+  complete(job: AnalysisJob): Promise<void>
+  retry(job: AnalysisJob, error: string, delayMs: number): Promise<void>
+  deadLetter(job: AnalysisJob, error: string): Promise<void>
+  // Backends without a job store (Service Bus) return null
+  getJob(jobId: string): Promise<AnalysisJob | null>
+  close(): Promise<void>
+}
+
+function hasProjectCapacity(projectId: string, options: ClaimOptions, claimed: Map<string, number>) {
+  const active = (options.activeByProject.get(projectId) || 0) + (claimed.get(projectId) || 0)
+  return active < options.maxPerProject
+}
+
+// Single-process queue for local development and tests
+export class InMemoryQueueBackend implements AnalysisQueueBackend {
+  readonly name = 'memory'
+  private jobs = new Map<string, AnalysisJob>()
+
+  constructor(private maxAttempts: number) {}
+
+  async enqueue(newJob: NewAnalysisJob): Promise<AnalysisJob> {
+    const now = new Date().toISOString()
+    const job: AnalysisJob = {
+      id: uuidv4(),
+      ...newJob,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      lastError: null,
+      availableAt: now,
+      createdAt: now,
+      updatedAt: now,
+    }
+    this.jobs.set(job.id, job)
+    return { ...job }
+  }
+
+  async claim(options: ClaimOptions): Promise<AnalysisJob[]> {
+    const now = Date.now()
+    const claimed = new Map<string, number>()
+    const result: AnalysisJob[] = []
+
+    const available = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued' && Date.parse(job.availableAt) <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+
+    for (const job of available) {
+      if (result.length >= options.limit) break
+      if (!hasProjectCapacity(job.projectId, options, claimed)) continue
+
+      job.status = 'processing'
+      job.attempts += 1
+      job.updatedAt = new Date().toISOString()
+      claimed.set(job.projectId, (claimed.get(job.projectId) || 0) + 1)
+      result.push({ ...job })
+    }
+
+    return result
+  }
+
+  // Jobs are never reclaimed in memory
+  async renew() {}
+
+  async complete(job: AnalysisJob) {
+    this.update(job.id, { status: 'completed', lastError: null })
+  }
+
+  async retry(job: AnalysisJob, error: string, delayMs: number) {
+    this.update(job.id, {
+      status: 'queued',
+      lastError: error,
+      availableAt: new Date(Date.now() + delayMs).toISOString(),
+    })
+  }
+
+  async deadLetter(job: AnalysisJob, error: string) {
+    this.update(job.id, { status: 'dead_lettered', lastError: error })
+  }
+
+  async getJob(jobId: string) {
+    const job = this.jobs.get(jobId)
+    return job ? { ...job } : null
+  }
+
+  async close() {}
+
+  private update(jobId: string, changes: Partial<AnalysisJob>) {
+    const job = this.jobs.get(jobId)
+    if (!job) return
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() })
+  }
+}
+
+// Queue backed by the analysis_jobs table (migration 013). Claiming goes
+// through claim_analysis_jobs() so several workers can share the table and
+// the per-project limit holds across all of them.
+export class PostgresQueueBackend implements AnalysisQueueBackend {
+  readonly name = 'postgres'
+  private supabase = createAdminClient()
+  private workerId = `worker-${uuidv4()}`
+
+  constructor(private maxAttempts: number, private lockTimeoutSeconds: number) {}
+
+  async enqueue(newJob: NewAnalysisJob): Promise<AnalysisJob> {
+    const { data, error } = await this.supabase
+      .from('analysis_jobs')
+      .insert([
+        {
+          document_id: newJob.documentId,
+          project_id: newJob.projectId,
+          requested_by: newJob.requestedBy,
+          max_attempts: this.maxAttempts,
+        },
+      ])
+      .select()
+      .single()
+
+    if (error) throw error
+    return toAnalysisJob(data)
+  }
+
+  async claim(options: ClaimOptions): Promise<AnalysisJob[]> {
+    const { data, error } = await this.supabase.rpc('claim_analysis_jobs', {
+      p_worker_id: this.workerId,
+      p_limit: options.limit,
+      p_max_per_project: options.maxPerProject,
+      p_lock_timeout_seconds: this.lockTimeoutSeconds,
+    })
+
+    if (error) throw error
+    return (data || []).map(toAnalysisJob)
+  }
+
+  async renew(job: AnalysisJob) {
+    const { error } = await this.supabase
+      .from('analysis_jobs')
+      .update({ locked_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('status', 'processing')
+      .eq('locked_by', this.workerId)
+
+    if (error) throw error
+  }
+
+  async complete(job: AnalysisJob) {
+    await this.update(job.id, { status: 'completed', last_error: null, locked_by: null })
+  }
+
+  async retry(job: AnalysisJob, error: string, delayMs: number) {
+    await this.update(job.id, {
+      status: 'queued',
+      last_error: error,
+      locked_by: null,
+      available_at: new Date(Date.now() + delayMs).toISOString(),
+    })
+  }
+
+  async deadLetter(job: AnalysisJob, error: string) {
+    await this.update(job.id, { status: 'dead_lettered', last_error: error, locked_by: null })
+  }
+
+  async getJob(jobId: string) {
+    const { data, error } = await this.supabase
+      .from('analysis_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data ? toAnalysisJob(data) : null
+  }
+
+  async close() {}
+
+  private async update(jobId: string, changes: Record<string, unknown>) {
+    const { error } = await this.supabase
+      .from('analysis_jobs')
+      .update(changes)
+      .eq('id', jobId)
+
+    if (error) throw error
+  }
+}
+
+// Azure Service Bus queue. Retries are re-sent as scheduled messages so the
+// backoff survives restarts; exhausted jobs go to the built-in dead-letter
+// sub-queue.
+export class ServiceBusQueueBackend implements AnalysisQueueBackend {
+  readonly name = 'servicebus'
+  private client: ServiceBusClient
+  private sender: ServiceBusSender
+  private receiver: ServiceBusReceiver
+  private inFlight = new Map<string, ServiceBusReceivedMessage>()
+
+  constructor(connectionString: string, queueName: string, private maxAttempts: number, lockRenewalMs: number) {
+    this.client = new ServiceBusClient(connectionString)
+    this.sender = this.client.createSender(queueName)
+    this.receiver = this.client.createReceiver(queueName, {
+      receiveMode: 'peekLock',
+      maxAutoLockRenewalDurationInMs: lockRenewalMs,
+    })
+  }
+
+  async enqueue(newJob: NewAnalysisJob): Promise<AnalysisJob> {
+    const now = new Date().toISOString()
+    const job: AnalysisJob = {
+      id: uuidv4(),
+      ...newJob,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      lastError: null,
+      availableAt: now,
+      createdAt: now,
+      updatedAt: now,
+    }
+
+    await this.sender.sendMessages({ messageId: job.id, body: job, contentType: 'application/json' })
+    return job
+  }
+
+  async claim(options: ClaimOptions): Promise<AnalysisJob[]> {
+    const messages = await this.receiver.receiveMessages(options.limit, { maxWaitTimeInMs: 1000 })
+    const claimed = new Map<string, number>()
+    const result: AnalysisJob[] = []
+
+    for (const message of messages) {
+      const job = message.body as AnalysisJob
+
+      if (!hasProjectCapacity(job.projectId, options, claimed)) {
+        // Project is at its limit; put the job back without spending an attempt
+        await this.sender.scheduleMessages(
+          { messageId: uuidv4(), body: job, contentType: 'application/json' },
+          new Date(Date.now() + 5000)
+        )
+        await this.receiver.completeMessage(message)
+        continue
+      }
+
+      const running: AnalysisJob = {
+        ...job,
+        status: 'processing',
+        attempts: job.attempts + 1,
+        updatedAt: new Date().toISOString(),
+      }
+      claimed.set(job.projectId, (claimed.get(job.projectId) || 0) + 1)
+      this.inFlight.set(job.id, message)
+      result.push(running)
+    }
+
+    return result
+  }
+
+  async renew(job: AnalysisJob) {
+    const message = this.inFlight.get(job.id)
+    if (message) await this.receiver.renewMessageLock(message)
+  }
+
+  async complete(job: AnalysisJob) {
+    const message = this.takeMessage(job.id)
+    if (message) await this.receiver.completeMessage(message)
+  }
+
+  async retry(job: AnalysisJob, error: string, delayMs: number) {
+    const availableAt = new Date(Date.now() + delayMs)
+    await this.sender.scheduleMessages(
+      {
+        messageId: uuidv4(),
+        body: { ...job, status: 'queued', lastError: error, availableAt: availableAt.toISOString() },
+        contentType: 'application/json',
+      },
+      availableAt
+    )
+
+    const message = this.takeMessage(job.id)
+    if (message) await this.receiver.completeMessage(message)
+  }
+
+  async deadLetter(job: AnalysisJob, error: string) {
+    const message = this.takeMessage(job.id)
+    if (message) {
+      await this.receiver.deadLetterMessage(message, {
+        deadLetterReason: 'MaxAttemptsExceeded',
+        deadLetterErrorDescription: error.substring(0, 1000),
+      })
+    }
+  }
+
+  async getJob() {
+    return null
+  }
+
+  async close() {
+    await this.receiver.close()
+    await this.sender.close()
+    await this.client.close()
+  }
+
+  private takeMessage(jobId: string) {
+    const message = this.inFlight.get(jobId)
+    this.inFlight.delete(jobId)
+    return message
+  }
+}
+
+function toAnalysisJob(row: any): AnalysisJob {
+  return {
+    id: row.id,
+    documentId: row.document_id,
+    projectId: row.project_id,
+    requestedBy: row.requested_by,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    lastError: row.last_error,
+    availableAt: row.available_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  }
+}
+
+// How long a claimed job may go without being renewed before it is put back
+// for another worker
+export function analysisLockTimeout() {
+  return getEnvConfig().app.analysisTimeout + 60000
+}
+
+function createQueueBackend(): AnalysisQueueBackend {
+  const { app, azure } = getEnvConfig()
+  const { backend, maxAttempts } = app.analysisQueue
+
+  switch (backend) {
+    case 'servicebus':
+      if (!azure.serviceBus.connectionString) {
+        throw new Error('AZURE_SERVICE_BUS_CONNECTION_STRING is required for the servicebus analysis queue')
+      }
+      return new ServiceBusQueueBackend(
+        azure.serviceBus.connectionString,
+        azure.serviceBus.analysisQueueName,
+        maxAttempts,
+        // Keep the message locked for as long as an analysis may run
+        analysisLockTimeout()
+      )
+    case 'postgres':
+      return new PostgresQueueBackend(maxAttempts, Math.ceil(analysisLockTimeout() / 1000))
+    case 'memory':
+      return new InMemoryQueueBackend(maxAttempts)
+    default:
+      throw new Error(`Unknown ANALYSIS_QUEUE_BACKEND: ${backend}`)
+  }
+}
+
+// Route handlers and the worker must share one backend per process; the
+// in-memory queue in particular is useless if each module reload gets its own.
+const globalForQueue = globalThis as unknown as { analysisQueue?: AnalysisQueueBackend }
+
+export function getAnalysisQueue(): AnalysisQueueBackend {
+  if (!globalForQueue.analysisQueue) {
+    globalForQueue.analysisQueue = createQueueBackend()
+  }
+  return globalForQueue.analysisQueue
+}
@@ -0,0 +1,169 @@
+import { createAdminClient } from '@/utils/supabase/admin'
+import { getEnvConfig } from '@/lib/env'
+import { getAnalysisQueue, type AnalysisJob, type AnalysisQueueBackend } from '@/lib/analysisQueue'
+import { runDocumentAnalysis } from '@/lib/documentAnalysis'
+
+interface WorkerConfig {
+  concurrency: number
+  projectConcurrency: number
+  pollInterval: number
+  retryDelay: number
+  // How often a running job's claim is renewed; well below the lock timeout
+  renewInterval: number
+}
+
+export class AnalysisWorker {
+  private supabase = createAdminClient()
+  private activeByProject = new Map<string, number>()
+  private running = 0
+  private polling = false
+  private timer: NodeJS.Timeout | null = null
+
+  constructor(private queue: AnalysisQueueBackend, private config: WorkerConfig) {}
+
+  start() {
+    if (this.timer) return
+    this.timer = setInterval(() => this.poll(), this.config.pollInterval)
+    console.log(`Analysis worker started (${this.queue.name} queue)`)
+
+    // The in-memory queue does not survive a restart, so documents it left
+    // queued or processing would otherwise stay that way
+    if (this.queue.name === 'memory') {
+      this.resetOrphanedDocuments()
+    }
+  }
+
+  async stop() {
+    if (this.timer) clearInterval(this.timer)
+    this.timer = null
+    await this.queue.close()
+  }
+
+  private async poll() {
+    const capacity = this.config.concurrency - this.running
+    if (this.polling || capacity <= 0) return
+
+    this.polling = true
+    try {
+      const jobs = await this.queue.claim({
+        limit: capacity,
+        maxPerProject: this.config.projectConcurrency,
+        activeByProject: this.activeByProject,
+      })
+
+      for (const job of jobs) {
+        // Not awaited: jobs run concurrently up to the configured limit
+        this.process(job)
+      }
+    } catch (error) {
+      console.error('Analysis queue poll error:', error)
+    } finally {
+      this.polling = false
+    }
+  }
+
+  private async process(job: AnalysisJob) {
+    this.running += 1
+    this.activeByProject.set(job.projectId, (this.activeByProject.get(job.projectId) || 0) + 1)
+
+    // Extraction, model calls and indexing together can run past the lock
+    // timeout, so keep the claim alive for as long as the job runs. Touching
+    // the document marks its processing status as current (see the stale
+    // check in the analysis route).
+    const renewal = setInterval(() => {
+      this.queue.renew(job).catch(error => console.error('Error renewing analysis job lock:', { jobId: job.id, error }))
+      this.touchDocument(job.documentId)
+    }, this.config.renewInterval)
+
+    try {
+      await this.setDocumentStatus(job.documentId, 'processing')
+      await runDocumentAnalysis(this.supabase, job.documentId, { requestedBy: job.requestedBy })
+      await this.setDocumentStatus(job.documentId, 'analyzed')
+      await this.queue.complete(job)
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error)
+      console.error('Analysis job failed:', { jobId: job.id, attempt: job.attempts, error: message })
+
+      try {
+        if (job.attempts >= job.maxAttempts) {
+          await this.queue.deadLetter(job, message)
+          await this.setDocumentStatus(job.documentId, 'error')
+        } else {
+          // Exponential backoff, same shape as AzureServices.withRetry
+          const delay = this.config.retryDelay * Math.pow(2, job.attempts - 1)
+          await this.queue.retry(job, message, delay)
+        }
+      } catch (settleError) {
+        console.error('Error settling analysis job:', settleError)
+      }
+    } finally {
+      clearInterval(renewal)
+      this.running -= 1
+      const active = (this.activeByProject.get(job.projectId) || 1) - 1
+      if (active > 0) {
+        this.activeByProject.set(job.projectId, active)
+      } else {
+        this.activeByProject.delete(job.projectId)
+      }
+    }
+  }
+
+  private async resetOrphanedDocuments() {
+    const { data, error } = await this.supabase
+      .from('documents')
+      .update({ status: 'error' })
+      .in('status', ['queued', 'processing'])
+      .select('id')
+
+    if (error) {
+      console.error('Error resetting orphaned documents:', error)
+    } else if (data && data.length > 0) {
+      console.log(`Reset ${data.length} document(s) left queued or processing by a previous run`)
+    }
+  }
+
+  // Refreshes updated_at of a document that is still processing; a renewal
+  // that lands after the job has settled leaves the final status alone
+  private async touchDocument(documentId: string) {
+    const { error } = await this.supabase
+      .from('documents')
+      .update({ status: 'processing' })
+      .eq('id', documentId)
+      .eq('status', 'processing')
+
+    if (error) {
+      console.error('Error updating document status:', error)
+    }
+  }
+
+  private async setDocumentStatus(documentId: string, status: 'processing' | 'analyzed' | 'error') {
+    const { error } = await this.supabase
+      .from('documents')
+      .update({ status })
+      .eq('id', documentId)
+
+    if (error) {
+      console.error('Error updating document status:', error)
+    }
+  }
+}
+
+const globalForWorker = globalThis as unknown as { analysisWorker?: AnalysisWorker }
+
+export function startAnalysisWorker() {
+  const { app } = getEnvConfig()
+  if (!app.analysisQueue.workerEnabled) return null
+
+  if (!globalForWorker.analysisWorker) {
+    globalForWorker.analysisWorker = new AnalysisWorker(getAnalysisQueue(), {
+      concurrency: app.analysisQueue.workerConcurrency,
+      projectConcurrency: app.analysisQueue.projectConcurrency,
+      pollInterval: app.analysisQueue.pollInterval,
+      retryDelay: 5000,
+      renewInterval: 30000,
+    })
+    globalForWorker.analysisWorker.start()
+  }
+
+  return globalForWorker.analysisWorker
+}
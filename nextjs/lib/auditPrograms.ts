@@ -0,0 +1,234 @@
+// Audit programs (audit_programs table, migrations 004 and 026). The standard
+// programs in seed_audit_templates.sql are templates without a project; a
+// project gets its own copy of a template, and one draft workpaper for each
+// of the copy's procedures. A program's progress is the share of its required
+// procedures whose workpaper has been signed off.
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { insertWorkpaper } from '@/lib/workpapers'
+import type { WorkpaperArea } from '@/lib/workpapers'
+
+export const MAX_PROGRAMS_PER_REQUEST = 10
+
+export interface ProgramProcedure {
+  key: string
+  phase: string | null
+  step: string
+  type: string | null
+  required: boolean
+  details: Record<string, unknown>
+}
+
+export interface ProgramProgress {
+  required: number
+  reviewed: number
+  inReview: number
+  draft: number
+  missing: number
+  percent: number
+}
+
+// Audit areas for program names and procedure steps, first match wins
+const AREA_KEYWORDS: [RegExp, WorkpaperArea][] = [
+  [/revenue|sales/i, 'revenue'],
+  [/inventor|stock count/i, 'inventory'],
+  [/cash|bank/i, 'cash'],
+  [/receivable/i, 'receivables'],
+  [/payable|accrual/i, 'payables'],
+  [/fixed asset|property|plant|equipment/i, 'fixed_assets'],
+  [/investment/i, 'investments'],
+  [/borrowing|loan|debt/i, 'borrowings'],
+  [/equity|share capital/i, 'equity'],
+  [/payroll|expense/i, 'expenses'],
+  [/tax/i, 'tax'],
+  [/compliance|regulat|laws/i, 'compliance'],
+  [/control/i, 'controls'],
+  [/materiality|risk|understand|significant account/i, 'planning'],
+  [/misstatement|opinion|report/i, 'completion'],
+]
+
+const PHASE_AREAS: Record<string, WorkpaperArea> = {
+  planning: 'planning',
+  completion: 'completion',
+}
+
+function humanize(key: string) {
+  const text = key.replace(/[_-]+/g, ' ').trim()
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+// The procedures of a program's required_procedures, which the templates
+// write either as phases of flags ({ planning: { materiality_calculation:
+// true } }) or as a list ({ procedures: [{ step, type, required }] })
+export function programProcedures(requiredProcedures: any): ProgramProcedure[] {
+  if (!requiredProcedures || typeof requiredProcedures !== 'object') return []
+
+  if (Array.isArray(requiredProcedures.procedures)) {
+    return requiredProcedures.procedures
+      .map((procedure: any, index: number): ProgramProcedure | null => {
+        if (typeof procedure?.step !== 'string' || !procedure.step.trim()) return null
+        const { step, type, required, phase, ...details } = procedure
+        return {
+          key: `procedures.${index}`,
+          phase: typeof phase === 'string' ? phase : null,
+          step: step.trim(),
+          type: typeof type === 'string' ? type : null,
+          required: required !== false,
+          details,
+        }
+      })
+      .filter(Boolean) as ProgramProcedure[]
+  }
+
+  const procedures: ProgramProcedure[] = []
+  for (const [phase, steps] of Object.entries(requiredProcedures)) {
+    if (!steps || typeof steps !== 'object' || Array.isArray(steps)) continue
+    for (const [name, required] of Object.entries(steps as Record<string, unknown>)) {
+      procedures.push({
+        key: `${phase}.${name}`,
+        phase,
+        step: humanize(name),
+        type: null,
+        required: required !== false,
+        details: {},
+      })
+    }
+  }
+  return procedures
+}
+
+// The audit area a procedure's workpaper is filed in: the program's subject
+// when its name has one (Revenue Recognition), otherwise the procedure's own
+function procedureArea(programName: string, procedure: ProgramProcedure): WorkpaperArea {
+  for (const text of [programName, procedure.step]) {
+    const match = AREA_KEYWORDS.find(([pattern]) => pattern.test(text))
+    if (match) return match[1]
+  }
+  return (procedure.phase && PHASE_AREAS[procedure.phase]) || 'planning'
+}
+
+function procedureDescription(program: { name: string; standard_reference: string | null }, procedure: ProgramProcedure) {
+  const source = program.standard_reference ? `${program.name} (${program.standard_reference})` : program.name
+  const lines = [
+    procedure.phase ? `${source}, ${procedure.phase} phase.` : `${source}.`,
+    ...(procedure.type ? [`Procedure type: ${humanize(procedure.type)}`] : []),
+    ...Object.entries(procedure.details)
+      .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+      .map(([name, value]) => `${humanize(name)}: ${typeof value === 'string' ? humanize(value) : value}`),
+  ]
+  return lines.join('\n')
+}
+
+// Copies a template into the project as an in-progress program and creates a
+// draft workpaper for each procedure. A failure removes what was created so
+// the template can be applied again.
+export async function instantiateProgram(
+  supabase: SupabaseClient,
+  projectId: string,
+  template: Record<string, any>,
+  userId: string
+) {
+  const { data: program, error } = await supabase
+    .from('audit_programs')
+    .insert({
+      project_id: projectId,
+      template_id: template.id,
+      name: template.name,
+      standard_reference: template.standard_reference,
+      risk_level: template.risk_level,
+      materiality_threshold: template.materiality_threshold,
+      required_procedures: template.required_procedures,
+      compliance_requirements: template.compliance_requirements,
+      created_by: userId,
+      status: 'in_progress'
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+
+  try {
+    const workpapers = []
+    for (const procedure of programProcedures(program.required_procedures)) {
+      workpapers.push(await insertWorkpaper(
+        supabase,
+        projectId,
+        procedureArea(program.name, procedure),
+        {
+          name: procedure.step.slice(0, 255),
+          description: procedureDescription(program, procedure),
+          procedure_steps: [{ description: procedure.step, done: false }],
+          audit_program_id: program.id,
+          procedure_key: procedure.key
+        },
+        userId
+      ))
+    }
+    return { program, workpapers }
+  } catch (error) {
+    await supabase.from('workpapers').delete().eq('audit_program_id', program.id)
+    await supabase.from('audit_programs').delete().eq('id', program.id)
+    throw error
+  }
+}
+
+// Each procedure of a program with the workpaper generated for it, and the
+// program's progress against its required procedures
+export function programStatus(
+  program: Record<string, any>,
+  workpapers: { id: string; reference_number: string; status: string; procedure_key: string | null }[]
+) {
+  const byKey = new Map(workpapers.map(workpaper => [workpaper.procedure_key, workpaper]))
+  const procedures = programProcedures(program.required_procedures).map(procedure => {
+    const workpaper = byKey.get(procedure.key)
+    return {
+      ...procedure,
+      workpaper: workpaper
+        ? { id: workpaper.id, reference_number: workpaper.reference_number, status: workpaper.status }
+        : null,
+    }
+  })
+
+  const required = procedures.filter(procedure => procedure.required)
+  const count = (status: string) => required.filter(procedure => procedure.workpaper?.status === status).length
+  const progress: ProgramProgress = {
+    required: required.length,
+    reviewed: count('reviewed'),
+    inReview: count('in_review'),
+    draft: count('draft'),
+    missing: required.filter(procedure => !procedure.workpaper).length,
+    percent: required.length > 0 ? Math.round((count('reviewed') / required.length) * 100) : 100,
+  }
+
+  return { procedures, progress }
+}
+
+// Marks a project's program completed once every required procedure has been
+// signed off
+export async function completeProgramIfDone(supabase: SupabaseClient, programId: string) {
+  const [{ data: program, error }, { data: workpapers, error: workpapersError }] = await Promise.all([
+    supabase
+      .from('audit_programs')
+      .select('id, required_procedures, status')
+      .eq('id', programId)
+      .maybeSingle(),
+    supabase
+      .from('workpapers')
+      .select('id, reference_number, status, procedure_key')
+      .eq('audit_program_id', programId)
+  ])
+
+  if (error) throw error
+  if (workpapersError) throw workpapersError
+  if (!program || program.status !== 'in_progress') return
+
+  const { progress } = programStatus(program, workpapers || [])
+  if (progress.reviewed < progress.required) return
+
+  const { error: updateError } = await supabase
+    .from('audit_programs')
+    .update({ status: 'completed', updated_at: new Date().toISOString() })
+    .eq('id', programId)
+    .eq('status', 'in_progress')
+
+  if (updateError) throw updateError
+}
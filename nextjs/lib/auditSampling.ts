@@ -0,0 +1,447 @@
+// Audit sampling (audit_samples table, migrations 004 and 029). A sample is
+// drawn from a population of items with amounts: the rows of a table
+// extracted from a document, the rows of an uploaded ledger spreadsheet, or
+// the accounts of a trial balance. The sample size follows from the
+// confidence level, tolerable misstatement (audit_samples.materiality_threshold)
+// and expected misstatement; items are selected with a seeded generator so the
+// same seed always selects the same items. Misstatements found in the sample
+// are projected back to the population.
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { parseNumber, readSpreadsheet } from '@/lib/localExtractors'
+import { roundAmount } from '@/lib/trialBalances'
+
+export const SAMPLING_METHODS = ['random', 'systematic', 'monetary_unit', 'judgmental'] as const
+
+export type SamplingMethod = typeof SAMPLING_METHODS[number]
+
+// Expansion factors for expected misstatement by confidence level (AICPA
+// Audit Sampling guide); these are the confidence levels offered
+export const EXPANSION_FACTORS: Record<number, number> = {
+  75: 1.2,
+  80: 1.3,
+  85: 1.4,
+  90: 1.5,
+  95: 1.6,
+  99: 1.9,
+}
+
+export const MAX_POPULATION_ITEMS = 100000
+export const MAX_SAMPLE_SIZE = 1000
+
+// Header rows are looked for in the first rows only
+const HEADER_SEARCH_ROWS = 20
+
+export type PopulationSource =
+  | { type: 'trial_balance'; periodEnd: string; statementLine?: string }
+  | { type: 'table'; documentId: string; tableIndex: number; amountColumn: string; referenceColumn?: string }
+  | { type: 'spreadsheet'; documentId: string; sheet?: string; amountColumn: string; referenceColumn?: string }
+
+export interface PopulationItem {
+  index: number
+  reference: string
+  description: string
+  amount: number
+}
+
+export interface SampleItem extends PopulationItem {
+  auditedAmount: number | null
+  misstatement: number | null
+  note: string
+}
+
+export class SamplingError extends Error {}
+
+const PERIOD_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const optionalText = (value: unknown) => value === undefined || (typeof value === 'string' && value.trim() !== '')
+
+// Checks a population source from a request; returns the error message or
+// the source
+export function validatePopulationSource(input: any): { error: string } | { source: PopulationSource } {
+  if (!input || typeof input !== 'object') {
+    return { error: 'population is required' }
+  }
+
+  if (input.type === 'trial_balance') {
+    if (typeof input.periodEnd !== 'string' || !PERIOD_PATTERN.test(input.periodEnd)) {
+      return { error: 'population.periodEnd must be a date (YYYY-MM-DD)' }
+    }
+    if (!optionalText(input.statementLine)) {
+      return { error: 'population.statementLine must be a statement line key' }
+    }
+    return { source: { type: 'trial_balance', periodEnd: input.periodEnd, statementLine: input.statementLine } }
+  }
+
+  if (input.type !== 'table' && input.type !== 'spreadsheet') {
+    return { error: 'population.type must be trial_balance, table or spreadsheet' }
+  }
+
+  if (typeof input.documentId !== 'string' || !input.documentId) {
+    return { error: 'population.documentId is required' }
+  }
+  if (typeof input.amountColumn !== 'string' || !input.amountColumn.trim()) {
+    return { error: 'population.amountColumn must name the column with the amounts' }
+  }
+  if (!optionalText(input.referenceColumn)) {
+    return { error: 'population.referenceColumn must name a column' }
+  }
+
+  const columns = { amountColumn: input.amountColumn.trim(), referenceColumn: input.referenceColumn?.trim() }
+  if (input.type === 'table') {
+    if (!Number.isInteger(input.tableIndex) || input.tableIndex < 0) {
+      return { error: 'population.tableIndex must be the number of the table, from 0' }
+    }
+    return { source: { type: 'table', documentId: input.documentId, tableIndex: input.tableIndex, ...columns } }
+  }
+
+  if (!optionalText(input.sheet)) {
+    return { error: 'population.sheet must name a sheet' }
+  }
+  return { source: { type: 'spreadsheet', documentId: input.documentId, sheet: input.sheet, ...columns } }
+}
+
+const normalizeHeader = (header: string) => header.trim().toLowerCase().replace(/\s+/g, ' ')
+
+// Items from rows under a header row that has the amount column. Each row is
+// referenced by its reference column, otherwise its first cell, and described
+// by its other cells. Rows without an amount (subheadings, blank lines) and
+// total rows are left out.
+export function populationFromRows(rows: string[][], amountColumn: string, referenceColumn?: string): PopulationItem[] {
+  const headerIndex = rows
+    .slice(0, HEADER_SEARCH_ROWS)
+    .findIndex(row => row.some(cell => normalizeHeader(cell) === normalizeHeader(amountColumn)))
+
+  if (headerIndex === -1) {
+    throw new SamplingError(`No column headed "${amountColumn}" was found`)
+  }
+
+  const header = rows[headerIndex].map(normalizeHeader)
+  const amountAt = header.indexOf(normalizeHeader(amountColumn))
+  const referenceAt = referenceColumn ? header.indexOf(normalizeHeader(referenceColumn)) : amountAt === 0 ? 1 : 0
+  if (referenceAt === -1) {
+    throw new SamplingError(`No column headed "${referenceColumn}" was found`)
+  }
+
+  const items: PopulationItem[] = []
+  rows.slice(headerIndex + 1).forEach((row, offset) => {
+    const amount = parseNumber((row[amountAt] || '').trim())
+    if (amount === null) return
+    if (row.some(cell => /^(grand |sub)?total\b/i.test(cell.trim()))) return
+
+    items.push({
+      index: items.length,
+      reference: (row[referenceAt] || '').trim() || `Row ${headerIndex + offset + 2}`,
+      description: row
+        .filter((cell, column) => column !== amountAt && column !== referenceAt && cell.trim())
+        .join(' · ')
+        .slice(0, 255),
+      amount,
+    })
+  })
+
+  return items
+}
+
+// The items of a population source; SamplingError when the source does not
+// exist or has no items
+export async function loadPopulation(supabase: SupabaseClient, projectId: string, source: PopulationSource) {
+  let items: PopulationItem[]
+
+  if (source.type === 'trial_balance') {
+    let query = supabase
+      .from('trial_balances')
+      .select('account_number, account_name, closing_balance')
+      .eq('project_id', projectId)
+      .eq('period_end', source.periodEnd)
+      .order('account_number', { ascending: true })
+
+    if (source.statementLine) {
+      query = query.eq('statement_line', source.statementLine)
+    }
+
+    const { data, error } = await query
+    if (error) throw error
+
+    items = (data || []).map((account, index) => ({
+      index,
+      reference: account.account_number,
+      description: account.account_name,
+      amount: Number(account.closing_balance),
+    }))
+  } else {
+    const { data: document, error } = await supabase
+      .from('documents')
+      .select('id, original_name, file_path, file_type')
+      .eq('id', source.documentId)
+      .eq('project_id', projectId)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!document) throw new SamplingError('Document not found in this project')
+
+    if (source.type === 'table') {
+      const { data: analysis, error: analysisError } = await supabase
+        .from('analysis_results')
+        .select('extracted_data')
+        .eq('document_id', document.id)
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle()
+
+      if (analysisError) throw analysisError
+
+      const table = analysis?.extracted_data?.tables?.[source.tableIndex]
+      if (!table) {
+        throw new SamplingError(`${document.original_name} has no extracted table ${source.tableIndex + 1}`)
+      }
+
+      const text = (cell: unknown) => (cell === null || cell === undefined ? '' : String(cell))
+      const rows: string[][] = [
+        ...(table.columnHeaders?.some(Boolean) ? [table.columnHeaders.map(text)] : []),
+        ...(table.rows || []).map((row: unknown[]) => row.map(text)),
+      ]
+      items = populationFromRows(rows, source.amountColumn, source.referenceColumn)
+    } else {
+      const { data: blob, error: downloadError } = await supabase.storage
+        .from('documents')
+        .download(document.file_path)
+
+      if (downloadError || !blob) {
+        throw downloadError || new Error('No file returned')
+      }
+
+      const sheets = readSpreadsheet(Buffer.from(await blob.arrayBuffer()), document.original_name, document.file_type)
+      if (!sheets) {
+        throw new SamplingError('Ledgers can be sampled from XLSX and CSV files')
+      }
+
+      const sheet = source.sheet ? sheets.find(candidate => candidate.name === source.sheet) : sheets[0]
+      if (!sheet) {
+        throw new SamplingError(`Sheet not found; the workbook has ${sheets.map(candidate => candidate.name).join(', ')}`)
+      }
+      items = populationFromRows(sheet.rows, source.amountColumn, source.referenceColumn)
+    }
+  }
+
+  if (items.length === 0) {
+    throw new SamplingError('The population has no items with amounts')
+  }
+  if (items.length > MAX_POPULATION_ITEMS) {
+    throw new SamplingError(`Populations are limited to ${MAX_POPULATION_ITEMS} items`)
+  }
+
+  return items
+}
+
+// Poisson upper limit on the number of misstatements per sampling interval
+// when `errors` have been found, at a confidence level in percent: 3.00 for
+// none at 95%, 4.75 for one
+export function confidenceFactor(errors: number, confidence: number) {
+  const cumulative = (mean: number) => {
+    let term = Math.exp(-mean)
+    let sum = term
+    for (let k = 1; k <= errors; k++) {
+      term *= mean / k
+      sum += term
+    }
+    return sum
+  }
+
+  let low = 0
+  let high = 50 + errors * 5
+  for (let step = 0; step < 100; step++) {
+    const mid = (low + high) / 2
+    if (cumulative(mid) > 1 - confidence / 100) low = mid
+    else high = mid
+  }
+  return Math.round(high * 100) / 100
+}
+
+// Sample size: population value × confidence factor over tolerable
+// misstatement less expected misstatement × expansion factor, at most the
+// population. Judgmental samples use the same size unless one is chosen.
+export function sampleSize(options: {
+  populationValue: number
+  populationSize: number
+  confidence: number
+  tolerable: number
+  expected: number
+}) {
+  const { populationValue, populationSize, confidence, tolerable, expected } = options
+  const margin = tolerable - expected * EXPANSION_FACTORS[confidence]
+
+  if (margin <= 0) {
+    throw new SamplingError('Expected misstatement is too close to tolerable misstatement to plan a sample')
+  }
+
+  const size = Math.ceil((populationValue * confidenceFactor(0, confidence)) / margin)
+  return Math.max(1, Math.min(size, populationSize))
+}
+
+// Random numbers in [0, 1) from a 32-bit seed (mulberry32)
+function seededRandom(seed: number) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const toSampleItem = (item: PopulationItem): SampleItem => ({ ...item, auditedAmount: null, misstatement: null, note: '' })
+
+// Selects the sample. Random picks items at random; systematic every
+// population size / sample size items from a random start; monetary unit
+// every sampling interval of currency units from a random start, so an item
+// is picked with probability in proportion to its amount and items larger
+// than the interval always are; judgmental takes the largest items.
+export function selectSample(method: SamplingMethod, items: PopulationItem[], size: number, seed: number) {
+  const random = seededRandom(seed)
+  const count = Math.min(size, items.length)
+  let selected: PopulationItem[]
+  let interval: number | null = null
+
+  if (method === 'random') {
+    const indexes = items.map(item => item.index)
+    for (let i = 0; i < count; i++) {
+      const j = i + Math.floor(random() * (indexes.length - i))
+      ;[indexes[i], indexes[j]] = [indexes[j], indexes[i]]
+    }
+    selected = indexes.slice(0, count).sort((a, b) => a - b).map(index => items[index])
+  } else if (method === 'systematic') {
+    const step = items.length / count
+    const start = random() * step
+    selected = Array.from({ length: count }, (_, i) => items[Math.floor(start + i * step)])
+  } else if (method === 'monetary_unit') {
+    const total = items.reduce((sum, item) => sum + Math.abs(item.amount), 0)
+    interval = total / count
+    let point = random() * interval
+    let cumulative = 0
+    selected = []
+    for (const item of items) {
+      cumulative += Math.abs(item.amount)
+      if (point >= cumulative) continue
+      selected.push(item)
+      // An item spanning several selection points is tested once
+      while (point < cumulative) point += interval
+    }
+    interval = roundAmount(interval)
+  } else {
+    selected = [...items]
+      .sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount) || a.index - b.index)
+      .slice(0, count)
+      .sort((a, b) => a.index - b.index)
+  }
+
+  return { items: selected.map(toSampleItem), interval }
+}
+
+// Misstatement found in the sample and projected to the population. Monetary
+// unit samples project each item's tainting (misstatement / size of the
+// amount, so a credit item keeps the direction of its misstatement) over the
+// sampling interval, take misstatements in items larger than the interval as
+// they are, and add an upper misstatement limit at the confidence level with
+// misstatements in either direction counted. Random and systematic samples
+// project the ratio of misstatement to the amount tested; judgmental samples
+// are not projected beyond what was found.
+export function evaluateSample(
+  method: SamplingMethod,
+  items: SampleItem[],
+  options: { populationValue: number; populationSize: number; interval: number | null; confidence: number }
+) {
+  const tested = items.filter(item => item.auditedAmount !== null)
+  const exceptions = tested.filter(item => roundAmount(item.amount - (item.auditedAmount as number)) !== 0)
+  const misstatementOf = (item: SampleItem) => roundAmount(item.amount - (item.auditedAmount as number))
+  const sampleMisstatement = roundAmount(exceptions.reduce((sum, item) => sum + misstatementOf(item), 0))
+
+  let projectedMisstatement = sampleMisstatement
+  let upperMisstatementLimit: number | null = null
+
+  if (method === 'monetary_unit' && options.interval) {
+    const interval = options.interval
+    const large = exceptions.filter(item => Math.abs(item.amount) >= interval)
+    const taintings = exceptions
+      .filter(item => Math.abs(item.amount) < interval)
+      .map(item => misstatementOf(item) / Math.abs(item.amount))
+
+    const largeMisstatement = large.reduce((sum, item) => sum + misstatementOf(item), 0)
+    projectedMisstatement = roundAmount(largeMisstatement + taintings.reduce((sum, tainting) => sum + tainting * interval, 0))
+
+    // Basic precision, then each tainting, largest first, weighted by the
+    // increase in the confidence factor it brings
+    const ranked = taintings.map(Math.abs).sort((a, b) => b - a)
+    const factors = ranked.reduce(
+      (sum, tainting, i) => sum + tainting * (confidenceFactor(i + 1, options.confidence) - confidenceFactor(i, options.confidence)),
+      confidenceFactor(0, options.confidence)
+    )
+    upperMisstatementLimit = roundAmount(
+      large.reduce((sum, item) => sum + Math.abs(misstatementOf(item)), 0) + factors * interval
+    )
+  } else if (method !== 'judgmental' && tested.length > 0) {
+    const testedValue = tested.reduce((sum, item) => sum + Math.abs(item.amount), 0)
+    projectedMisstatement = roundAmount(
+      testedValue !== 0
+        ? (sampleMisstatement / testedValue) * options.populationValue
+        : (sampleMisstatement / tested.length) * options.populationSize
+    )
+  }
+
+  return {
+    tested: tested.length,
+    exceptions: exceptions.length,
+    sampleMisstatement,
+    projectedMisstatement,
+    upperMisstatementLimit,
+  }
+}
+
+// Records audited amounts and notes on a sample's items by index; items not
+// mentioned keep what they had
+export function recordResults(
+  items: SampleItem[],
+  results: { index: number; auditedAmount?: number | null; note?: string }[]
+) {
+  const byIndex = new Map(results.map(result => [result.index, result]))
+  return items.map(item => {
+    const result = byIndex.get(item.index)
+    if (!result) return item
+    const auditedAmount = result.auditedAmount === undefined ? item.auditedAmount : result.auditedAmount
+    return {
+      ...item,
+      auditedAmount,
+      misstatement: auditedAmount === null ? null : roundAmount(item.amount - auditedAmount),
+      note: result.note === undefined ? item.note : result.note.slice(0, 1000),
+    }
+  })
+}
+
+// The evaluation of a stored sample, and whether the misstatement it points
+// to (the upper limit when there is one) exceeds tolerable misstatement
+export function sampleEvaluation(sample: {
+  sampling_method: string | null
+  selected_items: unknown
+  population_size: number
+  population_value: number | null
+  sampling_interval: number | null
+  confidence_level: number
+  materiality_threshold: number
+}) {
+  const evaluation = evaluateSample(
+    (sample.sampling_method || 'judgmental') as SamplingMethod,
+    Array.isArray(sample.selected_items) ? sample.selected_items : [],
+    {
+      populationValue: Number(sample.population_value) || 0,
+      populationSize: sample.population_size,
+      interval: sample.sampling_interval === null ? null : Number(sample.sampling_interval),
+      confidence: Number(sample.confidence_level),
+    }
+  )
+  const misstatement = evaluation.upperMisstatementLimit ?? Math.abs(evaluation.projectedMisstatement)
+
+  return {
+    ...evaluation,
+    exceedsTolerable: evaluation.tested > 0 && misstatement > Number(sample.materiality_threshold),
+  }
+}
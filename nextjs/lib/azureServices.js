@@ -1,9 +1,10 @@
 import { DocumentAnalysisClient } from '@azure/ai-form-recognizer';
-import { SearchClient, SearchIndexClient, SearchKeyCredential } from '@azure/search-documents';
+import { SearchClient, SearchIndexClient } from '@azure/search-documents';
 import { createServerClient } from '@supabase/ssr';
 import NodeCache from 'node-cache';
 import { promiseWithTimeout } from './helpers.js';
 import { AzureKeyCredential } from '@azure/core-auth';
+import { canExtractLocally, extractLocally } from './localExtractors';
 
 export class AzureServices {
     constructor(cookieStore) {
@@ -26,18 +27,29 @@ export class AzureServices {
         this.maxRetries = process.env.NODE_ENV === 'production' ? 3 : 1;
         this.retryDelay = 1000; // Start with 1 second delay
 
+        // auto: Document Intelligence when configured, local extraction otherwise or on failure
+        // azure: Document Intelligence only; local: never call Azure (air-gapped installs)
+        this.extractionMode = process.env.DOCUMENT_EXTRACTION_MODE || 'auto';
+
         // Initialize Document Intelligence
-        this.documentIntelligenceClient = new DocumentAnalysisClient(
-            process.env.AZURE_FORM_RECOGNIZER_ENDPOINT,
-            new AzureKeyCredential(process.env.AZURE_FORM_RECOGNIZER_KEY)
-        );
+        this.documentIntelligenceClient = null;
+        if (this.extractionMode !== 'local' &&
+            process.env.AZURE_FORM_RECOGNIZER_ENDPOINT && process.env.AZURE_FORM_RECOGNIZER_KEY) {
+            this.documentIntelligenceClient = new DocumentAnalysisClient(
+                process.env.AZURE_FORM_RECOGNIZER_ENDPOINT,
+                new AzureKeyCredential(process.env.AZURE_FORM_RECOGNIZER_KEY)
+            );
+        }
 
         // Initialize Cognitive Search
-        this.searchClient = new SearchClient(
-            process.env.AZURE_SEARCH_ENDPOINT,
-            process.env.AZURE_SEARCH_INDEX_NAME,
-            new SearchKeyCredential(process.env.AZURE_SEARCH_API_KEY)
-        );
+        this.searchClient = null;
+        if (process.env.AZURE_SEARCH_ENDPOINT && process.env.AZURE_SEARCH_API_KEY) {
+            this.searchClient = new SearchClient(
+                process.env.AZURE_SEARCH_ENDPOINT,
+                process.env.AZURE_SEARCH_INDEX_NAME,
+                new AzureKeyCredential(process.env.AZURE_SEARCH_API_KEY)
+            );
+        }
 
         this.bucketName = process.env.SUPABASE_STORAGE_BUCKET || 'documents';
         
@@ -120,51 +132,419 @@ export class AzureServices {
         const cached = this.cache.get(cacheKey);
         if (cached) return cached;
 
-        return await this.withRetry(async () => {
-            try {
-                const filePathParts = documentUrl.split('/');
-                const filePath = filePathParts[filePathParts.length - 1];
-                
-                const { data: { signedUrl }, error: signedUrlError } = await this.supabase.storage
-                    .from(this.bucketName)
-                    .createSignedUrl(filePath, 60);
-                    
-                if (signedUrlError) throw signedUrlError;
-                
-                // Use timeout for analysis
-                const poller = await promiseWithTimeout(
-                    this.documentIntelligenceClient.beginAnalyzeDocumentFromUrl(
-                        documentType,
-                        signedUrl
-                    ),
-                    this.analysisTimeout,
-                    'Document analysis timed out'
-                );
+        const filePathParts = documentUrl.split('/');
+        const filePath = filePathParts[filePathParts.length - 1];
 
-                const result = await poller.pollUntilDone();
-                const extractedData = this.extractDocumentData(result, documentType);
-                this.cache.set(cacheKey, extractedData);
-                
-                return extractedData;
-            } catch (error) {
-                console.error('Error analyzing document:', error);
-                throw error;
+        if (!this.documentIntelligenceClient) {
+            if (this.extractionMode === 'azure') {
+                throw new Error('Document Intelligence is not configured (AZURE_FORM_RECOGNIZER_ENDPOINT, AZURE_FORM_RECOGNIZER_KEY)');
             }
-        }, { operation: 'analyzeDocument', documentType });
+            return await this.analyzeDocumentLocally(filePath, cacheKey);
+        }
+
+        try {
+            return await this.withRetry(async () => {
+                try {
+                    const { data: { signedUrl }, error: signedUrlError } = await this.supabase.storage
+                        .from(this.bucketName)
+                        .createSignedUrl(filePath, 60);
+                        
+                    if (signedUrlError) throw signedUrlError;
+                    
+                    // Use timeout for analysis
+                    const poller = await promiseWithTimeout(
+                        this.documentIntelligenceClient.beginAnalyzeDocumentFromUrl(
+                            documentType,
+                            signedUrl
+                        ),
+                        this.analysisTimeout,
+                        'Document analysis timed out'
+                    );
+
+                    const result = await poller.pollUntilDone();
+                    const extractedData = this.extractDocumentData(result, documentType);
+                    this.cache.set(cacheKey, extractedData);
+                    
+                    return extractedData;
+                } catch (error) {
+                    console.error('Error analyzing document:', error);
+                    throw error;
+                }
+            }, { operation: 'analyzeDocument', documentType });
+        } catch (error) {
+            if (this.extractionMode === 'azure' || !canExtractLocally(filePath)) throw error;
+
+            console.warn('Document Intelligence failed, falling back to local extraction:', {
+                filePath,
+                error: error.message
+            });
+            return await this.analyzeDocumentLocally(filePath, cacheKey);
+        }
+    }
+
+    // Extract text and tables without Azure (see lib/localExtractors.ts)
+    async analyzeDocumentLocally(filePath, cacheKey) {
+        try {
+            const { data: blob, error } = await this.supabase.storage
+                .from(this.bucketName)
+                .download(filePath);
+
+            if (error) throw error;
+
+            const buffer = Buffer.from(await blob.arrayBuffer());
+            const extractedData = await extractLocally(buffer, filePath, blob.type);
+            this.cache.set(cacheKey, extractedData);
+
+            return extractedData;
+        } catch (error) {
+            console.error('Error extracting document locally:', error);
+            throw error;
+        }
     }
 
-    // Keep all the existing helper methods (extractDocumentData, extractInvoiceData, extractReceiptData)
-    // They don't need any changes as they don't interact with external services
+    // Normalize a Document Intelligence AnalyzeResult into the shape stored in
+    // analysis_results.extracted_data
     extractDocumentData(result, documentType) {
-        // ... existing implementation ...
+        const pages = (result.pages || []).map(page => ({
+            pageNumber: page.pageNumber,
+            width: page.width,
+            height: page.height,
+            unit: page.unit,
+            text: (page.lines || []).map(line => line.content).join('\n'),
+            lineCount: page.lines?.length || 0
+        }));
+
+        const paragraphs = (result.paragraphs || []).map(paragraph => ({
+            content: paragraph.content,
+            role: paragraph.role || 'text',
+            pageNumber: this.getPageNumber(paragraph)
+        }));
+
+        const keyValuePairs = {};
+        for (const pair of result.keyValuePairs || []) {
+            const key = pair.key?.content?.trim().replace(/:$/, '');
+            if (!key) continue;
+
+            // Keep the most confident value when a label appears more than once
+            if (keyValuePairs[key] && keyValuePairs[key].confidence >= pair.confidence) continue;
+
+            keyValuePairs[key] = {
+                value: pair.value?.content?.trim() || '',
+                confidence: pair.confidence ?? null,
+                pageNumber: this.getPageNumber(pair.key)
+            };
+        }
+
+        const extractedData = {
+            modelId: result.modelId || documentType,
+            content: result.content || '',
+            pageCount: pages.length,
+            pages,
+            paragraphs,
+            keyValuePairs,
+            tables: (result.tables || []).map(table => this.extractTable(table)),
+            confidence: this.averageConfidence(
+                (result.documents || []).map(document => document.confidence)
+                    .concat(Object.values(keyValuePairs).map(pair => pair.confidence))
+            )
+        };
+
+        if (documentType === 'prebuilt-invoice') {
+            extractedData.invoice = this.extractInvoiceData(result);
+        } else if (documentType === 'prebuilt-receipt') {
+            extractedData.receipt = this.extractReceiptData(result);
+        }
+
+        return extractedData;
     }
 
     extractInvoiceData(result) {
-        // ... existing implementation ...
+        const document = result.documents?.[0];
+        if (!document) return null;
+
+        const fields = document.fields || {};
+        const field = (name) => this.normalizeField(fields[name]);
+
+        return {
+            confidence: document.confidence ?? null,
+            vendor: {
+                name: field('VendorName'),
+                address: field('VendorAddress'),
+                taxId: field('VendorTaxId')
+            },
+            customer: {
+                name: field('CustomerName'),
+                id: field('CustomerId'),
+                address: field('CustomerAddress')
+            },
+            invoiceId: field('InvoiceId'),
+            purchaseOrder: field('PurchaseOrder'),
+            invoiceDate: field('InvoiceDate'),
+            dueDate: field('DueDate'),
+            subTotal: field('SubTotal'),
+            totalTax: field('TotalTax'),
+            invoiceTotal: field('InvoiceTotal'),
+            amountDue: field('AmountDue'),
+            previousUnpaidBalance: field('PreviousUnpaidBalance'),
+            lineItems: this.extractLineItems(fields.Items, {
+                description: 'Description',
+                productCode: 'ProductCode',
+                date: 'Date',
+                quantity: 'Quantity',
+                unit: 'Unit',
+                unitPrice: 'UnitPrice',
+                tax: 'Tax',
+                amount: 'Amount'
+            })
+        };
     }
 
     extractReceiptData(result) {
-        // ... existing implementation ...
+        const document = result.documents?.[0];
+        if (!document) return null;
+
+        const fields = document.fields || {};
+        const field = (name) => this.normalizeField(fields[name]);
+
+        return {
+            confidence: document.confidence ?? null,
+            receiptType: document.docType || 'receipt',
+            merchant: {
+                name: field('MerchantName'),
+                address: field('MerchantAddress'),
+                phoneNumber: field('MerchantPhoneNumber')
+            },
+            transactionDate: field('TransactionDate'),
+            transactionTime: field('TransactionTime'),
+            subTotal: field('Subtotal'),
+            totalTax: field('TotalTax'),
+            tip: field('Tip'),
+            total: field('Total'),
+            lineItems: this.extractLineItems(fields.Items, {
+                description: 'Description',
+                quantity: 'Quantity',
+                unitPrice: 'Price',
+                amount: 'TotalPrice'
+            })
+        };
+    }
+
+    extractTable(table) {
+        const rows = Array.from({ length: table.rowCount }, () => Array(table.columnCount).fill(''));
+        const columnHeaders = Array(table.columnCount).fill('');
+        const rowHeaders = Array(table.rowCount).fill('');
+        const headerRows = new Set();
+
+        for (const cell of table.cells || []) {
+            rows[cell.rowIndex][cell.columnIndex] = cell.content;
+
+            if (cell.kind === 'columnHeader') {
+                headerRows.add(cell.rowIndex);
+                // Spanning headers apply to every column they cover
+                for (let offset = 0; offset < (cell.columnSpan || 1); offset++) {
+                    const column = cell.columnIndex + offset;
+                    columnHeaders[column] = columnHeaders[column]
+                        ? `${columnHeaders[column]} ${cell.content}`
+                        : cell.content;
+                }
+            } else if (cell.kind === 'rowHeader' || cell.kind === 'stubHead') {
+                rowHeaders[cell.rowIndex] = cell.content;
+            }
+        }
+
+        return {
+            rowCount: table.rowCount,
+            columnCount: table.columnCount,
+            pageNumber: this.getPageNumber(table),
+            columnHeaders,
+            // Row headers stay aligned with the data rows below
+            rowHeaders: rowHeaders.filter((_, index) => !headerRows.has(index)),
+            rows: rows.filter((_, index) => !headerRows.has(index))
+        };
+    }
+
+    extractLineItems(itemsField, propertyMap) {
+        if (itemsField?.kind !== 'array') return [];
+
+        return itemsField.values
+            .filter(item => item.kind === 'object')
+            .map(item => {
+                const lineItem = { confidence: item.confidence ?? null };
+                for (const [name, fieldName] of Object.entries(propertyMap)) {
+                    lineItem[name] = this.normalizeField(item.properties[fieldName]);
+                }
+                return lineItem;
+            });
+    }
+
+    // Flatten a typed DocumentField into { value, content, confidence }
+    normalizeField(field) {
+        if (!field) return null;
+
+        let value;
+        switch (field.kind) {
+            case 'currency':
+                value = field.value ? {
+                    amount: field.value.amount,
+                    currencyCode: field.value.currencyCode || null,
+                    currencySymbol: field.value.currencySymbol || null
+                } : null;
+                break;
+            case 'date':
+                value = field.value instanceof Date && !isNaN(field.value)
+                    ? field.value.toISOString().slice(0, 10)
+                    : null;
+                break;
+            case 'address':
+                value = field.content || null;
+                break;
+            case 'array':
+                value = field.values.map(item => this.normalizeField(item));
+                break;
+            case 'object':
+                value = Object.fromEntries(
+                    Object.entries(field.properties).map(([name, property]) => [name, this.normalizeField(property)])
+                );
+                break;
+            default:
+                value = field.value ?? null;
+        }
+
+        return {
+            value,
+            content: field.content || null,
+            confidence: field.confidence ?? null
+        };
+    }
+
+    getPageNumber(element) {
+        return element?.boundingRegions?.[0]?.pageNumber ?? null;
+    }
+
+    averageConfidence(scores) {
+        const valid = scores.filter(score => typeof score === 'number');
+        if (valid.length === 0) return null;
+        return Math.round((valid.reduce((sum, score) => sum + score, 0) / valid.length) * 100) / 100;
+    }
+
+    // Create the chunk index used for chat retrieval (lib/vectorStore.ts) if
+    // it does not exist yet. An existing index is left untouched.
+    async ensureChunkIndex(dimensions) {
+        if (this.chunkIndexReady) return;
+        if (!this.searchClient) {
+            throw new Error('Azure AI Search is not configured (AZURE_SEARCH_ENDPOINT, AZURE_SEARCH_API_KEY)');
+        }
+
+        const indexClient = new SearchIndexClient(
+            process.env.AZURE_SEARCH_ENDPOINT,
+            new AzureKeyCredential(process.env.AZURE_SEARCH_API_KEY)
+        );
+
+        try {
+            await indexClient.getIndex(process.env.AZURE_SEARCH_INDEX_NAME);
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+
+            await indexClient.createIndex({
+                name: process.env.AZURE_SEARCH_INDEX_NAME,
+                fields: [
+                    { name: 'id', type: 'Edm.String', key: true },
+                    { name: 'documentId', type: 'Edm.String', filterable: true },
+                    { name: 'projectId', type: 'Edm.String', filterable: true },
+                    { name: 'chunkIndex', type: 'Edm.Int32', filterable: true },
+                    { name: 'pageNumber', type: 'Edm.Int32' },
+                    { name: 'content', type: 'Edm.String', searchable: true },
+                    {
+                        name: 'embedding',
+                        type: 'Collection(Edm.Single)',
+                        searchable: true,
+                        vectorSearchDimensions: dimensions,
+                        vectorSearchProfileName: 'chunk-vector-profile'
+                    }
+                ],
+                vectorSearch: {
+                    algorithms: [{ name: 'chunk-hnsw', kind: 'hnsw' }],
+                    profiles: [{ name: 'chunk-vector-profile', algorithmConfigurationName: 'chunk-hnsw' }]
+                }
+            });
+        }
+
+        this.chunkIndexReady = true;
+    }
+
+    // Upload the chunks of a document, then remove chunks left over from a
+    // previous extraction that produced more of them
+    async replaceDocumentChunks(documentId, chunks) {
+        if (!this.searchClient) {
+            throw new Error('Azure AI Search is not configured (AZURE_SEARCH_ENDPOINT, AZURE_SEARCH_API_KEY)');
+        }
+
+        return await this.withRetry(async () => {
+            // The service accepts up to 1000 documents per batch
+            for (let i = 0; i < chunks.length; i += 500) {
+                const result = await this.searchClient.mergeOrUploadDocuments(
+                    chunks.slice(i, i + 500).map(chunk => ({
+                        id: `${chunk.documentId}_${chunk.chunkIndex}`,
+                        documentId: chunk.documentId,
+                        projectId: chunk.projectId,
+                        chunkIndex: chunk.chunkIndex,
+                        pageNumber: chunk.pageNumber,
+                        content: chunk.content,
+                        embedding: chunk.embedding
+                    }))
+                );
+
+                const failed = result.results.filter(item => !item.succeeded);
+                if (failed.length > 0) {
+                    throw new Error(`Failed to index ${failed.length} chunks: ${failed[0].errorMessage}`);
+                }
+            }
+
+            const stale = await this.searchClient.search('*', {
+                filter: `documentId eq '${this.escapeODataString(documentId)}' and chunkIndex ge ${chunks.length}`,
+                select: ['id'],
+                top: 1000
+            });
+
+            const staleIds = [];
+            for await (const item of stale.results) {
+                staleIds.push(item.document.id);
+            }
+            if (staleIds.length > 0) {
+                await this.searchClient.deleteDocuments('id', staleIds);
+            }
+        }, { operation: 'replaceDocumentChunks', documentId });
+    }
+
+    async searchDocumentChunks(projectId, queryText, embedding, top) {
+        if (!this.searchClient) {
+            throw new Error('Azure AI Search is not configured (AZURE_SEARCH_ENDPOINT, AZURE_SEARCH_API_KEY)');
+        }
+
+        const response = await this.searchClient.search(queryText, {
+            filter: `projectId eq '${this.escapeODataString(projectId)}'`,
+            select: ['documentId', 'chunkIndex', 'pageNumber', 'content'],
+            top,
+            vectorSearchOptions: {
+                queries: [{ kind: 'vector', vector: embedding, kNearestNeighborsCount: top, fields: ['embedding'] }]
+            }
+        });
+
+        const matches = [];
+        for await (const result of response.results) {
+            matches.push({
+                documentId: result.document.documentId,
+                chunkIndex: result.document.chunkIndex,
+                pageNumber: result.document.pageNumber ?? null,
+                content: result.document.content,
+                score: result.score
+            });
+        }
+        return matches;
+    }
+
+    escapeODataString(value) {
+        return String(value).replace(/'/g, "''");
     }
 
     // Storage operations with updated Supabase client
@@ -0,0 +1,137 @@
+// Multi-turn context for project chat threads. Recent turns are sent to the
+// model as real messages within a token budget; turns that no longer fit are
+// folded into a rolling summary stored on the thread (chat_threads.summary).
+import type { SupabaseClient } from '@supabase/supabase-js'
+import type { ChatMessage, LLMProvider } from '@/lib/openaiClient'
+
+export interface ChatTurn {
+  question: string
+  answer: string
+  created_at: string
+}
+
+export interface ChatThreadExport {
+  title: string
+  projectName: string
+  messages: (ChatTurn & { citations?: any[]; completion_status?: string })[]
+}
+
+export const THREAD_COLUMNS = 'id, project_id, created_by, title, summary, summarized_through, last_message_at, created_at, updated_at'
+
+const TITLE_MAX_LENGTH = 60
+// Caps the transcript sent for summarization when many turns overflow at once
+const SUMMARY_ANSWER_MAX_LENGTH = 2000
+
+// Close enough for budgeting without a tokenizer: about 4 characters per
+// token for English text
+export function estimateTokens(text: string) {
+  return Math.ceil((text || '').length / 4)
+}
+
+// Newest turns that fit within the budget, as alternating user/assistant
+// messages in chronological order. Older turns are returned as overflow.
+export function fitTurnsToBudget(turns: ChatTurn[], budget: number) {
+  let used = 0
+  let start = turns.length
+
+  while (start > 0) {
+    const turn = turns[start - 1]
+    const cost = estimateTokens(turn.question) + estimateTokens(turn.answer)
+    if (used + cost > budget) break
+    used += cost
+    start--
+  }
+
+  const messages: ChatMessage[] = turns.slice(start).flatMap(turn => [
+    { role: 'user' as const, content: turn.question },
+    { role: 'assistant' as const, content: turn.answer },
+  ])
+
+  return { messages, overflow: turns.slice(0, start) }
+}
+
+// Folds overflowing turns into the thread summary
+export async function summarizeTurns(llm: LLMProvider, previousSummary: string | null, turns: ChatTurn[]) {
+  const transcript = turns
+    .map(turn => {
+      const answer = turn.answer.length > SUMMARY_ANSWER_MAX_LENGTH
+        ? `${turn.answer.slice(0, SUMMARY_ANSWER_MAX_LENGTH)}…`
+        : turn.answer
+      return `User: ${turn.question}\nAssistant: ${answer}`
+    })
+    .join('\n\n')
+
+  const { content } = await llm.chat({
+    messages: [
+      {
+        role: 'system',
+        content: 'You maintain a running summary of a conversation between an auditor and an AI audit assistant. ' +
+          'Keep figures, document names, conclusions and open questions. Write at most 200 words of plain text.',
+      },
+      {
+        role: 'user',
+        content: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}New turns:\n${transcript}\n\nReturn the updated summary.`,
+      },
+    ],
+    maxTokens: 400,
+    temperature: 0.2,
+  })
+
+  return content.trim() || previousSummary || ''
+}
+
+// Threads are private to the user who started them
+export async function findChatThread(supabase: SupabaseClient, projectId: string, threadId: string, userId: string) {
+  const { data, error } = await supabase
+    .from('chat_threads')
+    .select(THREAD_COLUMNS)
+    .eq('id', threadId)
+    .eq('project_id', projectId)
+    .eq('created_by', userId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+export async function createChatThread(supabase: SupabaseClient, projectId: string, userId: string, title: string) {
+  const { data, error } = await supabase
+    .from('chat_threads')
+    .insert([{ project_id: projectId, created_by: userId, title }])
+    .select(THREAD_COLUMNS)
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Default title for a thread started by a question
+export function buildThreadTitle(question: string) {
+  const text = question.replace(/\s+/g, ' ').trim()
+  if (text.length <= TITLE_MAX_LENGTH) return text
+
+  const cut = text.slice(0, TITLE_MAX_LENGTH)
+  const space = cut.lastIndexOf(' ')
+  return `${space > TITLE_MAX_LENGTH / 2 ? cut.slice(0, space) : cut}…`
+}
+
+export function formatThreadMarkdown(thread: ChatThreadExport) {
+  const lines = [`# ${thread.title}`, '', `Project: ${thread.projectName}`, `Exported: ${new Date().toISOString()}`]
+
+  for (const message of thread.messages) {
+    lines.push('', `## ${new Date(message.created_at).toISOString()}`, '', `**You:** ${message.question}`, '', `**Esus:** ${message.answer}`)
+
+    if (message.completion_status === 'aborted') {
+      lines.push('', '_Answer stopped before it was complete._')
+    }
+    if (message.citations?.length) {
+      lines.push('', 'Sources:')
+      for (const citation of message.citations) {
+        const page = citation.pageNumber ? `, page ${citation.pageNumber}` : ''
+        lines.push(`- [${citation.index}] ${citation.documentName}${page}`)
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`
+}
@@ -0,0 +1,180 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in an IANA time zone. Fields take *, numbers, ranges (1-5), steps
+// (*/15, 1-30/5), lists (1,15) and month and weekday names (JAN, MON). As in
+// standard cron, when both day fields are restricted a day matching either
+// one runs; 7 is also Sunday.
+
+export class CronError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'CronError'
+  }
+}
+
+interface CronField {
+  values: Set<number>
+  // True when the field starts with *, which matters for the day-of-month and
+  // day-of-week rule
+  any: boolean
+}
+
+export interface CronSchedule {
+  minute: CronField
+  hour: CronField
+  dayOfMonth: CronField
+  month: CronField
+  dayOfWeek: CronField
+}
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']
+
+interface FieldSpec {
+  name: string
+  min: number
+  max: number
+  // Names for the values, starting at `offset`
+  names?: string[]
+  offset?: number
+}
+
+const FIELDS: FieldSpec[] = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+]
+
+// Searching further ahead than this means the expression never matches
+// (e.g. 30 February)
+const MAX_SEARCH_DAYS = 366 * 5
+
+function parseValue(text: string, field: FieldSpec) {
+  const nameIndex = field.names ? field.names.indexOf(text.toUpperCase()) : -1
+  const value = nameIndex >= 0 ? nameIndex + (field.offset || 0) : /^\d+$/.test(text) ? parseInt(text, 10) : NaN
+
+  if (Number.isNaN(value) || value < field.min || value > field.max) {
+    throw new CronError(`Invalid ${field.name} "${text}" (${field.min}-${field.max})`)
+  }
+  return value
+}
+
+function parseField(text: string, field: FieldSpec): CronField {
+  const values = new Set<number>()
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/')
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10)
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new CronError(`Invalid step "${stepText}" in ${field.name}`)
+    }
+
+    let start: number
+    let end: number
+    if (range === '*') {
+      start = field.min
+      end = field.max
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-')
+      start = parseValue(from, field)
+      end = parseValue(to, field)
+      if (start > end) throw new CronError(`Invalid range "${range}" in ${field.name}`)
+    } else {
+      start = parseValue(range, field)
+      // 5/15 means from 5 to the end of the field in steps of 15
+      end = stepText === undefined ? start : field.max
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value)
+  }
+
+  return { values, any: text.startsWith('*') }
+}
+
+export function parseCron(expression: string): CronSchedule {
+  const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : []
+  if (parts.length !== 5) {
+    throw new CronError('A cron expression has five fields: minute hour day-of-month month day-of-week')
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]))
+
+  // 7 and 0 are both Sunday
+  if (dayOfWeek.values.delete(7)) dayOfWeek.values.add(0)
+
+  return { minute, hour, dayOfMonth, month, dayOfWeek }
+}
+
+export function isValidTimeZone(timeZone: string) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+const formatters = new Map<string, Intl.DateTimeFormat>()
+
+// Wall-clock fields of an instant in a time zone
+function zonedParts(date: Date, timeZone: string) {
+  let formatter = formatters.get(timeZone)
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+    })
+    formatters.set(timeZone, formatter)
+  }
+
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]))
+  return {
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toUpperCase()),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+  }
+}
+
+function matchesDay(schedule: CronSchedule, parts: ReturnType<typeof zonedParts>) {
+  const { dayOfMonth, dayOfWeek } = schedule
+  const domMatch = dayOfMonth.values.has(parts.day)
+  const dowMatch = dayOfWeek.values.has(parts.weekday)
+
+  if (dayOfMonth.any || dayOfWeek.any) return domMatch && dowMatch
+  return domMatch || dowMatch
+}
+
+const MINUTE = 60 * 1000
+
+// The first time strictly after `after` that the expression matches in
+// timeZone. Whole local days and hours that cannot match are skipped.
+export function nextCronRun(expression: string | CronSchedule, after: Date, timeZone = 'UTC'): Date {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * MINUTE
+  let time = Math.floor(after.getTime() / MINUTE) * MINUTE + MINUTE
+
+  while (time <= limit) {
+    const parts = zonedParts(new Date(time), timeZone)
+
+    if (!schedule.month.values.has(parts.month) || !matchesDay(schedule, parts)) {
+      time += ((23 - parts.hour) * 60 + (60 - parts.minute)) * MINUTE
+    } else if (!schedule.hour.values.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE
+    } else if (!schedule.minute.values.has(parts.minute)) {
+      time += MINUTE
+    } else {
+      return new Date(time)
+    }
+  }
+
+  throw new CronError('The cron expression never matches')
+}
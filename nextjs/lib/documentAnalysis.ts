@@ -0,0 +1,181 @@
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { AzureServices } from '@/lib/azureServices'
+import { getLLMProvider, type ChatMessage, type LLMProvider } from '@/lib/openaiClient'
+import { indexDocumentChunks } from '@/lib/retrieval'
+import {
+  ANALYSIS_OUTPUT_SCHEMA,
+  validateAnalysisOutput,
+  verifyEvidence,
+  type AnalysisOutput
+} from '@/lib/analysisFindings'
+
+// Bump whenever SYSTEM_PROMPT or the findings schema changes so stored
+// analyses can be traced back to the prompt that produced them
+export const ANALYSIS_PROMPT_VERSION = 'findings-v1'
+
+// Number of times a malformed response is sent back to the model for repair
+const MAX_REPAIR_ATTEMPTS = 2
+
+const SYSTEM_PROMPT = `You are a financial auditing expert reviewing documents for an audit engagement.
+Respond only with a JSON object that conforms to this JSON Schema:
+${JSON.stringify(ANALYSIS_OUTPUT_SCHEMA)}
+
+Rules:
+- Every finding must quote its evidence verbatim from the document content.
+- Use the page numbers, key-value field names and table indexes from the document data for references; use null when not applicable.
+- Only report findings that are supported by the document. Return an empty findings array if there are none.`
+
+interface RunAnalysisOptions {
+  requestedBy?: string
+}
+
+// Runs Document Intelligence extraction and the GPT review for one document,
+// stores the result as the next analysis version in analysis_results and
+// indexes the extracted text for chat retrieval.
+// Status transitions on the document are owned by the caller (see
+// lib/analysisWorker.ts).
+export async function runDocumentAnalysis(
+  supabase: SupabaseClient,
+  documentId: string,
+  options: RunAnalysisOptions = {}
+) {
+  const { data: document, error: docError } = await supabase
+    .from('documents')
+    .select('*')
+    .eq('id', documentId)
+    .single()
+
+  if (docError || !document) {
+    throw new Error(`Document ${documentId} not found`)
+  }
+
+  // Initialize Azure services
+  const cookieStore = {
+    getAll: () => [],
+    setAll: () => {}
+  }
+  const azureServices = new AzureServices(cookieStore)
+
+  const startTime = Date.now()
+
+  // Analyze document with Azure Document Intelligence
+  const documentAnalysis = await azureServices.analyzeDocument(
+    document.blob_url,
+    'prebuilt-document'
+  )
+
+  // Ask for structured findings so red flags can be cited back to the document
+  const llm = await getLLMProvider('analysis')
+  const { summary, findings, highlights } = await generateFindings(llm, documentAnalysis)
+
+  // Calculate confidence score based on data completeness
+  const confidence = calculateConfidenceScore(documentAnalysis)
+
+  // Save analysis results
+  const analysis = await insertAnalysisVersion(supabase, {
+    document_id: documentId,
+    extracted_data: documentAnalysis,
+    ai_summary: summary,
+    red_flags: findings.map(finding => finding.title),
+    highlights: highlights.map(highlight => highlight.text),
+    findings: verifyEvidence(findings, documentAnalysis.content),
+    confidence_score: confidence,
+    processing_time_ms: Date.now() - startTime,
+    prompt_version: ANALYSIS_PROMPT_VERSION,
+    model_deployment: `${llm.name}/${llm.model}`,
+    extractor_model_id: documentAnalysis.modelId,
+    requested_by: options.requestedBy || null,
+  })
+
+  // Chat retrieval works on chunks of the latest extraction. The analysis is
+  // usable without them, so an indexing failure is logged, not rethrown.
+  try {
+    await indexDocumentChunks({
+      id: documentId,
+      projectId: document.project_id,
+      name: document.original_name,
+      extractedData: documentAnalysis,
+    })
+  } catch (error) {
+    console.error('Document chunk indexing failed:', { documentId, error })
+  }
+
+  return analysis
+}
+
+// Inserts the row as version max+1 for its document. Two runs for the same
+// document can race on the number, so a unique violation is retried.
+async function insertAnalysisVersion(supabase: SupabaseClient, row: Record<string, any>) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data: latest } = await supabase
+      .from('analysis_results')
+      .select('version')
+      .eq('document_id', row.document_id)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    const { data, error } = await supabase
+      .from('analysis_results')
+      .insert([{ ...row, version: (latest?.version || 0) + 1 }])
+      .select()
+      .single()
+
+    if (!error) return data
+    if (error.code !== '23505') throw error
+  }
+
+  throw new Error(`Could not allocate an analysis version for document ${row.document_id}`)
+}
+
+function calculateConfidenceScore(analysisData: any): number {
+  // Simple confidence calculation based on data completeness
+  let score = 0.5 // Base score
+  
+  if (analysisData.tables && analysisData.tables.length > 0) score += 0.2
+  if (analysisData.keyValuePairs && Object.keys(analysisData.keyValuePairs).length > 0) score += 0.2
+  if (analysisData.content && analysisData.content.length > 100) score += 0.1
+  
+  return Math.min(score, 1.0)
+}
+
+async function generateFindings(llm: LLMProvider, documentAnalysis: any): Promise<AnalysisOutput> {
+  const messages: ChatMessage[] = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    {
+      role: 'user',
+      content: `Review this financial document and return the summary, findings and highlights.\n\nDocument Data:\n${JSON.stringify(documentAnalysis, null, 2)}`
+    }
+  ]
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const { content } = await llm.chat({
+      messages,
+      jsonMode: true,
+      maxTokens: 2000,
+      temperature: 0.2
+    })
+    let errors: string[]
+
+    try {
+      const result = validateAnalysisOutput(JSON.parse(content))
+      if (result.value) return result.value
+      errors = result.errors
+    } catch (error) {
+      errors = [`Response is not valid JSON: ${error instanceof Error ? error.message : String(error)}`]
+    }
+
+    console.warn('AI analysis response failed validation:', { attempt, errors })
+
+    // Send the model its own output with the problems so it can correct it
+    messages.push(
+      { role: 'assistant', content },
+      {
+        role: 'user',
+        content: `Your response does not match the required schema:\n- ${errors.slice(0, 20).join('\n- ')}\n\nReturn the corrected JSON object only.`
+      }
+    )
+  }
+
+  throw new Error(`AI analysis did not return valid findings after ${MAX_REPAIR_ATTEMPTS + 1} attempts`)
+}
@@ -1,23 +1,57 @@
 // Environment variable validation
 const requiredEnvVars = [
   'NEXT_PUBLIC_SUPABASE_URL',
-  'NEXT_PUBLIC_SUPABASE_ANON_KEY', 
-  'AZURE_OPENAI_API_KEY',
-  'AZURE_OPENAI_ENDPOINT',
-  'AZURE_FORM_RECOGNIZER_ENDPOINT',
-  'AZURE_FORM_RECOGNIZER_KEY'
+  'NEXT_PUBLIC_SUPABASE_ANON_KEY'
 ] as const
 
 const optionalEnvVars = [
   'SUPABASE_SERVICE_KEY',
+  'AZURE_OPENAI_API_KEY',
+  'AZURE_OPENAI_ENDPOINT',
   'AZURE_OPENAI_DEPLOYMENT_NAME',
+  'AZURE_OPENAI_EMBEDDING_DEPLOYMENT',
+  'AZURE_OPENAI_API_VERSION',
+  'OPENAI_API_KEY',
+  'OPENAI_BASE_URL',
+  'LLM_PROVIDER',
+  'LLM_MODEL',
+  'LLM_CHAT_PROVIDER',
+  'LLM_CHAT_MODEL',
+  'LLM_ANALYSIS_PROVIDER',
+  'LLM_ANALYSIS_MODEL',
+  'LLM_EMBEDDINGS_PROVIDER',
+  'LLM_EMBEDDINGS_MODEL',
+  'AZURE_FORM_RECOGNIZER_ENDPOINT',
+  'AZURE_FORM_RECOGNIZER_KEY',
+  'DOCUMENT_EXTRACTION_MODE',
   'AZURE_SEARCH_ENDPOINT',
   'AZURE_SEARCH_API_KEY',
   'AZURE_SEARCH_INDEX_NAME',
+  'VECTOR_STORE_BACKEND',
+  'CHAT_RETRIEVAL_TOP_K',
+  'CHAT_HISTORY_TOKEN_BUDGET',
   'APPLICATIONINSIGHTS_CONNECTION_STRING',
   'MAX_FILE_SIZE',
   'SUPABASE_STORAGE_BUCKET',
-  'DEFAULT_ANALYSIS_TIMEOUT_SECONDS'
+  'DEFAULT_ANALYSIS_TIMEOUT_SECONDS',
+  'ANALYSIS_QUEUE_BACKEND',
+  'ANALYSIS_WORKER_ENABLED',
+  'ANALYSIS_WORKER_CONCURRENCY',
+  'ANALYSIS_PROJECT_CONCURRENCY',
+  'ANALYSIS_JOB_MAX_ATTEMPTS',
+  'ANALYSIS_WORKER_POLL_INTERVAL_MS',
+  'AZURE_SERVICE_BUS_CONNECTION_STRING',
+  'AZURE_SERVICE_BUS_ANALYSIS_QUEUE',
+  'REPORT_SCHEDULER_ENABLED',
+  'REPORT_SCHEDULER_POLL_INTERVAL_MS',
+  'MAIL_TRANSPORT',
+  'MAIL_FROM',
+  'MAIL_DROP_DIR',
+  'SMTP_HOST',
+  'SMTP_PORT',
+  'SMTP_SECURE',
+  'SMTP_USER',
+  'SMTP_PASSWORD'
 ] as const
 
 export function validateEnv() {
@@ -29,10 +63,50 @@ export function validateEnv() {
       'Please check your .env.local file and ensure all required variables are set.'
     )
   }
+
+  // Document Intelligence is optional unless local extraction is disabled
+  if (
+    process.env.DOCUMENT_EXTRACTION_MODE === 'azure' &&
+    (!process.env.AZURE_FORM_RECOGNIZER_ENDPOINT || !process.env.AZURE_FORM_RECOGNIZER_KEY)
+  ) {
+    throw new Error(
+      'DOCUMENT_EXTRACTION_MODE=azure requires AZURE_FORM_RECOGNIZER_ENDPOINT and AZURE_FORM_RECOGNIZER_KEY'
+    )
+  }
   
   console.log('✅ Environment variables validated successfully')
 }
 
+export type LLMProviderName = 'azure_openai' | 'openai' | 'mock'
+export type LLMFeature = 'chat' | 'analysis' | 'embeddings'
+
+const DEFAULT_MODELS: Record<LLMProviderName, Record<LLMFeature, string | undefined>> = {
+  azure_openai: {
+    chat: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4',
+    analysis: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4',
+    embeddings: process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || 'text-embedding-ada-002',
+  },
+  openai: {
+    chat: 'gpt-4o-mini',
+    analysis: 'gpt-4o-mini',
+    embeddings: 'text-embedding-3-small',
+  },
+  mock: {
+    chat: 'mock',
+    analysis: 'mock',
+    embeddings: 'mock',
+  },
+}
+
+// LLM_<FEATURE>_PROVIDER / LLM_<FEATURE>_MODEL override LLM_PROVIDER / LLM_MODEL
+function getLLMFeatureConfig(feature: LLMFeature) {
+  const prefix = `LLM_${feature.toUpperCase()}`
+  const provider = (process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || 'azure_openai') as LLMProviderName
+  const model = process.env[`${prefix}_MODEL`] || process.env.LLM_MODEL || DEFAULT_MODELS[provider]?.[feature]
+
+  return { provider, model }
+}
+
 export function getEnvConfig() {
   return {
     supabase: {
@@ -42,13 +116,14 @@ export function getEnvConfig() {
     },
     azure: {
       openai: {
-        apiKey: process.env.AZURE_OPENAI_API_KEY!,
-        endpoint: process.env.AZURE_OPENAI_ENDPOINT!,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
         deploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4',
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview',
       },
       documentIntelligence: {
-        endpoint: process.env.AZURE_FORM_RECOGNIZER_ENDPOINT!,
-        key: process.env.AZURE_FORM_RECOGNIZER_KEY!,
+        endpoint: process.env.AZURE_FORM_RECOGNIZER_ENDPOINT,
+        key: process.env.AZURE_FORM_RECOGNIZER_KEY,
       },
       search: {
         endpoint: process.env.AZURE_SEARCH_ENDPOINT,
@@ -58,11 +133,63 @@ export function getEnvConfig() {
       appInsights: {
         connectionString: process.env.APPLICATIONINSIGHTS_CONNECTION_STRING,
       },
+      serviceBus: {
+        connectionString: process.env.AZURE_SERVICE_BUS_CONNECTION_STRING,
+        analysisQueueName: process.env.AZURE_SERVICE_BUS_ANALYSIS_QUEUE || 'document-analysis',
+      },
+    },
+    llm: {
+      features: {
+        chat: getLLMFeatureConfig('chat'),
+        analysis: getLLMFeatureConfig('analysis'),
+        embeddings: getLLMFeatureConfig('embeddings'),
+      },
+      // Azure OpenAI credentials live under azure.openai
+      openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL,
+      },
     },
     app: {
       maxFileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800', 10),
       storageBucket: process.env.SUPABASE_STORAGE_BUCKET || 'documents',
       analysisTimeout: parseInt(process.env.DEFAULT_ANALYSIS_TIMEOUT_SECONDS || '300', 10) * 1000,
+      documentExtractionMode: process.env.DOCUMENT_EXTRACTION_MODE || 'auto',
+      analysisQueue: {
+        backend: process.env.ANALYSIS_QUEUE_BACKEND || 'memory',
+        workerEnabled: process.env.ANALYSIS_WORKER_ENABLED !== 'false',
+        workerConcurrency: parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY || '2', 10),
+        projectConcurrency: parseInt(process.env.ANALYSIS_PROJECT_CONCURRENCY || '1', 10),
+        maxAttempts: parseInt(process.env.ANALYSIS_JOB_MAX_ATTEMPTS || '3', 10),
+        pollInterval: parseInt(process.env.ANALYSIS_WORKER_POLL_INTERVAL_MS || '2000', 10),
+      },
+      vectorStore: {
+        // Azure AI Search when it is configured, Postgres otherwise
+        backend: process.env.VECTOR_STORE_BACKEND ||
+          (process.env.AZURE_SEARCH_ENDPOINT && process.env.AZURE_SEARCH_API_KEY && process.env.AZURE_SEARCH_INDEX_NAME
+            ? 'azure_search'
+            : 'pgvector'),
+        topK: parseInt(process.env.CHAT_RETRIEVAL_TOP_K || '8', 10),
+      },
+      // Tokens of earlier thread turns sent with each question; older turns are summarized
+      chatHistoryTokenBudget: parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET || '3000', 10),
+      reportScheduler: {
+        enabled: process.env.REPORT_SCHEDULER_ENABLED !== 'false',
+        pollInterval: parseInt(process.env.REPORT_SCHEDULER_POLL_INTERVAL_MS || '60000', 10),
+      },
+    },
+    mail: {
+      transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file'),
+      from: process.env.MAIL_FROM || 'Esus Audit AI <no-reply@localhost>',
+      dropDirectory: process.env.MAIL_DROP_DIR || 'tmp/mail',
+      smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        // true for implicit TLS (port 465); STARTTLS is used otherwise when offered
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+      },
     },
   }
 }
@@ -0,0 +1,288 @@
+// Draft financial statements (financial_statements table, migrations 004 and
+// 028) built from a trial balance period whose accounts are mapped to the
+// statement lines of lib/trialBalances.ts. Amounts are presented in the
+// direction of their line, so income and liabilities are positive like assets
+// and expenses; subtotals subtract lines through '-' keys in sumOf, as
+// lib/workbookExports.ts writes them. The cash flow statement follows the
+// indirect method: the movement of every account other than cash, reversed,
+// is a flow of cash.
+import type { StatementLine } from '@/lib/workbookExports'
+import { STATEMENT_LINES, roundAmount, statementLine } from '@/lib/trialBalances'
+
+export const GENERATED_STATEMENT_TYPES = ['balance_sheet', 'income_statement', 'cash_flow', 'equity_changes'] as const
+
+export type GeneratedStatementType = typeof GENERATED_STATEMENT_TYPES[number]
+
+export interface StatementAccount {
+  statement_line: string | null
+  opening_balance: number
+  closing_balance: number
+}
+
+export interface StatementCheck {
+  key: string
+  label: string
+  passed: boolean
+  difference: number
+}
+
+export interface GeneratedStatement {
+  statementType: GeneratedStatementType
+  lines: StatementLine[]
+}
+
+type Point = 'opening' | 'closing'
+
+// Opening and closing balance of each statement line, and of the accounts
+// that have none
+function lineBalances(accounts: StatementAccount[]) {
+  const balances = new Map<string, Record<Point, number>>()
+  const unmapped = { count: 0, closing: 0 }
+
+  for (const account of accounts) {
+    if (!account.statement_line || !statementLine(account.statement_line)) {
+      unmapped.count++
+      unmapped.closing += Number(account.closing_balance)
+      continue
+    }
+    const balance = balances.get(account.statement_line) || { opening: 0, closing: 0 }
+    balance.opening += Number(account.opening_balance)
+    balance.closing += Number(account.closing_balance)
+    balances.set(account.statement_line, balance)
+  }
+
+  return { balances, unmapped }
+}
+
+// Lines of a statement in order; subtotals are computed from the lines
+// they add up
+function statementBuilder() {
+  const lines: StatementLine[] = []
+  const amounts = new Map<string, number>()
+  const amount = (key: string) => amounts.get(key) ?? 0
+
+  return {
+    lines,
+    amount,
+    heading(label: string) {
+      lines.push({ label, type: 'heading' })
+    },
+    line(key: string, label: string, value: number) {
+      // Negating a nil balance gives -0
+      amounts.set(key, roundAmount(value) || 0)
+      lines.push({ key, label, type: 'line', amount: amounts.get(key) })
+    },
+    total(key: string, label: string, sumOf: string[], type: 'subtotal' | 'total' = 'subtotal') {
+      const value = sumOf.reduce((sum, term) => (term.startsWith('-') ? sum - amount(term.slice(1)) : sum + amount(term)), 0)
+      amounts.set(key, roundAmount(value))
+      lines.push({ key, label, type, amount: amounts.get(key), sumOf })
+    },
+  }
+}
+
+export function buildFinancialStatements(accounts: StatementAccount[]) {
+  const { balances, unmapped } = lineBalances(accounts)
+
+  const at = (key: string, point: Point) => balances.get(key)?.[point] ?? 0
+  const movement = (key: string) => at(key, 'closing') - at(key, 'opening')
+  const movements = (...keys: string[]) => keys.reduce((sum, key) => sum + movement(key), 0)
+  // Credit balances are presented positive on credit lines
+  const present = (key: string, value: number) => (statementLine(key)?.normalBalance === 'credit' ? -value : value)
+  const keysOf = (section: string) => STATEMENT_LINES.filter(line => line.section === section).map(line => line.key)
+  const incomeStatementKeys = STATEMENT_LINES.filter(line => line.statement === 'income_statement').map(line => line.key)
+  const equityKeys = keysOf('equity')
+
+  const balanceSheet = (point: Point) => {
+    const statement = statementBuilder()
+    const section = (name: string, heading: string, totalKey: string, totalLabel: string) => {
+      statement.heading(heading)
+      const keys = keysOf(name).filter(key => key !== 'dividends')
+      for (const key of keys) {
+        // Dividends and the profit not yet closed off to retained earnings
+        // are part of retained earnings
+        const value = key === 'retained_earnings'
+          ? -[key, 'dividends', ...incomeStatementKeys].reduce((sum, other) => sum + at(other, point), 0)
+          : present(key, at(key, point))
+        statement.line(key, statementLine(key)!.label, value)
+      }
+      statement.total(totalKey, totalLabel, keys)
+    }
+
+    section('non_current_assets', 'Non-current assets', 'total_non_current_assets', 'Total non-current assets')
+    section('current_assets', 'Current assets', 'total_current_assets', 'Total current assets')
+    statement.total('total_assets', 'Total assets', ['total_non_current_assets', 'total_current_assets'], 'total')
+    section('equity', 'Equity', 'total_equity', 'Total equity')
+    section('non_current_liabilities', 'Non-current liabilities', 'total_non_current_liabilities', 'Total non-current liabilities')
+    section('current_liabilities', 'Current liabilities', 'total_current_liabilities', 'Total current liabilities')
+    statement.total('total_liabilities', 'Total liabilities', ['total_non_current_liabilities', 'total_current_liabilities'])
+    statement.total('total_equity_and_liabilities', 'Total equity and liabilities', ['total_equity', 'total_liabilities'], 'total')
+    return statement
+  }
+
+  const incomeStatement = statementBuilder()
+  const incomeLine = (key: string) => incomeStatement.line(key, statementLine(key)!.label, present(key, movement(key)))
+  incomeLine('revenue')
+  incomeLine('cost_of_sales')
+  incomeStatement.total('gross_profit', 'Gross profit', ['revenue', '-cost_of_sales'])
+  incomeLine('other_income')
+  incomeLine('operating_expenses')
+  incomeLine('depreciation_amortisation')
+  incomeStatement.total('operating_profit', 'Operating profit', ['gross_profit', 'other_income', '-operating_expenses', '-depreciation_amortisation'])
+  incomeLine('finance_income')
+  incomeLine('finance_costs')
+  incomeStatement.total('profit_before_tax', 'Profit before tax', ['operating_profit', 'finance_income', '-finance_costs'])
+  incomeLine('income_tax_expense')
+  incomeStatement.total('profit_for_period', 'Profit for the period', ['profit_before_tax', '-income_tax_expense'], 'total')
+  const profit = incomeStatement.amount('profit_for_period')
+
+  const equityChanges = statementBuilder()
+  equityChanges.line(
+    'opening_equity',
+    'Equity at start of period',
+    -[...equityKeys, ...incomeStatementKeys].reduce((sum, key) => sum + at(key, 'opening'), 0)
+  )
+  equityChanges.line('profit_for_period', 'Profit for the period', profit)
+  equityChanges.line('share_issues', 'Shares issued', -movement('share_capital'))
+  equityChanges.line('dividends', 'Dividends', movement('dividends'))
+  equityChanges.line('other_movements', 'Other movements in reserves', -movements('other_reserves', 'retained_earnings'))
+  equityChanges.total(
+    'closing_equity',
+    'Equity at end of period',
+    ['opening_equity', 'profit_for_period', 'share_issues', '-dividends', 'other_movements'],
+    'total'
+  )
+
+  const cashFlow = statementBuilder()
+  cashFlow.heading('Operating activities')
+  cashFlow.line('profit_before_tax', 'Profit before tax', incomeStatement.amount('profit_before_tax'))
+  cashFlow.line('depreciation_amortisation', 'Depreciation and amortisation', movement('depreciation_amortisation'))
+  cashFlow.line('finance_costs', 'Finance costs', movement('finance_costs'))
+  cashFlow.line('finance_income', 'Finance income', -movement('finance_income'))
+  cashFlow.line('change_in_inventories', '(Increase)/decrease in inventories', -movement('inventories'))
+  cashFlow.line('change_in_receivables', '(Increase)/decrease in receivables and prepayments', -movements('trade_receivables', 'prepayments'))
+  cashFlow.line('change_in_payables', 'Increase/(decrease) in payables', -movement('trade_payables'))
+  cashFlow.line('change_in_provisions', 'Increase/(decrease) in provisions', -movement('provisions'))
+  cashFlow.total('cash_generated_from_operations', 'Cash generated from operations', [
+    'profit_before_tax',
+    'depreciation_amortisation',
+    'finance_costs',
+    '-finance_income',
+    'change_in_inventories',
+    'change_in_receivables',
+    'change_in_payables',
+    'change_in_provisions',
+  ])
+  cashFlow.line('interest_paid', 'Interest paid', movement('finance_costs'))
+  // Tax charged less the increase in the tax owed
+  cashFlow.line('income_tax_paid', 'Income tax paid', movements('income_tax_expense', 'current_tax'))
+  cashFlow.total('net_cash_from_operating_activities', 'Net cash from operating activities', [
+    'cash_generated_from_operations',
+    '-interest_paid',
+    '-income_tax_paid',
+  ])
+  cashFlow.heading('Investing activities')
+  // Additions net of disposals, before the depreciation charged on them
+  cashFlow.line(
+    'purchase_of_non_current_assets',
+    'Purchase of property, plant, equipment and intangibles',
+    movements('property_plant_equipment', 'intangible_assets', 'depreciation_amortisation')
+  )
+  cashFlow.line('purchase_of_investments', 'Purchase of investments', movement('investments'))
+  cashFlow.line('interest_received', 'Interest received', -movement('finance_income'))
+  cashFlow.total('net_cash_from_investing_activities', 'Net cash from investing activities', [
+    '-purchase_of_non_current_assets',
+    '-purchase_of_investments',
+    'interest_received',
+  ])
+  cashFlow.heading('Financing activities')
+  cashFlow.line('proceeds_from_borrowings', 'Net proceeds from borrowings', -movements('borrowings_current', 'borrowings_non_current'))
+  cashFlow.line('proceeds_from_share_issues', 'Proceeds from shares issued', -movement('share_capital'))
+  cashFlow.line('dividends_paid', 'Dividends paid', movement('dividends'))
+  cashFlow.line('other_equity_movements', 'Other movements in reserves', -movements('other_reserves', 'retained_earnings'))
+  cashFlow.total('net_cash_from_financing_activities', 'Net cash from financing activities', [
+    'proceeds_from_borrowings',
+    'proceeds_from_share_issues',
+    '-dividends_paid',
+    'other_equity_movements',
+  ])
+  cashFlow.total('net_change_in_cash', 'Net increase/(decrease) in cash and cash equivalents', [
+    'net_cash_from_operating_activities',
+    'net_cash_from_investing_activities',
+    'net_cash_from_financing_activities',
+  ])
+  cashFlow.line('opening_cash', 'Cash and cash equivalents at start of period', at('cash', 'opening'))
+  cashFlow.total('closing_cash', 'Cash and cash equivalents at end of period', ['net_change_in_cash', 'opening_cash'], 'total')
+
+  const closingBalanceSheet = balanceSheet('closing')
+
+  // Profit as the retained earnings roll-forward puts it: closing retained
+  // earnings less the retained earnings account at the start of the period,
+  // with the dividends declared and any transfer from other reserves taken
+  // out. Income statement and dividend accounts start the period closed off,
+  // and in a trial balance before closing entries the retained earnings
+  // account only moves with reserve transfers, so a balance sheet account
+  // mapped to an income statement line (it has an opening balance) or a
+  // period's income or expense mapped to equity shows as a difference.
+  const retainedEarningsMovement = -movement('retained_earnings')
+  const reservesMovement = -movement('other_reserves')
+  // A transfer moves other reserves and retained earnings by the same amount
+  // in opposite directions
+  const reserveTransfer = Math.sign(retainedEarningsMovement) === -Math.sign(reservesMovement)
+    ? Math.sign(retainedEarningsMovement) * Math.min(Math.abs(retainedEarningsMovement), Math.abs(reservesMovement))
+    : 0
+  const rolledForwardProfit = closingBalanceSheet.amount('retained_earnings') -
+    present('retained_earnings', at('retained_earnings', 'opening')) +
+    movement('dividends') -
+    reserveTransfer
+  const check = (key: string, label: string, difference: number): StatementCheck => ({
+    key,
+    label,
+    passed: roundAmount(difference) === 0,
+    difference: roundAmount(difference),
+  })
+
+  const checks = [
+    check(
+      'balance_sheet_balances',
+      'Total assets equal total equity and liabilities',
+      closingBalanceSheet.amount('total_assets') - closingBalanceSheet.amount('total_equity_and_liabilities')
+    ),
+    check(
+      'net_income_ties_to_equity',
+      'Profit for the period reconciles to the retained earnings roll-forward',
+      profit - rolledForwardProfit
+    ),
+    check(
+      'cash_flow_ties_to_cash',
+      'Cash flows reconcile to the cash balance',
+      cashFlow.amount('closing_cash') - closingBalanceSheet.amount('cash')
+    ),
+    { ...check('accounts_mapped', 'Every account is mapped to a statement line', unmapped.closing), passed: unmapped.count === 0 },
+  ]
+
+  const statements: GeneratedStatement[] = [
+    { statementType: 'balance_sheet', lines: closingBalanceSheet.lines },
+    { statementType: 'income_statement', lines: incomeStatement.lines },
+    { statementType: 'cash_flow', lines: cashFlow.lines },
+    { statementType: 'equity_changes', lines: equityChanges.lines },
+  ]
+
+  return {
+    statements,
+    checks,
+    unmappedAccounts: unmapped.count,
+    // The balance sheet at the start of the period, for when there is no
+    // prior period to compare with
+    openingBalanceSheet: balanceSheet('opening').lines,
+  }
+}
+
+// Sets the prior period's amount on each line by key, and leaves out detail
+// lines that are nil in both periods
+export function withPriorPeriod(lines: StatementLine[], priorLines: StatementLine[] | null) {
+  const prior = new Map((priorLines || []).filter(line => line.key).map(line => [line.key, line.amount ?? null]))
+
+  return lines
+    .map(line => (priorLines && line.type !== 'heading' ? { ...line, priorAmount: prior.get(line.key) ?? null } : line))
+    .filter(line => line.type !== 'line' || line.amount || line.priorAmount)
+}
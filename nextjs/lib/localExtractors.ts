@@ -0,0 +1,379 @@
+// Offline text extraction for PDF, DOCX, XLSX and CSV files. Used by
+// AzureServices.analyzeDocument when Document Intelligence is not configured
+// or fails, and produces the same normalized shape as extractDocumentData so
+// the rest of the pipeline does not care which extractor ran.
+import mammoth from 'mammoth'
+import * as XLSX from 'xlsx'
+// The package entry point runs a self-test when imported without a parent
+// module, so load the library file directly
+import pdfParse from 'pdf-parse/lib/pdf-parse.js'
+
+export type ColumnType = 'number' | 'percentage' | 'date' | 'boolean' | 'string' | 'empty'
+type CellValue = string | number | boolean | null
+
+export interface ExtractedTable {
+  name?: string
+  rowCount: number
+  columnCount: number
+  pageNumber: number | null
+  columnHeaders: string[]
+  rowHeaders: string[]
+  rows: CellValue[][]
+  columnTypes?: ColumnType[]
+}
+
+export interface ExtractedPage {
+  pageNumber: number
+  width: number | null
+  height: number | null
+  unit: string | null
+  text: string
+  lineCount: number
+}
+
+export interface ExtractedDocument {
+  modelId: string
+  extractor: 'local'
+  content: string
+  pageCount: number
+  pages: ExtractedPage[]
+  paragraphs: { content: string; role: string; pageNumber: number | null }[]
+  keyValuePairs: Record<string, { value: string; confidence: number | null; pageNumber: number | null }>
+  tables: ExtractedTable[]
+  confidence: number | null
+}
+
+export interface SpreadsheetSheet {
+  name: string
+  rows: string[][]
+}
+
+const EXTRACTORS: Record<string, (buffer: Buffer) => Promise<ExtractedDocument>> = {
+  pdf: extractPdf,
+  docx: extractDocx,
+  xlsx: extractWorkbook,
+  xls: extractWorkbook,
+  csv: buffer => Promise.resolve(extractCsv(buffer)),
+  txt: buffer => Promise.resolve(buildDocument('local-text', [buffer.toString('utf8')], [])),
+}
+
+const CONTENT_TYPE_EXTENSIONS: Record<string, string> = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-excel': 'xls',
+  'text/csv': 'csv',
+  'text/plain': 'txt',
+}
+
+function getExtension(fileName: string, contentType?: string) {
+  const match = /\.([a-z0-9]+)$/i.exec(fileName || '')
+  return match ? match[1].toLowerCase() : CONTENT_TYPE_EXTENSIONS[contentType || ''] || ''
+}
+
+export function canExtractLocally(fileName: string, contentType?: string) {
+  return getExtension(fileName, contentType) in EXTRACTORS
+}
+
+export async function extractLocally(buffer: Buffer, fileName: string, contentType?: string) {
+  const extension = getExtension(fileName, contentType)
+  const extractor = EXTRACTORS[extension]
+
+  if (!extractor) {
+    throw new Error(`Local extraction is not supported for ${extension ? `.${extension}` : 'this'} file type`)
+  }
+
+  return extractor(buffer)
+}
+
+async function extractPdf(buffer: Buffer) {
+  const pageTexts: string[] = []
+
+  await pdfParse(buffer, {
+    // Same line reconstruction as pdf-parse's default renderer, but keeps
+    // each page separate so findings can cite page numbers
+    pagerender: async (pageData: any) => {
+      const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false,
+      })
+
+      let lastY: number | undefined
+      let text = ''
+      for (const item of textContent.items) {
+        text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`
+        lastY = item.transform[5]
+      }
+
+      pageTexts[pageData.pageIndex] = text
+      return text
+    },
+  })
+
+  return buildDocument('local-pdf', pageTexts.map(text => text || ''), [])
+}
+
+async function extractDocx(buffer: Buffer) {
+  const [{ value: text }, { value: html }] = await Promise.all([
+    mammoth.extractRawText({ buffer }),
+    mammoth.convertToHtml({ buffer }),
+  ])
+
+  // Word documents have no fixed pagination; everything is page 1. Tables
+  // without rows are skipped, as empty sheets are in extractWorkbook
+  const tables = parseHtmlTables(html)
+    .filter(rows => rows.length > 0)
+    .map(rows => buildTable(rows, 1))
+  return buildDocument('local-docx', [text], tables)
+}
+
+async function extractWorkbook(buffer: Buffer) {
+  const pageTexts: string[] = []
+  const tables: ExtractedTable[] = []
+
+  workbookSheets(buffer).forEach(({ name, rows }) => {
+    if (rows.length === 0) return
+
+    // Each sheet is treated as one page
+    pageTexts.push(rows.map(row => row.join('\t')).join('\n'))
+    tables.push({ name, ...buildTable(rows, pageTexts.length) })
+  })
+
+  return buildDocument('local-xlsx', pageTexts, tables)
+}
+
+function extractCsv(buffer: Buffer) {
+  const text = csvText(buffer)
+  const rows = parseCsv(text)
+  return buildDocument('local-csv', [text], rows.length > 0 ? [buildTable(rows, 1)] : [])
+}
+
+function workbookSheets(buffer: Buffer): SpreadsheetSheet[] {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true })
+
+  return workbook.SheetNames.map(name => ({
+    name,
+    // Raw values keep full numeric precision; dates are written as ISO so
+    // type inference recognises them
+    rows: XLSX.utils
+      .sheet_to_json<unknown[]>(workbook.Sheets[name], { header: 1, raw: true, defval: '', blankrows: false })
+      .map(row => row.map(value => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value)))),
+  }))
+}
+
+function csvText(buffer: Buffer) {
+  // Strip a UTF-8 byte order mark left by Excel exports
+  return buffer.toString('utf8').replace(/^\uFEFF/, '')
+}
+
+// The sheets of an XLSX or CSV file as rows of cell text (a CSV file is one
+// sheet), for imports that need the cells rather than extracted tables. Null
+// for other file types.
+export function readSpreadsheet(buffer: Buffer, fileName: string, contentType?: string): SpreadsheetSheet[] | null {
+  const extension = getExtension(fileName, contentType)
+  if (extension === 'xlsx' || extension === 'xls') return workbookSheets(buffer)
+  if (extension === 'csv') return [{ name: 'CSV', rows: parseCsv(csvText(buffer)) }]
+  return null
+}
+
+function buildDocument(modelId: string, pageTexts: string[], tables: ExtractedTable[]): ExtractedDocument {
+  const pages = pageTexts.map((text, index) => ({
+    pageNumber: index + 1,
+    width: null,
+    height: null,
+    unit: null,
+    text,
+    lineCount: text ? text.split('\n').length : 0,
+  }))
+
+  const paragraphs = pages.flatMap(page =>
+    page.text
+      .split(/\n\s*\n/)
+      .map(content => content.trim())
+      .filter(Boolean)
+      .map(content => ({ content, role: 'text', pageNumber: page.pageNumber }))
+  )
+
+  return {
+    modelId,
+    extractor: 'local',
+    content: pageTexts.join('\n\n'),
+    pageCount: pages.length,
+    pages,
+    paragraphs,
+    keyValuePairs: extractKeyValuePairs(pages),
+    tables,
+    // No model confidence is available for local extraction
+    confidence: null,
+  }
+}
+
+// Picks up "Label: value" lines, which covers most invoice and statement headers
+function extractKeyValuePairs(pages: ExtractedPage[]) {
+  const keyValuePairs: ExtractedDocument['keyValuePairs'] = {}
+
+  for (const page of pages) {
+    for (const line of page.text.split('\n')) {
+      const match = /^\s*([A-Za-z][\w .&/()#-]{0,48}?)\s*:\s+(\S.*)$/.exec(line)
+      if (!match || keyValuePairs[match[1]]) continue
+      keyValuePairs[match[1]] = { value: match[2].trim(), confidence: null, pageNumber: page.pageNumber }
+    }
+  }
+
+  return keyValuePairs
+}
+
+// First row is treated as the header row, matching how extractTable drops
+// columnHeader rows from the data rows
+function buildTable(rawRows: string[][], pageNumber: number): ExtractedTable {
+  const columnCount = Math.max(...rawRows.map(row => row.length))
+  const padded = rawRows.map(row => Array.from({ length: columnCount }, (_, index) => String(row[index] ?? '').trim()))
+  const [header, ...dataRows] = padded
+
+  const columnTypes = header.map((_, column) => inferColumnType(dataRows.map(row => row[column])))
+
+  return {
+    rowCount: padded.length,
+    columnCount,
+    pageNumber,
+    columnHeaders: header,
+    rowHeaders: dataRows.map(row => row[0]),
+    rows: dataRows.map(row => row.map((cell, column) => convertCell(cell, columnTypes[column]))),
+    columnTypes,
+  }
+}
+
+const BOOLEAN_VALUES: Record<string, boolean> = { true: true, false: false, yes: true, no: false, y: true, n: false }
+
+export function parseNumber(cell: string): number | null {
+  // Accepts 1,234.56  $1,234  (1,234.56)  -12  1.2e3
+  const negative = /^\(.*\)$/.test(cell)
+  const cleaned = cell.replace(/^\((.*)\)$/, '$1').replace(/[$€£¥,\s]/g, '')
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) return null
+  const value = Number(cleaned)
+  return negative ? -value : value
+}
+
+function parseDate(cell: string): string | null {
+  let year: number, month: number, day: number
+
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/.exec(cell)
+  if (match) {
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])]
+  } else if ((match = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(cell))) {
+    // Month first unless that cannot be a month
+    const [first, second] = [Number(match[1]), Number(match[2])]
+    ;[month, day] = first > 12 ? [second, first] : [first, second]
+    year = Number(match[3])
+  } else {
+    return null
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null
+  return date.toISOString().slice(0, 10)
+}
+
+function classifyCell(cell: string): ColumnType {
+  if (cell === '') return 'empty'
+  if (cell.toLowerCase() in BOOLEAN_VALUES) return 'boolean'
+  if (/%$/.test(cell) && parseNumber(cell.slice(0, -1)) !== null) return 'percentage'
+  if (parseNumber(cell) !== null) return 'number'
+  if (parseDate(cell) !== null) return 'date'
+  return 'string'
+}
+
+// A column gets a type only when every non-empty cell agrees on it
+export function inferColumnType(cells: string[]): ColumnType {
+  const types = new Set(cells.map(classifyCell))
+  types.delete('empty')
+
+  if (types.size === 0) return 'empty'
+  if (types.size === 1) return types.values().next().value as ColumnType
+  return 'string'
+}
+
+function convertCell(cell: string, type: ColumnType): CellValue {
+  if (cell === '') return null
+
+  switch (type) {
+    case 'number':
+      return parseNumber(cell)
+    case 'percentage':
+      return (parseNumber(cell.slice(0, -1)) as number) / 100
+    case 'date':
+      return parseDate(cell)
+    case 'boolean':
+      return BOOLEAN_VALUES[cell.toLowerCase()]
+    default:
+      return cell
+  }
+}
+
+// RFC 4180 parser with delimiter sniffing (comma, semicolon or tab)
+export function parseCsv(text: string): string[][] {
+  const firstLine = text.split(/\r?\n/, 1)[0] || ''
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  )
+
+  const rows: string[][] = []
+  let row: string[] = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''))
+}
+
+// mammoth renders Word tables as plain <table><tr><td><p>..</p></td></tr></table>
+function parseHtmlTables(html: string): string[][][] {
+  const decode = (value: string) =>
+    value
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim()
+
+  return Array.from(html.matchAll(/<table>([\s\S]*?)<\/table>/g)).map(([, table]) =>
+    Array.from(table.matchAll(/<tr>([\s\S]*?)<\/tr>/g)).map(([, row]) =>
+      Array.from(row.matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/g)).map(([, cell]) => decode(cell))
+    )
+  )
+}
@@ -0,0 +1,102 @@
+// Outgoing mail. MAIL_TRANSPORT selects the transport:
+//   smtp - an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+//   file - writes each message as an .eml file to MAIL_DROP_DIR, for local
+//          development and testing without a mail server
+// It defaults to smtp when SMTP_HOST is set and file otherwise. Further
+// transports implement MailTransport and are added to createMailTransport.
+import { mkdir, writeFile } from 'fs/promises'
+import path from 'path'
+import nodemailer, { type Transporter } from 'nodemailer'
+import { v4 as uuidv4 } from 'uuid'
+import { getEnvConfig } from '@/lib/env'
+
+export interface MailAttachment {
+  filename: string
+  content: Buffer
+  contentType: string
+}
+
+export interface MailMessage {
+  to: string[]
+  subject: string
+  text: string
+  html?: string
+  attachments?: MailAttachment[]
+}
+
+export interface MailTransport {
+  readonly name: string
+  // Returns an id for the delivered message (Message-ID or file path)
+  send(message: MailMessage): Promise<string>
+}
+
+export class SmtpMailTransport implements MailTransport {
+  readonly name = 'smtp'
+  private transporter: Transporter
+
+  constructor(
+    private from: string,
+    options: { host: string; port: number; secure: boolean; user?: string; password?: string }
+  ) {
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.password } : undefined,
+    })
+  }
+
+  async send(message: MailMessage) {
+    const info = await this.transporter.sendMail({ from: this.from, ...message })
+    return info.messageId
+  }
+}
+
+// Builds the same MIME message as SMTP would send and drops it in a directory,
+// where any mail client can open it
+export class FileDropMailTransport implements MailTransport {
+  readonly name = 'file'
+  private transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+
+  constructor(private from: string, private directory: string) {}
+
+  async send(message: MailMessage) {
+    const info = await this.transporter.sendMail({ from: this.from, ...message })
+
+    await mkdir(this.directory, { recursive: true })
+    const file = path.join(this.directory, `${new Date().toISOString().replace(/[:.]/g, '-')}-${uuidv4()}.eml`)
+    await writeFile(file, info.message as Buffer)
+    return file
+  }
+}
+
+export function createMailTransport(): MailTransport {
+  const { mail } = getEnvConfig()
+
+  switch (mail.transport) {
+    case 'smtp':
+      if (!mail.smtp.host) {
+        throw new Error('SMTP_HOST is required for the smtp mail transport')
+      }
+      return new SmtpMailTransport(mail.from, {
+        host: mail.smtp.host,
+        port: mail.smtp.port,
+        secure: mail.smtp.secure,
+        user: mail.smtp.user,
+        password: mail.smtp.password,
+      })
+    case 'file':
+      return new FileDropMailTransport(mail.from, path.resolve(mail.dropDirectory))
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${mail.transport}`)
+  }
+}
+
+const globalForMail = globalThis as unknown as { mailTransport?: MailTransport }
+
+export function getMailTransport(): MailTransport {
+  if (!globalForMail.mailTransport) {
+    globalForMail.mailTransport = createMailTransport()
+  }
+  return globalForMail.mailTransport
+}
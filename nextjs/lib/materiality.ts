@@ -0,0 +1,267 @@
+// Planning materiality (materiality_assessments table, migration 030).
+// Overall materiality is a percentage of a benchmark taken from the project's
+// financial statements; performance materiality and the clearly trivial
+// threshold are percentages of overall materiality. Saving an assessment
+// copies overall materiality to the project's audit programs
+// (audit_programs.materiality_threshold) and to the workpaper documenting it
+// (workpapers.materiality_impact). Analysis findings are graded against the
+// thresholds by the largest amount quoted in their evidence.
+import type { SupabaseClient } from '@supabase/supabase-js'
+import type { AnalysisFinding } from '@/lib/analysisFindings'
+import type { ComparisonStatement } from '@/lib/periodComparison'
+import { roundAmount } from '@/lib/trialBalances'
+
+// The percentage range is the usual one for the benchmark and is offered as
+// guidance; percentages outside it are allowed with a rationale
+export const MATERIALITY_BENCHMARKS = [
+  { key: 'revenue', label: 'Revenue', statement: 'income_statement', defaultPercentage: 1, range: [0.5, 2] },
+  { key: 'total_assets', label: 'Total assets', statement: 'balance_sheet', defaultPercentage: 1, range: [0.5, 2] },
+  { key: 'profit_before_tax', label: 'Profit before tax', statement: 'income_statement', defaultPercentage: 5, range: [3, 10] },
+] as const
+
+export type MaterialityBenchmark = typeof MATERIALITY_BENCHMARKS[number]['key']
+
+export const DEFAULT_PERFORMANCE_PERCENTAGE = 75
+export const DEFAULT_TRIVIAL_PERCENTAGE = 5
+
+// From most to least significant; a finding without a quoted amount is not graded
+export const MATERIALITY_LEVELS = ['material', 'above_performance', 'above_trivial', 'clearly_trivial'] as const
+
+export type MaterialityLevel = typeof MATERIALITY_LEVELS[number]
+
+const MAX_RATIONALE_LENGTH = 10000
+
+export interface MaterialityInput {
+  benchmark: MaterialityBenchmark
+  // Null takes the benchmark from the financial statements
+  benchmarkValue: number | null
+  periodEnd: string | null
+  overallPercentage: number
+  performancePercentage: number
+  trivialPercentage: number
+  rationale: string
+  workpaperId: string | null
+}
+
+export interface MaterialityThresholds {
+  overall: number
+  performance: number
+  clearlyTrivial: number
+}
+
+export interface FindingMateriality {
+  amount: number | null
+  level: MaterialityLevel | null
+}
+
+// Raised when the benchmark cannot support a calculation, e.g. a loss
+export class MaterialityError extends Error {}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+export function materialityBenchmark(key: string) {
+  return MATERIALITY_BENCHMARKS.find(benchmark => benchmark.key === key) || null
+}
+
+const isPercentage = (value: unknown): value is number =>
+  typeof value === 'number' && value > 0 && value <= 100
+
+// Checks the body of a materiality request: { benchmark, overallPercentage?,
+// performancePercentage?, trivialPercentage?, benchmarkValue?, periodEnd?,
+// rationale, workpaperId? }. Percentages left out take their defaults.
+export function validateMaterialityInput(body: any): { error: string } | { input: MaterialityInput } {
+  const benchmark = materialityBenchmark(body?.benchmark)
+  if (!benchmark) {
+    return { error: `benchmark must be one of ${MATERIALITY_BENCHMARKS.map(b => b.key).join(', ')}` }
+  }
+
+  const {
+    overallPercentage = benchmark.defaultPercentage,
+    performancePercentage = DEFAULT_PERFORMANCE_PERCENTAGE,
+    trivialPercentage = DEFAULT_TRIVIAL_PERCENTAGE,
+    benchmarkValue = null,
+    periodEnd = null,
+    rationale,
+    workpaperId = null
+  } = body
+
+  for (const [name, value] of [
+    ['overallPercentage', overallPercentage],
+    ['performancePercentage', performancePercentage],
+    ['trivialPercentage', trivialPercentage],
+  ]) {
+    if (!isPercentage(value)) {
+      return { error: `${name} must be a percentage above 0 and at most 100` }
+    }
+  }
+
+  if (trivialPercentage >= performancePercentage) {
+    return { error: 'trivialPercentage must be below performancePercentage' }
+  }
+
+  if (benchmarkValue !== null && (typeof benchmarkValue !== 'number' || !Number.isFinite(benchmarkValue))) {
+    return { error: 'benchmarkValue must be a number' }
+  }
+
+  if (periodEnd !== null && (typeof periodEnd !== 'string' || !DATE_PATTERN.test(periodEnd))) {
+    return { error: 'periodEnd must be a date (YYYY-MM-DD)' }
+  }
+
+  if (typeof rationale !== 'string' || !rationale.trim() || rationale.length > MAX_RATIONALE_LENGTH) {
+    return { error: `rationale must be between 1 and ${MAX_RATIONALE_LENGTH} characters` }
+  }
+
+  if (workpaperId !== null && (typeof workpaperId !== 'string' || !UUID_PATTERN.test(workpaperId))) {
+    return { error: 'workpaperId must be a workpaper id' }
+  }
+
+  return {
+    input: {
+      benchmark: benchmark.key,
+      benchmarkValue,
+      periodEnd,
+      overallPercentage,
+      performancePercentage,
+      trivialPercentage,
+      rationale: rationale.trim(),
+      workpaperId,
+    }
+  }
+}
+
+// The benchmark figures of a period of the project's statements, the latest
+// unless periodEnd is given. Statements are as loaded by
+// loadFinancialStatements (lib/periodComparison.ts).
+export function benchmarkValues(statements: ComparisonStatement[], periodEnd?: string | null) {
+  const period = periodEnd ?? statements.map(statement => statement.period_end).sort().reverse()[0] ?? null
+  const values = {} as Record<MaterialityBenchmark, number | null>
+
+  for (const benchmark of MATERIALITY_BENCHMARKS) {
+    const statement = statements.find(candidate =>
+      candidate.period_end === period && candidate.statement_type === benchmark.statement
+    )
+    const line = statement?.data?.lines?.find(candidate => candidate.key === benchmark.key)
+    values[benchmark.key] = typeof line?.amount === 'number' ? line.amount : null
+  }
+
+  return { periodEnd: period, values }
+}
+
+export function calculateMateriality(
+  benchmarkValue: number,
+  percentages: Pick<MaterialityInput, 'overallPercentage' | 'performancePercentage' | 'trivialPercentage'>
+): MaterialityThresholds {
+  if (!(benchmarkValue > 0)) {
+    throw new MaterialityError('The benchmark must be a positive amount; choose another benchmark for a loss or a negative balance')
+  }
+
+  const overall = roundAmount(benchmarkValue * percentages.overallPercentage / 100)
+  return {
+    overall,
+    performance: roundAmount(overall * percentages.performancePercentage / 100),
+    clearlyTrivial: roundAmount(overall * percentages.trivialPercentage / 100),
+  }
+}
+
+// Thresholds of a stored materiality_assessments row
+export function materialityThresholds(assessment: Record<string, any>): MaterialityThresholds {
+  return {
+    overall: Number(assessment.overall_materiality),
+    performance: Number(assessment.performance_materiality),
+    clearlyTrivial: Number(assessment.clearly_trivial_threshold),
+  }
+}
+
+export async function loadMateriality(supabase: SupabaseClient, projectId: string) {
+  const { data, error } = await supabase
+    .from('materiality_assessments')
+    .select('*')
+    .eq('project_id', projectId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+// Copies overall materiality to the project's audit programs and to the
+// workpaper documenting the assessment. Returns the number of programs updated.
+export async function propagateMateriality(
+  supabase: SupabaseClient,
+  projectId: string,
+  thresholds: MaterialityThresholds,
+  workpaperId: string | null
+) {
+  const { data: programs, error } = await supabase
+    .from('audit_programs')
+    .update({ materiality_threshold: thresholds.overall, updated_at: new Date().toISOString() })
+    .eq('project_id', projectId)
+    .select('id')
+
+  if (error) throw error
+
+  if (workpaperId) {
+    const { error: workpaperError } = await supabase
+      .from('workpapers')
+      .update({ materiality_impact: thresholds.overall, updated_at: new Date().toISOString() })
+      .eq('id', workpaperId)
+      .eq('project_id', projectId)
+
+    if (workpaperError) throw workpaperError
+  }
+
+  return (programs || []).length
+}
+
+const SCALES: Record<string, number> = {
+  k: 1e3,
+  thousand: 1e3,
+  m: 1e6,
+  mn: 1e6,
+  million: 1e6,
+  bn: 1e9,
+  billion: 1e9,
+}
+
+// $12,500  (45,000.00)  €1.2 million  250k  1234.56. A bare number needs a
+// currency sign, thousands separators, cents or a scale to count, so years,
+// counts and percentages in the text are not read as amounts.
+const AMOUNT_PATTERN = /([$€£¥])?\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?:\s?(billion|bn|million|mn|m|thousand|k))?\b(%)?/gi
+
+export function findingAmount(finding: Pick<AnalysisFinding, 'evidence'>): number | null {
+  let largest: number | null = null
+
+  for (const match of (finding.evidence || '').matchAll(AMOUNT_PATTERN)) {
+    const [, currency, digits, decimals, scale, percent] = match
+    if (percent) continue
+    if (!currency && !digits.includes(',') && !scale && decimals?.length !== 3) continue
+
+    const amount = Number(`${digits.replace(/,/g, '')}${decimals || ''}`) * (scale ? SCALES[scale.toLowerCase()] : 1)
+    if (largest === null || amount > largest) largest = amount
+  }
+
+  return largest
+}
+
+export function gradeFinding(finding: Pick<AnalysisFinding, 'evidence'>, thresholds: MaterialityThresholds): FindingMateriality {
+  const amount = findingAmount(finding)
+  if (amount === null) return { amount, level: null }
+
+  const level: MaterialityLevel =
+    amount >= thresholds.overall ? 'material'
+      : amount >= thresholds.performance ? 'above_performance'
+        : amount > thresholds.clearlyTrivial ? 'above_trivial'
+          : 'clearly_trivial'
+
+  return { amount, level }
+}
+
+// Findings with their materiality grade; unchanged when the project has no
+// assessment yet
+export function gradeFindings<T extends Pick<AnalysisFinding, 'evidence'>>(
+  findings: T[],
+  thresholds: MaterialityThresholds | null
+): (T & { materiality?: FindingMateriality })[] {
+  if (!thresholds) return findings
+  return findings.map(finding => ({ ...finding, materiality: gradeFinding(finding, thresholds) }))
+}
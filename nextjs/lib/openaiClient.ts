@@ -1,18 +1,270 @@
-import { OpenAI } from 'openai'
+import { AzureOpenAI, OpenAI } from 'openai'
+import { createAdminClient } from '@/utils/supabase/admin'
+import { getEnvConfig, type LLMFeature, type LLMProviderName } from '@/lib/env'
 
-if (!process.env.AZURE_OPENAI_API_KEY) {
-  throw new Error('AZURE_OPENAI_API_KEY is required')
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant'
+  content: string
 }
 
-if (!process.env.AZURE_OPENAI_ENDPOINT) {
-  throw new Error('AZURE_OPENAI_ENDPOINT is required')
+export interface ChatOptions {
+  messages: ChatMessage[]
+  maxTokens?: number
+  temperature?: number
+  // Ask for a single JSON object (response_format json_object)
+  jsonMode?: boolean
+  signal?: AbortSignal
 }
 
-export const openai = new OpenAI({
-  apiKey: process.env.AZURE_OPENAI_API_KEY,
-  baseURL: `${process.env.AZURE_OPENAI_ENDPOINT}/openai/deployments/${process.env.AZURE_OPENAI_DEPLOYMENT_NAME}`,
-  defaultQuery: { 'api-version': '2024-02-15-preview' },
-  defaultHeaders: {
-    'api-key': process.env.AZURE_OPENAI_API_KEY,
-  },
-})
\ No newline at end of file
+export interface ChatResult {
+  content: string
+  finishReason: string | null
+  usage: { promptTokens: number; completionTokens: number } | null
+}
+
+export interface LLMProvider {
+  readonly name: LLMProviderName
+  // Model or Azure deployment name requests are sent to
+  readonly model: string
+  chat(options: ChatOptions): Promise<ChatResult>
+  // Yields content deltas as they arrive
+  streamChat(options: ChatOptions): AsyncIterable<string>
+  embed(input: string[]): Promise<number[][]>
+}
+
+interface ProviderConfig {
+  provider: LLMProviderName
+  model: string
+  apiKey?: string
+  endpoint?: string
+  apiVersion?: string
+}
+
+// Azure caps embedding requests at 16 inputs
+const EMBEDDING_BATCH_SIZE = 16
+
+// Shared by the Azure and OpenAI-compatible adapters; they only differ in how
+// the client is constructed
+class OpenAIProvider implements LLMProvider {
+  constructor(readonly name: LLMProviderName, readonly model: string, private client: OpenAI) {}
+
+  async chat(options: ChatOptions): Promise<ChatResult> {
+    const completion = await this.client.chat.completions.create(this.buildRequest(options), {
+      signal: options.signal,
+    })
+
+    const choice = completion.choices[0]
+    return {
+      content: choice?.message?.content || '',
+      finishReason: choice?.finish_reason || null,
+      usage: completion.usage
+        ? { promptTokens: completion.usage.prompt_tokens, completionTokens: completion.usage.completion_tokens }
+        : null,
+    }
+  }
+
+  async *streamChat(options: ChatOptions): AsyncIterable<string> {
+    const stream = await this.client.chat.completions.create(
+      { ...this.buildRequest(options), stream: true },
+      { signal: options.signal }
+    )
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content
+      if (delta) yield delta
+    }
+  }
+
+  async embed(input: string[]): Promise<number[][]> {
+    const embeddings: number[][] = []
+
+    for (let i = 0; i < input.length; i += EMBEDDING_BATCH_SIZE) {
+      const response = await this.client.embeddings.create({
+        model: this.model,
+        input: input.slice(i, i + EMBEDDING_BATCH_SIZE),
+      })
+      const batch = [...response.data].sort((a, b) => a.index - b.index)
+      embeddings.push(...batch.map(item => item.embedding))
+    }
+
+    return embeddings
+  }
+
+  private buildRequest(options: ChatOptions) {
+    return {
+      model: this.model,
+      messages: options.messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      ...(options.jsonMode ? { response_format: { type: 'json_object' as const } } : {}),
+    }
+  }
+}
+
+export function createAzureOpenAIProvider(config: ProviderConfig): LLMProvider {
+  if (!config.apiKey || !config.endpoint) {
+    throw new Error('Azure OpenAI is not configured (AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT)')
+  }
+
+  const client = new AzureOpenAI({
+    apiKey: config.apiKey,
+    endpoint: config.endpoint,
+    apiVersion: config.apiVersion,
+    deployment: config.model,
+  })
+  return new OpenAIProvider('azure_openai', config.model, client)
+}
+
+export function createOpenAICompatibleProvider(config: ProviderConfig): LLMProvider {
+  // Local servers (Ollama, vLLM, LM Studio) usually accept any key
+  const client = new OpenAI({
+    apiKey: config.apiKey || 'not-needed',
+    baseURL: config.endpoint || undefined,
+  })
+  return new OpenAIProvider('openai', config.model, client)
+}
+
+// JSON returned by the mock provider in JSON mode, per feature. Shaped to pass
+// the validation applied to that feature's real responses.
+const MOCK_JSON_RESPONSES: Partial<Record<LLMFeature, unknown>> = {
+  analysis: { summary: 'Mock analysis: no model was called.', findings: [], highlights: [] },
+}
+
+const MOCK_EMBEDDING_DIMENSIONS = 1536
+
+function hashString(value: string) {
+  let hash = 2166136261
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i)
+    hash = Math.imul(hash, 16777619)
+  }
+  return hash >>> 0
+}
+
+// Deterministic provider for tests and offline development. The same input
+// always produces the same output and nothing leaves the process.
+export class MockLLMProvider implements LLMProvider {
+  readonly name = 'mock' as const
+  readonly model = 'mock'
+
+  constructor(private feature: LLMFeature) {}
+
+  async chat(options: ChatOptions): Promise<ChatResult> {
+    return { content: this.respond(options), finishReason: 'stop', usage: null }
+  }
+
+  async *streamChat(options: ChatOptions): AsyncIterable<string> {
+    for (const token of this.respond(options).split(/(?<=\s)/)) {
+      if (options.signal?.aborted) return
+      yield token
+    }
+  }
+
+  // Hashed bag-of-words vectors: texts sharing words get similar embeddings,
+  // which is enough to exercise retrieval
+  async embed(input: string[]): Promise<number[][]> {
+    return input.map(text => {
+      const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0)
+      for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+        vector[hashString(word) % MOCK_EMBEDDING_DIMENSIONS] += 1
+      }
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1
+      return vector.map(value => value / norm)
+    })
+  }
+
+  private respond(options: ChatOptions) {
+    if (options.jsonMode) {
+      return JSON.stringify(MOCK_JSON_RESPONSES[this.feature] ?? {})
+    }
+
+    const question = [...options.messages].reverse().find(message => message.role === 'user')?.content || ''
+    return `Mock response (${hashString(question).toString(16)}): ${question.slice(0, 200)}`
+  }
+}
+
+function createProvider(feature: LLMFeature, config: ProviderConfig): LLMProvider {
+  switch (config.provider) {
+    case 'azure_openai':
+      return createAzureOpenAIProvider(config)
+    case 'openai':
+      return createOpenAICompatibleProvider(config)
+    case 'mock':
+      return new MockLLMProvider(feature)
+    default:
+      throw new Error(`Unknown LLM provider: ${config.provider}`)
+  }
+}
+
+function getEnvProviderConfig(feature: LLMFeature): ProviderConfig {
+  const { llm, azure } = getEnvConfig()
+  const { provider, model } = llm.features[feature]
+
+  if (provider === 'openai') {
+    return { provider, model: model || '', apiKey: llm.openai.apiKey, endpoint: llm.openai.baseUrl }
+  }
+
+  return {
+    provider,
+    model: model || '',
+    apiKey: azure.openai.apiKey,
+    endpoint: azure.openai.endpoint,
+    apiVersion: azure.openai.apiVersion,
+  }
+}
+
+const LLM_INTEGRATION_TYPES: LLMProviderName[] = ['azure_openai', 'openai', 'mock']
+
+// An enabled api_integrations row of an LLM type overrides the environment.
+// config.features limits which features it serves (all when omitted) and
+// config.models / config.model pick the model per feature, e.g.
+//   { "features": ["chat"], "models": { "chat": "gpt-4o" }, "apiVersion": "2024-06-01" }
+async function getIntegrationProviderConfig(feature: LLMFeature): Promise<ProviderConfig | null> {
+  const { data, error } = await createAdminClient()
+    .from('api_integrations')
+    .select('type, endpoint, api_key, config')
+    .eq('enabled', true)
+    .in('type', LLM_INTEGRATION_TYPES)
+
+  if (error) throw error
+
+  const integrations = data || []
+  const integration =
+    integrations.find(row => row.config?.features?.includes(feature)) ||
+    integrations.find(row => !row.config?.features)
+
+  if (!integration) return null
+
+  const envConfig = getEnvProviderConfig(feature)
+  const provider = integration.type as LLMProviderName
+  return {
+    provider,
+    model: integration.config?.models?.[feature] || integration.config?.model || envConfig.model,
+    apiKey: integration.api_key,
+    endpoint: integration.endpoint,
+    apiVersion: integration.config?.apiVersion || envConfig.apiVersion,
+  }
+}
+
+// Integrations are looked up at most once per TTL per feature
+const PROVIDER_CACHE_TTL_MS = 5 * 60 * 1000
+const globalForLLM = globalThis as unknown as {
+  llmProviders?: Map<LLMFeature, { provider: LLMProvider; expiresAt: number }>
+}
+
+export async function getLLMProvider(feature: LLMFeature): Promise<LLMProvider> {
+  const cache = (globalForLLM.llmProviders ??= new Map())
+  const cached = cache.get(feature)
+  if (cached && cached.expiresAt > Date.now()) return cached.provider
+
+  let config: ProviderConfig | null = null
+  try {
+    config = await getIntegrationProviderConfig(feature)
+  } catch (error) {
+    console.warn('Could not load LLM integrations, using environment configuration:', error)
+  }
+
+  const provider = createProvider(feature, config || getEnvProviderConfig(feature))
+  cache.set(feature, { provider, expiresAt: Date.now() + PROVIDER_CACHE_TTL_MS })
+  return provider
+}
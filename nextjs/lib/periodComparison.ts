@@ -0,0 +1,445 @@
+// Comparison of an engagement with the client's engagement for the prior
+// period (projects.prior_project_id). Findings are matched into new, recurring
+// and resolved; key statistics and the figures of the latest financial
+// statements of both periods are set side by side. The result is stored in
+// report_data.periodComparison and shown by the period_comparison section.
+//
+// The prior period is taken from its latest final report when it has one, as
+// that is what was reported to the client, and from its analyses otherwise.
+import type { SupabaseClient } from '@supabase/supabase-js'
+import type { ReportData, ReportRedFlag } from '@/lib/reportGenerator'
+import type { StatementLine } from '@/lib/workbookExports'
+
+export type FindingChange = 'new' | 'recurring' | 'resolved'
+
+export interface ComparedFinding {
+  status: FindingChange
+  description: string
+  severity: string | null
+  // Severity in the prior period, for recurring findings
+  priorSeverity: string | null
+  category: string | null
+  documentSource: string
+}
+
+export interface ComparedFigure {
+  label: string
+  current: number | null
+  prior: number | null
+  change: number | null
+  // Null when the prior figure is zero or missing
+  changePercent: number | null
+}
+
+export interface PeriodComparison {
+  priorProject: {
+    id: string
+    name: string
+    startDate: string | null
+    endDate: string | null
+  }
+  basis: 'final_report' | 'analysis'
+  priorReport: { name: string; revision: number } | null
+  statistics: { measure: string; current: number; prior: number; change: number }[]
+  findingCounts: Record<FindingChange, number>
+  findings: ComparedFinding[]
+  financials: {
+    statementType: string
+    currentPeriodEnd: string
+    priorPeriodEnd: string
+    lines: ComparedFigure[]
+  }[]
+}
+
+export interface ComparisonStatement {
+  statement_type: string
+  period_end: string
+  data: { lines?: StatementLine[] } | null
+}
+
+// What is loaded about the prior engagement before generation
+export interface PriorPeriodSources {
+  project: { id: string; name: string; start_date: string | null; end_date: string | null }
+  report: { report_name: string; revision: number | null; report_data: ReportData } | null
+  // Same shape as ReportSources.documents; used when there is no final report
+  documents: any[]
+  statements: ComparisonStatement[]
+}
+
+// The figures of the prior period, from its final report or its analyses
+export interface PriorPeriodFigures {
+  redFlags: ReportRedFlag[]
+  statistics: ReportData['statistics']
+}
+
+interface ClientDetails {
+  client_name: string | null
+  client_email: string | null
+}
+
+const COMPARED_STATISTICS = ['documentsAnalyzed', 'redFlagsIdentified', 'highlightsFound', 'confidenceScore'] as const
+// Findings whose titles share at least this share of words are the same issue
+const MATCH_THRESHOLD = 0.6
+// Prior-period links are followed at most this far when checking for cycles
+const MAX_CHAIN_LENGTH = 50
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low']
+const CHANGE_ORDER: FindingChange[] = ['new', 'recurring', 'resolved']
+
+const normalize = (text: string | null | undefined) =>
+  (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+
+// Engagements belong to the same client when their client names or client
+// emails match, ignoring case and punctuation
+export function isSameClient(a: ClientDetails, b: ClientDetails) {
+  const name = normalize(a.client_name)
+  const email = a.client_email?.trim().toLowerCase()
+
+  return (!!name && name === normalize(b.client_name)) ||
+    (!!email && email === b.client_email?.trim().toLowerCase())
+}
+
+// Projects of the same client the user can see, most recent first
+export async function findPriorPeriodCandidates(
+  supabase: SupabaseClient,
+  project: ClientDetails & { id: string }
+) {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, name, client_name, client_email, status, start_date, end_date, created_at')
+    .neq('id', project.id)
+    .order('end_date', { ascending: false, nullsFirst: false })
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+  return (data || []).filter(candidate => isSameClient(project, candidate))
+}
+
+// Checks that priorProjectId can be linked as the prior period of project;
+// returns the problem, or null
+export async function priorPeriodLinkError(
+  supabase: SupabaseClient,
+  project: ClientDetails & { id: string },
+  priorProjectId: string
+) {
+  if (priorProjectId === project.id) {
+    return 'A project cannot be its own prior period'
+  }
+
+  const { data: prior } = await supabase
+    .from('projects')
+    .select('id, client_name, client_email, prior_project_id')
+    .eq('id', priorProjectId)
+    .maybeSingle()
+
+  if (!prior) return 'Prior-period project not found'
+  if (!isSameClient(project, prior)) {
+    return 'The prior-period project must be for the same client'
+  }
+
+  // Walk back through the prior periods so the chain never loops
+  let next: string | null = prior.prior_project_id
+  for (let steps = 0; next && steps < MAX_CHAIN_LENGTH; steps++) {
+    if (next === project.id) return 'This link would make the project a prior period of itself'
+    const { data: earlier } = await supabase
+      .from('projects')
+      .select('prior_project_id')
+      .eq('id', next)
+      .maybeSingle()
+    next = earlier?.prior_project_id || null
+  }
+
+  return null
+}
+
+export async function loadFinancialStatements(supabase: SupabaseClient, projectId: string) {
+  const { data, error } = await supabase
+    .from('financial_statements')
+    .select('statement_type, period_end, data')
+    .eq('project_id', projectId)
+    .order('period_end', { ascending: false })
+
+  if (error) throw error
+  return (data || []) as ComparisonStatement[]
+}
+
+export async function loadPriorPeriodSources(
+  supabase: SupabaseClient,
+  priorProjectId: string,
+  loadDocuments: (projectId: string) => Promise<any[]>
+): Promise<PriorPeriodSources | null> {
+  const { data: project } = await supabase
+    .from('projects')
+    .select('id, name, start_date, end_date')
+    .eq('id', priorProjectId)
+    .maybeSingle()
+
+  // The link outlives access to the prior project; compare nothing then
+  if (!project) return null
+
+  const { data: report, error } = await supabase
+    .from('audit_reports')
+    .select('report_name, revision, report_data')
+    .eq('project_id', priorProjectId)
+    .eq('status', 'final')
+    .order('signed_off_at', { ascending: false, nullsFirst: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (error) throw error
+
+  return {
+    project,
+    report: report || null,
+    documents: report ? [] : await loadDocuments(priorProjectId),
+    statements: await loadFinancialStatements(supabase, priorProjectId),
+  }
+}
+
+const STOP_WORDS = new Set(['and', 'are', 'for', 'from', 'not', 'the', 'was', 'were', 'with', 'without'])
+
+// Significant words of a finding's title, with plurals folded so "invoice"
+// and "invoices" match
+const wordsOf = (flag: ReportRedFlag) =>
+  new Set(
+    normalize(flag.title || flag.description)
+      .split(' ')
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+      .map(word => word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)
+  )
+
+function similarity(a: Set<string>, b: Set<string>) {
+  if (a.size === 0 || b.size === 0) return 0
+  let shared = 0
+  a.forEach(word => b.has(word) && shared++)
+  return shared / (a.size + b.size - shared)
+}
+
+// Pairs each current finding with the most similar unmatched prior finding.
+// Categories must agree when both findings have one.
+export function matchFindings(current: ReportRedFlag[], prior: ReportRedFlag[]): ComparedFinding[] {
+  const priorWords = prior.map(wordsOf)
+  const matched = new Set<number>()
+  const compared: ComparedFinding[] = []
+
+  for (const flag of current) {
+    const key = normalize(flag.title || flag.description)
+    const words = wordsOf(flag)
+    let best = -1
+    let bestScore = 0
+
+    prior.forEach((priorFlag, index) => {
+      if (matched.has(index)) return
+      if (flag.category && priorFlag.category && flag.category !== priorFlag.category) return
+
+      const score = normalize(priorFlag.title || priorFlag.description) === key
+        ? 1
+        : similarity(words, priorWords[index])
+      if (score >= MATCH_THRESHOLD && score > bestScore) {
+        best = index
+        bestScore = score
+      }
+    })
+
+    if (best >= 0) matched.add(best)
+    compared.push({
+      status: best >= 0 ? 'recurring' : 'new',
+      description: flag.description,
+      severity: flag.severity,
+      priorSeverity: best >= 0 ? prior[best].severity : null,
+      category: flag.category,
+      documentSource: flag.documentSource,
+    })
+  }
+
+  prior.forEach((flag, index) => {
+    if (matched.has(index)) return
+    compared.push({
+      status: 'resolved',
+      description: flag.description,
+      severity: flag.severity,
+      priorSeverity: null,
+      category: flag.category,
+      documentSource: flag.documentSource,
+    })
+  })
+
+  const rank = (severity: string | null) => {
+    const index = SEVERITY_ORDER.indexOf(severity || '')
+    return index < 0 ? SEVERITY_ORDER.length : index
+  }
+
+  return compared.sort((a, b) =>
+    CHANGE_ORDER.indexOf(a.status) - CHANGE_ORDER.indexOf(b.status) || rank(a.severity) - rank(b.severity)
+  )
+}
+
+const lineKey = (line: StatementLine) => line.key || `label:${normalize(line.label)}`
+
+const round = (value: number, decimals: number) => {
+  const factor = 10 ** decimals
+  return Math.round(value * factor) / factor
+}
+
+function compareLines(current: StatementLine[], prior: StatementLine[]): ComparedFigure[] {
+  const figures = (lines: StatementLine[]) => lines.filter(line => line.type !== 'heading')
+  const priorByKey = new Map(figures(prior).map(line => [lineKey(line), line]))
+  const currentKeys = new Set(figures(current).map(lineKey))
+
+  const compare = (label: string, currentAmount?: number | null, priorAmount?: number | null): ComparedFigure => {
+    const a = currentAmount ?? null
+    const b = priorAmount ?? null
+    const change = a !== null && b !== null ? round(a - b, 2) : null
+    return {
+      label,
+      current: a,
+      prior: b,
+      change,
+      changePercent: change !== null && b ? round((change / Math.abs(b)) * 100, 1) : null,
+    }
+  }
+
+  return [
+    ...figures(current).map(line => compare(line.label, line.amount, priorByKey.get(lineKey(line))?.amount)),
+    // Lines that no longer appear in this period
+    ...figures(prior)
+      .filter(line => !currentKeys.has(lineKey(line)))
+      .map(line => compare(line.label, null, line.amount)),
+  ]
+}
+
+// Latest statement of each type in this period against the latest statement
+// of the same type in the prior period that ends before it
+function compareStatements(current: ComparisonStatement[], prior: ComparisonStatement[]) {
+  const latest = (statements: ComparisonStatement[], type: string, before?: string) =>
+    statements
+      .filter(statement => statement.statement_type === type && (!before || statement.period_end < before))
+      .sort((a, b) => b.period_end.localeCompare(a.period_end))[0]
+
+  const types = [...new Set(current.map(statement => statement.statement_type))]
+
+  return types.flatMap(type => {
+    const currentStatement = latest(current, type)
+    const priorStatement = latest(prior, type, currentStatement.period_end)
+    if (!priorStatement) return []
+
+    return [{
+      statementType: type,
+      currentPeriodEnd: currentStatement.period_end,
+      priorPeriodEnd: priorStatement.period_end,
+      lines: compareLines(currentStatement.data?.lines || [], priorStatement.data?.lines || []),
+    }]
+  })
+}
+
+export function comparePeriods(
+  current: Pick<ReportData, 'redFlags' | 'statistics'>,
+  currentStatements: ComparisonStatement[],
+  sources: PriorPeriodSources,
+  prior: PriorPeriodFigures
+): PeriodComparison {
+  const findings = matchFindings(current.redFlags, prior.redFlags)
+
+  return {
+    priorProject: {
+      id: sources.project.id,
+      name: sources.project.name,
+      startDate: sources.project.start_date,
+      endDate: sources.project.end_date,
+    },
+    basis: sources.report ? 'final_report' : 'analysis',
+    priorReport: sources.report
+      ? { name: sources.report.report_name, revision: sources.report.revision || 1 }
+      : null,
+    statistics: COMPARED_STATISTICS.map(measure => {
+      const currentValue = current.statistics[measure] ?? 0
+      const priorValue = prior.statistics?.[measure] ?? 0
+      return { measure, current: currentValue, prior: priorValue, change: currentValue - priorValue }
+    }),
+    findingCounts: {
+      new: findings.filter(finding => finding.status === 'new').length,
+      recurring: findings.filter(finding => finding.status === 'recurring').length,
+      resolved: findings.filter(finding => finding.status === 'resolved').length,
+    },
+    findings,
+    financials: compareStatements(currentStatements, sources.statements),
+  }
+}
+
+export interface ComparisonTable {
+  title: string
+  // Widths are fractions of the table width
+  columns: { header: string; width: number }[]
+  rows: string[][]
+  // Column holding a severity, for renderers that colour it
+  colorColumn?: number
+}
+
+const humanize = (key: string) => {
+  const text = key.replace(/([A-Z])/g, ' $1').replace(/_/g, ' ').trim()
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase()
+}
+
+const formatAmount = (value: number | null) =>
+  value === null ? '-' : value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })
+
+const formatChange = (value: number | null, suffix = '') =>
+  value === null ? '-' : `${value > 0 ? '+' : ''}${formatAmount(value)}${suffix}`
+
+// The comparison as plain tables, shared by the PDF, Word and web renderers
+export function periodComparisonTables(comparison: PeriodComparison): ComparisonTable[] {
+  const tables: ComparisonTable[] = [
+    {
+      title: 'Key statistics',
+      columns: [
+        { header: 'Measure', width: 0.46 },
+        { header: 'Prior period', width: 0.18 },
+        { header: 'This period', width: 0.18 },
+        { header: 'Change', width: 0.18 },
+      ],
+      rows: comparison.statistics.map(({ measure, current, prior, change }) => {
+        const suffix = measure === 'confidenceScore' ? '%' : ''
+        return [humanize(measure), `${prior}${suffix}`, `${current}${suffix}`, formatChange(change, suffix)]
+      }),
+    },
+    {
+      title: `Findings: ${comparison.findingCounts.new} new, ${comparison.findingCounts.recurring} recurring, ` +
+        `${comparison.findingCounts.resolved} resolved`,
+      columns: [
+        { header: 'Status', width: 0.14 },
+        { header: 'Issue', width: 0.5 },
+        { header: 'Severity', width: 0.13 },
+        { header: 'Prior severity', width: 0.23 },
+      ],
+      rows: comparison.findings.map(finding => [
+        humanize(finding.status),
+        finding.description,
+        finding.severity || '-',
+        finding.status === 'recurring' ? finding.priorSeverity || '-' : '',
+      ]),
+      colorColumn: 2,
+    },
+  ]
+
+  for (const statement of comparison.financials) {
+    tables.push({
+      title: `${humanize(statement.statementType)}: ${statement.currentPeriodEnd} against ${statement.priorPeriodEnd}`,
+      columns: [
+        { header: 'Line', width: 0.4 },
+        { header: 'Prior period', width: 0.16 },
+        { header: 'This period', width: 0.16 },
+        { header: 'Change', width: 0.16 },
+        { header: '%', width: 0.12 },
+      ],
+      rows: statement.lines.map(line => [
+        line.label,
+        formatAmount(line.prior),
+        formatAmount(line.current),
+        formatChange(line.change),
+        formatChange(line.changePercent, '%'),
+      ]),
+    })
+  }
+
+  return tables.filter(table => table.rows.length > 0)
+}
@@ -108,4 +108,10 @@ export const projectRateLimiter = new RateLimiter({
   windowMs: 5 * 60 * 1000, // 5 minutes
   maxRequests: 20,
   message: 'Too many project operations, please try again later.'
-})
\ No newline at end of file
+})
+// Public report share links; also limits password guessing
+export const shareRateLimiter = new RateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  maxRequests: 30,
+  message: 'Too many attempts to open this link, please try again later.'
+})
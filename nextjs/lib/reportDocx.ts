@@ -0,0 +1,245 @@
+// Renders an audit report's report_data as an editable Word document with the
+// same content as the PDF (lib/reportPdf.ts): report details, the sections in
+// template order, findings, recommendations and the prior-period comparison
+// as tables and charts as count tables. Generated on request; unlike PDFs, DOCX files are not stored.
+import {
+  AlignmentType,
+  Document,
+  Footer,
+  HeadingLevel,
+  Packer,
+  PageNumber,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} from 'docx'
+import { reportSections } from '@/lib/reportGenerator'
+import { periodComparisonTables } from '@/lib/periodComparison'
+import type { ReportPdfInput } from '@/lib/reportPdf'
+import type { SectionType } from '@/lib/reportTemplates'
+
+export type ReportDocxInput = ReportPdfInput
+
+const BRAND_NAME = 'Esus Audit AI'
+const COLORS = {
+  primary: '2563EB',
+  muted: '6B7280',
+  stripe: 'F9FAFB',
+}
+
+const SEVERITY_COLORS: Record<string, string> = {
+  critical: 'DC2626',
+  high: 'DC2626',
+  medium: 'D97706',
+  low: '16A34A',
+}
+
+interface TableColumn {
+  header: string
+  // Percentage of the page width
+  width: number
+}
+
+function humanize(key: string) {
+  const text = key.replace(/([A-Z])/g, ' $1').replace(/_/g, ' ').trim()
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase()
+}
+
+function formatDate(value: string) {
+  return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+}
+
+// Blank lines separate paragraphs, single newlines are kept as line breaks
+function paragraphs(text: string) {
+  return text.split(/\n{2,}/).map(block => new Paragraph({
+    spacing: { after: 160 },
+    children: block.split('\n').map((line, index) => new TextRun({ text: line, break: index > 0 ? 1 : 0 })),
+  }))
+}
+
+function table(columns: TableColumn[], rows: string[][], options: { colorColumn?: number } = {}) {
+  const header = new TableRow({
+    tableHeader: true,
+    children: columns.map(column => new TableCell({
+      width: { size: column.width, type: WidthType.PERCENTAGE },
+      shading: { type: ShadingType.CLEAR, color: 'auto', fill: COLORS.primary },
+      children: [new Paragraph({ children: [new TextRun({ text: column.header, bold: true, color: 'FFFFFF' })] })],
+    })),
+  })
+
+  const body = rows.map((row, rowIndex) => new TableRow({
+    children: row.map((cell, index) => {
+      const color = index === options.colorColumn ? SEVERITY_COLORS[cell] : undefined
+      return new TableCell({
+        width: { size: columns[index].width, type: WidthType.PERCENTAGE },
+        shading: rowIndex % 2 === 1 ? { type: ShadingType.CLEAR, color: 'auto', fill: COLORS.stripe } : undefined,
+        children: [new Paragraph({ children: [new TextRun({ text: cell, color, bold: !!color })] })],
+      })
+    }),
+  }))
+
+  return [
+    new Table({ width: { size: 100, type: WidthType.PERCENTAGE }, rows: [header, ...body] }),
+    new Paragraph({ spacing: { after: 160 }, children: [] }),
+  ]
+}
+
+function details(input: ReportDocxInput) {
+  const rows = [
+    ['Project', input.project.name],
+    ['Client', input.project.client_name],
+    ['Audit type', input.project.audit_type && humanize(input.project.audit_type)],
+    ['Generated', formatDate(input.createdAt)],
+    ['Revision', input.revision && input.revision > 1 ? String(input.revision) : null],
+    ['Status', humanize(input.status)],
+    ['Signed off', input.signOff && [input.signOff.signedBy, formatDate(input.signOff.signedAt)].filter(Boolean).join(', ')],
+    ['Content hash (SHA-256)', input.signOff?.contentHash],
+  ].filter((detail): detail is [string, string] => !!detail[1])
+
+  return rows.map(([label, value]) => new Paragraph({
+    children: [
+      new TextRun({ text: `${label}: `, bold: true, color: COLORS.muted }),
+      new TextRun({ text: value }),
+    ],
+  }))
+}
+
+// The report data shown after a section's text
+function sectionData(input: ReportDocxInput, type: SectionType) {
+  const { data } = input
+
+  switch (type) {
+    case 'statistics':
+      return table(
+        [{ header: 'Measure', width: 70 }, { header: 'Value', width: 30 }],
+        Object.entries(data.statistics || {}).map(([key, value]) => [
+          humanize(key),
+          key === 'confidenceScore' ? `${value}%` : String(value),
+        ])
+      )
+
+    case 'documents':
+      return table(
+        [{ header: 'Documents', width: 70 }, { header: 'Count', width: 30 }],
+        [
+          ['Total', String(data.documentsSummary?.totalDocuments ?? 0)],
+          ['Analyzed', String(data.documentsSummary?.analyzedDocuments ?? 0)],
+          ['With issues', String(data.documentsSummary?.flaggedDocuments ?? 0)],
+        ]
+      )
+
+    case 'findings':
+      return data.redFlags?.length
+        ? table(
+          [
+            { header: '#', width: 6 },
+            { header: 'Issue', width: 56 },
+            { header: 'Severity', width: 13 },
+            { header: 'Document', width: 25 },
+          ],
+          data.redFlags.map((flag, index) => [
+            String(index + 1),
+            flag.description,
+            flag.severity || '-',
+            flag.documentSource,
+          ]),
+          { colorColumn: 2 }
+        )
+        : paragraphs('No red flags were identified in the analyzed documents.')
+
+    case 'recommendations':
+      return data.recommendations?.length
+        ? table(
+          [
+            { header: '#', width: 6 },
+            { header: 'Recommendation', width: 79 },
+            { header: 'Priority', width: 15 },
+          ],
+          data.recommendations.map((recommendation, index) => [
+            String(index + 1),
+            recommendation.description,
+            recommendation.priority,
+          ]),
+          { colorColumn: 2 }
+        )
+        : paragraphs('No recommendations were derived from the findings.')
+
+    case 'charts':
+      if (!data.charts) return []
+      return [
+        ['Red flags by severity', data.charts.redFlagsBySeverity],
+        ['Red flags by category', data.charts.redFlagsByCategory],
+      ].flatMap(([title, values]) => [
+        new Paragraph({ heading: HeadingLevel.HEADING_3, children: [new TextRun(title as string)] }),
+        ...table(
+          [{ header: 'Group', width: 70 }, { header: 'Red flags', width: 30 }],
+          Object.entries((values as Record<string, number>) || {})
+            .sort((a, b) => b[1] - a[1])
+            .map(([key, value]) => [humanize(key), String(value)])
+        ),
+      ])
+
+    case 'period_comparison':
+      if (!data.periodComparison) return []
+      return periodComparisonTables(data.periodComparison).flatMap(comparison => [
+        new Paragraph({ heading: HeadingLevel.HEADING_3, children: [new TextRun(comparison.title)] }),
+        ...table(
+          comparison.columns.map(column => ({ header: column.header, width: Math.round(column.width * 100) })),
+          comparison.rows,
+          { colorColumn: comparison.colorColumn }
+        ),
+      ])
+
+    default:
+      return []
+  }
+}
+
+export async function renderReportDocx(input: ReportDocxInput): Promise<Buffer> {
+  const children = [
+    new Paragraph({ children: [new TextRun({ text: BRAND_NAME, bold: true, color: COLORS.primary })] }),
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(input.reportName)] }),
+    ...details(input),
+    ...reportSections(input.data).flatMap((section, index) => [
+      new Paragraph({
+        heading: HeadingLevel.HEADING_1,
+        pageBreakBefore: index === 0,
+        spacing: { before: 360, after: 120 },
+        children: [new TextRun(`${index + 1}. ${section.title}`)],
+      }),
+      ...(section.content
+        ? paragraphs(section.content)
+        : section.type === 'executive_summary'
+          ? paragraphs('No executive summary was generated for this report.')
+          : []),
+      ...sectionData(input, section.type),
+    ]),
+  ]
+
+  const doc = new Document({
+    creator: BRAND_NAME,
+    title: input.reportName,
+    styles: { default: { document: { run: { font: 'Calibri', size: 21 } } } },
+    sections: [{
+      footers: {
+        default: new Footer({
+          children: [new Paragraph({
+            alignment: AlignmentType.RIGHT,
+            children: [new TextRun({
+              color: COLORS.muted,
+              size: 16,
+              children: [`${BRAND_NAME} | Page `, PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES],
+            })],
+          })],
+        }),
+      },
+      children,
+    }],
+  })
+
+  return Packer.toBuffer(doc)
+}
@@ -0,0 +1,521 @@
+// Builds the report_data stored on audit_reports and rendered by the client's
+// ReportViewer: executiveSummary, statistics, redFlags, recommendations and
+// documentsSummary, plus the report's sections in the order of its template
+// (lib/reportTemplates.ts). Everything except the executive summary is derived
+// directly from the latest analysis of each document; the summary is written
+// by the analysis model from those results and the project's chat. Projects
+// linked to a prior-period engagement also get periodComparison
+// (lib/periodComparison.ts), and red flags are graded against the project's
+// materiality when it has been assessed (lib/materiality.ts).
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { getLLMProvider } from '@/lib/openaiClient'
+import {
+  gradeFinding,
+  loadMateriality,
+  materialityThresholds,
+  type FindingMateriality,
+  type MaterialityThresholds
+} from '@/lib/materiality'
+import { FINDING_SEVERITIES, type AnalysisFinding, type FindingSeverity } from '@/lib/analysisFindings'
+import {
+  comparePeriods,
+  loadFinancialStatements,
+  loadPriorPeriodSources,
+  type ComparisonStatement,
+  type PeriodComparison,
+  type PriorPeriodFigures,
+  type PriorPeriodSources
+} from '@/lib/periodComparison'
+import {
+  PERIOD_COMPARISON_SECTION,
+  fillBoilerplate,
+  type DataSource,
+  type ReportTemplate,
+  type SectionType
+} from '@/lib/reportTemplates'
+
+export type RecommendationPriority = 'high' | 'medium' | 'low'
+
+export interface ReportProject {
+  id: string
+  name: string
+  description: string | null
+  client_name: string | null
+  audit_type: string | null
+}
+
+export interface ReportRedFlag {
+  // The finding's title, used to match findings across periods; absent in
+  // reports generated before period comparison
+  title?: string
+  description: string
+  // Null for analyses made before findings were structured
+  severity: FindingSeverity | null
+  category: string | null
+  // Absent without a materiality assessment or for plain red flag strings
+  materiality?: FindingMateriality
+  documentId: string
+  documentSource: string
+}
+
+export interface ReportRecommendation {
+  description: string
+  priority: RecommendationPriority
+}
+
+// One section of the generated report. content is the section's text
+// (boilerplate, or the executive summary) and may be edited while the report
+// is a draft; data-bound sections render their data after it.
+export interface ReportSection {
+  key: string
+  title: string
+  type: SectionType
+  content: string
+  edited?: boolean
+}
+
+export interface ReportData {
+  template: { auditType: string; name: string }
+  sections: ReportSection[]
+  executiveSummary: string
+  statistics: {
+    documentsAnalyzed: number
+    redFlagsIdentified: number
+    highlightsFound: number
+    confidenceScore: number
+    chatQuestions: number
+  }
+  redFlags: ReportRedFlag[]
+  recommendations: ReportRecommendation[]
+  documentsSummary: {
+    totalDocuments: number
+    analyzedDocuments: number
+    flaggedDocuments: number
+  }
+  charts?: {
+    redFlagsBySeverity: Record<string, number>
+    redFlagsByCategory: Record<string, number>
+  }
+  periodComparison?: PeriodComparison
+  materiality?: MaterialityThresholds
+  generatedAt: string
+}
+
+export interface ReportOptions {
+  includeCharts?: boolean
+}
+
+export interface ReportSources {
+  documents: any[]
+  chatTurns: { question: string; answer: string }[]
+  materiality?: MaterialityThresholds | null
+  // Only loaded for projects with a prior-period engagement
+  financialStatements?: ComparisonStatement[]
+  priorPeriod?: PriorPeriodSources | null
+}
+
+interface AnalyzedDocument {
+  id: string
+  name: string
+  summary: string | null
+  redFlags: ReportRedFlag[]
+  findings: AnalysisFinding[]
+  highlights: string[]
+  confidence: number | null
+}
+
+const MAX_RECOMMENDATIONS = 15
+// Chat turns considered for the executive summary, newest first
+const CHAT_INSIGHT_LIMIT = 10
+const CHAT_ANSWER_MAX_LENGTH = 600
+
+const PRIORITY_ORDER: RecommendationPriority[] = ['high', 'medium', 'low']
+
+const PRIORITY_BY_SEVERITY: Record<FindingSeverity, RecommendationPriority> = {
+  critical: 'high',
+  high: 'high',
+  medium: 'medium',
+  low: 'low',
+}
+
+const severityRank = (severity: FindingSeverity | null) =>
+  severity ? FINDING_SEVERITIES.indexOf(severity) : -1
+
+// Everything a report is built from, loaded before generation so the
+// template's required data sources can be checked first
+export async function loadReportSources(
+  supabase: SupabaseClient,
+  projectId: string,
+  priorProjectId?: string | null
+): Promise<ReportSources> {
+  const documents = await loadAnalyzedDocuments(supabase, projectId)
+
+  const { data: chatTurns } = await supabase
+    .from('chat_history')
+    .select('question, answer')
+    .eq('project_id', projectId)
+    .eq('completion_status', 'completed')
+    .order('created_at', { ascending: false })
+    .limit(CHAT_INSIGHT_LIMIT)
+
+  const materiality = await loadMateriality(supabase, projectId)
+
+  const sources: ReportSources = {
+    documents,
+    chatTurns: chatTurns || [],
+    materiality: materiality && materialityThresholds(materiality),
+  }
+
+  if (priorProjectId) {
+    sources.priorPeriod = await loadPriorPeriodSources(
+      supabase,
+      priorProjectId,
+      id => loadAnalyzedDocuments(supabase, id)
+    )
+    sources.financialStatements = await loadFinancialStatements(supabase, projectId)
+  }
+
+  return sources
+}
+
+async function loadAnalyzedDocuments(supabase: SupabaseClient, projectId: string) {
+  const { data: documents, error } = await supabase
+    .from('documents')
+    .select(`
+      id,
+      original_name,
+      status,
+      analysis_results (
+        version,
+        ai_summary,
+        red_flags,
+        highlights,
+        findings,
+        confidence_score
+      )
+    `)
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+  return documents || []
+}
+
+const isAnalyzed = (doc: any) => doc.status === 'analyzed' && doc.analysis_results?.length > 0
+
+// Data sources the template requires that the project does not have yet
+export function missingDataSources(template: ReportTemplate, sources: ReportSources): DataSource[] {
+  const analyzed = sources.documents.filter(isAnalyzed).map(doc => toAnalyzedDocument(doc))
+  const available: Record<DataSource, boolean> = {
+    analyzed_documents: analyzed.length > 0,
+    findings: analyzed.some(doc => doc.redFlags.length > 0),
+    chat_history: sources.chatTurns.length > 0,
+  }
+
+  return template.requiredDataSources.filter(source => !available[source])
+}
+
+export async function generateReportData(
+  project: ReportProject,
+  template: ReportTemplate,
+  { documents, chatTurns, materiality, financialStatements, priorPeriod }: ReportSources,
+  options: ReportOptions = {}
+): Promise<ReportData> {
+  const analyzed = documents.filter(isAnalyzed).map(doc => toAnalyzedDocument(doc, materiality))
+  const { redFlags, statistics } = analysisFigures(analyzed, chatTurns.length)
+
+  const reportData: ReportData = {
+    template: { auditType: template.auditType, name: template.name },
+    sections: [],
+    executiveSummary: '',
+    statistics,
+    redFlags,
+    recommendations: buildRecommendations(analyzed),
+    documentsSummary: {
+      totalDocuments: documents.length,
+      analyzedDocuments: analyzed.length,
+      flaggedDocuments: analyzed.filter(doc => doc.redFlags.length > 0).length,
+    },
+    generatedAt: new Date().toISOString(),
+  }
+
+  if (materiality) {
+    reportData.materiality = materiality
+  }
+
+  if (options.includeCharts) {
+    reportData.charts = {
+      redFlagsBySeverity: countBy(redFlags, flag => flag.severity || 'unrated'),
+      redFlagsByCategory: countBy(redFlags, flag => flag.category || 'other'),
+    }
+  }
+
+  if (priorPeriod) {
+    reportData.periodComparison = comparePeriods(
+      reportData,
+      financialStatements || [],
+      priorPeriod,
+      priorPeriodFigures(priorPeriod)
+    )
+  }
+
+  try {
+    reportData.executiveSummary = await writeExecutiveSummary(project, template, analyzed, redFlags, chatTurns, reportData.periodComparison, reportData.materiality)
+  } catch (error) {
+    // The report is still useful without the model's prose
+    console.error('Report summary generation failed:', { projectId: project.id, error })
+    reportData.executiveSummary = fallbackSummary(project, reportData)
+  }
+
+  reportData.sections = buildSections(project, template, reportData, options)
+
+  return reportData
+}
+
+function analysisFigures(analyzed: AnalyzedDocument[], chatQuestions: number) {
+  const redFlags = analyzed
+    .flatMap(doc => doc.redFlags)
+    .sort((a, b) => severityRank(b.severity) - severityRank(a.severity))
+
+  const confidences = analyzed.map(doc => doc.confidence).filter((value): value is number => value !== null)
+
+  const statistics: ReportData['statistics'] = {
+    documentsAnalyzed: analyzed.length,
+    redFlagsIdentified: redFlags.length,
+    highlightsFound: analyzed.reduce((total, doc) => total + doc.highlights.length, 0),
+    confidenceScore: confidences.length
+      ? Math.round((confidences.reduce((total, value) => total + value, 0) / confidences.length) * 100)
+      : 0,
+    chatQuestions,
+  }
+
+  return { redFlags, statistics }
+}
+
+// The prior period as reported in its final report, or as analyzed
+function priorPeriodFigures(prior: PriorPeriodSources): PriorPeriodFigures {
+  if (prior.report) {
+    return {
+      redFlags: prior.report.report_data?.redFlags || [],
+      statistics: prior.report.report_data?.statistics,
+    }
+  }
+
+  return analysisFigures(prior.documents.filter(isAnalyzed).map(doc => toAnalyzedDocument(doc)), 0)
+}
+
+function buildSections(
+  project: ReportProject,
+  template: ReportTemplate,
+  report: ReportData,
+  options: ReportOptions
+): ReportSection[] {
+  const values = {
+    projectName: project.name,
+    clientName: project.client_name || project.name,
+    auditType: template.auditType,
+    reportDate: new Date(report.generatedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+    documentCount: report.documentsSummary.analyzedDocuments,
+    priorProjectName: report.periodComparison?.priorProject.name ?? '',
+  }
+
+  // includeCharts decides whether charts appear, wherever the template puts them
+  const sections = template.sections.filter(section =>
+    (section.type !== 'charts' || options.includeCharts) &&
+    (section.type !== 'period_comparison' || report.periodComparison)
+  )
+  if (options.includeCharts && !sections.some(section => section.type === 'charts')) {
+    sections.push({ key: 'charts', title: 'Charts', type: 'charts' })
+  }
+  // Likewise the comparison appears whenever there is a prior period, after
+  // the findings unless the template places it
+  if (report.periodComparison && !sections.some(section => section.type === 'period_comparison')) {
+    const findings = sections.findIndex(section => section.type === 'findings')
+    sections.splice(findings >= 0 ? findings + 1 : sections.length, 0, PERIOD_COMPARISON_SECTION)
+  }
+
+  return sections.map(section => {
+    const boilerplate = section.boilerplate ? fillBoilerplate(section.boilerplate, values) : ''
+    const content = section.type === 'executive_summary'
+      ? [boilerplate, report.executiveSummary].filter(Boolean).join('\n\n')
+      : boilerplate
+
+    return { key: section.key, title: section.title, type: section.type, content }
+  })
+}
+
+// Applies edited section text. The executive summary is also kept in
+// executiveSummary, which older clients read.
+export function applySectionEdits(report: ReportData, edits: { key: string; content: string }[]) {
+  const byKey = new Map(edits.map(edit => [edit.key, edit.content]))
+
+  const sections = report.sections.map(section =>
+    byKey.has(section.key) && byKey.get(section.key) !== section.content
+      ? { ...section, content: byKey.get(section.key)!, edited: true }
+      : section
+  )
+  const summary = sections.find(section => section.type === 'executive_summary')
+
+  return {
+    ...report,
+    sections,
+    executiveSummary: summary ? summary.content : report.executiveSummary,
+  }
+}
+
+// Reports generated before templates have no section list
+export function reportSections(data: ReportData): Pick<ReportSection, 'title' | 'type' | 'content'>[] {
+  if (data.sections?.length) return data.sections
+
+  return [
+    { title: 'Executive Summary', type: 'executive_summary', content: data.executiveSummary },
+    { title: 'Key Statistics', type: 'statistics', content: '' },
+    { title: 'Documents', type: 'documents', content: '' },
+    { title: 'Findings', type: 'findings', content: '' },
+    { title: 'Recommendations', type: 'recommendations', content: '' },
+    ...(data.charts ? [{ title: 'Charts', type: 'charts' as const, content: '' }] : []),
+  ]
+}
+
+function toAnalyzedDocument(doc: any, materiality?: MaterialityThresholds | null): AnalyzedDocument {
+  const latest = [...doc.analysis_results].sort((a: any, b: any) => b.version - a.version)[0]
+  const findings: AnalysisFinding[] = latest.findings || []
+
+  const redFlags: ReportRedFlag[] = findings.length > 0
+    ? findings.map(finding => ({
+      title: finding.title,
+      description: finding.description ? `${finding.title}: ${finding.description}` : finding.title,
+      severity: finding.severity,
+      category: finding.category,
+      ...(materiality ? { materiality: gradeFinding(finding, materiality) } : {}),
+      documentId: doc.id,
+      documentSource: doc.original_name,
+    }))
+    : (latest.red_flags || []).map((title: string) => ({
+      title,
+      description: title,
+      severity: null,
+      category: null,
+      documentId: doc.id,
+      documentSource: doc.original_name,
+    }))
+
+  return {
+    id: doc.id,
+    name: doc.original_name,
+    summary: latest.ai_summary,
+    redFlags,
+    findings,
+    highlights: latest.highlights || [],
+    confidence: latest.confidence_score,
+  }
+}
+
+// One recommendation per distinct procedure, at the priority of the most
+// severe finding that calls for it
+function buildRecommendations(documents: AnalyzedDocument[]): ReportRecommendation[] {
+  const byProcedure = new Map<string, ReportRecommendation>()
+
+  for (const finding of documents.flatMap(doc => doc.findings)) {
+    const description = finding.recommendedProcedure?.trim()
+    if (!description) continue
+
+    const key = description.toLowerCase()
+    const priority = PRIORITY_BY_SEVERITY[finding.severity] || 'medium'
+    const existing = byProcedure.get(key)
+
+    if (!existing || PRIORITY_ORDER.indexOf(priority) < PRIORITY_ORDER.indexOf(existing.priority)) {
+      byProcedure.set(key, { description, priority })
+    }
+  }
+
+  return Array.from(byProcedure.values())
+    .sort((a, b) => PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority))
+    .slice(0, MAX_RECOMMENDATIONS)
+}
+
+async function writeExecutiveSummary(
+  project: ReportProject,
+  template: ReportTemplate,
+  documents: AnalyzedDocument[],
+  redFlags: ReportRedFlag[],
+  chatTurns: { question: string; answer: string }[],
+  comparison?: PeriodComparison,
+  materiality?: MaterialityThresholds
+) {
+  const context = {
+    project: {
+      name: project.name,
+      client: project.client_name,
+      auditType: project.audit_type,
+      description: project.description,
+    },
+    documents: documents.map(doc => ({ name: doc.name, summary: doc.summary })),
+    redFlags: redFlags.map(flag => ({
+      description: flag.description,
+      severity: flag.severity,
+      materiality: flag.materiality?.level ?? undefined,
+      document: flag.documentSource,
+    })),
+    materiality,
+    // Questions the team asked Ask Esus show what they considered important
+    chatInsights: chatTurns.map(turn => ({
+      question: turn.question,
+      answer: turn.answer.length > CHAT_ANSWER_MAX_LENGTH
+        ? `${turn.answer.slice(0, CHAT_ANSWER_MAX_LENGTH)}…`
+        : turn.answer,
+    })),
+    priorPeriod: comparison && {
+      engagement: comparison.priorProject.name,
+      findings: comparison.findingCounts,
+      resolvedFindings: comparison.findings
+        .filter(finding => finding.status === 'resolved')
+        .map(finding => finding.description),
+    },
+  }
+
+  const llm = await getLLMProvider('analysis')
+  const { content } = await llm.chat({
+    messages: [
+      {
+        role: 'system',
+        content: 'You are an experienced auditor writing the executive summary of an audit report. ' +
+          'Write 150 to 250 words of plain text in a professional register. State the scope, the overall ' +
+          `assessment and the most significant issues, with emphasis on ${template.summaryFocus}. ` +
+          (comparison ? 'Briefly say how the findings changed since the prior period. ' : '') +
+          (materiality ? 'Red flags graded material or above performance materiality are the most significant. ' : '') +
+          'Use only the facts provided.',
+      },
+      {
+        role: 'user',
+        content: `Audit data:\n${JSON.stringify(context, null, 2)}`,
+      },
+    ],
+    maxTokens: 600,
+    temperature: 0.3,
+  })
+
+  const summary = content.trim()
+  if (!summary) throw new Error('Empty executive summary')
+  return summary
+}
+
+function fallbackSummary(project: ReportProject, report: ReportData) {
+  const { documentsAnalyzed, redFlagsIdentified } = report.statistics
+  const highSeverity = report.redFlags.filter(flag => flag.severity === 'critical' || flag.severity === 'high').length
+  const material = report.redFlags.filter(flag => flag.materiality?.level === 'material').length
+
+  return `This report covers ${documentsAnalyzed} analyzed document${documentsAnalyzed === 1 ? '' : 's'} ` +
+    `for ${project.name}. The analysis identified ${redFlagsIdentified} red flag${redFlagsIdentified === 1 ? '' : 's'}` +
+    `${highSeverity ? `, ${highSeverity} of high or critical severity` : ''}` +
+    `${material ? `; ${material} concern${material === 1 ? 's an amount' : ' amounts'} at or above overall materiality` : ''}. ` +
+    'The issues and recommended procedures are listed below.'
+}
+
+function countBy<T>(items: T[], key: (item: T) => string) {
+  return items.reduce<Record<string, number>>((counts, item) => {
+    const value = key(item)
+    counts[value] = (counts[value] || 0) + 1
+    return counts
+  }, {})
+}
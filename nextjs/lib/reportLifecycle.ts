@@ -0,0 +1,73 @@
+// Review and sign-off of audit reports. A draft is submitted for review, and a
+// reviewer either sends it back to draft or signs it off, which makes it final.
+// Final reports are immutable (enforced by a trigger, migration 021) and carry
+// a SHA-256 hash of their content; changing one starts a new draft revision.
+import { createHash } from 'crypto'
+import type { SupabaseClient } from '@supabase/supabase-js'
+
+export const REPORT_STATUSES = ['draft', 'in_review', 'final', 'archived'] as const
+export type ReportStatus = typeof REPORT_STATUSES[number]
+
+// Roles allowed to sign off reports (users.role)
+export const SIGN_OFF_ROLES = ['reviewer', 'admin']
+
+export interface HashableReport {
+  project_id: string
+  report_name: string
+  revision: number | null
+  report_data: any
+}
+
+// JSONB does not keep key order, so keys are sorted before hashing
+function canonicalJson(value: any): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+export function reportContentHash(report: HashableReport) {
+  return createHash('sha256')
+    .update(canonicalJson({
+      projectId: report.project_id,
+      reportName: report.report_name,
+      revision: report.revision || 1,
+      reportData: report.report_data,
+    }))
+    .digest('hex')
+}
+
+// False when a final report no longer matches the hash taken at sign-off
+export function verifyContentHash(report: HashableReport & { content_hash: string | null }) {
+  return !!report.content_hash && reportContentHash(report) === report.content_hash
+}
+
+export async function getUserRole(supabase: SupabaseClient, authUserId: string): Promise<string | null> {
+  const { data } = await supabase
+    .from('users')
+    .select('role')
+    .eq('auth_user_id', authUserId)
+    .maybeSingle()
+
+  return data?.role || null
+}
+
+export async function getUserDisplayName(supabase: SupabaseClient, authUserId: string | null) {
+  if (!authUserId) return null
+
+  const { data } = await supabase
+    .from('users')
+    .select('first_name, last_name, email')
+    .eq('auth_user_id', authUserId)
+    .maybeSingle()
+
+  if (!data) return null
+  return [data.first_name, data.last_name].filter(Boolean).join(' ') || data.email
+}
@@ -0,0 +1,510 @@
+// Renders an audit report's report_data (see lib/reportGenerator.ts) as a
+// branded A4 PDF: cover page, table of contents, the report's sections in
+// template order with findings and the prior-period comparison as tables,
+// charts when the report was generated with includeCharts, and page numbers. PDFs are kept in the private audit-reports
+// bucket and handed out through short-lived signed URLs only.
+import { jsPDF } from 'jspdf'
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { reportSections, type ReportData } from '@/lib/reportGenerator'
+import { periodComparisonTables } from '@/lib/periodComparison'
+import type { SectionType } from '@/lib/reportTemplates'
+
+export const REPORTS_BUCKET = 'audit-reports'
+
+export interface ReportPdfInput {
+  reportName: string
+  status: string
+  createdAt: string
+  revision?: number | null
+  // Final reports only (lib/reportLifecycle.ts)
+  signOff?: {
+    signedBy: string | null
+    signedAt: string
+    contentHash: string
+  } | null
+  project: {
+    name: string
+    client_name: string | null
+    audit_type: string | null
+  }
+  data: ReportData
+}
+
+type RGB = [number, number, number]
+
+const BRAND_NAME = 'Esus Audit AI'
+const COLORS: Record<string, RGB> = {
+  primary: [37, 99, 235],
+  primaryLight: [219, 234, 254],
+  text: [17, 24, 39],
+  muted: [107, 114, 128],
+  border: [229, 231, 235],
+  stripe: [249, 250, 251],
+  danger: [220, 38, 38],
+  warning: [217, 119, 6],
+  success: [22, 163, 74],
+}
+
+const SEVERITY_COLORS: Record<string, RGB> = {
+  critical: COLORS.danger,
+  high: COLORS.danger,
+  medium: COLORS.warning,
+  low: COLORS.success,
+}
+
+const PAGE_MARGIN = 50
+const HEADER_HEIGHT = 40
+const FOOTER_HEIGHT = 40
+const LINE_HEIGHT_FACTOR = 1.35
+const CELL_PADDING = 5
+
+interface TableColumn {
+  header: string
+  // Fraction of the content width
+  width: number
+}
+
+interface TocEntry {
+  title: string
+  page: number
+}
+
+// The standard PDF fonts only cover Latin-1; typographic punctuation from the
+// model is mapped to plain equivalents and anything else is replaced
+function toLatin1(text: string) {
+  return text
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/•/g, '-')
+    .replace(/[^\x09\x0A\x0D\x20-\x7E\xA0-\xFF]/g, '?')
+}
+
+function humanize(key: string) {
+  const text = key.replace(/([A-Z])/g, ' $1').replace(/_/g, ' ').trim()
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase()
+}
+
+function formatDate(value: string) {
+  return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+}
+
+class ReportPdfRenderer {
+  private doc = new jsPDF({ unit: 'pt', format: 'a4' })
+  private pageWidth = this.doc.internal.pageSize.getWidth()
+  private pageHeight = this.doc.internal.pageSize.getHeight()
+  private contentWidth = this.pageWidth - PAGE_MARGIN * 2
+  private y = 0
+  private toc: TocEntry[] = []
+
+  constructor(private input: ReportPdfInput) {}
+
+  render() {
+    const { data } = this.input
+
+    this.renderCover()
+    // Reserved for the table of contents, which is filled in once the
+    // section page numbers are known
+    this.doc.addPage()
+    this.doc.addPage()
+    this.newPage()
+
+    reportSections(data).forEach((section, index) => {
+      this.section(`${index + 1}. ${section.title}`)
+      if (section.content) {
+        this.paragraph(section.content)
+      } else if (section.type === 'executive_summary') {
+        this.paragraph('No executive summary was generated for this report.')
+      }
+      this.sectionData(section.type)
+    })
+
+    this.renderToc()
+    this.renderPageNumbers()
+
+    return this.doc.output('arraybuffer')
+  }
+
+  // The report data shown after a section's text
+  private sectionData(type: SectionType) {
+    const { data } = this.input
+
+    switch (type) {
+      case 'statistics':
+        this.table(
+          [{ header: 'Measure', width: 0.7 }, { header: 'Value', width: 0.3 }],
+          Object.entries(data.statistics || {}).map(([key, value]) => [
+            humanize(key),
+            key === 'confidenceScore' ? `${value}%` : String(value),
+          ])
+        )
+        break
+
+      case 'documents':
+        this.table(
+          [{ header: 'Documents', width: 0.7 }, { header: 'Count', width: 0.3 }],
+          [
+            ['Total', String(data.documentsSummary?.totalDocuments ?? 0)],
+            ['Analyzed', String(data.documentsSummary?.analyzedDocuments ?? 0)],
+            ['With issues', String(data.documentsSummary?.flaggedDocuments ?? 0)],
+          ]
+        )
+        break
+
+      case 'findings':
+        if (data.redFlags?.length) {
+          this.table(
+            [
+              { header: '#', width: 0.06 },
+              { header: 'Issue', width: 0.56 },
+              { header: 'Severity', width: 0.13 },
+              { header: 'Document', width: 0.25 },
+            ],
+            data.redFlags.map((flag, index) => [
+              String(index + 1),
+              flag.description,
+              flag.severity || '-',
+              flag.documentSource,
+            ]),
+            { colorColumn: 2 }
+          )
+        } else {
+          this.paragraph('No red flags were identified in the analyzed documents.')
+        }
+        break
+
+      case 'recommendations':
+        if (data.recommendations?.length) {
+          this.table(
+            [
+              { header: '#', width: 0.06 },
+              { header: 'Recommendation', width: 0.79 },
+              { header: 'Priority', width: 0.15 },
+            ],
+            data.recommendations.map((recommendation, index) => [
+              String(index + 1),
+              recommendation.description,
+              recommendation.priority,
+            ]),
+            { colorColumn: 2 }
+          )
+        } else {
+          this.paragraph('No recommendations were derived from the findings.')
+        }
+        break
+
+      case 'charts':
+        if (data.charts) {
+          this.barChart('Red flags by severity', data.charts.redFlagsBySeverity, key => SEVERITY_COLORS[key])
+          this.barChart('Red flags by category', data.charts.redFlagsByCategory)
+        }
+        break
+
+      case 'period_comparison':
+        if (data.periodComparison) {
+          for (const table of periodComparisonTables(data.periodComparison)) {
+            this.subheading(table.title)
+            this.table(table.columns, table.rows, { colorColumn: table.colorColumn })
+          }
+        }
+        break
+    }
+  }
+
+  private renderCover() {
+    const { doc, input } = this
+
+    doc.setFillColor(...COLORS.primary)
+    doc.rect(0, 0, this.pageWidth, 180, 'F')
+    doc.setTextColor(255, 255, 255)
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(14)
+    doc.text(BRAND_NAME, PAGE_MARGIN, 70)
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(11)
+    doc.text('Audit Report', PAGE_MARGIN, 92)
+
+    doc.setTextColor(...COLORS.text)
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(26)
+    const titleLines = doc.splitTextToSize(toLatin1(input.reportName), this.contentWidth)
+    doc.text(titleLines, PAGE_MARGIN, 260)
+
+    let y = 260 + titleLines.length * 26 * LINE_HEIGHT_FACTOR + 20
+    const details = [
+      ['Project', input.project.name],
+      ['Client', input.project.client_name],
+      ['Audit type', input.project.audit_type && humanize(input.project.audit_type)],
+      ['Generated', formatDate(input.createdAt)],
+      ['Revision', input.revision && input.revision > 1 ? String(input.revision) : null],
+      ['Status', humanize(input.status)],
+      ['Signed off', input.signOff && [input.signOff.signedBy, formatDate(input.signOff.signedAt)].filter(Boolean).join(', ')],
+    ].filter((detail): detail is [string, string] => !!detail[1])
+
+    doc.setFontSize(11)
+    for (const [label, value] of details) {
+      doc.setFont('helvetica', 'bold')
+      doc.setTextColor(...COLORS.muted)
+      doc.text(label, PAGE_MARGIN, y)
+      doc.setFont('helvetica', 'normal')
+      doc.setTextColor(...COLORS.text)
+      doc.text(toLatin1(value), PAGE_MARGIN + 100, y)
+      y += 20
+    }
+
+    doc.setFontSize(9)
+    doc.setTextColor(...COLORS.muted)
+    if (input.signOff) {
+      doc.text(`Content hash (SHA-256): ${input.signOff.contentHash}`, PAGE_MARGIN, this.pageHeight - PAGE_MARGIN - 14)
+    }
+    doc.text(
+      'Confidential. Prepared with AI assistance; findings should be reviewed by the engagement team.',
+      PAGE_MARGIN,
+      this.pageHeight - PAGE_MARGIN
+    )
+  }
+
+  private renderToc() {
+    const { doc } = this
+    doc.setPage(2)
+
+    let y = PAGE_MARGIN + HEADER_HEIGHT + 10
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(18)
+    doc.setTextColor(...COLORS.text)
+    doc.text('Contents', PAGE_MARGIN, y)
+    y += 30
+
+    doc.setFontSize(11)
+    for (const entry of this.toc) {
+      const pageLabel = String(entry.page)
+      const right = this.pageWidth - PAGE_MARGIN
+
+      doc.setFont('helvetica', 'normal')
+      doc.text(entry.title, PAGE_MARGIN, y)
+      doc.text(pageLabel, right, y, { align: 'right' })
+
+      // Dot leader between the title and the page number
+      const start = PAGE_MARGIN + doc.getTextWidth(entry.title) + 6
+      const end = right - doc.getTextWidth(pageLabel) - 6
+      doc.setTextColor(...COLORS.muted)
+      const dots = '.'.repeat(Math.max(0, Math.floor((end - start) / doc.getTextWidth('.'))))
+      doc.text(dots, start, y)
+      doc.setTextColor(...COLORS.text)
+
+      doc.link(PAGE_MARGIN, y - 11, this.contentWidth, 15, { pageNumber: entry.page })
+      y += 22
+    }
+  }
+
+  // Header on every page after the cover, numbers in the footer
+  private renderPageNumbers() {
+    const { doc } = this
+    const total = doc.getNumberOfPages()
+
+    for (let page = 2; page <= total; page++) {
+      doc.setPage(page)
+      doc.setDrawColor(...COLORS.border)
+      doc.setLineWidth(0.5)
+      doc.line(PAGE_MARGIN, PAGE_MARGIN + 12, this.pageWidth - PAGE_MARGIN, PAGE_MARGIN + 12)
+      doc.line(PAGE_MARGIN, this.pageHeight - FOOTER_HEIGHT, this.pageWidth - PAGE_MARGIN, this.pageHeight - FOOTER_HEIGHT)
+
+      doc.setFont('helvetica', 'normal')
+      doc.setFontSize(8)
+      doc.setTextColor(...COLORS.muted)
+      doc.text(BRAND_NAME, PAGE_MARGIN, PAGE_MARGIN + 6)
+      doc.text(toLatin1(this.input.reportName), this.pageWidth - PAGE_MARGIN, PAGE_MARGIN + 6, {
+        align: 'right',
+        maxWidth: this.contentWidth * 0.6,
+      })
+      doc.text(`Page ${page} of ${total}`, this.pageWidth - PAGE_MARGIN, this.pageHeight - FOOTER_HEIGHT + 16, { align: 'right' })
+    }
+  }
+
+  private newPage() {
+    this.y = PAGE_MARGIN + HEADER_HEIGHT
+  }
+
+  private get bottom() {
+    return this.pageHeight - FOOTER_HEIGHT - 20
+  }
+
+  private ensureSpace(height: number) {
+    if (this.y + height > this.bottom) {
+      this.doc.addPage()
+      this.newPage()
+    }
+  }
+
+  private section(title: string) {
+    // Keep a heading together with at least a few lines of its content
+    this.ensureSpace(90)
+    if (this.y > PAGE_MARGIN + HEADER_HEIGHT) this.y += 16
+
+    title = toLatin1(title)
+    this.toc.push({ title, page: this.doc.getNumberOfPages() })
+
+    const { doc } = this
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(15)
+    doc.setTextColor(...COLORS.primary)
+    doc.text(title, PAGE_MARGIN, this.y)
+    this.y += 24
+  }
+
+  private paragraph(text: string) {
+    const { doc } = this
+    const fontSize = 10.5
+    const lineHeight = fontSize * LINE_HEIGHT_FACTOR
+
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(fontSize)
+    doc.setTextColor(...COLORS.text)
+
+    for (const block of toLatin1(text).split(/\n{2,}/)) {
+      for (const line of doc.splitTextToSize(block, this.contentWidth) as string[]) {
+        this.ensureSpace(lineHeight)
+        doc.text(line, PAGE_MARGIN, this.y)
+        this.y += lineHeight
+      }
+      this.y += lineHeight / 2
+    }
+  }
+
+  private table(columns: TableColumn[], rows: string[][], options: { colorColumn?: number } = {}) {
+    const { doc } = this
+    const fontSize = 9.5
+    const lineHeight = fontSize * LINE_HEIGHT_FACTOR
+    const widths = columns.map(column => column.width * this.contentWidth)
+
+    const drawHeader = () => {
+      const height = lineHeight + CELL_PADDING * 2
+      doc.setFillColor(...COLORS.primary)
+      doc.rect(PAGE_MARGIN, this.y, this.contentWidth, height, 'F')
+      doc.setFont('helvetica', 'bold')
+      doc.setFontSize(fontSize)
+      doc.setTextColor(255, 255, 255)
+
+      let x = PAGE_MARGIN
+      columns.forEach((column, index) => {
+        doc.text(column.header, x + CELL_PADDING, this.y + CELL_PADDING + fontSize)
+        x += widths[index]
+      })
+      this.y += height
+    }
+
+    this.ensureSpace(lineHeight * 3 + CELL_PADDING * 4)
+    drawHeader()
+
+    rows.forEach((row, rowIndex) => {
+      doc.setFont('helvetica', 'normal')
+      doc.setFontSize(fontSize)
+      const cells = row.map((cell, index) =>
+        doc.splitTextToSize(toLatin1(cell), widths[index] - CELL_PADDING * 2) as string[]
+      )
+      const height = Math.max(...cells.map(lines => lines.length)) * lineHeight + CELL_PADDING * 2
+
+      if (this.y + height > this.bottom) {
+        doc.addPage()
+        this.newPage()
+        drawHeader()
+        doc.setFont('helvetica', 'normal')
+        doc.setFontSize(fontSize)
+      }
+
+      if (rowIndex % 2 === 1) {
+        doc.setFillColor(...COLORS.stripe)
+        doc.rect(PAGE_MARGIN, this.y, this.contentWidth, height, 'F')
+      }
+
+      let x = PAGE_MARGIN
+      cells.forEach((lines, index) => {
+        const color = index === options.colorColumn ? SEVERITY_COLORS[row[index]] : undefined
+        doc.setTextColor(...(color || COLORS.text))
+        doc.setFont('helvetica', color ? 'bold' : 'normal')
+        doc.text(lines, x + CELL_PADDING, this.y + CELL_PADDING + fontSize, { lineHeightFactor: LINE_HEIGHT_FACTOR })
+        x += widths[index]
+      })
+
+      doc.setDrawColor(...COLORS.border)
+      doc.setLineWidth(0.5)
+      doc.line(PAGE_MARGIN, this.y + height, PAGE_MARGIN + this.contentWidth, this.y + height)
+      this.y += height
+    })
+
+    this.y += 12
+  }
+
+  private subheading(title: string) {
+    const { doc } = this
+    this.ensureSpace(60)
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(11)
+    doc.setTextColor(...COLORS.text)
+    doc.text(toLatin1(title), PAGE_MARGIN, this.y)
+    this.y += 16
+  }
+
+  // Horizontal bars scaled to the largest value
+  private barChart(title: string, values: Record<string, number>, colorFor?: (key: string) => RGB | undefined) {
+    const { doc } = this
+    const entries = Object.entries(values || {}).sort((a, b) => b[1] - a[1])
+    const barHeight = 14
+    const rowHeight = barHeight + 8
+    const labelWidth = 130
+    const barArea = this.contentWidth - labelWidth - 40
+
+    this.ensureSpace(30 + Math.max(entries.length, 1) * rowHeight)
+    this.subheading(title)
+
+    if (entries.length === 0) {
+      this.paragraph('No data.')
+      return
+    }
+
+    const max = Math.max(...entries.map(([, value]) => value), 1)
+    doc.setFontSize(9)
+
+    for (const [key, value] of entries) {
+      this.ensureSpace(rowHeight)
+      doc.setFont('helvetica', 'normal')
+      doc.setTextColor(...COLORS.text)
+      doc.text(humanize(key), PAGE_MARGIN, this.y + barHeight - 3, { maxWidth: labelWidth - 10 })
+
+      const width = Math.max((value / max) * barArea, 2)
+      doc.setFillColor(...(colorFor?.(key) || COLORS.primary))
+      doc.rect(PAGE_MARGIN + labelWidth, this.y, width, barHeight, 'F')
+      doc.text(String(value), PAGE_MARGIN + labelWidth + width + 6, this.y + barHeight - 3)
+      this.y += rowHeight
+    }
+
+    this.y += 14
+  }
+}
+
+export function renderReportPdf(input: ReportPdfInput): ArrayBuffer {
+  return new ReportPdfRenderer(input).render()
+}
+
+export function reportPdfPath(projectId: string, reportId: string) {
+  return `${projectId}/${reportId}.pdf`
+}
+
+// Uploads over any earlier rendering of the same report
+export async function uploadReportPdf(supabase: SupabaseClient, path: string, pdf: ArrayBuffer) {
+  const { error } = await supabase.storage
+    .from(REPORTS_BUCKET)
+    .upload(path, pdf, { contentType: 'application/pdf', upsert: true })
+
+  if (error) throw error
+}
+
+export async function createReportPdfUrl(supabase: SupabaseClient, path: string, fileName: string, expiresIn: number) {
+  const { data, error } = await supabase.storage
+    .from(REPORTS_BUCKET)
+    .createSignedUrl(path, expiresIn, { download: fileName })
+
+  if (error || !data) throw error || new Error('No signed URL returned')
+  return data.signedUrl
+}
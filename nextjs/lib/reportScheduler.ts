@@ -0,0 +1,270 @@
+// Runs report schedules (lib/reportSchedules.ts). Each instance polls for due
+// schedules and claims them through claim_due_report_schedules(), so a
+// schedule runs once however many instances are up. A run generates a draft
+// report like POST /api/reports/generate, renders its PDF and emails it to
+// the schedule's recipients (lib/mailTransport.ts). The next run is computed
+// from the cron expression whatever the outcome, so a failing schedule does
+// not retry in a loop.
+import { v4 as uuidv4 } from 'uuid'
+import { createAdminClient } from '@/utils/supabase/admin'
+import { getEnvConfig } from '@/lib/env'
+import { nextCronRun } from '@/lib/cron'
+import { getMailTransport } from '@/lib/mailTransport'
+import { generateReportData, loadReportSources, missingDataSources, type ReportData } from '@/lib/reportGenerator'
+import { renderReportPdf, reportPdfPath, uploadReportPdf } from '@/lib/reportPdf'
+import { getReportTemplate } from '@/lib/reportTemplates'
+
+interface SchedulerConfig {
+  pollInterval: number
+  // Most schedules run per poll
+  batchSize: number
+  lockTimeoutSeconds: number
+}
+
+interface RunResult {
+  status: 'succeeded' | 'failed' | 'skipped'
+  error?: string
+  reportId?: string
+}
+
+export class ReportScheduler {
+  private supabase = createAdminClient()
+  private workerId = `scheduler-${uuidv4()}`
+  private polling = false
+  private timer: NodeJS.Timeout | null = null
+
+  constructor(private config: SchedulerConfig) {}
+
+  start() {
+    if (this.timer) return
+    this.timer = setInterval(() => this.poll(), this.config.pollInterval)
+    console.log('Report scheduler started')
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer)
+    this.timer = null
+  }
+
+  private async poll() {
+    if (this.polling) return
+
+    this.polling = true
+    try {
+      // One at a time: generation calls the AI service and renders a PDF.
+      // Each schedule is claimed just before it runs, so the lock only has to
+      // outlast its own run and not those queued ahead of it in a batch.
+      for (let run = 0; run < this.config.batchSize; run++) {
+        const { data: schedules, error } = await this.supabase.rpc('claim_due_report_schedules', {
+          p_worker_id: this.workerId,
+          p_limit: 1,
+          p_lock_timeout_seconds: this.config.lockTimeoutSeconds,
+        })
+
+        if (error) throw error
+        if (!schedules || schedules.length === 0) break
+
+        await this.process(schedules[0])
+      }
+    } catch (error) {
+      console.error('Report scheduler poll error:', error)
+    } finally {
+      this.polling = false
+    }
+  }
+
+  private async process(schedule: any) {
+    let result: RunResult
+    try {
+      result = await this.run(schedule)
+    } catch (error) {
+      result = { status: 'failed', error: error instanceof Error ? error.message : String(error) }
+    }
+
+    if (result.status === 'failed') {
+      console.error('Scheduled report failed:', { scheduleId: schedule.id, error: result.error })
+    }
+
+    const now = new Date()
+    let nextRunAt: string | undefined
+    try {
+      nextRunAt = nextCronRun(schedule.cron_expression, now, schedule.time_zone).toISOString()
+    } catch (error) {
+      console.error('Error computing next report schedule run:', error)
+    }
+
+    const { error } = await this.supabase
+      .from('report_schedules')
+      .update({
+        last_run_at: now.toISOString(),
+        last_status: result.status,
+        last_error: result.error || null,
+        last_report_id: result.reportId || schedule.last_report_id,
+        // An expression that no longer matches disables the schedule
+        ...(nextRunAt ? { next_run_at: nextRunAt } : { enabled: false }),
+        locked_by: null,
+        locked_at: null,
+      })
+      .eq('id', schedule.id)
+      .eq('locked_by', this.workerId)
+
+    if (error) {
+      console.error('Error updating report schedule:', error)
+    }
+
+    const { error: logError } = await this.supabase
+      .from('audit_logs')
+      .insert({
+        user_id: schedule.created_by,
+        action: 'report_schedule_run',
+        resource_type: 'report_schedule',
+        resource_id: schedule.id,
+        details: {
+          project_id: schedule.project_id,
+          status: result.status,
+          report_id: result.reportId || null,
+          recipients: schedule.recipients,
+        },
+        success: result.status !== 'failed',
+        error_message: result.error || null,
+      })
+
+    if (logError) {
+      console.error('Error logging report schedule run:', logError)
+    }
+  }
+
+  private async run(schedule: any): Promise<RunResult> {
+    const { data: project, error: projectError } = await this.supabase
+      .from('projects')
+      .select('id, name, description, client_name, audit_type, status, prior_project_id')
+      .eq('id', schedule.project_id)
+      .single()
+
+    if (projectError || !project) {
+      return { status: 'failed', error: 'Project not found' }
+    }
+
+    if (project.status !== 'active') {
+      return { status: 'skipped', error: `Project is ${project.status}` }
+    }
+
+    const template = await getReportTemplate(this.supabase, schedule.template_audit_type || project.audit_type)
+    const sources = await loadReportSources(this.supabase, project.id, project.prior_project_id)
+
+    const missing = missingDataSources(template, sources)
+    if (missing.length > 0) {
+      return {
+        status: 'failed',
+        error: `The ${template.name} template needs data this project does not have yet: ${missing.join(', ')}`,
+      }
+    }
+
+    const reportData = await generateReportData(project, template, sources, {
+      includeCharts: schedule.include_charts,
+    })
+
+    const runDate = new Intl.DateTimeFormat('en-CA', { timeZone: schedule.time_zone }).format(new Date())
+    const { data: report, error } = await this.supabase
+      .from('audit_reports')
+      .insert({
+        project_id: project.id,
+        generated_by: schedule.created_by,
+        report_name: `${schedule.name} - ${runDate}`.slice(0, 255),
+        report_data: reportData,
+        status: 'draft',
+        schedule_id: schedule.id,
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const pdf = renderReportPdf({
+      reportName: report.report_name,
+      status: report.status,
+      createdAt: report.created_at,
+      project,
+      data: reportData,
+    })
+
+    const pdfPath = reportPdfPath(project.id, report.id)
+    await uploadReportPdf(this.supabase, pdfPath, pdf)
+
+    const { error: updateError } = await this.supabase
+      .from('audit_reports')
+      .update({ pdf_path: pdfPath, pdf_generated_at: new Date().toISOString() })
+      .eq('id', report.id)
+
+    if (updateError) throw updateError
+
+    // The report is kept when delivery fails; the run still counts as failed
+    try {
+      await getMailTransport().send({
+        to: schedule.recipients,
+        subject: `${report.report_name}: ${project.name}`,
+        text: reportEmailText(schedule.name, project, reportData),
+        attachments: [
+          {
+            filename: `${report.report_name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'report'}.pdf`,
+            content: Buffer.from(pdf),
+            contentType: 'application/pdf',
+          },
+        ],
+      })
+    } catch (mailError) {
+      const message = mailError instanceof Error ? mailError.message : String(mailError)
+      return { status: 'failed', error: `Report generated but not delivered: ${message}`, reportId: report.id }
+    }
+
+    return { status: 'succeeded', reportId: report.id }
+  }
+}
+
+function reportEmailText(
+  scheduleName: string,
+  project: { name: string; client_name: string | null },
+  data: ReportData
+) {
+  const { statistics, redFlags, periodComparison } = data
+  const highRisk = redFlags.filter(flag => flag.severity === 'high' || flag.severity === 'critical').length
+  const lines = [
+    `The scheduled ${data.template.name} for ${project.name}${project.client_name ? ` (${project.client_name})` : ''} is attached.`,
+    '',
+    data.executiveSummary,
+    '',
+    `Documents analyzed: ${statistics.documentsAnalyzed}`,
+    `Red flags identified: ${statistics.redFlagsIdentified} (${highRisk} high or critical)`,
+  ]
+
+  if (periodComparison) {
+    const { findingCounts } = periodComparison
+    lines.push(
+      `Compared with ${periodComparison.priorProject.name}: ${findingCounts.new} new, ${findingCounts.recurring} recurring, ${findingCounts.resolved} resolved findings`
+    )
+  }
+
+  lines.push(
+    '',
+    `This is an unreviewed draft generated by the schedule "${scheduleName}". It is available in Esus Audit AI for review and sign-off.`
+  )
+  return lines.join('\n')
+}
+
+const globalForScheduler = globalThis as unknown as { reportScheduler?: ReportScheduler }
+
+export function startReportScheduler() {
+  const { app } = getEnvConfig()
+  if (!app.reportScheduler.enabled) return null
+
+  if (!globalForScheduler.reportScheduler) {
+    globalForScheduler.reportScheduler = new ReportScheduler({
+      pollInterval: app.reportScheduler.pollInterval,
+      batchSize: 5,
+      lockTimeoutSeconds: 900,
+    })
+    globalForScheduler.reportScheduler.start()
+  }
+
+  return globalForScheduler.reportScheduler
+}
@@ -0,0 +1,106 @@
+// Per-project report schedules (report_schedules, migration 024): a cron
+// expression in a time zone, the report template to use and who receives the
+// report. lib/reportScheduler.ts runs them.
+import { CronError, isValidTimeZone, nextCronRun, parseCron } from '@/lib/cron'
+import { AUDIT_TYPES } from '@/lib/reportTemplates'
+
+export const MAX_SCHEDULE_RECIPIENTS = 20
+
+// Everything but the scheduler's claim
+export const SCHEDULE_COLUMNS =
+  'id, project_id, name, cron_expression, time_zone, template_audit_type, include_charts, recipients, enabled, ' +
+  'next_run_at, last_run_at, last_status, last_error, last_report_id, created_by, created_at, updated_at'
+
+export interface ReportScheduleInput {
+  name: string
+  cron_expression: string
+  time_zone: string
+  template_audit_type: string | null
+  include_charts: boolean
+  recipients: string[]
+  enabled: boolean
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const MAX_NAME_LENGTH = 255
+
+// Checks a schedule from a request body. With `existing`, only the fields
+// present in body are checked and returned, for updates. Returns the
+// problems found or the database columns to write, including next_run_at
+// when the timing changes or the schedule is enabled, so runs missed while
+// it was disabled are not made up.
+export function validateSchedule(
+  body: any,
+  existing?: { cron_expression: string; time_zone: string }
+): { errors: string[]; values: Partial<ReportScheduleInput> & { next_run_at?: string } } {
+  const errors: string[] = []
+  const values: Partial<ReportScheduleInput> & { next_run_at?: string } = {}
+  const has = (field: string) => !existing || body?.[field] !== undefined
+
+  if (has('name')) {
+    if (typeof body?.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push(`name must be between 1 and ${MAX_NAME_LENGTH} characters`)
+    } else {
+      values.name = body.name.trim()
+    }
+  }
+
+  if (has('cronExpression')) {
+    try {
+      parseCron(body?.cronExpression)
+      values.cron_expression = body.cronExpression.trim().replace(/\s+/g, ' ')
+    } catch (error) {
+      errors.push(error instanceof CronError ? `cronExpression: ${error.message}` : 'cronExpression is invalid')
+    }
+  }
+
+  if (has('timeZone') && body?.timeZone !== undefined) {
+    if (typeof body.timeZone !== 'string' || !isValidTimeZone(body.timeZone)) {
+      errors.push('timeZone must be an IANA time zone such as Europe/London')
+    } else {
+      values.time_zone = body.timeZone
+    }
+  }
+
+  if (has('templateAuditType') && body?.templateAuditType !== undefined) {
+    if (body.templateAuditType !== null && !AUDIT_TYPES.includes(body.templateAuditType)) {
+      errors.push(`templateAuditType must be one of ${AUDIT_TYPES.join(', ')}, or null for the project's audit type`)
+    } else {
+      values.template_audit_type = body.templateAuditType
+    }
+  }
+
+  if (has('recipients')) {
+    const recipients = Array.isArray(body?.recipients)
+      ? [...new Set(body.recipients.map((recipient: any) => String(recipient).trim().toLowerCase()))] as string[]
+      : []
+    if (recipients.length === 0 || recipients.length > MAX_SCHEDULE_RECIPIENTS) {
+      errors.push(`recipients must list between 1 and ${MAX_SCHEDULE_RECIPIENTS} email addresses`)
+    } else if (recipients.some(recipient => !EMAIL_PATTERN.test(recipient))) {
+      errors.push('recipients must be valid email addresses')
+    } else {
+      values.recipients = recipients
+    }
+  }
+
+  for (const [field, column] of [['includeCharts', 'include_charts'], ['enabled', 'enabled']] as const) {
+    if (body?.[field] === undefined) continue
+    if (typeof body[field] !== 'boolean') {
+      errors.push(`${field} must be true or false`)
+    } else {
+      values[column] = body[field]
+    }
+  }
+
+  if (errors.length === 0 && (!existing || values.cron_expression || values.time_zone || values.enabled)) {
+    const cron = values.cron_expression || existing!.cron_expression
+    const timeZone = values.time_zone || existing?.time_zone || 'UTC'
+    try {
+      values.next_run_at = nextCronRun(cron, new Date(), timeZone).toISOString()
+    } catch (error) {
+      errors.push(error instanceof CronError ? `cronExpression: ${error.message}` : 'cronExpression is invalid')
+    }
+  }
+
+  return { errors, values }
+}
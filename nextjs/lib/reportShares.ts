@@ -0,0 +1,95 @@
+// Links that let a client view a final report without an account. A link is a
+// random token; only its SHA-256 is stored, so a leaked database row cannot be
+// turned back into a working link. Links expire, can be revoked and can carry
+// a password. Every view and refused attempt is written to audit_logs.
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'crypto'
+import { isIP } from 'net'
+import { promisify } from 'util'
+import type { NextRequest } from 'next/server'
+import type { SupabaseClient } from '@supabase/supabase-js'
+
+const scryptAsync = promisify(scrypt) as (password: string, salt: Buffer, keylen: number) => Promise<Buffer>
+
+export const DEFAULT_SHARE_DAYS = 14
+export const MAX_SHARE_DAYS = 90
+export const MIN_SHARE_PASSWORD_LENGTH = 8
+
+const TOKEN_BYTES = 32
+const PASSWORD_KEY_LENGTH = 64
+
+export function createShareToken() {
+  const token = randomBytes(TOKEN_BYTES).toString('base64url')
+  return { token, tokenHash: hashShareToken(token) }
+}
+
+export function hashShareToken(token: string) {
+  return createHash('sha256').update(token).digest('hex')
+}
+
+// Stored as scrypt$<salt>$<key>, both base64
+export async function hashSharePassword(password: string) {
+  const salt = randomBytes(16)
+  const key = await scryptAsync(password, salt, PASSWORD_KEY_LENGTH)
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`
+}
+
+export async function verifySharePassword(password: string, stored: string) {
+  const [scheme, salt, key] = stored.split('$')
+  if (scheme !== 'scrypt' || !salt || !key) return false
+
+  const expected = Buffer.from(key, 'base64')
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length)
+  return timingSafeEqual(actual, expected)
+}
+
+// Why a link cannot be opened, or null when it can
+export function shareUnavailableReason(share: { expires_at: string; revoked_at: string | null }, reportStatus: string) {
+  if (share.revoked_at) return 'revoked'
+  if (new Date(share.expires_at).getTime() <= Date.now()) return 'expired'
+  if (reportStatus !== 'final') return 'report_not_final'
+  return null
+}
+
+export function shareUrl(request: NextRequest, token: string) {
+  const origin = process.env.APP_URL || request.nextUrl.origin
+  return `${origin.replace(/\/$/, '')}/share/${token}`
+}
+
+// audit_logs.ip_address is INET, so anything that is not an address is dropped
+export function requestClientInfo(request: NextRequest) {
+  const forwarded = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim()
+  const ip = forwarded || request.headers.get('x-real-ip') || null
+
+  return {
+    ipAddress: ip && isIP(ip) ? ip : null,
+    userAgent: request.headers.get('user-agent'),
+  }
+}
+
+export async function logShareAccess(
+  supabase: SupabaseClient,
+  request: NextRequest,
+  entry: {
+    reportId: string
+    shareId: string
+    success: boolean
+    errorMessage?: string
+  }
+) {
+  const { ipAddress, userAgent } = requestClientInfo(request)
+
+  const { error } = await supabase
+    .from('audit_logs')
+    .insert({
+      action: 'report_share_view',
+      resource_type: 'audit_report',
+      resource_id: entry.reportId,
+      details: { share_id: entry.shareId },
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      success: entry.success,
+      error_message: entry.errorMessage || null,
+    })
+
+  if (error) throw error
+}
@@ -0,0 +1,291 @@
+// Report templates per audit type. A template lists the report's sections in
+// order, the data a report needs before it can be generated, and boilerplate
+// text for each section. The defaults below can be replaced firm-wide by a row
+// in report_templates; generated section text is stored on the report and can
+// be edited while the report is a draft.
+import type { SupabaseClient } from '@supabase/supabase-js'
+
+export const AUDIT_TYPES = ['financial', 'compliance', 'operational', 'security', 'internal'] as const
+export type AuditType = typeof AUDIT_TYPES[number]
+
+// Data-bound sections render the matching part of report_data after their
+// text; text sections are boilerplate only
+export const SECTION_TYPES = [
+  'executive_summary',
+  'statistics',
+  'documents',
+  'findings',
+  'recommendations',
+  'charts',
+  'period_comparison',
+  'text',
+] as const
+export type SectionType = typeof SECTION_TYPES[number]
+
+export const DATA_SOURCES = ['analyzed_documents', 'findings', 'chat_history'] as const
+export type DataSource = typeof DATA_SOURCES[number]
+
+export interface ReportTemplateSection {
+  key: string
+  title: string
+  type: SectionType
+  // May use {{projectName}}, {{clientName}}, {{auditType}}, {{reportDate}},
+  // {{documentCount}} and {{priorProjectName}}
+  boilerplate?: string
+}
+
+export interface ReportTemplate {
+  auditType: AuditType
+  name: string
+  requiredDataSources: DataSource[]
+  // Steers the model-written executive summary
+  summaryFocus: string
+  sections: ReportTemplateSection[]
+  // True when loaded from report_templates rather than the defaults
+  isOverride?: boolean
+}
+
+const SECTION_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/
+const MAX_SECTIONS = 30
+const MAX_TITLE_LENGTH = 200
+const MAX_BOILERPLATE_LENGTH = 10000
+
+const SCOPE = (subject: string) => ({
+  key: 'scope',
+  title: 'Scope and Objectives',
+  type: 'text' as const,
+  boilerplate: `This report sets out the results of our ${subject} of {{clientName}} for the project {{projectName}}. ` +
+    'Our work covered the documents provided to us, of which {{documentCount}} had been analyzed as of {{reportDate}}.',
+})
+
+const LIMITATIONS = {
+  key: 'limitations',
+  title: 'Limitations',
+  type: 'text' as const,
+  boilerplate: 'Our work was limited to the documents made available to us. Findings were identified with the ' +
+    'assistance of automated analysis and have been reviewed by the engagement team. This report is intended ' +
+    'solely for the use of {{clientName}} and should not be relied upon by third parties.',
+}
+
+// Only kept in reports of projects linked to a prior-period engagement, and
+// added to those when a template does not place it
+export const PERIOD_COMPARISON_SECTION: ReportTemplateSection = {
+  key: 'prior_period',
+  title: 'Comparison with Prior Period',
+  type: 'period_comparison',
+  boilerplate: 'The results below are compared with those of our prior-period engagement, {{priorProjectName}}. ' +
+    'Findings are shown as new, recurring or resolved since that engagement.',
+}
+
+export const DEFAULT_REPORT_TEMPLATES: Record<AuditType, ReportTemplate> = {
+  financial: {
+    auditType: 'financial',
+    name: 'Financial Statement Audit Report',
+    requiredDataSources: ['analyzed_documents'],
+    summaryFocus: 'the risk of material misstatement in the financial statements, significant accounts and disclosures',
+    sections: [
+      { key: 'executive_summary', title: 'Executive Summary', type: 'executive_summary' },
+      SCOPE('audit of the financial statements'),
+      { key: 'key_figures', title: 'Key Statistics', type: 'statistics' },
+      {
+        key: 'findings',
+        title: 'Findings',
+        type: 'findings',
+        boilerplate: 'The following matters were identified that may indicate a risk of material misstatement.',
+      },
+      PERIOD_COMPARISON_SECTION,
+      {
+        key: 'recommendations',
+        title: 'Recommendations',
+        type: 'recommendations',
+        boilerplate: 'We recommend the following procedures to address the findings above.',
+      },
+      { key: 'documents', title: 'Documents Reviewed', type: 'documents' },
+      { key: 'charts', title: 'Charts', type: 'charts' },
+      LIMITATIONS,
+    ],
+  },
+  compliance: {
+    auditType: 'compliance',
+    name: 'Compliance Audit Report',
+    requiredDataSources: ['analyzed_documents'],
+    summaryFocus: 'compliance with the applicable laws, regulations and policies, and any exceptions found',
+    sections: [
+      { key: 'executive_summary', title: 'Executive Summary', type: 'executive_summary' },
+      SCOPE('compliance audit'),
+      {
+        key: 'criteria',
+        title: 'Compliance Criteria',
+        type: 'text',
+        boilerplate: 'Compliance was assessed against the regulatory requirements and internal policies applicable ' +
+          'to {{clientName}}, as evidenced in the documents reviewed.',
+      },
+      {
+        key: 'exceptions',
+        title: 'Compliance Exceptions',
+        type: 'findings',
+        boilerplate: 'The following exceptions to the compliance criteria were identified.',
+      },
+      { key: 'remediation', title: 'Remediation', type: 'recommendations' },
+      { key: 'documents', title: 'Documents Reviewed', type: 'documents' },
+      { key: 'charts', title: 'Charts', type: 'charts' },
+      LIMITATIONS,
+    ],
+  },
+  operational: {
+    auditType: 'operational',
+    name: 'Operational Audit Report',
+    requiredDataSources: ['analyzed_documents'],
+    summaryFocus: 'the efficiency and effectiveness of the processes reviewed and the main opportunities for improvement',
+    sections: [
+      { key: 'executive_summary', title: 'Executive Summary', type: 'executive_summary' },
+      SCOPE('operational audit'),
+      { key: 'key_figures', title: 'Key Statistics', type: 'statistics' },
+      {
+        key: 'observations',
+        title: 'Observations',
+        type: 'findings',
+        boilerplate: 'The following observations relate to the efficiency and effectiveness of the processes reviewed.',
+      },
+      { key: 'improvements', title: 'Opportunities for Improvement', type: 'recommendations' },
+      { key: 'charts', title: 'Charts', type: 'charts' },
+      LIMITATIONS,
+    ],
+  },
+  security: {
+    auditType: 'security',
+    name: 'Information Security Audit Report',
+    requiredDataSources: ['analyzed_documents'],
+    summaryFocus: 'weaknesses in access, change and incident controls and their potential impact',
+    sections: [
+      { key: 'executive_summary', title: 'Executive Summary', type: 'executive_summary' },
+      SCOPE('information security audit'),
+      {
+        key: 'vulnerabilities',
+        title: 'Control Weaknesses',
+        type: 'findings',
+        boilerplate: 'The following control weaknesses were identified, ordered by severity.',
+      },
+      { key: 'remediation', title: 'Remediation Plan', type: 'recommendations' },
+      { key: 'documents', title: 'Evidence Reviewed', type: 'documents' },
+      { key: 'charts', title: 'Charts', type: 'charts' },
+      {
+        ...LIMITATIONS,
+        boilerplate: `${LIMITATIONS.boilerplate} No technical testing of systems was performed.`,
+      },
+    ],
+  },
+  internal: {
+    auditType: 'internal',
+    name: 'Internal Audit Report',
+    requiredDataSources: ['analyzed_documents'],
+    summaryFocus: 'the design and operation of internal controls and the status of previously reported issues',
+    sections: [
+      { key: 'executive_summary', title: 'Executive Summary', type: 'executive_summary' },
+      SCOPE('internal audit'),
+      { key: 'key_figures', title: 'Key Statistics', type: 'statistics' },
+      {
+        key: 'findings',
+        title: 'Findings',
+        type: 'findings',
+        boilerplate: 'The following findings relate to the design and operating effectiveness of internal controls.',
+      },
+      {
+        ...PERIOD_COMPARISON_SECTION,
+        title: 'Status of Previously Reported Issues',
+      },
+      {
+        key: 'management_actions',
+        title: 'Agreed Management Actions',
+        type: 'recommendations',
+        boilerplate: 'Management should confirm an owner and due date for each action below.',
+      },
+      { key: 'documents', title: 'Documents Reviewed', type: 'documents' },
+      LIMITATIONS,
+    ],
+  },
+}
+
+// Projects without a known audit type use the internal audit template
+export function defaultReportTemplate(auditType: string | null): ReportTemplate {
+  return DEFAULT_REPORT_TEMPLATES[auditType as AuditType] || DEFAULT_REPORT_TEMPLATES.internal
+}
+
+export async function getReportTemplate(supabase: SupabaseClient, auditType: string | null): Promise<ReportTemplate> {
+  const template = defaultReportTemplate(auditType)
+
+  const { data: override, error } = await supabase
+    .from('report_templates')
+    .select('name, required_data_sources, summary_focus, sections')
+    .eq('audit_type', template.auditType)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!override) return template
+
+  return {
+    auditType: template.auditType,
+    name: override.name || template.name,
+    requiredDataSources: override.required_data_sources || template.requiredDataSources,
+    summaryFocus: override.summary_focus || template.summaryFocus,
+    sections: override.sections?.length ? override.sections : template.sections,
+    isOverride: true,
+  }
+}
+
+// Checks a template override; returns the problems found
+export function validateTemplate(template: any) {
+  const errors: string[] = []
+
+  if (typeof template?.name !== 'string' || !template.name.trim() || template.name.length > MAX_TITLE_LENGTH) {
+    errors.push(`name must be between 1 and ${MAX_TITLE_LENGTH} characters`)
+  }
+
+  if (!Array.isArray(template?.requiredDataSources) ||
+      template.requiredDataSources.some((source: any) => !DATA_SOURCES.includes(source))) {
+    errors.push(`requiredDataSources must only contain ${DATA_SOURCES.join(', ')}`)
+  }
+
+  if (template?.summaryFocus !== undefined && typeof template.summaryFocus !== 'string') {
+    errors.push('summaryFocus must be a string')
+  }
+
+  const sections = template?.sections
+  if (!Array.isArray(sections) || sections.length === 0 || sections.length > MAX_SECTIONS) {
+    errors.push(`sections must list between 1 and ${MAX_SECTIONS} sections`)
+    return errors
+  }
+
+  const keys = new Set<string>()
+  sections.forEach((section: any, index: number) => {
+    if (typeof section?.key !== 'string' || !SECTION_KEY_PATTERN.test(section.key)) {
+      errors.push(`sections[${index}].key must be lowercase letters, digits and underscores`)
+    } else if (keys.has(section.key)) {
+      errors.push(`sections[${index}].key "${section.key}" is used more than once`)
+    } else {
+      keys.add(section.key)
+    }
+    if (typeof section?.title !== 'string' || !section.title.trim() || section.title.length > MAX_TITLE_LENGTH) {
+      errors.push(`sections[${index}].title must be between 1 and ${MAX_TITLE_LENGTH} characters`)
+    }
+    if (!SECTION_TYPES.includes(section?.type)) {
+      errors.push(`sections[${index}].type must be one of ${SECTION_TYPES.join(', ')}`)
+    }
+    if (section?.boilerplate !== undefined &&
+        (typeof section.boilerplate !== 'string' || section.boilerplate.length > MAX_BOILERPLATE_LENGTH)) {
+      errors.push(`sections[${index}].boilerplate must be a string of at most ${MAX_BOILERPLATE_LENGTH} characters`)
+    }
+  })
+
+  if (sections.filter((section: any) => section?.type === 'executive_summary').length > 1) {
+    errors.push('sections may contain at most one executive_summary section')
+  }
+
+  return errors
+}
+
+export function fillBoilerplate(text: string, values: Record<string, string | number>) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+  )
+}
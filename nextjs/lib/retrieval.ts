@@ -0,0 +1,190 @@
+// Chunking, embedding and retrieval of document text for the chat assistant.
+// Documents are chunked when they are analyzed (lib/documentAnalysis.ts) and
+// the chat route retrieves the chunks closest to each question instead of
+// sending every document to the model.
+import { getLLMProvider } from '@/lib/openaiClient'
+import { getEnvConfig } from '@/lib/env'
+import { getVectorStore } from '@/lib/vectorStore'
+
+// Characters, not tokens; about 400 tokens of English text
+const CHUNK_SIZE = 1500
+const CHUNK_OVERLAP = 200
+// Bounds embedding cost for very large workbooks and scans
+const MAX_CHUNKS_PER_DOCUMENT = 2000
+// Length of the excerpt stored with a citation
+const CITATION_EXCERPT_LENGTH = 300
+
+export interface DocumentChunk {
+  chunkIndex: number
+  pageNumber: number | null
+  content: string
+}
+
+export interface RetrievedSource {
+  // 1-based number the model cites as [n]
+  index: number
+  documentId: string
+  documentName: string
+  pageNumber: number | null
+  content: string
+}
+
+export interface Citation {
+  index: number
+  documentId: string
+  documentName: string
+  pageNumber: number | null
+  excerpt: string
+}
+
+// Break points tried in order, so chunks end at a paragraph or line where possible
+const SEPARATORS = ['\n\n', '\n', '. ', ' ']
+
+function splitText(text: string): string[] {
+  const normalized = text.replace(/\r\n/g, '\n').trim()
+  const chunks: string[] = []
+  let start = 0
+
+  while (start < normalized.length) {
+    let end = Math.min(start + CHUNK_SIZE, normalized.length)
+
+    if (end < normalized.length) {
+      const window = normalized.slice(start, end)
+      for (const separator of SEPARATORS) {
+        const index = window.lastIndexOf(separator)
+        if (index > CHUNK_SIZE / 2) {
+          end = start + index + separator.length
+          break
+        }
+      }
+    }
+
+    const chunk = normalized.slice(start, end).trim()
+    if (chunk) chunks.push(chunk)
+    if (end >= normalized.length) break
+
+    // Start the next chunk a little before this one ended, on a word boundary
+    let next = Math.max(end - CHUNK_OVERLAP, start + 1)
+    const space = normalized.indexOf(' ', next)
+    if (space !== -1 && space < end) next = space + 1
+    start = next
+  }
+
+  return chunks
+}
+
+// Splits the extracted text page by page so every chunk keeps its page
+// number. Extractions without page text fall back to the full content.
+export function chunkDocument(extractedData: any): DocumentChunk[] {
+  const pages: { pageNumber: number | null; text: string }[] =
+    (extractedData?.pages || []).filter((page: any) => page.text?.trim())
+
+  if (pages.length === 0 && extractedData?.content?.trim()) {
+    pages.push({ pageNumber: null, text: extractedData.content })
+  }
+
+  const chunks: DocumentChunk[] = []
+  for (const page of pages) {
+    for (const content of splitText(page.text)) {
+      chunks.push({ chunkIndex: chunks.length, pageNumber: page.pageNumber ?? null, content })
+    }
+  }
+
+  if (chunks.length > MAX_CHUNKS_PER_DOCUMENT) {
+    console.warn(`Document has ${chunks.length} chunks; only the first ${MAX_CHUNKS_PER_DOCUMENT} are indexed`)
+    return chunks.slice(0, MAX_CHUNKS_PER_DOCUMENT)
+  }
+  return chunks
+}
+
+// The document name and page are embedded with the text so questions that
+// name a document match its chunks
+function embeddingInput(documentName: string, chunk: { pageNumber: number | null; content: string }) {
+  const location = chunk.pageNumber ? ` (page ${chunk.pageNumber})` : ''
+  return `${documentName}${location}\n${chunk.content}`
+}
+
+export async function indexDocumentChunks(document: {
+  id: string
+  projectId: string
+  name: string
+  extractedData: any
+}) {
+  const chunks = chunkDocument(document.extractedData)
+  const llm = await getLLMProvider('embeddings')
+  const vectors = chunks.length > 0
+    ? await llm.embed(chunks.map(chunk => embeddingInput(document.name, chunk)))
+    : []
+
+  await getVectorStore().replaceDocumentChunks(
+    document.id,
+    chunks.map((chunk, index) => ({
+      ...chunk,
+      documentId: document.id,
+      projectId: document.projectId,
+      embedding: vectors[index],
+    })),
+    `${llm.name}/${llm.model}`
+  )
+
+  return chunks.length
+}
+
+// Top-k chunks of the project for a question. documentNames maps the ids of
+// documents that may be cited to their display names; chunks of any other
+// document (e.g. deleted since indexing) are dropped.
+export async function retrieveSources(
+  projectId: string,
+  question: string,
+  documentNames: Map<string, string>
+): Promise<RetrievedSource[]> {
+  if (documentNames.size === 0) return []
+
+  const llm = await getLLMProvider('embeddings')
+  const [embedding] = await llm.embed([question])
+  const matches = await getVectorStore().search({
+    projectId,
+    text: question,
+    embedding,
+    topK: getEnvConfig().app.vectorStore.topK,
+  })
+
+  return matches
+    .filter(match => documentNames.has(match.documentId))
+    .map((match, index) => ({
+      index: index + 1,
+      documentId: match.documentId,
+      documentName: documentNames.get(match.documentId)!,
+      pageNumber: match.pageNumber,
+      content: match.content,
+    }))
+}
+
+export function formatSources(sources: RetrievedSource[]) {
+  return sources
+    .map(source => {
+      const location = source.pageNumber ? `, page ${source.pageNumber}` : ''
+      return `[${source.index}] ${source.documentName}${location}\n${source.content}`
+    })
+    .join('\n\n')
+}
+
+// Sources referenced as [n] or [n, m] in the answer, in order of their number
+export function extractCitations(answer: string, sources: RetrievedSource[]): Citation[] {
+  const cited = new Set<number>()
+  for (const match of answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    match[1].split(',').forEach(index => cited.add(Number(index)))
+  }
+
+  return sources
+    .filter(source => cited.has(source.index))
+    .map(source => ({
+      index: source.index,
+      documentId: source.documentId,
+      documentName: source.documentName,
+      pageNumber: source.pageNumber,
+      excerpt: source.content.length > CITATION_EXCERPT_LENGTH
+        ? `${source.content.slice(0, CITATION_EXCERPT_LENGTH)}…`
+        : source.content,
+    }))
+}
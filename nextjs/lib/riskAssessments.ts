@@ -0,0 +1,290 @@
+// Risk assessment (risk_assessments table, migrations 004 and 031). A risk has
+// an inherent level (risk_level) and likelihood, the controls that mitigate
+// it and the residual level after them. Risks are entered by hand or promoted
+// from a red flag of a document analysis, and are linked to the audit program
+// procedures that address them (risk_assessment_procedures). A high or
+// critical risk without a linked procedure is flagged as unaddressed.
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { FINDING_CATEGORIES, type AnalysisFinding } from '@/lib/analysisFindings'
+import { programStatus } from '@/lib/auditPrograms'
+
+export const RISK_LEVELS = ['low', 'medium', 'high', 'critical'] as const
+export const RISK_LIKELIHOODS = ['rare', 'unlikely', 'possible', 'likely', 'almost_certain'] as const
+
+export type RiskLevel = typeof RISK_LEVELS[number]
+
+// Levels that need an audit response
+const HIGH_RISK_LEVELS: RiskLevel[] = ['high', 'critical']
+
+const MAX_TEXT_LENGTH = 10000
+const MAX_PROCEDURES = 50
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+export interface ProcedureLink {
+  auditProgramId: string
+  procedureKey: string
+}
+
+// Inherent and residual levels of a risk_assessments row
+interface RiskLevels {
+  risk_level?: string | null
+  residual_risk_level?: string | null
+}
+
+// A procedure of one of the project's programs, as listed by programStatus
+// (lib/auditPrograms.ts)
+export interface ProjectProcedure {
+  auditProgramId: string
+  programName: string
+  key: string
+  step: string
+  workpaper: { id: string; reference_number: string; status: string } | null
+}
+
+// Checks the editable fields of a risk in a request body and maps them to
+// columns. With `partial`, fields missing from body are left out. Procedure
+// links are returned separately, undefined when not given.
+export function validateRiskAssessment(body: any, partial = false) {
+  const errors: string[] = []
+  const values: Record<string, any> = {}
+  const has = (field: string) => body?.[field] !== undefined
+  let procedures: ProcedureLink[] | undefined
+
+  if (!partial || has('area')) {
+    if (typeof body?.area !== 'string' || !body.area.trim() || body.area.trim().length > 255) {
+      errors.push('area must be between 1 and 255 characters')
+    } else {
+      values.area = body.area.trim()
+    }
+  }
+
+  if (!partial || has('riskDescription')) {
+    if (typeof body?.riskDescription !== 'string' || !body.riskDescription.trim() || body.riskDescription.length > MAX_TEXT_LENGTH) {
+      errors.push(`riskDescription must be between 1 and ${MAX_TEXT_LENGTH} characters`)
+    } else {
+      values.risk_description = body.riskDescription.trim()
+    }
+  }
+
+  if (!partial || has('riskLevel')) {
+    if (!RISK_LEVELS.includes(body?.riskLevel)) {
+      errors.push(`riskLevel must be one of ${RISK_LEVELS.join(', ')}`)
+    } else {
+      values.risk_level = body.riskLevel
+    }
+  }
+
+  if (has('residualRiskLevel')) {
+    if (body.residualRiskLevel !== null && !RISK_LEVELS.includes(body.residualRiskLevel)) {
+      errors.push(`residualRiskLevel must be one of ${RISK_LEVELS.join(', ')}`)
+    } else {
+      values.residual_risk_level = body.residualRiskLevel
+    }
+  }
+
+  if (has('likelihood')) {
+    if (body.likelihood !== null && !RISK_LIKELIHOODS.includes(body.likelihood)) {
+      errors.push(`likelihood must be one of ${RISK_LIKELIHOODS.join(', ')}`)
+    } else {
+      values.likelihood = body.likelihood
+    }
+  }
+
+  for (const [field, column] of [['impactAssessment', 'impact_assessment'], ['mitigatingControls', 'mitigating_controls']]) {
+    if (!has(field)) continue
+    if (body[field] !== null && (typeof body[field] !== 'string' || body[field].length > MAX_TEXT_LENGTH)) {
+      errors.push(`${field} must be a string of at most ${MAX_TEXT_LENGTH} characters`)
+    } else {
+      values[column] = body[field]?.trim() || null
+    }
+  }
+
+  if (has('procedures')) {
+    const links = body.procedures
+    const valid = Array.isArray(links) && links.length <= MAX_PROCEDURES && links.every((link: any) =>
+      typeof link?.auditProgramId === 'string' && UUID_PATTERN.test(link.auditProgramId) &&
+      typeof link.procedureKey === 'string' && link.procedureKey.trim()
+    )
+    if (!valid) {
+      errors.push(`procedures must be a list of at most ${MAX_PROCEDURES} { auditProgramId, procedureKey }`)
+    } else {
+      const unique = new Map<string, ProcedureLink>()
+      for (const link of links) {
+        unique.set(`${link.auditProgramId}/${link.procedureKey}`, { auditProgramId: link.auditProgramId, procedureKey: link.procedureKey })
+      }
+      procedures = Array.from(unique.values())
+    }
+  }
+
+  return { errors, values, procedures }
+}
+
+// The links that are not procedures of the project's programs
+export function unknownProcedures(links: ProcedureLink[], procedures: ProjectProcedure[]) {
+  const known = new Set(procedures.map(procedure => `${procedure.auditProgramId}/${procedure.key}`))
+  return links.filter(link => !known.has(`${link.auditProgramId}/${link.procedureKey}`))
+}
+
+const humanize = (value: string) => value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ')
+
+// Column values for a risk promoted from an analysis finding. The severity
+// scale is the inherent risk scale; likelihood and residual risk are left for
+// the auditor to assess.
+export function riskFromFinding(finding: AnalysisFinding, documentName: string) {
+  const category = FINDING_CATEGORIES.includes(finding.category) ? finding.category : 'other'
+  return {
+    area: humanize(category),
+    risk_description: finding.title,
+    risk_level: RISK_LEVELS.includes(finding.severity) ? finding.severity : 'medium',
+    impact_assessment: [
+      finding.description,
+      finding.evidence ? `Evidence (${documentName}): "${finding.evidence}"` : null,
+    ].filter(Boolean).join('\n\n') || null,
+  }
+}
+
+export function isHighRisk(risk: RiskLevels) {
+  return [risk.risk_level, risk.residual_risk_level].some(level => HIGH_RISK_LEVELS.includes(level as RiskLevel))
+}
+
+// A risk with the procedures linked to it and whether it is left unaddressed
+export function riskStatus<T extends RiskLevels>(
+  risk: T,
+  links: ProcedureLink[],
+  procedures: ProjectProcedure[]
+) {
+  const byKey = new Map(procedures.map(procedure => [`${procedure.auditProgramId}/${procedure.key}`, procedure]))
+  const linked = links
+    .map(link => byKey.get(`${link.auditProgramId}/${link.procedureKey}`))
+    .filter((procedure): procedure is ProjectProcedure => !!procedure)
+
+  return {
+    ...risk,
+    procedures: linked,
+    highRisk: isHighRisk(risk),
+    unaddressed: isHighRisk(risk) && linked.length === 0,
+  }
+}
+
+// Counts of risks by inherent (rows) and residual (columns) level, lowest
+// first; risks without a residual level are counted apart
+export function riskMatrix(risks: RiskLevels[]) {
+  const cells = RISK_LEVELS.map(() => RISK_LEVELS.map(() => 0))
+  const unassessed = RISK_LEVELS.map(() => 0)
+
+  for (const risk of risks) {
+    const inherent = RISK_LEVELS.indexOf(risk.risk_level as RiskLevel)
+    if (inherent < 0) continue
+    const residual = RISK_LEVELS.indexOf(risk.residual_risk_level as RiskLevel)
+    if (residual < 0) {
+      unassessed[inherent]++
+    } else {
+      cells[inherent][residual]++
+    }
+  }
+
+  return { levels: RISK_LEVELS, cells, unassessed }
+}
+
+// Every procedure of the project's audit programs with its workpaper
+export async function loadProjectProcedures(supabase: SupabaseClient, projectId: string): Promise<ProjectProcedure[]> {
+  const [{ data: programs, error }, { data: workpapers, error: workpapersError }] = await Promise.all([
+    supabase
+      .from('audit_programs')
+      .select('id, name, required_procedures')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('workpapers')
+      .select('id, reference_number, status, audit_program_id, procedure_key')
+      .eq('project_id', projectId)
+      .not('audit_program_id', 'is', null)
+  ])
+
+  if (error) throw error
+  if (workpapersError) throw workpapersError
+
+  return (programs || []).flatMap(program =>
+    programStatus(program, (workpapers || []).filter(workpaper => workpaper.audit_program_id === program.id))
+      .procedures
+      .map(procedure => ({
+        auditProgramId: program.id,
+        programName: program.name,
+        key: procedure.key,
+        step: procedure.step,
+        workpaper: procedure.workpaper,
+      }))
+  )
+}
+
+export async function loadProcedureLinks(supabase: SupabaseClient, riskIds: string[]) {
+  const links = new Map<string, ProcedureLink[]>()
+  if (riskIds.length === 0) return links
+
+  const { data, error } = await supabase
+    .from('risk_assessment_procedures')
+    .select('risk_assessment_id, audit_program_id, procedure_key')
+    .in('risk_assessment_id', riskIds)
+
+  if (error) throw error
+
+  for (const row of data || []) {
+    const list = links.get(row.risk_assessment_id) || []
+    list.push({ auditProgramId: row.audit_program_id, procedureKey: row.procedure_key })
+    links.set(row.risk_assessment_id, list)
+  }
+  return links
+}
+
+// Replaces the procedures linked to a risk
+export async function saveProcedureLinks(supabase: SupabaseClient, riskId: string, links: ProcedureLink[]) {
+  const { error } = await supabase
+    .from('risk_assessment_procedures')
+    .delete()
+    .eq('risk_assessment_id', riskId)
+
+  if (error) throw error
+  if (links.length === 0) return
+
+  const { error: insertError } = await supabase
+    .from('risk_assessment_procedures')
+    .insert(links.map(link => ({
+      risk_assessment_id: riskId,
+      audit_program_id: link.auditProgramId,
+      procedure_key: link.procedureKey,
+    })))
+
+  if (insertError) throw insertError
+}
+
+// Red flags of the latest analysis of each project document that have not
+// been promoted to a risk yet
+export async function unpromotedFindings(supabase: SupabaseClient, projectId: string, risks: Record<string, any>[]) {
+  const { data: documents, error } = await supabase
+    .from('documents')
+    .select('id, original_name, analysis_results (id, version, findings)')
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+
+  const promoted = new Set(risks
+    .filter(risk => risk.source_analysis_id)
+    .map(risk => `${risk.source_analysis_id}/${risk.source_finding_index}`))
+
+  return (documents || []).flatMap((document: any) => {
+    const latest = [...(document.analysis_results || [])].sort((a: any, b: any) => b.version - a.version)[0]
+    const findings: AnalysisFinding[] = latest?.findings || []
+    return findings
+      .map((finding, index) => ({
+        analysisId: latest.id,
+        findingIndex: index,
+        documentId: document.id,
+        documentName: document.original_name,
+        title: finding.title,
+        severity: finding.severity,
+        category: finding.category,
+      }))
+      .filter(candidate => !promoted.has(`${candidate.analysisId}/${candidate.findingIndex}`))
+  })
+}
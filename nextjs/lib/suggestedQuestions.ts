@@ -0,0 +1,96 @@
+// Starter questions for Ask Esus, built from what the project actually holds:
+// its audit type, its analyzed documents and the red flags of their latest
+// analysis. No model call is made, so the list is cheap to fetch on every visit.
+import { FINDING_SEVERITIES, type AnalysisFinding } from '@/lib/analysisFindings'
+
+export interface SuggestionDocument {
+  name: string
+  redFlags: string[]
+  findings: AnalysisFinding[]
+}
+
+export interface SuggestionInput {
+  auditType: string | null
+  documents: SuggestionDocument[]
+}
+
+const MAX_SUGGESTIONS = 6
+const MAX_RED_FLAG_QUESTIONS = 3
+const MAX_DOCUMENT_QUESTIONS = 2
+
+const AUDIT_TYPE_QUESTIONS: Record<string, string[]> = {
+  financial: [
+    'Are there any unusual transactions that need investigation?',
+    'Are all required disclosures present in the financial statements?',
+    'How do revenue and receivables compare with the prior period?',
+  ],
+  compliance: [
+    'Which regulatory requirements are not evidenced in the documents?',
+    'Are there any policy exceptions that need follow-up?',
+    'What remediation has been documented for previous findings?',
+  ],
+  operational: [
+    'Which processes show the largest inefficiencies?',
+    'Are key performance indicators consistent across the documents?',
+    'What operational risks should be prioritised?',
+  ],
+  security: [
+    'Which access controls appear to be missing or weak?',
+    'Are there any unresolved security incidents?',
+    'How are changes to critical systems approved and logged?',
+  ],
+  internal: [
+    'Which internal controls lack evidence of operation?',
+    'Are segregation of duties conflicts indicated anywhere?',
+    'What issues from earlier internal audits remain open?',
+  ],
+}
+
+const GENERAL_QUESTIONS = [
+  'What is the overall risk assessment for this project?',
+  'What are the main issues identified so far?',
+]
+
+const NO_DOCUMENTS_QUESTIONS = [
+  'Which documents should I upload for this audit?',
+  'What are the key risk areas for this type of audit?',
+]
+
+const severityRank = (severity: string) => {
+  const index = FINDING_SEVERITIES.indexOf(severity as AnalysisFinding['severity'])
+  return index === -1 ? -1 : index
+}
+
+export function buildSuggestedQuestions({ auditType, documents }: SuggestionInput) {
+  const questions: string[] = []
+
+  // Red flags first, most severe across the project first. Older analyses
+  // without structured findings only have the titles.
+  const redFlags = documents.flatMap(doc => {
+    if (doc.findings.length > 0) {
+      return doc.findings.map(finding => ({
+        title: finding.title,
+        document: doc.name,
+        rank: severityRank(finding.severity),
+      }))
+    }
+    return doc.redFlags.map(title => ({ title, document: doc.name, rank: -1 }))
+  })
+  redFlags.sort((a, b) => b.rank - a.rank)
+
+  for (const flag of redFlags.slice(0, MAX_RED_FLAG_QUESTIONS)) {
+    questions.push(`What evidence supports the red flag "${flag.title}" in ${flag.document}?`)
+  }
+
+  for (const doc of documents.slice(0, MAX_DOCUMENT_QUESTIONS)) {
+    questions.push(`What are the key points of ${doc.name}?`)
+  }
+
+  if (documents.length === 0) {
+    questions.push(...NO_DOCUMENTS_QUESTIONS)
+  }
+
+  questions.push(...(AUDIT_TYPE_QUESTIONS[auditType || ''] || []), ...GENERAL_QUESTIONS)
+
+  return Array.from(new Set(questions)).slice(0, MAX_SUGGESTIONS)
+}
@@ -0,0 +1,402 @@
+// Trial balance import (trial_balances table, migrations 004 and 027). An
+// uploaded XLSX or CSV trial balance is read with lib/localExtractors.ts, its
+// columns are recognised from the header row, and each account is checked
+// (opening balance + debits - credits = closing balance) and mapped to a line
+// of the standard chart of accounts below. Balances are signed, debit
+// positive and credit negative.
+import { parseNumber } from '@/lib/localExtractors'
+
+export const MAX_TRIAL_BALANCE_ACCOUNTS = 10000
+
+// Header rows are looked for in the first rows only; titles and company
+// names usually come before them
+const HEADER_SEARCH_ROWS = 20
+
+export type TrialBalanceColumn =
+  | 'accountNumber'
+  | 'accountName'
+  | 'openingBalance'
+  | 'openingDebit'
+  | 'openingCredit'
+  | 'debit'
+  | 'credit'
+  | 'closingBalance'
+  | 'closingDebit'
+  | 'closingCredit'
+
+export const TRIAL_BALANCE_COLUMNS: TrialBalanceColumn[] = [
+  'accountNumber',
+  'accountName',
+  'openingBalance',
+  'openingDebit',
+  'openingCredit',
+  'debit',
+  'credit',
+  'closingBalance',
+  'closingDebit',
+  'closingCredit',
+]
+
+const AMOUNT_COLUMNS = TRIAL_BALANCE_COLUMNS.filter(column => column !== 'accountNumber' && column !== 'accountName')
+
+export interface StatementLineDefinition {
+  key: string
+  label: string
+  statement: 'balance_sheet' | 'income_statement'
+  section:
+    | 'non_current_assets'
+    | 'current_assets'
+    | 'equity'
+    | 'non_current_liabilities'
+    | 'current_liabilities'
+    | 'income'
+    | 'expenses'
+  normalBalance: 'debit' | 'credit'
+}
+
+// The standard chart of accounts, in statement order
+export const STATEMENT_LINES: StatementLineDefinition[] = [
+  { key: 'property_plant_equipment', label: 'Property, plant and equipment', statement: 'balance_sheet', section: 'non_current_assets', normalBalance: 'debit' },
+  { key: 'intangible_assets', label: 'Intangible assets', statement: 'balance_sheet', section: 'non_current_assets', normalBalance: 'debit' },
+  { key: 'investments', label: 'Investments', statement: 'balance_sheet', section: 'non_current_assets', normalBalance: 'debit' },
+  { key: 'inventories', label: 'Inventories', statement: 'balance_sheet', section: 'current_assets', normalBalance: 'debit' },
+  { key: 'trade_receivables', label: 'Trade and other receivables', statement: 'balance_sheet', section: 'current_assets', normalBalance: 'debit' },
+  { key: 'prepayments', label: 'Prepayments and other current assets', statement: 'balance_sheet', section: 'current_assets', normalBalance: 'debit' },
+  { key: 'cash', label: 'Cash and cash equivalents', statement: 'balance_sheet', section: 'current_assets', normalBalance: 'debit' },
+  { key: 'share_capital', label: 'Share capital', statement: 'balance_sheet', section: 'equity', normalBalance: 'credit' },
+  { key: 'other_reserves', label: 'Other reserves', statement: 'balance_sheet', section: 'equity', normalBalance: 'credit' },
+  { key: 'retained_earnings', label: 'Retained earnings', statement: 'balance_sheet', section: 'equity', normalBalance: 'credit' },
+  { key: 'dividends', label: 'Dividends', statement: 'balance_sheet', section: 'equity', normalBalance: 'debit' },
+  { key: 'borrowings_non_current', label: 'Borrowings due after one year', statement: 'balance_sheet', section: 'non_current_liabilities', normalBalance: 'credit' },
+  { key: 'provisions', label: 'Provisions', statement: 'balance_sheet', section: 'non_current_liabilities', normalBalance: 'credit' },
+  { key: 'trade_payables', label: 'Trade and other payables', statement: 'balance_sheet', section: 'current_liabilities', normalBalance: 'credit' },
+  { key: 'borrowings_current', label: 'Borrowings due within one year', statement: 'balance_sheet', section: 'current_liabilities', normalBalance: 'credit' },
+  { key: 'current_tax', label: 'Current tax liabilities', statement: 'balance_sheet', section: 'current_liabilities', normalBalance: 'credit' },
+  { key: 'revenue', label: 'Revenue', statement: 'income_statement', section: 'income', normalBalance: 'credit' },
+  { key: 'cost_of_sales', label: 'Cost of sales', statement: 'income_statement', section: 'expenses', normalBalance: 'debit' },
+  { key: 'other_income', label: 'Other income', statement: 'income_statement', section: 'income', normalBalance: 'credit' },
+  { key: 'operating_expenses', label: 'Operating expenses', statement: 'income_statement', section: 'expenses', normalBalance: 'debit' },
+  { key: 'depreciation_amortisation', label: 'Depreciation and amortisation', statement: 'income_statement', section: 'expenses', normalBalance: 'debit' },
+  { key: 'finance_income', label: 'Finance income', statement: 'income_statement', section: 'income', normalBalance: 'credit' },
+  { key: 'finance_costs', label: 'Finance costs', statement: 'income_statement', section: 'expenses', normalBalance: 'debit' },
+  { key: 'income_tax_expense', label: 'Income tax expense', statement: 'income_statement', section: 'expenses', normalBalance: 'debit' },
+]
+
+// Account names to statement lines, first match wins, so the narrower rules
+// come first: "Bank charges" is a finance cost and "Bank loan" a borrowing
+// before either is cash, "Sales tax payable" a payable before it is revenue.
+// Asset rules skip names of running costs ("Vehicle expenses").
+const MAPPING_RULES: [RegExp, string][] = [
+  [/^(?!.*accumulated).*(depreciation|amorti[sz]ation)/i, 'depreciation_amortisation'],
+  [/income tax (expense|charge)|tax (expense|charge)|deferred tax (expense|charge)/i, 'income_tax_expense'],
+  [/interest (expense|paid|charge)|finance (cost|charge)|bank (charges|fees)|loan interest/i, 'finance_costs'],
+  [/interest (income|received|earned)|dividends? (income|received)|investment income/i, 'finance_income'],
+  [/cost of (sales|goods|revenue)|\bcogs\b|purchases|direct (labou?r|materials?|costs?)|freight in/i, 'cost_of_sales'],
+  [/overdraft|short[- ]term (loans?|borrowings?)|current portion/i, 'borrowings_current'],
+  [/(income|corporat\w*|profits?) tax (payable|liabilit)|provision for (income )?tax/i, 'current_tax'],
+  [/receivable|debtors|doubtful|bad debt provision/i, 'trade_receivables'],
+  [/prepa|deposits paid|other current assets?/i, 'prepayments'],
+  [/\bloans?\b|borrowing|mortgage|debenture|notes payable|\bbonds?\b|lease liabilit/i, 'borrowings_non_current'],
+  [/payable|creditors|accru|deferred (income|revenue)|unearned|\b(vat|gst)\b|sales tax|payroll liabilit|withholding/i, 'trade_payables'],
+  [/share capital|common stock|ordinary shares|capital stock|share premium|paid[- ]in/i, 'share_capital'],
+  [/inventor|\bstock\b|work in progress|finished goods|raw materials?/i, 'inventories'],
+  [/^(?!.*\b(expenses?|costs?|subscriptions?)\b).*(intangible|goodwill|software|patent|trademark|accumulated amorti[sz]ation)/i, 'intangible_assets'],
+  [/^(?!.*\b(expenses?|costs?|repairs?|maintenance|hire|running)\b).*(property|plant|equipment|machinery|vehicles?|furniture|fixtures|buildings?|\bland\b|leasehold|computers?|accumulated depreciation)/i, 'property_plant_equipment'],
+  [/investment|securities|subsidiar/i, 'investments'],
+  [/\b(cash|bank|petty)\b/i, 'cash'],
+  [/provision|warrant/i, 'provisions'],
+  [/retained|accumulated (profits?|loss(es)?|deficit)|profit and loss reserve/i, 'retained_earnings'],
+  [/dividend|drawings/i, 'dividends'],
+  [/reserve|revaluation surplus/i, 'other_reserves'],
+  [/revenue|sales|turnover|fees earned|service income/i, 'revenue'],
+  [/other income|gain on|sundry income|miscellaneous income|rental income/i, 'other_income'],
+  [/expense|salar|wage|\brent|utilit|insurance|repairs|advertis|marketing|travel|professional|fees|legal|office|telephone|postage|consult|training|subscription|admin|distribution|selling|bad debts?|payroll|pension|commission/i, 'operating_expenses'],
+]
+
+// Numbered charts commonly put revenue under 4, cost of sales under 5 and
+// overheads under 6 and 7; balance sheet ranges vary too much to rely on
+const NUMBER_RANGE_LINES: Record<string, string> = {
+  '4': 'revenue',
+  '5': 'cost_of_sales',
+  '6': 'operating_expenses',
+  '7': 'operating_expenses',
+}
+
+export class TrialBalanceImportError extends Error {
+  constructor(message: string, public headers: string[] = []) {
+    super(message)
+    this.name = 'TrialBalanceImportError'
+  }
+}
+
+export interface ParsedAccount {
+  account_number: string
+  account_name: string
+  opening_balance: number
+  debit_total: number
+  credit_total: number
+  closing_balance: number
+  // Spreadsheet row, 1-based, for messages
+  row: number
+}
+
+export function statementLine(key: string) {
+  return STATEMENT_LINES.find(line => line.key === key) || null
+}
+
+// Rounds to cents so that sums of floats compare as the ledger does
+export function roundAmount(value: number) {
+  return Math.round(value * 100) / 100
+}
+
+// The statement line for an account by its name, then by its number range;
+// null when neither says
+export function mapAccount(accountNumber: string, accountName: string) {
+  const rule = MAPPING_RULES.find(([pattern]) => pattern.test(accountName))
+  if (rule) return rule[1]
+
+  const match = /^(\d)\d{2,}/.exec(accountNumber.trim())
+  return (match && NUMBER_RANGE_LINES[match[1]]) || null
+}
+
+// What a header cell holds, if it is a trial balance column
+function classifyHeader(header: string): TrialBalanceColumn | 'account' | null {
+  const text = header.toLowerCase().replace(/[^a-z0-9#]+/g, ' ').trim()
+  if (!text) return null
+  if (text === 'account' || text === 'gl account') return 'account'
+
+  const side = /\b(debits?|dr)\b/.test(text) ? 'Debit' : /\b(credits?|cr)\b/.test(text) ? 'Credit' : ''
+  if (/\b(opening|beginning|begin|brought|b f|bf|open|prior)\b/.test(text)) {
+    return side ? `opening${side}` as TrialBalanceColumn : 'openingBalance'
+  }
+  if (/\b(closing|ending|carried|c f|cf|close|final|balance)\b/.test(text)) {
+    return side ? `closing${side}` as TrialBalanceColumn : 'closingBalance'
+  }
+  if (side) return side === 'Debit' ? 'debit' : 'credit'
+
+  if (/\b(name|description|desc|title)\b/.test(text)) return 'accountName'
+  if (/\b(no|number|num|code|id|acct|gl)\b|#/.test(text)) return 'accountNumber'
+  return null
+}
+
+function headerColumns(cells: string[]) {
+  const columns: Partial<Record<TrialBalanceColumn, number>> = {}
+  let account: number | null = null
+
+  cells.forEach((cell, index) => {
+    const column = classifyHeader(cell)
+    if (column === 'account') {
+      account ??= index
+    } else if (column && columns[column] === undefined) {
+      columns[column] = index
+    }
+  })
+
+  // A bare "Account" column is the name unless another column has the names
+  if (account !== null) {
+    if (columns.accountName === undefined) columns.accountName = account
+    else if (columns.accountNumber === undefined) columns.accountNumber = account
+  }
+
+  return columns
+}
+
+function isComplete(columns: Partial<Record<TrialBalanceColumn, number>>) {
+  const hasAccount = columns.accountNumber !== undefined || columns.accountName !== undefined
+  return hasAccount && columns.debit !== undefined && columns.credit !== undefined
+}
+
+// Finds the header row and the index of each column. `overrides` names the
+// header of columns that are not recognised automatically.
+export function detectColumns(rows: string[][], overrides: Partial<Record<TrialBalanceColumn, string>> = {}) {
+  const overrideEntries = Object.entries(overrides)
+    .filter(([, header]) => typeof header === 'string' && header.trim()) as [TrialBalanceColumn, string][]
+
+  for (let index = 0; index < Math.min(rows.length, HEADER_SEARCH_ROWS); index++) {
+    const cells = rows[index].map(cell => cell.trim())
+    const columns = headerColumns(cells)
+
+    for (const [column, header] of overrideEntries) {
+      const position = cells.findIndex(cell => cell.toLowerCase() === header.trim().toLowerCase())
+      if (position === -1) {
+        delete columns[column]
+        continue
+      }
+      // The named header takes the column from whatever it was recognised as
+      for (const other of Object.keys(columns) as TrialBalanceColumn[]) {
+        if (columns[other] === position) delete columns[other]
+      }
+      columns[column] = position
+    }
+
+    if (isComplete(columns)) {
+      return { headerRow: index, headers: cells, columns }
+    }
+  }
+
+  return null
+}
+
+// A signed amount: blanks and dashes are zero, (1,234.00) and 1,234.00 Cr
+// are negative. Null when the cell is not an amount.
+function parseAmount(cell: string | undefined) {
+  const text = (cell ?? '').trim()
+  if (text === '' || /^[-–—]$/.test(text)) return 0
+
+  const side = /^(.*?)\s*(dr|cr)\.?$/i.exec(text)
+  const value = parseNumber(side ? side[1] : text)
+  if (value === null) return null
+  return side && side[2].toLowerCase() === 'cr' ? -value : value
+}
+
+// Reads the accounts of a trial balance sheet. Opening or closing balances
+// missing from the sheet are derived from the other and the movements; a
+// sheet with neither is read as the period's movements from nil.
+export function parseTrialBalance(rows: string[][], overrides: Partial<Record<TrialBalanceColumn, string>> = {}) {
+  const detected = detectColumns(rows, overrides)
+  if (!detected) {
+    throw new TrialBalanceImportError(
+      'No header row with account, debit and credit columns was found',
+      (rows.find(row => row.some(cell => cell.trim())) || []).map(cell => cell.trim())
+    )
+  }
+
+  const { headerRow, headers, columns } = detected
+  const cell = (row: string[], column: TrialBalanceColumn) =>
+    columns[column] === undefined ? undefined : row[columns[column]!]
+
+  const hasOpening = columns.openingBalance !== undefined || (columns.openingDebit !== undefined && columns.openingCredit !== undefined)
+  const hasClosing = columns.closingBalance !== undefined || (columns.closingDebit !== undefined && columns.closingCredit !== undefined)
+
+  const errors: string[] = []
+  const accounts: ParsedAccount[] = []
+  const seen = new Map<string, number>()
+
+  rows.slice(headerRow + 1).forEach((row, index) => {
+    const rowNumber = headerRow + index + 2
+    const number = (cell(row, 'accountNumber') || '').trim()
+    const name = (cell(row, 'accountName') || '').trim()
+
+    if (!number && !name) return
+    if (/^(grand\s+)?totals?\b/i.test(name || number)) return
+
+    const amounts: Partial<Record<TrialBalanceColumn, number>> = {}
+    let blank = true
+    for (const column of AMOUNT_COLUMNS) {
+      const raw = cell(row, column)
+      if (raw === undefined) continue
+      if (raw.trim() !== '') blank = false
+
+      const amount = parseAmount(raw)
+      if (amount === null) {
+        errors.push(`Row ${rowNumber}: "${raw.trim()}" in ${headers[columns[column]!]} is not an amount`)
+      } else {
+        amounts[column] = amount
+      }
+    }
+
+    // Section headings such as "Current assets"
+    if (blank) return
+
+    const debit = amounts.debit || 0
+    const credit = amounts.credit || 0
+    const movement = debit - credit
+    let opening = columns.openingBalance !== undefined
+      ? amounts.openingBalance ?? 0
+      : (amounts.openingDebit || 0) - (amounts.openingCredit || 0)
+    let closing = columns.closingBalance !== undefined
+      ? amounts.closingBalance ?? 0
+      : (amounts.closingDebit || 0) - (amounts.closingCredit || 0)
+
+    if (!hasOpening && !hasClosing) {
+      opening = 0
+      closing = movement
+    } else if (!hasOpening) {
+      opening = closing - movement
+    } else if (!hasClosing) {
+      closing = opening + movement
+    }
+
+    const accountNumber = (number || name).slice(0, 50)
+    const previous = seen.get(accountNumber)
+    if (previous !== undefined) {
+      errors.push(`Row ${rowNumber}: account ${accountNumber} is already on row ${previous}`)
+      return
+    }
+    seen.set(accountNumber, rowNumber)
+
+    accounts.push({
+      account_number: accountNumber,
+      account_name: (name || number).slice(0, 255),
+      opening_balance: roundAmount(opening),
+      debit_total: roundAmount(debit),
+      credit_total: roundAmount(credit),
+      closing_balance: roundAmount(closing),
+      row: rowNumber,
+    })
+  })
+
+  if (accounts.length === 0 && errors.length === 0) {
+    errors.push('The sheet has no accounts below its header row')
+  }
+  if (accounts.length > MAX_TRIAL_BALANCE_ACCOUNTS) {
+    errors.push(`A trial balance can have at most ${MAX_TRIAL_BALANCE_ACCOUNTS} accounts`)
+  }
+
+  return {
+    accounts,
+    errors,
+    // Header of each recognised column
+    columns: Object.fromEntries(
+      (Object.entries(columns) as [TrialBalanceColumn, number][]).map(([column, index]) => [column, headers[index]])
+    ),
+    derived: [
+      ...(hasOpening ? [] : ['opening_balance']),
+      ...(hasClosing ? [] : ['closing_balance']),
+    ],
+  }
+}
+
+// Opening balance + debits - credits - closing balance; zero when the
+// account rolls forward
+export function accountDifference(account: {
+  opening_balance: number
+  debit_total: number
+  credit_total: number
+  closing_balance: number
+}) {
+  return roundAmount(
+    Number(account.opening_balance) + Number(account.debit_total) - Number(account.credit_total) - Number(account.closing_balance)
+  )
+}
+
+// Totals of a period's accounts and whether the trial balance balances:
+// debits equal credits, and opening and closing balances each net to nil
+export function summarizeTrialBalance(accounts: {
+  opening_balance: number
+  debit_total: number
+  credit_total: number
+  closing_balance: number
+  reconciled?: boolean | null
+  statement_line?: string | null
+}[]) {
+  const sum = (field: 'opening_balance' | 'debit_total' | 'credit_total' | 'closing_balance') =>
+    roundAmount(accounts.reduce((total, account) => total + Number(account[field]), 0))
+
+  const totals = {
+    openingBalance: sum('opening_balance'),
+    debit: sum('debit_total'),
+    credit: sum('credit_total'),
+    closingBalance: sum('closing_balance'),
+  }
+
+  return {
+    accountCount: accounts.length,
+    totals,
+    movementsBalanced: roundAmount(totals.debit - totals.credit) === 0,
+    openingBalanced: totals.openingBalance === 0,
+    closingBalanced: totals.closingBalance === 0,
+    unreconciled: accounts.filter(account => account.reconciled === false).length,
+    unmapped: accounts.filter(account => account.statement_line === null).length,
+  }
+}
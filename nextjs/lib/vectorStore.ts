@@ -0,0 +1,172 @@
+import { AzureServices } from '@/lib/azureServices'
+import { createAdminClient } from '@/utils/supabase/admin'
+import { getEnvConfig } from '@/lib/env'
+
+export interface ChunkRecord {
+  documentId: string
+  projectId: string
+  chunkIndex: number
+  pageNumber: number | null
+  content: string
+  embedding: number[]
+}
+
+export interface ChunkMatch {
+  documentId: string
+  chunkIndex: number
+  pageNumber: number | null
+  content: string
+  // Higher is more relevant; the scale depends on the backend
+  score: number
+}
+
+export interface ChunkQuery {
+  projectId: string
+  text: string
+  embedding: number[]
+  topK: number
+}
+
+export interface VectorStoreBackend {
+  readonly name: string
+  // Replaces every chunk stored for the document
+  replaceDocumentChunks(documentId: string, chunks: ChunkRecord[], embeddingModel: string): Promise<void>
+  search(query: ChunkQuery): Promise<ChunkMatch[]>
+}
+
+function cosineSimilarity(a: number[], b: number[]) {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+// Single-process store for local development and tests. Chunks are lost on
+// restart; re-analyze documents to rebuild them.
+export class InMemoryVectorStore implements VectorStoreBackend {
+  readonly name = 'memory'
+  private chunksByDocument = new Map<string, ChunkRecord[]>()
+
+  async replaceDocumentChunks(documentId: string, chunks: ChunkRecord[]) {
+    this.chunksByDocument.set(documentId, chunks)
+  }
+
+  async search(query: ChunkQuery): Promise<ChunkMatch[]> {
+    const matches: ChunkMatch[] = []
+    for (const chunks of this.chunksByDocument.values()) {
+      for (const chunk of chunks) {
+        if (chunk.projectId !== query.projectId) continue
+        matches.push({
+          documentId: chunk.documentId,
+          chunkIndex: chunk.chunkIndex,
+          pageNumber: chunk.pageNumber,
+          content: chunk.content,
+          score: cosineSimilarity(query.embedding, chunk.embedding),
+        })
+      }
+    }
+    return matches.sort((a, b) => b.score - a.score).slice(0, query.topK)
+  }
+}
+
+// Backed by the document_chunks table and match_document_chunks function
+// (migration 017). Callers check project access before searching.
+export class PgVectorStore implements VectorStoreBackend {
+  readonly name = 'pgvector'
+  private supabase = createAdminClient()
+
+  async replaceDocumentChunks(documentId: string, chunks: ChunkRecord[], embeddingModel: string) {
+    const { error: deleteError } = await this.supabase
+      .from('document_chunks')
+      .delete()
+      .eq('document_id', documentId)
+
+    if (deleteError) throw deleteError
+
+    for (let i = 0; i < chunks.length; i += 100) {
+      const { error } = await this.supabase.from('document_chunks').insert(
+        chunks.slice(i, i + 100).map(chunk => ({
+          document_id: chunk.documentId,
+          project_id: chunk.projectId,
+          chunk_index: chunk.chunkIndex,
+          page_number: chunk.pageNumber,
+          content: chunk.content,
+          // pgvector's text format is the same as a JSON array
+          embedding: JSON.stringify(chunk.embedding),
+          embedding_model: embeddingModel,
+        }))
+      )
+      if (error) throw error
+    }
+  }
+
+  async search(query: ChunkQuery): Promise<ChunkMatch[]> {
+    const { data, error } = await this.supabase.rpc('match_document_chunks', {
+      p_query_embedding: JSON.stringify(query.embedding),
+      p_project_id: query.projectId,
+      p_match_count: query.topK,
+    })
+
+    if (error) throw error
+
+    return (data || []).map((row: any) => ({
+      documentId: row.document_id,
+      chunkIndex: row.chunk_index,
+      pageNumber: row.page_number,
+      content: row.content,
+      score: row.similarity,
+    }))
+  }
+}
+
+// Azure AI Search index managed by AzureServices. Queries are hybrid: the
+// question text and its embedding are searched together.
+export class AzureSearchVectorStore implements VectorStoreBackend {
+  readonly name = 'azure_search'
+  private azureServices = new AzureServices({ getAll: () => [], setAll: () => {} })
+
+  async replaceDocumentChunks(documentId: string, chunks: ChunkRecord[]) {
+    if (chunks.length > 0) {
+      await this.azureServices.ensureChunkIndex(chunks[0].embedding.length)
+    }
+    await this.azureServices.replaceDocumentChunks(documentId, chunks)
+  }
+
+  async search(query: ChunkQuery): Promise<ChunkMatch[]> {
+    return this.azureServices.searchDocumentChunks(query.projectId, query.text, query.embedding, query.topK)
+  }
+}
+
+function createVectorStore(): VectorStoreBackend {
+  const { app, azure } = getEnvConfig()
+
+  switch (app.vectorStore.backend) {
+    case 'azure_search':
+      if (!azure.search.endpoint || !azure.search.apiKey || !azure.search.indexName) {
+        throw new Error('AZURE_SEARCH_ENDPOINT, AZURE_SEARCH_API_KEY and AZURE_SEARCH_INDEX_NAME are required for the azure_search vector store')
+      }
+      return new AzureSearchVectorStore()
+    case 'pgvector':
+      return new PgVectorStore()
+    case 'memory':
+      return new InMemoryVectorStore()
+    default:
+      throw new Error(`Unknown VECTOR_STORE_BACKEND: ${app.vectorStore.backend}`)
+  }
+}
+
+// The analysis worker writes chunks and chat routes read them in the same
+// process, so they must share the in-memory store
+const globalForVectorStore = globalThis as unknown as { vectorStore?: VectorStoreBackend }
+
+export function getVectorStore(): VectorStoreBackend {
+  if (!globalForVectorStore.vectorStore) {
+    globalForVectorStore.vectorStore = createVectorStore()
+  }
+  return globalForVectorStore.vectorStore
+}
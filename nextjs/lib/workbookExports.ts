@@ -0,0 +1,274 @@
+// Excel exports of a project's data. The analysis workbook has a summary sheet
+// and one sheet per document with its findings, highlights and extracted
+// tables; the financials workbook has the trial balance for each period and
+// one sheet per financial statement. Totals and subtotals are written as
+// formulas (with their computed value cached) so they keep working when the
+// client edits the figures.
+import * as XLSX from 'xlsx'
+
+export const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+
+// Excel limits sheet names to 31 characters without []:*?/\
+const MAX_SHEET_NAME_LENGTH = 31
+const MAX_CELL_LENGTH = 32767
+
+type Cell = string | number | boolean | null | { f: string; v: number }
+
+export interface AnalysisExportDocument {
+  name: string
+  status: string
+  // Latest analysis_results row, if any
+  analysis: {
+    version: number
+    ai_summary: string | null
+    red_flags: string[] | null
+    highlights: string[] | null
+    findings: any[] | null
+    confidence_score: number | null
+    extracted_data: any
+  } | null
+}
+
+export interface TrialBalanceExportRow {
+  period_end: string
+  account_number: string
+  account_name: string
+  opening_balance: number
+  debit_total: number
+  credit_total: number
+  closing_balance: number
+  reconciled: boolean | null
+}
+
+// A line of financial_statements.data.lines. Subtotals and totals list the
+// keys of the lines they add up in sumOf; a key prefixed with '-' is
+// subtracted.
+export interface StatementLine {
+  key?: string
+  label: string
+  type?: 'heading' | 'line' | 'subtotal' | 'total'
+  amount?: number | null
+  priorAmount?: number | null
+  sumOf?: string[]
+}
+
+export interface StatementExportRow {
+  statement_type: string
+  period_start: string
+  period_end: string
+  status: string | null
+  data: { lines?: StatementLine[] } | null
+}
+
+function humanize(key: string) {
+  const text = key.replace(/_/g, ' ').trim()
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+function toCell(value: Cell): XLSX.CellObject | undefined {
+  if (value === null || value === undefined || value === '') return undefined
+  if (typeof value === 'object') return { t: 'n', f: value.f, v: value.v }
+  if (typeof value === 'number') return { t: 'n', v: value }
+  if (typeof value === 'boolean') return { t: 'b', v: value }
+  return { t: 's', v: value.slice(0, MAX_CELL_LENGTH) }
+}
+
+// Builds a sheet from rows of cells; formulas are passed as { f, v }
+function sheetFromRows(rows: Cell[][], columnWidths: number[]) {
+  const sheet: XLSX.WorkSheet = {}
+  let lastColumn = 0
+
+  rows.forEach((row, r) => {
+    row.forEach((value, c) => {
+      const cell = toCell(value)
+      if (cell) sheet[XLSX.utils.encode_cell({ r, c })] = cell
+      lastColumn = Math.max(lastColumn, c)
+    })
+  })
+
+  sheet['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: Math.max(rows.length - 1, 0), c: lastColumn } })
+  sheet['!cols'] = columnWidths.map(wch => ({ wch }))
+  return sheet
+}
+
+// Sheet names must be unique within the workbook
+function appendSheet(workbook: XLSX.WorkBook, name: string, sheet: XLSX.WorkSheet) {
+  const base = name.replace(/[[\]:*?/\\]/g, ' ').slice(0, MAX_SHEET_NAME_LENGTH).trim() || 'Sheet'
+  let unique = base
+  for (let n = 2; workbook.SheetNames.includes(unique); n++) {
+    const suffix = ` (${n})`
+    unique = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length).trim() + suffix
+  }
+  XLSX.utils.book_append_sheet(workbook, sheet, unique)
+}
+
+const column = (index: number) => XLSX.utils.encode_col(index)
+
+export function buildAnalysisWorkbook(projectName: string, documents: AnalysisExportDocument[]): Buffer {
+  const workbook = XLSX.utils.book_new()
+
+  const summary: Cell[][] = [
+    [`${projectName} - document analysis`],
+    [],
+    ['Document', 'Status', 'Analysis version', 'Confidence', 'Red flags', 'Highlights', 'Extracted tables', 'Summary'],
+    ...documents.map(doc => [
+      doc.name,
+      doc.status,
+      doc.analysis?.version ?? null,
+      doc.analysis?.confidence_score ?? null,
+      doc.analysis ? doc.analysis.findings?.length || doc.analysis.red_flags?.length || 0 : null,
+      doc.analysis ? doc.analysis.highlights?.length || 0 : null,
+      doc.analysis ? doc.analysis.extracted_data?.tables?.length || 0 : null,
+      doc.analysis?.ai_summary ?? null,
+    ]),
+  ]
+  appendSheet(workbook, 'Summary', sheetFromRows(summary, [40, 12, 16, 12, 10, 10, 16, 80]))
+
+  for (const doc of documents) {
+    if (!doc.analysis) continue
+    const { findings, red_flags, highlights, extracted_data } = doc.analysis
+    const rows: Cell[][] = [[doc.name], []]
+
+    rows.push(['Red flags'])
+    if (findings?.length) {
+      rows.push(['Severity', 'Category', 'Title', 'Description', 'Evidence', 'Page', 'Recommended procedure'])
+      for (const finding of findings) {
+        rows.push([
+          finding.severity,
+          finding.category && humanize(finding.category),
+          finding.title,
+          finding.description,
+          finding.evidence,
+          finding.reference?.page ?? null,
+          finding.recommendedProcedure,
+        ])
+      }
+    } else if (red_flags?.length) {
+      // Analyses from before structured findings only have titles
+      red_flags.forEach(flag => rows.push([null, null, flag]))
+    } else {
+      rows.push(['None'])
+    }
+
+    rows.push([], ['Highlights'])
+    if (highlights?.length) {
+      highlights.forEach(highlight => rows.push([highlight]))
+    } else {
+      rows.push(['None'])
+    }
+
+    (extracted_data?.tables || []).forEach((extracted: any, index: number) => {
+      const title = [extracted.name || `Table ${index + 1}`, extracted.pageNumber ? `page ${extracted.pageNumber}` : null]
+        .filter(Boolean)
+        .join(', ')
+      const hasRowHeaders = extracted.rowHeaders?.some(Boolean)
+
+      rows.push([], [title])
+      if (extracted.columnHeaders?.some(Boolean)) {
+        rows.push(hasRowHeaders ? [null, ...extracted.columnHeaders] : extracted.columnHeaders)
+      }
+      extracted.rows?.forEach((row: string[], rowIndex: number) => {
+        rows.push(hasRowHeaders ? [extracted.rowHeaders[rowIndex] || null, ...row] : row)
+      })
+    })
+
+    appendSheet(workbook, doc.name, sheetFromRows(rows, [14, 16, 40, 60, 60, 8, 50]))
+  }
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+}
+
+function trialBalanceSheet(rows: TrialBalanceExportRow[]) {
+  const header = ['Account', 'Account name', 'Opening balance', 'Debits', 'Credits', 'Closing balance',
+    'Opening + debits - credits', 'Difference', 'Reconciled']
+  const first = 2
+  const cells: Cell[][] = [header]
+
+  rows.forEach((row, index) => {
+    const r = first + index
+    const opening = Number(row.opening_balance)
+    const debits = Number(row.debit_total)
+    const credits = Number(row.credit_total)
+    const closing = Number(row.closing_balance)
+    cells.push([
+      row.account_number,
+      row.account_name,
+      opening,
+      debits,
+      credits,
+      closing,
+      { f: `C${r}+D${r}-E${r}`, v: opening + debits - credits },
+      { f: `F${r}-G${r}`, v: closing - (opening + debits - credits) },
+      row.reconciled ? 'Yes' : 'No',
+    ])
+  })
+
+  const last = first + rows.length - 1
+  const total = (index: number): Cell => {
+    const sum = cells.slice(1).reduce((acc, row) => {
+      const value = row[index]
+      return acc + (typeof value === 'number' ? value : (value as { v: number }).v)
+    }, 0)
+    return rows.length ? { f: `SUM(${column(index)}${first}:${column(index)}${last})`, v: sum } : 0
+  }
+  cells.push(['Total', null, total(2), total(3), total(4), total(5), total(6), total(7)])
+
+  return sheetFromRows(cells, [12, 40, 16, 16, 16, 16, 22, 14, 12])
+}
+
+function statementSheet(statement: StatementExportRow) {
+  const lines = statement.data?.lines || []
+  const hasPrior = lines.some(line => line.priorAmount !== undefined && line.priorAmount !== null)
+  const first = 4
+  const rowByKey = new Map<string, number>()
+  lines.forEach((line, index) => line.key && rowByKey.set(line.key, first + index))
+
+  const valueOf = (line: StatementLine, prior: boolean) => Number((prior ? line.priorAmount : line.amount) ?? 0)
+  const amountCell = (line: StatementLine, col: string, prior: boolean): Cell => {
+    if (line.type === 'heading') return null
+    const value = prior ? line.priorAmount : line.amount
+    const terms = (line.sumOf || [])
+      .map(key => {
+        const row = rowByKey.get(key.replace(/^-/, ''))
+        return row ? `${key.startsWith('-') ? '-' : '+'}${col}${row}` : null
+      })
+      .filter(Boolean)
+    if (terms.length === 0) return value ?? null
+    return { f: terms.join('').replace(/^\+/, ''), v: valueOf(line, prior) }
+  }
+
+  const cells: Cell[][] = [
+    [humanize(statement.statement_type)],
+    [`${statement.period_start} to ${statement.period_end}${statement.status ? ` (${statement.status})` : ''}`],
+    hasPrior ? ['', 'Current period', 'Prior period'] : ['', 'Amount'],
+    ...lines.map(line => [
+      // Detail lines are indented under their heading
+      !line.type || line.type === 'line' ? `  ${line.label}` : line.label,
+      amountCell(line, 'B', false),
+      ...(hasPrior ? [amountCell(line, 'C', true)] : []),
+    ]),
+  ]
+
+  return sheetFromRows(cells, [50, 18, 18])
+}
+
+export function buildFinancialWorkbook(
+  trialBalances: TrialBalanceExportRow[],
+  statements: StatementExportRow[]
+): Buffer {
+  const workbook = XLSX.utils.book_new()
+
+  const periods = [...new Set(trialBalances.map(row => row.period_end))].sort()
+  for (const period of periods) {
+    const rows = trialBalances
+      .filter(row => row.period_end === period)
+      .sort((a, b) => a.account_number.localeCompare(b.account_number, undefined, { numeric: true }))
+    appendSheet(workbook, `TB ${period}`, trialBalanceSheet(rows))
+  }
+
+  for (const statement of statements) {
+    appendSheet(workbook, `${humanize(statement.statement_type)} ${statement.period_end}`, statementSheet(statement))
+  }
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+}
@@ -0,0 +1,206 @@
+// Audit workpapers (workpapers table, migrations 004 and 025). A workpaper
+// belongs to an audit area and gets the next reference number in it: A-1,
+// A-2, and A-2.1 for a workpaper filed below A-2. It is prepared as a draft,
+// submitted for review, and either returned to draft with a review note or
+// signed off ('reviewed'), after which it can no longer be changed.
+import type { SupabaseClient } from '@supabase/supabase-js'
+
+export const WORKPAPER_AREAS = [
+  { key: 'planning', code: 'A', name: 'Planning and risk assessment' },
+  { key: 'cash', code: 'B', name: 'Cash and bank' },
+  { key: 'receivables', code: 'C', name: 'Receivables' },
+  { key: 'inventory', code: 'D', name: 'Inventory' },
+  { key: 'fixed_assets', code: 'E', name: 'Property, plant and equipment' },
+  { key: 'investments', code: 'F', name: 'Investments' },
+  { key: 'payables', code: 'G', name: 'Payables and accruals' },
+  { key: 'borrowings', code: 'H', name: 'Borrowings' },
+  { key: 'equity', code: 'I', name: 'Equity' },
+  { key: 'revenue', code: 'J', name: 'Revenue' },
+  { key: 'expenses', code: 'K', name: 'Expenses and payroll' },
+  { key: 'tax', code: 'L', name: 'Taxation' },
+  { key: 'controls', code: 'M', name: 'Internal controls and IT' },
+  { key: 'compliance', code: 'N', name: 'Laws and regulations' },
+  { key: 'completion', code: 'Z', name: 'Completion and reporting' },
+] as const
+
+export type WorkpaperArea = typeof WORKPAPER_AREAS[number]['key']
+
+export const WORKPAPER_STATUSES = ['draft', 'in_review', 'reviewed'] as const
+
+export interface ProcedureStep {
+  description: string
+  done: boolean
+  result?: string
+}
+
+const MAX_STEPS = 100
+const MAX_TEXT_LENGTH = 10000
+const MAX_SUPPORTING_DOCUMENTS = 50
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+export function workpaperArea(key: string) {
+  return WORKPAPER_AREAS.find(area => area.key === key) || null
+}
+
+// Checks the editable fields of a workpaper in a request body and maps them to
+// columns. With `partial`, fields missing from body are left out.
+export function validateWorkpaper(body: any, partial = false) {
+  const errors: string[] = []
+  const values: Record<string, any> = {}
+  const has = (field: string) => body?.[field] !== undefined
+
+  if (!partial || has('name')) {
+    if (typeof body?.name !== 'string' || !body.name.trim() || body.name.trim().length > 255) {
+      errors.push('name must be between 1 and 255 characters')
+    } else {
+      values.name = body.name.trim()
+    }
+  }
+
+  for (const [field, column] of [['description', 'description'], ['conclusion', 'conclusion']]) {
+    if (!has(field)) continue
+    if (body[field] !== null && (typeof body[field] !== 'string' || body[field].length > MAX_TEXT_LENGTH)) {
+      errors.push(`${field} must be a string of at most ${MAX_TEXT_LENGTH} characters`)
+    } else {
+      values[column] = body[field]?.trim() || null
+    }
+  }
+
+  if (has('procedureSteps')) {
+    const steps = body.procedureSteps
+    const valid = Array.isArray(steps) && steps.length <= MAX_STEPS && steps.every((step: any) =>
+      typeof step?.description === 'string' && step.description.trim() &&
+      (step.done === undefined || typeof step.done === 'boolean') &&
+      (step.result === undefined || step.result === null || typeof step.result === 'string')
+    )
+    if (!valid) {
+      errors.push(`procedureSteps must be a list of at most ${MAX_STEPS} steps with a description`)
+    } else {
+      values.procedure_steps = steps.map((step: any): ProcedureStep => ({
+        description: step.description.trim(),
+        done: step.done === true,
+        ...(step.result?.trim() ? { result: step.result.trim() } : {}),
+      }))
+    }
+  }
+
+  if (has('supportingDocumentIds')) {
+    const ids = body.supportingDocumentIds
+    if (!Array.isArray(ids) || ids.length > MAX_SUPPORTING_DOCUMENTS || ids.some((id: any) => typeof id !== 'string' || !UUID_PATTERN.test(id))) {
+      errors.push(`supportingDocumentIds must be a list of at most ${MAX_SUPPORTING_DOCUMENTS} document IDs`)
+    } else {
+      values.supporting_documents = [...new Set(ids)]
+    }
+  }
+
+  if (has('riskIdentified')) {
+    if (typeof body.riskIdentified !== 'boolean') {
+      errors.push('riskIdentified must be true or false')
+    } else {
+      values.risk_identified = body.riskIdentified
+    }
+  }
+
+  if (has('materialityImpact')) {
+    if (body.materialityImpact !== null && (typeof body.materialityImpact !== 'number' || !Number.isFinite(body.materialityImpact))) {
+      errors.push('materialityImpact must be a number')
+    } else {
+      values.materiality_impact = body.materialityImpact
+    }
+  }
+
+  return { errors, values }
+}
+
+// Null when every ID is a document of the project, otherwise the unknown IDs
+export async function unknownDocumentIds(supabase: SupabaseClient, projectId: string, ids: string[]) {
+  if (ids.length === 0) return null
+
+  const { data, error } = await supabase
+    .from('documents')
+    .select('id')
+    .eq('project_id', projectId)
+    .in('id', ids)
+
+  if (error) throw error
+
+  const found = new Set((data || []).map(doc => doc.id))
+  const unknown = ids.filter(id => !found.has(id))
+  return unknown.length > 0 ? unknown : null
+}
+
+// The next free reference number in an area, or below a parent workpaper
+export async function nextReferenceNumber(
+  supabase: SupabaseClient,
+  projectId: string,
+  area: WorkpaperArea,
+  parent?: { id: string; reference_number: string } | null
+) {
+  let query = supabase
+    .from('workpapers')
+    .select('reference_number')
+    .eq('project_id', projectId)
+
+  query = parent
+    ? query.eq('parent_workpaper_id', parent.id)
+    : query.eq('audit_area', area).is('parent_workpaper_id', null)
+
+  const { data, error } = await query
+  if (error) throw error
+
+  const prefix = parent ? `${parent.reference_number}.` : `${workpaperArea(area)!.code}-`
+  const used = (data || [])
+    .map(row => row.reference_number as string)
+    .filter(reference => reference.startsWith(prefix))
+    .map(reference => parseInt(reference.slice(prefix.length), 10))
+    .filter(Number.isInteger)
+
+  return `${prefix}${Math.max(0, ...used) + 1}`
+}
+
+// Orders A-2 before A-10 and A-2.1 right after A-2
+export function compareReferenceNumbers(a: string, b: string) {
+  return a.localeCompare(b, 'en', { numeric: true })
+}
+
+// Two requests can pick the same reference number; the unique index on
+// (project_id, reference_number) rejects the second, which then tries again
+const MAX_REFERENCE_ATTEMPTS = 3
+
+// Inserts a draft workpaper with the next reference number in its area, or
+// below parent
+export async function insertWorkpaper(
+  supabase: SupabaseClient,
+  projectId: string,
+  area: WorkpaperArea,
+  values: Record<string, any>,
+  preparedBy: string,
+  parent?: { id: string; reference_number: string } | null
+) {
+  for (let attempt = 1; ; attempt++) {
+    const referenceNumber = await nextReferenceNumber(supabase, projectId, area, parent)
+
+    const { data: workpaper, error } = await supabase
+      .from('workpapers')
+      .insert({
+        ...values,
+        project_id: projectId,
+        audit_area: area,
+        parent_workpaper_id: parent?.id || null,
+        reference_number: referenceNumber,
+        prepared_by: preparedBy,
+        status: 'draft'
+      })
+      .select()
+      .single()
+
+    if (error?.code === '23505' && attempt < MAX_REFERENCE_ATTEMPTS) {
+      continue
+    }
+    if (error) {
+      throw error
+    }
+
+    return workpaper
+  }
+}
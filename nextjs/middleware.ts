@@ -40,7 +40,11 @@ export async function middleware(request: NextRequest) {
     !request.nextUrl.pathname.startsWith('/login') &&
     !request.nextUrl.pathname.startsWith('/register') &&
     !request.nextUrl.pathname.startsWith('/reset-password') &&
-    !request.nextUrl.pathname.startsWith('/auth')
+    !request.nextUrl.pathname.startsWith('/auth') &&
+    // Report share links are opened by clients without an account; the
+    // link's token is checked by /api/share
+    !request.nextUrl.pathname.startsWith('/share/') &&
+    !request.nextUrl.pathname.startsWith('/api/share/')
   ) {
     // no user, potentially respond by redirecting the user to the login page
     const url = request.nextUrl.clone()
@@ -79,6 +79,7 @@ export interface Database {
           start_date: string | null
           end_date: string | null
           due_date: string | null
+          prior_project_id: string | null
           created_at: string
           updated_at: string
         }
@@ -95,6 +96,7 @@ export interface Database {
           start_date?: string | null
           end_date?: string | null
           due_date?: string | null
+          prior_project_id?: string | null
           created_at?: string
           updated_at?: string
         }
@@ -111,6 +113,7 @@ export interface Database {
           start_date?: string | null
           end_date?: string | null
           due_date?: string | null
+          prior_project_id?: string | null
           created_at?: string
           updated_at?: string
         }
@@ -167,6 +170,12 @@ export interface Database {
           ai_summary: string
           red_flags: string[]
           highlights: string[]
+          findings: Json
+          version: number
+          prompt_version: string | null
+          model_deployment: string | null
+          extractor_model_id: string | null
+          requested_by: string | null
           confidence_score: number
           processing_time_ms: number
           created_at: string
@@ -179,6 +188,12 @@ export interface Database {
           ai_summary: string
           red_flags?: string[]
           highlights?: string[]
+          findings?: Json
+          version?: number
+          prompt_version?: string | null
+          model_deployment?: string | null
+          extractor_model_id?: string | null
+          requested_by?: string | null
           confidence_score: number
           processing_time_ms: number
           created_at?: string
@@ -191,6 +206,12 @@ export interface Database {
           ai_summary?: string
           red_flags?: string[]
           highlights?: string[]
+          findings?: Json
+          version?: number
+          prompt_version?: string | null
+          model_deployment?: string | null
+          extractor_model_id?: string | null
+          requested_by?: string | null
           confidence_score?: number
           processing_time_ms?: number
           created_at?: string
@@ -201,28 +222,37 @@ export interface Database {
         Row: {
           id: string
           project_id: string
+          thread_id: string | null
           user_id: string
           question: string
           answer: string
           context_documents: string[]
+          citations: Json
+          completion_status: 'completed' | 'aborted' | 'failed'
           created_at: string
         }
         Insert: {
           id?: string
           project_id: string
+          thread_id?: string | null
           user_id: string
           question: string
           answer: string
           context_documents?: string[]
+          citations?: Json
+          completion_status?: 'completed' | 'aborted' | 'failed'
           created_at?: string
         }
         Update: {
           id?: string
           project_id?: string
+          thread_id?: string | null
           user_id?: string
           question?: string
           answer?: string
           context_documents?: string[]
+          citations?: Json
+          completion_status?: 'completed' | 'aborted' | 'failed'
           created_at?: string
         }
       }
@@ -234,7 +264,20 @@ export interface Database {
           report_name: string
           report_data: Json
           pdf_url: string
-          status: 'draft' | 'final' | 'archived'
+          pdf_path: string | null
+          pdf_generated_at: string | null
+          revision: number
+          parent_report_id: string | null
+          submitted_by: string | null
+          submitted_at: string | null
+          reviewed_by: string | null
+          reviewed_at: string | null
+          review_comment: string | null
+          signed_off_by: string | null
+          signed_off_at: string | null
+          content_hash: string | null
+          schedule_id: string | null
+          status: 'draft' | 'in_review' | 'final' | 'archived'
           created_at: string
           updated_at: string
         }
@@ -245,7 +288,20 @@ export interface Database {
           report_name: string
           report_data: Json
           pdf_url: string
-          status?: 'draft' | 'final' | 'archived'
+          pdf_path?: string | null
+          pdf_generated_at?: string | null
+          revision?: number
+          parent_report_id?: string | null
+          submitted_by?: string | null
+          submitted_at?: string | null
+          reviewed_by?: string | null
+          reviewed_at?: string | null
+          review_comment?: string | null
+          signed_off_by?: string | null
+          signed_off_at?: string | null
+          content_hash?: string | null
+          schedule_id?: string | null
+          status?: 'draft' | 'in_review' | 'final' | 'archived'
           created_at?: string
           updated_at?: string
         }
@@ -256,7 +312,20 @@ export interface Database {
           report_name?: string
           report_data?: Json
           pdf_url?: string
-          status?: 'draft' | 'final' | 'archived'
+          pdf_path?: string | null
+          pdf_generated_at?: string | null
+          revision?: number
+          parent_report_id?: string | null
+          submitted_by?: string | null
+          submitted_at?: string | null
+          reviewed_by?: string | null
+          reviewed_at?: string | null
+          review_comment?: string | null
+          signed_off_by?: string | null
+          signed_off_at?: string | null
+          content_hash?: string | null
+          schedule_id?: string | null
+          status?: 'draft' | 'in_review' | 'final' | 'archived'
           created_at?: string
           updated_at?: string
         }
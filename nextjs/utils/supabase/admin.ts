@@ -0,0 +1,16 @@
+import { createClient as createSupabaseClient } from '@supabase/supabase-js'
+
+// Background jobs run outside a request, so there are no user cookies to
+// carry a session. Use the service key when it is configured.
+export function createAdminClient() {
+  return createSupabaseClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL!,
+    process.env.SUPABASE_SERVICE_KEY || process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY!,
+    {
+      auth: {
+        persistSession: false,
+        autoRefreshToken: false,
+      },
+    }
+  )
+}